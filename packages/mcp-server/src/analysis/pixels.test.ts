@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import {
+  averageColor,
+  channelStats,
+  clippedPixels,
+  decodePixels,
+  gamutClipping,
+  histograms,
+  luminosity,
+  pixelCount,
+  rebin,
+  type PixelBuffer,
+} from "./pixels.js";
+
+// One row of pixels from RGB(A) or gray tuples
+const row = (pixels: number[][], mask?: number[]): PixelBuffer => ({
+  width: pixels.length,
+  height: 1,
+  components: pixels[0].length,
+  data: Uint8Array.from(pixels.flat()),
+  ...(mask && { mask: Uint8Array.from(mask) }),
+});
+
+describe("pixel analysis", () => {
+  it("should count each channel and luminosity", () => {
+    const counted = histograms(row([[0, 0, 0], [255, 255, 255], [255, 0, 0]]));
+
+    expect(pixelCount(counted)).toBe(3);
+    expect(counted.red[255]).toBe(2);
+    expect(counted.green[0]).toBe(2);
+    expect(counted.luminosity[luminosity(255, 0, 0)]).toBe(1);
+    expect(luminosity(255, 0, 0)).toBe(77);
+  });
+
+  it("should skip transparent pixels and pixels outside the selection", () => {
+    const transparent = histograms(row([[10, 10, 10, 255], [200, 200, 200, 0]]));
+    expect(pixelCount(transparent)).toBe(1);
+
+    const selected = histograms(row([[10, 10, 10], [200, 200, 200], [90, 90, 90]], [255, 0, 127]));
+    expect(pixelCount(selected)).toBe(1);
+    expect(selected.red[10]).toBe(1);
+  });
+
+  it("should read a gray level as every channel, with or without alpha", () => {
+    const gray = histograms(row([[40], [200]]));
+    expect(pixelCount(gray)).toBe(2);
+    expect([gray.red[40], gray.green[40], gray.blue[40], gray.luminosity[40]]).toEqual([1, 1, 1, 1]);
+
+    const grayAlpha = histograms(row([[40, 255], [200, 0], [90, 128]]));
+    expect(pixelCount(grayAlpha)).toBe(2);
+    expect(grayAlpha.blue[90]).toBe(1);
+    expect(grayAlpha.blue[200]).toBe(0);
+  });
+
+  it("should compute mean, median, percentiles and clipping", () => {
+    const levels = [0, 0, 50, 100, 150, 200, 255, 255, 255, 255];
+    const counted = histograms(row(levels.map((level) => [level, level, level])));
+
+    expect(channelStats(counted.red, [10, 90])).toEqual({
+      mean: 152,
+      median: 150,
+      min: 0,
+      max: 255,
+      stdDev: 102.01,
+      percentiles: { p10: 0, p90: 255 },
+      clipped: { shadows: 20, highlights: 40 },
+    });
+    expect(channelStats(new Array(256).fill(0), [50])).toBeNull();
+  });
+
+  it("should average colors and report pixels clipped in any channel", () => {
+    const buffer = row([[255, 0, 0], [0, 0, 255], [128, 128, 128]]);
+
+    expect(averageColor(histograms(buffer))).toEqual({ red: 128, green: 43, blue: 128, hex: "#802b80" });
+    expect(clippedPixels(buffer)).toEqual({ shadows: 66.67, highlights: 66.67 });
+  });
+
+  it("should count saturated colors at the gamut edge but not clipped neutrals", () => {
+    const buffer = row([[255, 90, 40], [0, 0, 0], [255, 255, 255], [120, 200, 40]]);
+
+    expect(gamutClipping(buffer)).toBe(25);
+  });
+
+  it("should rebin histograms into fewer levels", () => {
+    const histogram = new Array(256).fill(1);
+
+    expect(rebin(histogram, 16)).toEqual(new Array(16).fill(16));
+    expect(() => rebin(histogram, 100)).toThrow("bins must divide 256");
+  });
+
+  it("should decode base64 payloads and check their size", () => {
+    const pixels = Buffer.from([1, 2, 3, 4, 5, 6]).toString("base64");
+
+    const buffer = decodePixels({ width: 2, height: 1, components: 3, pixels });
+    expect(Array.from(buffer.data)).toEqual([1, 2, 3, 4, 5, 6]);
+
+    expect(() => decodePixels({ width: 2, height: 2, components: 3, pixels })).toThrow(
+      "Expected 12 bytes for 2x2x3 pixels, got 6"
+    );
+  });
+});
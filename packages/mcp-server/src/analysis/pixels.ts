@@ -0,0 +1,200 @@
+/**
+ * Pixel Analysis
+ *
+ * Histograms and statistics computed from raw 8-bit RGB(A) or gray buffers, the way
+ * the plugin's analyze.pixels command exports them. The numbers come from
+ * the pixels themselves rather than from looking at a preview, and nothing
+ * here needs Photoshop, so it can be tested on hand-made buffers.
+ */
+
+export const CHANNELS = ["red", "green", "blue", "luminosity"] as const;
+export type Channel = (typeof CHANNELS)[number];
+
+/** Interleaved 8-bit pixels, with an optional 8-bit selection mask */
+export interface PixelBuffer {
+  width: number;
+  height: number;
+  /** 3 for RGB, 4 for RGBA; 1 for gray, 2 for gray with alpha */
+  components: number;
+  data: Uint8Array;
+  /** One byte per pixel; pixels under 128 are outside the selection */
+  mask?: Uint8Array;
+}
+
+/** What analyze.pixels returns: the buffers base64-encoded */
+export interface PixelPayload {
+  width: number;
+  height: number;
+  components: number;
+  pixels: string;
+  mask?: string;
+}
+
+export interface ChannelStats {
+  mean: number;
+  median: number;
+  min: number;
+  max: number;
+  stdDev: number;
+  /** Level at each requested percentile, keyed like "p5" */
+  percentiles: Record<string, number>;
+  /** Share of pixels at 0 and at 255, as percentages */
+  clipped: { shadows: number; highlights: number };
+}
+
+export type Histograms = Record<Channel, number[]>;
+
+export function decodePixels(payload: PixelPayload): PixelBuffer {
+  const data = new Uint8Array(Buffer.from(payload.pixels, "base64"));
+  const expected = payload.width * payload.height * payload.components;
+  if (data.length !== expected) {
+    throw new Error(
+      `Expected ${expected} bytes for ${payload.width}x${payload.height}x${payload.components} pixels, got ${data.length}`
+    );
+  }
+  const buffer: PixelBuffer = {
+    width: payload.width,
+    height: payload.height,
+    components: payload.components,
+    data,
+  };
+  if (payload.mask !== undefined) {
+    buffer.mask = new Uint8Array(Buffer.from(payload.mask, "base64"));
+    if (buffer.mask.length !== payload.width * payload.height) {
+      throw new Error(`Expected a ${payload.width}x${payload.height} mask, got ${buffer.mask.length} bytes`);
+    }
+  }
+  return buffer;
+}
+
+/** Luminosity as Photoshop's histogram weighs it */
+export function luminosity(red: number, green: number, blue: number): number {
+  return Math.round(0.3 * red + 0.59 * green + 0.11 * blue);
+}
+
+/**
+ * Calls `visit` for every pixel that counts: inside the selection mask, if
+ * there is one, and not fully transparent. A gray pixel's level is passed
+ * as all three channels.
+ */
+function forEachPixel(buffer: PixelBuffer, visit: (red: number, green: number, blue: number) => void): void {
+  const { data, components, mask } = buffer;
+  const gray = components < 3;
+  const alpha = components === 2 || components === 4 ? components - 1 : -1;
+  const count = buffer.width * buffer.height;
+  for (let i = 0; i < count; i++) {
+    if (mask && mask[i] < 128) continue;
+    const offset = i * components;
+    if (alpha >= 0 && data[offset + alpha] === 0) continue;
+    const level = data[offset];
+    visit(level, gray ? level : data[offset + 1], gray ? level : data[offset + 2]);
+  }
+}
+
+/** 256-level histograms of each channel and of luminosity */
+export function histograms(buffer: PixelBuffer): Histograms {
+  const result = Object.fromEntries(CHANNELS.map((channel) => [channel, new Array<number>(256).fill(0)])) as Histograms;
+  forEachPixel(buffer, (red, green, blue) => {
+    result.red[red]++;
+    result.green[green]++;
+    result.blue[blue]++;
+    result.luminosity[luminosity(red, green, blue)]++;
+  });
+  return result;
+}
+
+/** Sum a 256-level histogram into `bins` equal-width bins */
+export function rebin(histogram: number[], bins: number): number[] {
+  if (256 % bins !== 0) throw new Error(`bins must divide 256, got ${bins}`);
+  const width = 256 / bins;
+  const result = new Array<number>(bins).fill(0);
+  histogram.forEach((count, level) => (result[Math.floor(level / width)] += count));
+  return result;
+}
+
+const round = (value: number) => Math.round(value * 100) / 100;
+
+/** The lowest level with at least `fraction` of the pixels at or below it */
+function levelAt(histogram: number[], total: number, fraction: number): number {
+  const wanted = Math.max(1, Math.ceil(fraction * total));
+  let seen = 0;
+  for (let level = 0; level < histogram.length; level++) {
+    seen += histogram[level];
+    if (seen >= wanted) return level;
+  }
+  return histogram.length - 1;
+}
+
+/** Statistics of one channel from its 256-level histogram, or null if it counts no pixels */
+export function channelStats(histogram: number[], percentiles: number[]): ChannelStats | null {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  let sum = 0;
+  let squares = 0;
+  histogram.forEach((count, level) => {
+    sum += count * level;
+    squares += count * level * level;
+  });
+  const mean = sum / total;
+
+  return {
+    mean: round(mean),
+    median: levelAt(histogram, total, 0.5),
+    min: histogram.findIndex((count) => count > 0),
+    max: histogram.length - 1 - [...histogram].reverse().findIndex((count) => count > 0),
+    stdDev: round(Math.sqrt(Math.max(0, squares / total - mean * mean))),
+    percentiles: Object.fromEntries(percentiles.map((p) => [`p${p}`, levelAt(histogram, total, p / 100)])),
+    clipped: {
+      shadows: round((histogram[0] / total) * 100),
+      highlights: round((histogram[255] / total) * 100),
+    },
+  };
+}
+
+/** Number of pixels the histograms count */
+export function pixelCount(result: Histograms): number {
+  return result.red.reduce((sum, count) => sum + count, 0);
+}
+
+/** Mean color of the counted pixels, or null if there are none */
+export function averageColor(result: Histograms): { red: number; green: number; blue: number; hex: string } | null {
+  const total = pixelCount(result);
+  if (total === 0) return null;
+  const mean = (histogram: number[]) =>
+    Math.round(histogram.reduce((sum, count, level) => sum + count * level, 0) / total);
+  const [red, green, blue] = [mean(result.red), mean(result.green), mean(result.blue)];
+  const hex = `#${[red, green, blue].map((value) => value.toString(16).padStart(2, "0")).join("")}`;
+  return { red, green, blue, hex };
+}
+
+/** Share of counted pixels with any of red, green or blue at 0, and at 255, as percentages */
+export function clippedPixels(buffer: PixelBuffer): { shadows: number; highlights: number } {
+  let total = 0;
+  let shadows = 0;
+  let highlights = 0;
+  forEachPixel(buffer, (red, green, blue) => {
+    total++;
+    if (red === 0 || green === 0 || blue === 0) shadows++;
+    if (red === 255 || green === 255 || blue === 255) highlights++;
+  });
+  return total === 0
+    ? { shadows: 0, highlights: 0 }
+    : { shadows: round((shadows / total) * 100), highlights: round((highlights / total) * 100) };
+}
+
+/**
+ * Share of counted pixels, as a percentage, whose color has been pushed to
+ * the edge of the RGB gamut: a channel at 0 or 255 in a pixel that isn't a
+ * neutral gray. Those colors have lost detail the way out-of-gamut colors do.
+ */
+export function gamutClipping(buffer: PixelBuffer): number {
+  let total = 0;
+  let clipped = 0;
+  forEachPixel(buffer, (red, green, blue) => {
+    total++;
+    const neutral = red === green && green === blue;
+    if (!neutral && [red, green, blue].some((value) => value === 0 || value === 255)) clipped++;
+  });
+  return total === 0 ? 0 : round((clipped / total) * 100);
+}
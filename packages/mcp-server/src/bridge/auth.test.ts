@@ -0,0 +1,82 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  bearerToken,
+  isOriginAllowed,
+  loadBridgeToken,
+  parseAllowedOrigins,
+  tokensMatch,
+} from "./auth.js";
+
+describe("loadBridgeToken", () => {
+  const dirs: string[] = [];
+
+  const tempFile = () => {
+    const dir = mkdtempSync(join(tmpdir(), "ps-mcp-auth-"));
+    dirs.push(dir);
+    return join(dir, "nested", "bridge-token");
+  };
+
+  afterEach(() => {
+    for (const dir of dirs.splice(0)) rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should prefer PS_BRIDGE_TOKEN", () => {
+    expect(loadBridgeToken({ PS_BRIDGE_TOKEN: " secret \n", PS_BRIDGE_TOKEN_FILE: tempFile() })).toBe(
+      "secret"
+    );
+  });
+
+  it("should generate a token once and reuse it", () => {
+    const file = tempFile();
+    const env = { PS_BRIDGE_TOKEN_FILE: file };
+
+    const token = loadBridgeToken(env);
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(readFileSync(file, "utf8").trim()).toBe(token);
+    expect(loadBridgeToken(env)).toBe(token);
+    if (process.platform !== "win32") {
+      expect(statSync(file).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  it("should read an existing token file", () => {
+    const file = tempFile();
+    loadBridgeToken({ PS_BRIDGE_TOKEN_FILE: file });
+    writeFileSync(file, "from-file\n");
+
+    expect(loadBridgeToken({ PS_BRIDGE_TOKEN_FILE: file })).toBe("from-file");
+  });
+});
+
+describe("token checks", () => {
+  it("should match only identical tokens", () => {
+    expect(tokensMatch("abc", "abc")).toBe(true);
+    expect(tokensMatch("abd", "abc")).toBe(false);
+    expect(tokensMatch("abcd", "abc")).toBe(false);
+    expect(tokensMatch(undefined, "abc")).toBe(false);
+  });
+
+  it("should extract bearer tokens", () => {
+    expect(bearerToken("Bearer abc")).toBe("abc");
+    expect(bearerToken("Basic abc")).toBeNull();
+    expect(bearerToken(undefined)).toBeNull();
+  });
+});
+
+describe("origin allow-list", () => {
+  it("should parse a comma-separated list", () => {
+    expect(parseAllowedOrigins({ PS_BRIDGE_ALLOWED_ORIGINS: " a , b," })).toEqual(["a", "b"]);
+    expect(parseAllowedOrigins({})).toBeNull();
+  });
+
+  it("should allow listed origins and clients without one", () => {
+    expect(isOriginAllowed("a", ["a"])).toBe(true);
+    expect(isOriginAllowed("b", ["a"])).toBe(false);
+    expect(isOriginAllowed(undefined, ["a"])).toBe(true);
+    expect(isOriginAllowed("b", null)).toBe(true);
+  });
+});
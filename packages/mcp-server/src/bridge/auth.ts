@@ -0,0 +1,83 @@
+/**
+ * Bridge Authentication
+ *
+ * Shared secret that every bridge connection must present. The UXP plugin
+ * sends it in its hello frame (UXP WebSockets can't set headers); MCP peers
+ * send it as a bearer token when attaching to the broker. All server
+ * processes on a machine read the same token file, so peers and a peer that
+ * takes over the port agree on the secret without any setup.
+ */
+
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { chmodSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { Logger } from '../logging/logger.js';
+
+const logger = new Logger('bridge-auth');
+
+/** Where the generated token is kept unless PS_BRIDGE_TOKEN_FILE says otherwise. */
+export const DEFAULT_TOKEN_FILE = join(homedir(), '.photoshop-mcp', 'bridge-token');
+
+/**
+ * Resolve the bridge token:
+ * - PS_BRIDGE_TOKEN, if set
+ * - the contents of PS_BRIDGE_TOKEN_FILE (default ~/.photoshop-mcp/bridge-token)
+ * - otherwise a new random token, written to that file for the panel and
+ *   other server processes to pick up
+ */
+export function loadBridgeToken(env: NodeJS.ProcessEnv = process.env): string {
+  if (env.PS_BRIDGE_TOKEN) {
+    return env.PS_BRIDGE_TOKEN.trim();
+  }
+
+  const file = env.PS_BRIDGE_TOKEN_FILE || DEFAULT_TOKEN_FILE;
+  if (existsSync(file)) {
+    const token = readFileSync(file, 'utf8').trim();
+    if (token) return token;
+  }
+
+  const token = randomBytes(32).toString('hex');
+  mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+  writeFileSync(file, `${token}\n`, { mode: 0o600 });
+  // writeFileSync only applies the mode when it creates the file
+  chmodSync(file, 0o600);
+  logger.info(`Generated bridge token in ${file}; paste it into the MCP Bridge panel in Photoshop`);
+  return token;
+}
+
+/** Constant-time comparison, so the token can't be guessed byte by byte. */
+export function tokensMatch(presented: unknown, expected: string): boolean {
+  if (typeof presented !== 'string') return false;
+  const a = Buffer.from(presented);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/** The token from an `Authorization: Bearer <token>` header, if any. */
+export function bearerToken(header: string | undefined): string | null {
+  const match = /^Bearer\s+(.+)$/i.exec(header ?? '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse PS_BRIDGE_ALLOWED_ORIGINS, a comma-separated list of origins allowed
+ * to open bridge connections. Null when unset, which allows any origin.
+ */
+export function parseAllowedOrigins(env: NodeJS.ProcessEnv = process.env): string[] | null {
+  const origins = (env.PS_BRIDGE_ALLOWED_ORIGINS ?? '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+  return origins.length > 0 ? origins : null;
+}
+
+/**
+ * Browsers always send an Origin header, so an allow-list keeps web pages
+ * away from the bridge. Non-browser clients (Node peers) send none and rely
+ * on the token alone.
+ */
+export function isOriginAllowed(origin: string | undefined, allowed: string[] | null): boolean {
+  if (!allowed || !origin) return true;
+  return allowed.includes(origin);
+}
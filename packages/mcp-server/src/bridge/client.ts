@@ -2,10 +2,28 @@
  * Photoshop Bridge Client
  *
  * WebSocket client that communicates with the UXP plugin running in Photoshop.
+ * Also used by a bridge server running in peer mode to attach to the broker
+ * that owns the bridge port.
  */
 
 import WebSocket from 'ws';
 import { Logger } from '../logging/logger.js';
+import {
+  namespaceRequestId,
+  parseEvent,
+  type EventFrame,
+  type PhotoshopEvent,
+  type PluginInfo,
+  type ProgressFrame,
+  type StatusFrame,
+} from './protocol.js';
+import {
+  DEFAULT_TIMEOUTS,
+  TimedOutRequests,
+  timeoutError,
+  type JobRecord,
+  type SendOptions,
+} from './timeouts.js';
 
 const logger = new Logger('bridge-client');
 
@@ -13,6 +31,7 @@ export interface BridgeRequest {
   id: string;
   command: string;
   params: Record<string, unknown>;
+  timeoutMs?: number;
 }
 
 export interface BridgeResponse {
@@ -40,21 +59,53 @@ export interface ToolResponse {
   error?: string;
 }
 
+function toToolResponse(response: BridgeResponse): ToolResponse {
+  return {
+    ok: response.ok,
+    changed: response.changed,
+    data: response.data,
+    artifacts: response.artifacts,
+    warnings: response.warnings,
+    error: response.error,
+  };
+}
+
 export class PhotoshopBridge {
   private ws: WebSocket | null = null;
   private connected = false;
+  private pluginConnected: boolean | null = null;
+  private pluginInfo: PluginInfo | null = null;
+  private session: string | null = null;
+  private timedOut = new TimedOutRequests();
   private requestId = 0;
   private pendingRequests = new Map<string, {
     resolve: (response: BridgeResponse) => void;
     reject: (error: Error) => void;
     timeout: NodeJS.Timeout;
+    onProgress?: SendOptions['onProgress'];
   }>();
 
-  private readonly REQUEST_TIMEOUT = 30000; // 30 seconds
+  private readonly REQUEST_TIMEOUT = DEFAULT_TIMEOUTS.standard;
+
+  /** Called when an established connection closes. */
+  onClose: (() => void) | null = null;
+
+  /** Called when the broker reports a change in plugin status. */
+  onStatus: (() => void) | null = null;
 
-  async connect(url: string): Promise<void> {
+  /** Called for each Photoshop event the broker relays. */
+  onEvent: ((event: PhotoshopEvent) => void) | null = null;
+
+  /**
+   * Connect to `url`. Pass the bridge token when attaching to a broker; it
+   * is sent as a bearer token in the upgrade request.
+   */
+  async connect(url: string, options: { token?: string } = {}): Promise<void> {
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(url);
+      const headers: Record<string, string> = options.token
+        ? { Authorization: `Bearer ${options.token}` }
+        : {};
+      this.ws = new WebSocket(url, { headers });
 
       const connectionTimeout = setTimeout(() => {
         this.ws?.close();
@@ -73,9 +124,15 @@ export class PhotoshopBridge {
       });
 
       this.ws.on('close', () => {
+        const wasConnected = this.connected;
         this.connected = false;
+        this.pluginConnected = null;
+        this.pluginInfo = null;
         logger.info('WebSocket disconnected');
         this.rejectAllPending(new Error('Connection closed'));
+        if (wasConnected) {
+          this.onClose?.();
+        }
       });
 
       this.ws.on('error', (error) => {
@@ -88,43 +145,65 @@ export class PhotoshopBridge {
 
   async disconnect(): Promise<void> {
     if (this.ws) {
+      this.onClose = null;
+      this.onStatus = null;
+      this.onEvent = null;
       this.ws.close();
       this.ws = null;
       this.connected = false;
     }
   }
 
+  /**
+   * True while the socket is open and, when talking to a broker, the broker
+   * reports that the UXP plugin is attached.
+   */
   isConnected(): boolean {
-    return this.connected;
+    return this.connected && this.pluginConnected !== false;
+  }
+
+  /** Plugin handshake details as relayed by the broker, if any. */
+  getPluginInfo(): PluginInfo | null {
+    return this.pluginInfo;
+  }
+
+  /**
+   * Record of a request that timed out, including its late response once it
+   * arrives. Behind a broker, job IDs carry the session name the broker
+   * assigned, matching what the plugin reports in ps_job_list.
+   */
+  getJobStatus(jobId: string): JobRecord | null {
+    return this.timedOut.get(jobId);
   }
 
-  async send(command: string, params: Record<string, unknown> = {}): Promise<ToolResponse> {
+  async send(
+    command: string,
+    params: Record<string, unknown> = {},
+    options: SendOptions = {},
+  ): Promise<ToolResponse> {
     if (!this.connected || !this.ws) {
       throw new Error('Not connected to Photoshop bridge');
     }
 
     const id = `req_${++this.requestId}`;
-    const request: BridgeRequest = { id, command, params };
+    const timeoutMs = options.timeoutMs ?? this.REQUEST_TIMEOUT;
+    // The broker stops routing a response once we've stopped waiting for it
+    const request: BridgeRequest = { id, command, params, timeoutMs };
+    const sentAt = new Date();
 
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         this.pendingRequests.delete(id);
-        reject(new Error(`Request timeout: ${command}`));
-      }, this.REQUEST_TIMEOUT);
+        const jobId = this.jobId(id);
+        this.timedOut.add(jobId, command, timeoutMs, sentAt);
+        reject(timeoutError(command, timeoutMs, jobId));
+      }, timeoutMs);
 
       this.pendingRequests.set(id, {
-        resolve: (response) => {
-          resolve({
-            ok: response.ok,
-            changed: response.changed,
-            data: response.data,
-            artifacts: response.artifacts,
-            warnings: response.warnings,
-            error: response.error,
-          });
-        },
+        resolve: (response) => resolve(toToolResponse(response)),
         reject,
-        timeout
+        timeout,
+        onProgress: options.onProgress,
       });
 
       this.ws!.send(JSON.stringify(request));
@@ -134,13 +213,40 @@ export class PhotoshopBridge {
 
   private handleMessage(data: string): void {
     try {
-      const response: BridgeResponse = JSON.parse(data);
+      const message = JSON.parse(data);
+
+      if ((message as StatusFrame).type === 'status') {
+        this.pluginConnected = (message as StatusFrame).connected;
+        this.pluginInfo = (message as StatusFrame).plugin ?? null;
+        this.session = (message as StatusFrame).session ?? this.session;
+        logger.debug('Broker status', { pluginConnected: this.pluginConnected });
+        this.onStatus?.();
+        return;
+      }
+
+      if ((message as ProgressFrame).type === 'progress') {
+        const frame = message as ProgressFrame;
+        this.pendingRequests.get(frame.id)?.onProgress?.({
+          progress: frame.progress,
+          total: frame.total,
+          message: frame.message,
+        });
+        return;
+      }
 
+      if ((message as EventFrame).type === 'event') {
+        this.onEvent?.(parseEvent(message as EventFrame));
+        return;
+      }
+
+      const response = message as BridgeResponse;
       const pending = this.pendingRequests.get(response.id);
       if (pending) {
         clearTimeout(pending.timeout);
         this.pendingRequests.delete(response.id);
         pending.resolve(response);
+      } else if (this.timedOut.complete(this.jobId(response.id), toToolResponse(response))) {
+        logger.info('Request completed after timeout', { id: response.id });
       } else {
         logger.warn('Received response for unknown request', { id: response.id });
       }
@@ -149,6 +255,10 @@ export class PhotoshopBridge {
     }
   }
 
+  private jobId(id: string): string {
+    return this.session ? namespaceRequestId(this.session, id) : id;
+  }
+
   private rejectAllPending(error: Error): void {
     for (const [id, pending] of this.pendingRequests) {
       clearTimeout(pending.timeout);
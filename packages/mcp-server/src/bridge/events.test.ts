@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { EventLog } from "./events.js";
+
+const event = (name: string, documentId: number | null = 1) => ({
+  event: name,
+  documentId,
+  time: "2026-01-01T00:00:00.000Z",
+});
+
+describe("EventLog", () => {
+  it("should number events and return those after the cursor", () => {
+    const log = new EventLog();
+    log.record(event("make"));
+    log.record(event("select"));
+
+    const first = log.since();
+    expect(first.events.map((e) => [e.seq, e.event])).toEqual([[1, "make"], [2, "select"]]);
+    expect(first).toMatchObject({ cursor: 2, missed: 0 });
+
+    log.record(event("delete"));
+    expect(log.since({ since: first.cursor }).events.map((e) => e.event)).toEqual(["delete"]);
+    expect(log.since({ since: 3 })).toEqual({ events: [], cursor: 3, missed: 0 });
+  });
+
+  it("should page with limit and skip past filtered-out events", () => {
+    const log = new EventLog();
+    for (const name of ["make", "select", "make", "close", "make"]) log.record(event(name));
+
+    const page = log.since({ limit: 2 });
+    expect(page.events.map((e) => e.seq)).toEqual([1, 2]);
+    expect(page.cursor).toBe(2);
+
+    const makes = log.since({ events: ["make"], limit: 2 });
+    expect(makes.events.map((e) => e.seq)).toEqual([1, 3]);
+    expect(makes.cursor).toBe(3);
+    expect(log.since({ since: 3, events: ["make"] })).toMatchObject({ cursor: 5, events: [{ seq: 5 }] });
+    expect(log.since({ since: 5, events: ["open"] }).cursor).toBe(5);
+  });
+
+  it("should count events dropped from a full log, and restart from a stale cursor", () => {
+    const log = new EventLog();
+    for (let i = 0; i < 510; i++) log.record(event("historyStateChanged"));
+
+    const page = log.since({ since: 4 });
+    expect(page.missed).toBe(6);
+    expect(page.events[0].seq).toBe(11);
+    expect(log.since({ since: 20 }).missed).toBe(0);
+    expect(log.since({ since: 900 })).toEqual({ events: [], cursor: 510, missed: 0 });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Bridge Events
+ *
+ * Photoshop events pushed by the UXP plugin, kept in a bounded log so that
+ * clients without notifications can poll for them with ps_events_poll.
+ * Every event gets a sequence number; a poll returns the events after the
+ * cursor it was given and the cursor to pass next time.
+ */
+
+import type { PhotoshopEvent } from './protocol.js';
+
+export interface RecordedEvent extends PhotoshopEvent {
+  seq: number;
+}
+
+export interface EventQuery {
+  /** Return events after this sequence number (default: 0, everything kept) */
+  since?: number;
+  /** Most events to return (default: 100) */
+  limit?: number;
+  /** Only return events with these names */
+  events?: string[];
+}
+
+export interface EventPage {
+  events: RecordedEvent[];
+  /** Pass as `since` to get the events after these */
+  cursor: number;
+  /** Events after `since` that were dropped from the log before this poll */
+  missed: number;
+}
+
+export class EventLog {
+  private records: RecordedEvent[] = [];
+  private seq = 0;
+
+  private readonly LIMIT = 500;
+
+  record(event: PhotoshopEvent): RecordedEvent {
+    const recorded: RecordedEvent = { seq: ++this.seq, ...event };
+    this.records.push(recorded);
+    if (this.records.length > this.LIMIT) {
+      this.records.splice(0, this.records.length - this.LIMIT);
+    }
+    return recorded;
+  }
+
+  since({ since = 0, limit = 100, events }: EventQuery = {}): EventPage {
+    const oldest = this.records[0]?.seq ?? this.seq + 1;
+    const newer = this.records.filter((record) => record.seq > since);
+    const matching = events ? newer.filter((record) => events.includes(record.event)) : newer;
+    const page = matching.slice(0, limit);
+
+    return {
+      events: page,
+      // Skip past filtered-out events too, unless the page was cut short. A
+      // cursor from before a restart is past the end; start over from there
+      cursor: page.length < matching.length ? page[page.length - 1].seq : this.seq,
+      missed: Math.max(0, oldest - 1 - since),
+    };
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Bridge Protocol
+ *
+ * Frame types exchanged over the bridge WebSocket that are not plain
+ * request/response pairs, plus the constants shared by the broker and its peers.
+ */
+
+/**
+ * Protocol version spoken by this server. Bump when frame shapes change in a
+ * way an older plugin or peer cannot handle.
+ */
+export const PROTOCOL_VERSION = 3;
+
+/** First protocol version in which the plugin pushes event frames. */
+export const EVENTS_PROTOCOL_VERSION = 3;
+
+/** Path on the bridge port that MCP-side peers attach to (the UXP plugin uses `/`). */
+export const MCP_PEER_PATH = '/mcp';
+
+/** Session name the broker uses for its own requests when namespacing IDs. */
+export const LOCAL_SESSION = 'local';
+
+/** Separator between the session name and the session-local request ID. */
+export const SESSION_SEPARATOR = ':';
+
+/**
+ * WebSocket close code for a plugin connection that sent no hello, or a hello
+ * with the wrong token. The plugin stops auto-reconnecting when it sees it.
+ */
+export const AUTH_FAILED_CLOSE_CODE = 4001;
+
+/** What the UXP plugin reports about itself in its hello frame. */
+export interface PluginInfo {
+  protocolVersion: number;
+  pluginVersion: string;
+  photoshopVersion: string;
+  apiLevel: number;
+  commands: string[];
+}
+
+/**
+ * First frame the UXP plugin sends after connecting. It carries the bridge
+ * token, so a plugin connection counts only once its hello checks out.
+ */
+export interface HelloFrame extends PluginInfo {
+  type: 'hello';
+  token?: string;
+}
+
+/** Server reply to a hello frame with the protocol version both sides will use. */
+export interface WelcomeFrame {
+  type: 'welcome';
+  protocolVersion: number;
+}
+
+/**
+ * Sent by the broker to its peers whenever the UXP plugin connects,
+ * disconnects or completes its handshake, so peers can report an accurate
+ * `isConnected()` and `getPluginInfo()`.
+ */
+export interface StatusFrame {
+  type: 'status';
+  connected: boolean;
+  plugin: PluginInfo | null;
+  /** The session name the broker assigned to the receiving peer */
+  session?: string;
+}
+
+/**
+ * Interim progress for a running request, sent by the UXP plugin (protocol
+ * version 2 and later) and relayed by the broker to the peer that owns the
+ * request. `progress` is a fraction of `total`; both only ever increase.
+ */
+export interface ProgressFrame {
+  type: 'progress';
+  id: string;
+  progress: number;
+  total?: number;
+  message?: string;
+}
+
+/** A progress frame as handed to the caller that sent the request. */
+export type ProgressUpdate = Omit<ProgressFrame, 'type' | 'id'>;
+
+/**
+ * A Photoshop event the UXP plugin was notified of (protocol version 3 and
+ * later), whether a tool call or the user caused it: layers made or deleted,
+ * selection changes, history state changes, documents opened or closed. Not
+ * tied to a request; the broker relays it to every peer.
+ */
+export interface EventFrame {
+  type: 'event';
+  /** Photoshop's event name, e.g. `make` or `historyStateChanged` */
+  event: string;
+  /** The document it happened in, when known */
+  documentId: number | null;
+  /** Class of what the event acted on, e.g. `layer` or `document` */
+  target?: string;
+  /** History state name, for history events */
+  name?: string;
+  /** When the plugin saw it, as an ISO timestamp */
+  time: string;
+}
+
+export type PhotoshopEvent = Omit<EventFrame, 'type'>;
+
+export function parseEvent(frame: EventFrame): PhotoshopEvent {
+  return {
+    event: String(frame.event),
+    documentId: typeof frame.documentId === 'number' ? frame.documentId : null,
+    ...(frame.target !== undefined && { target: String(frame.target) }),
+    ...(frame.name !== undefined && { name: String(frame.name) }),
+    time: typeof frame.time === 'string' ? frame.time : new Date().toISOString(),
+  };
+}
+
+export function parseHello(frame: HelloFrame): PluginInfo {
+  return {
+    protocolVersion: Number(frame.protocolVersion) || 0,
+    pluginVersion: String(frame.pluginVersion ?? 'unknown'),
+    photoshopVersion: String(frame.photoshopVersion ?? 'unknown'),
+    apiLevel: Number(frame.apiLevel) || 0,
+    commands: Array.isArray(frame.commands) ? frame.commands.map(String) : [],
+  };
+}
+
+export function namespaceRequestId(session: string, id: string): string {
+  return `${session}${SESSION_SEPARATOR}${id}`;
+}
+
+export function splitRequestId(id: string): { session: string; id: string } | null {
+  const index = id.indexOf(SESSION_SEPARATOR);
+  if (index <= 0) return null;
+  return { session: id.slice(0, index), id: id.slice(index + 1) };
+}
@@ -0,0 +1,495 @@
+import { describe, it, expect, afterEach } from "vitest";
+import WebSocket from "ws";
+import { PhotoshopBridgeServer } from "./server.js";
+
+// Random high port so parallel runs don't collide
+const nextPort = () => 20000 + Math.floor(Math.random() * 20000);
+
+const waitFor = async (predicate: () => boolean, timeoutMs = 3000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeoutMs) throw new Error("waitFor timed out");
+    await new Promise((r) => setTimeout(r, 10));
+  }
+};
+
+const TOKEN = "test-token";
+
+const hello = {
+  type: "hello",
+  protocolVersion: 1,
+  pluginVersion: "0.2.0",
+  photoshopVersion: "25.0.0",
+  apiLevel: 2,
+  commands: ["app.get_info"],
+  token: TOKEN,
+};
+
+const createServer = () => new PhotoshopBridgeServer({ token: TOKEN, allowedOrigins: null });
+
+type FakeRequest = { id: string; command: string };
+
+// Minimal stand-in for the UXP plugin: authenticates with its hello, then
+// answers every request with its command unless given its own responder
+const connectFakePlugin = async (
+  port: number,
+  respond?: (ws: WebSocket, request: FakeRequest) => void
+) => {
+  const ws = new WebSocket(`ws://localhost:${port}`);
+  const received: string[] = [];
+  const frames: Array<{ type?: string }> = [];
+  ws.on("message", (data) => {
+    const request = JSON.parse(data.toString());
+    if (request.type) {
+      frames.push(request);
+      return;
+    }
+    received.push(request.id);
+    if (respond) {
+      respond(ws, request);
+      return;
+    }
+    ws.send(
+      JSON.stringify({
+        id: request.id,
+        ok: true,
+        changed: false,
+        data: { command: request.command },
+      })
+    );
+  });
+  await new Promise((resolve) => ws.on("open", resolve));
+  ws.send(JSON.stringify(hello));
+  await waitFor(() => frames.some((f) => f.type === "welcome"));
+  return { ws, received, frames };
+};
+
+describe("PhotoshopBridgeServer broker mode", () => {
+  const servers: PhotoshopBridgeServer[] = [];
+  const sockets: WebSocket[] = [];
+
+  const startServer = async (port: number) => {
+    const server = createServer();
+    servers.push(server);
+    await server.start(port);
+    return server;
+  };
+
+  afterEach(async () => {
+    for (const ws of sockets.splice(0)) ws.close();
+    for (const server of servers.splice(0)) await server.stop();
+  });
+
+  it("should become broker when the port is free", async () => {
+    const server = await startServer(nextPort());
+    expect(server.getMode()).toBe("broker");
+    expect(server.isConnected()).toBe(false);
+  });
+
+  it("should attach as a peer when the port is taken", async () => {
+    const port = nextPort();
+    await startServer(port);
+    const peer = await startServer(port);
+
+    expect(peer.getMode()).toBe("peer");
+  });
+
+  it("should multiplex requests from every session with namespaced IDs", async () => {
+    const port = nextPort();
+    const broker = await startServer(port);
+    const plugin = await connectFakePlugin(port);
+    sockets.push(plugin.ws);
+    const peer = await startServer(port);
+
+    await waitFor(() => broker.isConnected() && peer.isConnected());
+
+    const [fromBroker, fromPeer] = await Promise.all([
+      broker.send("app.get_info"),
+      peer.send("doc.get_active"),
+    ]);
+
+    expect(fromBroker.data).toEqual({ command: "app.get_info" });
+    expect(fromPeer.data).toEqual({ command: "doc.get_active" });
+    expect(plugin.received).toContain("local:req_1");
+    expect(plugin.received).toContain("peer1:req_1");
+  });
+
+  it("should report plugin status to peers", async () => {
+    const port = nextPort();
+    await startServer(port);
+    const peer = await startServer(port);
+
+    const plugin = await connectFakePlugin(port);
+    await waitFor(() => peer.isConnected());
+
+    plugin.ws.close();
+    await waitFor(() => !peer.isConnected());
+  });
+
+  it("should answer peer requests with an error when no plugin is connected", async () => {
+    const port = nextPort();
+    await startServer(port);
+    const peer = await startServer(port);
+
+    const result = await peer.send("app.get_info");
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain("No UXP plugin connected");
+  });
+
+  it("should let a peer take over the port when the broker stops", async () => {
+    const port = nextPort();
+    const broker = await startServer(port);
+    const peer = await startServer(port);
+
+    await broker.stop();
+    await waitFor(() => peer.getMode() === "broker", 5000);
+
+    const plugin = await connectFakePlugin(port);
+    sockets.push(plugin.ws);
+    await waitFor(() => peer.isConnected());
+
+    const result = await peer.send("app.get_info");
+    expect(result.ok).toBe(true);
+  });
+});
+
+describe("PhotoshopBridgeServer timeouts", () => {
+  const servers: PhotoshopBridgeServer[] = [];
+  const sockets: WebSocket[] = [];
+
+  afterEach(async () => {
+    for (const ws of sockets.splice(0)) ws.close();
+    for (const server of servers.splice(0)) await server.stop();
+  });
+
+  it("should keep a late response as a completed-after-timeout record", async () => {
+    const port = nextPort();
+    const server = createServer();
+    servers.push(server);
+    await server.start(port);
+
+    // Plugin that answers after 100ms
+    const plugin = await connectFakePlugin(port, (ws, request) => {
+      setTimeout(() => {
+        ws.send(JSON.stringify({ id: request.id, ok: true, changed: true }));
+      }, 100);
+    });
+    sockets.push(plugin.ws);
+
+    await expect(
+      server.send("filter.lens_blur", {}, { timeoutMs: 20 })
+    ).rejects.toThrow("job local:req_1");
+    expect(server.getJobStatus("local:req_1")?.status).toBe("timed_out");
+
+    await waitFor(
+      () => server.getJobStatus("local:req_1")?.status === "completed_after_timeout"
+    );
+    expect(server.getJobStatus("local:req_1")?.response).toEqual({
+      ok: true,
+      changed: true,
+      data: undefined,
+      artifacts: undefined,
+      warnings: undefined,
+      error: undefined,
+    });
+  });
+
+  // Plugin that holds every request until the test answers it
+  const connectSilentPlugin = async (port: number) => {
+    const held: FakeRequest[] = [];
+    const plugin = await connectFakePlugin(port, (_ws, request) => held.push(request));
+    sockets.push(plugin.ws);
+    const answer = (id: string) =>
+      plugin.ws.send(JSON.stringify({ id, ok: true, changed: true }));
+    return { held, answer };
+  };
+
+  it("should route a late response to the peer that gave up on it", async () => {
+    const port = nextPort();
+    const broker = createServer();
+    const peer = createServer();
+    servers.push(broker, peer);
+    await broker.start(port);
+    const plugin = await connectSilentPlugin(port);
+    await peer.start(port);
+    await waitFor(() => peer.isConnected());
+
+    await expect(
+      peer.send("filter.lens_blur", {}, { timeoutMs: 20 })
+    ).rejects.toThrow("job peer1:req_1");
+    plugin.answer("peer1:req_1");
+
+    await waitFor(
+      () => peer.getJobStatus("peer1:req_1")?.status === "completed_after_timeout"
+    );
+  });
+
+  it("should stop routing the oldest timed-out peer requests the plugin never answers", async () => {
+    const port = nextPort();
+    const broker = createServer();
+    const first = createServer();
+    const second = createServer();
+    servers.push(broker, first, second);
+    await broker.start(port);
+    const plugin = await connectSilentPlugin(port);
+    await first.start(port);
+    await second.start(port);
+    await waitFor(() => first.isConnected() && second.isConnected());
+
+    await expect(
+      first.send("filter.lens_blur", {}, { timeoutMs: 20 })
+    ).rejects.toThrow("job peer1:req_1");
+    // Fifty more requests the plugin never answers push the first route out
+    const flood = Array.from({ length: 50 }, () =>
+      second.send("layer.tree", {}, { timeoutMs: 20 }).catch(() => undefined)
+    );
+    await Promise.all(flood);
+    await waitFor(() => plugin.held.length === 51);
+    // Let the broker's own timers for the last requests run out too
+    await new Promise((r) => setTimeout(r, 50));
+
+    plugin.answer("peer1:req_1");
+    plugin.answer("peer2:req_50");
+
+    await waitFor(
+      () => second.getJobStatus("peer2:req_50")?.status === "completed_after_timeout"
+    );
+    expect(first.getJobStatus("peer1:req_1")?.status).toBe("timed_out");
+  });
+});
+
+describe("PhotoshopBridgeServer progress", () => {
+  const servers: PhotoshopBridgeServer[] = [];
+  const sockets: WebSocket[] = [];
+
+  afterEach(async () => {
+    for (const ws of sockets.splice(0)) ws.close();
+    for (const server of servers.splice(0)) await server.stop();
+  });
+
+  // Plugin that reports two progress steps before answering
+  const connectProgressPlugin = async (port: number) => {
+    const plugin = await connectFakePlugin(port, (ws, request) => {
+      for (const progress of [0, 0.5]) {
+        ws.send(
+          JSON.stringify({
+            type: "progress",
+            id: request.id,
+            progress,
+            total: 1,
+            message: `step ${progress}`,
+          })
+        );
+      }
+      ws.send(JSON.stringify({ id: request.id, ok: true, changed: true }));
+    });
+    sockets.push(plugin.ws);
+  };
+
+  it("should pass progress frames to the request's onProgress", async () => {
+    const port = nextPort();
+    const server = createServer();
+    servers.push(server);
+    await server.start(port);
+    await connectProgressPlugin(port);
+
+    const updates: unknown[] = [];
+    const result = await server.send("generate.generative_fill", {}, {
+      onProgress: (update) => updates.push(update),
+    });
+
+    expect(result.ok).toBe(true);
+    expect(updates).toEqual([
+      { progress: 0, total: 1, message: "step 0" },
+      { progress: 0.5, total: 1, message: "step 0.5" },
+    ]);
+  });
+
+  it("should relay progress frames to the peer that sent the request", async () => {
+    const port = nextPort();
+    const broker = createServer();
+    const peer = createServer();
+    servers.push(broker, peer);
+    await broker.start(port);
+    await connectProgressPlugin(port);
+    await peer.start(port);
+    await waitFor(() => peer.isConnected());
+
+    const updates: Array<{ progress: number }> = [];
+    await peer.send("generate.generative_fill", {}, {
+      onProgress: (update) => updates.push(update),
+    });
+
+    expect(updates.map((u) => u.progress)).toEqual([0, 0.5]);
+  });
+});
+
+describe("PhotoshopBridgeServer events", () => {
+  const servers: PhotoshopBridgeServer[] = [];
+  const sockets: WebSocket[] = [];
+
+  afterEach(async () => {
+    for (const ws of sockets.splice(0)) ws.close();
+    for (const server of servers.splice(0)) await server.stop();
+  });
+
+  it("should log event frames and relay them to peers", async () => {
+    const port = nextPort();
+    const broker = createServer();
+    const peer = createServer();
+    servers.push(broker, peer);
+    await broker.start(port);
+    await peer.start(port);
+    const plugin = await connectFakePlugin(port);
+    sockets.push(plugin.ws);
+    await waitFor(() => peer.isConnected());
+
+    const seen: unknown[] = [];
+    broker.onEvent = (event) => seen.push(event);
+    plugin.ws.send(
+      JSON.stringify({ type: "event", event: "delete", documentId: 3, target: "layer", time: "2026-01-01T00:00:00.000Z" })
+    );
+    plugin.ws.send(JSON.stringify({ type: "event", event: "close", documentId: null, time: "2026-01-01T00:00:01.000Z" }));
+
+    await waitFor(() => peer.getEvents().events.length === 2);
+    expect(seen).toEqual([
+      { seq: 1, event: "delete", documentId: 3, target: "layer", time: "2026-01-01T00:00:00.000Z" },
+      { seq: 2, event: "close", documentId: null, time: "2026-01-01T00:00:01.000Z" },
+    ]);
+    expect(peer.getEvents({ events: ["close"] }).events).toEqual([seen[1]]);
+  });
+});
+
+describe("PhotoshopBridgeServer handshake", () => {
+  const servers: PhotoshopBridgeServer[] = [];
+  const sockets: WebSocket[] = [];
+
+  afterEach(async () => {
+    for (const ws of sockets.splice(0)) ws.close();
+    for (const server of servers.splice(0)) await server.stop();
+  });
+
+  it("should store plugin info from the hello frame and reply with welcome", async () => {
+    const port = nextPort();
+    const server = createServer();
+    servers.push(server);
+    await server.start(port);
+
+    const changes: unknown[] = [];
+    server.onPluginChange = (info) => changes.push(info);
+
+    expect(server.getPluginInfo()).toBeNull();
+    const plugin = await connectFakePlugin(port);
+    sockets.push(plugin.ws);
+
+    expect(server.getPluginInfo()).toMatchObject({
+      pluginVersion: "0.2.0",
+      photoshopVersion: "25.0.0",
+      apiLevel: 2,
+      commands: ["app.get_info"],
+    });
+    expect(plugin.frames[0]).toEqual({ type: "welcome", protocolVersion: 1 });
+
+    plugin.ws.close();
+    await waitFor(() => changes.length === 2);
+    expect(changes[1]).toBeNull();
+  });
+
+  it("should relay plugin info to peers", async () => {
+    const port = nextPort();
+    const broker = createServer();
+    const peer = createServer();
+    servers.push(broker, peer);
+    await broker.start(port);
+    await peer.start(port);
+
+    const plugin = await connectFakePlugin(port);
+    sockets.push(plugin.ws);
+
+    await waitFor(() => peer.getPluginInfo() !== null);
+    expect(peer.getPluginInfo()?.pluginVersion).toBe("0.2.0");
+  });
+});
+
+describe("PhotoshopBridgeServer authentication", () => {
+  const servers: PhotoshopBridgeServer[] = [];
+  const sockets: WebSocket[] = [];
+
+  afterEach(async () => {
+    for (const ws of sockets.splice(0)) ws.close();
+    for (const server of servers.splice(0)) await server.stop();
+  });
+
+  const startServer = async (port: number, options = {}) => {
+    const server = new PhotoshopBridgeServer({ token: TOKEN, allowedOrigins: null, ...options });
+    servers.push(server);
+    await server.start(port);
+    return server;
+  };
+
+  const openSocket = async (url: string, options?: WebSocket.ClientOptions) => {
+    const ws = new WebSocket(url, options);
+    sockets.push(ws);
+    const closed = new Promise<number>((resolve) => ws.on("close", (code) => resolve(code)));
+    const opened = await new Promise<boolean>((resolve) => {
+      ws.on("open", () => resolve(true));
+      ws.on("error", () => resolve(false));
+    });
+    return { ws, opened, closed };
+  };
+
+  it("should close a plugin socket whose hello has the wrong token", async () => {
+    const port = nextPort();
+    const server = await startServer(port);
+
+    const { ws, closed } = await openSocket(`ws://localhost:${port}`);
+    ws.send(JSON.stringify({ ...hello, token: "wrong" }));
+
+    expect(await closed).toBe(4001);
+    expect(server.isConnected()).toBe(false);
+  });
+
+  it("should not let an unauthenticated socket replace the plugin", async () => {
+    const port = nextPort();
+    const server = await startServer(port);
+    const plugin = await connectFakePlugin(port);
+    sockets.push(plugin.ws);
+
+    const intruder = await openSocket(`ws://localhost:${port}`);
+    intruder.ws.send(JSON.stringify({ id: "x", command: "app.get_info", params: {} }));
+    await intruder.closed;
+
+    expect(server.isConnected()).toBe(true);
+    const result = await server.send("app.get_info");
+    expect(result.ok).toBe(true);
+  });
+
+  it("should refuse peers without the token", async () => {
+    const port = nextPort();
+    await startServer(port);
+
+    const anonymous = await openSocket(`ws://localhost:${port}/mcp`);
+    const wrong = await openSocket(`ws://localhost:${port}/mcp`, {
+      headers: { Authorization: "Bearer wrong" },
+    });
+
+    expect(anonymous.opened).toBe(false);
+    expect(wrong.opened).toBe(false);
+  });
+
+  it("should refuse origins outside the allow-list", async () => {
+    const port = nextPort();
+    await startServer(port, { allowedOrigins: ["http://allowed.example"] });
+
+    const denied = await openSocket(`ws://localhost:${port}`, {
+      origin: "http://evil.example",
+    });
+    const allowed = await openSocket(`ws://localhost:${port}`, {
+      origin: "http://allowed.example",
+    });
+
+    expect(denied.opened).toBe(false);
+    expect(allowed.opened).toBe(true);
+  });
+});
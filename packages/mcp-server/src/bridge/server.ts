@@ -4,10 +4,58 @@
  * WebSocket server that accepts connections from the UXP plugin running in Photoshop.
  * This is the preferred mode - the MCP server runs the WebSocket server,
  * and the UXP plugin connects to it.
+ *
+ * Several MCP server processes can share one Photoshop. The first process to
+ * bind the port becomes the broker; later processes find the port taken and
+ * attach to the broker as peers on the `/mcp` path. The broker multiplexes
+ * every session's requests onto the single UXP connection, prefixing request
+ * IDs with the session name so responses can be routed back. If the broker
+ * exits, its peers race to take over the port.
+ *
+ * Every connection must present the bridge token (see auth.ts): the plugin
+ * in its hello frame, peers as a bearer token. A plugin socket only replaces
+ * the current client once its hello checks out; anything else is closed.
+ *
+ * Photoshop events the plugin pushes are relayed to every peer, and each
+ * process keeps its own log of them for ps_events_poll (see events.ts).
  */
 
 import { WebSocketServer, WebSocket } from 'ws';
+import type { IncomingMessage } from 'http';
 import { Logger } from '../logging/logger.js';
+import { PhotoshopBridge } from './client.js';
+import {
+  bearerToken,
+  isOriginAllowed,
+  loadBridgeToken,
+  parseAllowedOrigins,
+  tokensMatch,
+} from './auth.js';
+import {
+  AUTH_FAILED_CLOSE_CODE,
+  LOCAL_SESSION,
+  MCP_PEER_PATH,
+  PROTOCOL_VERSION,
+  namespaceRequestId,
+  parseEvent,
+  parseHello,
+  splitRequestId,
+  type EventFrame,
+  type HelloFrame,
+  type PhotoshopEvent,
+  type PluginInfo,
+  type ProgressFrame,
+  type StatusFrame,
+  type WelcomeFrame,
+} from './protocol.js';
+import {
+  DEFAULT_TIMEOUTS,
+  TimedOutRequests,
+  timeoutError,
+  type JobRecord,
+  type SendOptions,
+} from './timeouts.js';
+import { EventLog, type EventPage, type EventQuery, type RecordedEvent } from './events.js';
 
 const logger = new Logger('bridge-server');
 
@@ -15,6 +63,14 @@ export interface BridgeRequest {
   id: string;
   command: string;
   params: Record<string, unknown>;
+  /** How long the sender waits for a response; peers send it so the broker knows when they give up */
+  timeoutMs?: number;
+}
+
+interface PeerRoute {
+  session: string;
+  id: string;
+  expiry: NodeJS.Timeout | null;
 }
 
 export interface BridgeResponse {
@@ -42,67 +98,109 @@ export interface ToolResponse {
   error?: string;
 }
 
+function toToolResponse(response: BridgeResponse): ToolResponse {
+  return {
+    ok: response.ok,
+    changed: response.changed,
+    data: response.data,
+    artifacts: response.artifacts,
+    warnings: response.warnings,
+    error: response.error,
+  };
+}
+
+/** `broker` owns the port, `peer` is attached to another process's broker. */
+export type BridgeMode = 'stopped' | 'broker' | 'peer';
+
+export interface BridgeServerOptions {
+  /** Shared secret for all connections (default: loadBridgeToken()) */
+  token?: string;
+  /** Origins allowed to connect (default: PS_BRIDGE_ALLOWED_ORIGINS, or any) */
+  allowedOrigins?: string[] | null;
+}
+
 export class PhotoshopBridgeServer {
   private wss: WebSocketServer | null = null;
   private client: WebSocket | null = null;
+  private pluginInfo: PluginInfo | null = null;
+  private upstream: PhotoshopBridge | null = null;
+  private mode: BridgeMode = 'stopped';
+  private port = 8765;
+  private stopping = false;
+  private takeoverTimer: NodeJS.Timeout | null = null;
   private requestId = 0;
+  private sessionCounter = 0;
   private pendingRequests = new Map<string, {
     resolve: (response: BridgeResponse) => void;
     reject: (error: Error) => void;
     timeout: NodeJS.Timeout;
+    onProgress?: SendOptions['onProgress'];
   }>();
+  private timedOut = new TimedOutRequests();
+  private events = new EventLog();
 
-  private readonly REQUEST_TIMEOUT = 30000; // 30 seconds
-
-  async start(port: number = 8765): Promise<void> {
-    return new Promise((resolve, reject) => {
-      try {
-        this.wss = new WebSocketServer({ port });
+  // Broker-side bookkeeping for attached peers
+  private peers = new Map<string, WebSocket>();
+  private peerRequests = new Map<string, PeerRoute>();
+  // Routes whose peer stopped waiting, kept so a late response still reaches
+  // its timed-out record; only the most recent LATE_ROUTE_LIMIT are kept in
+  // case the plugin never answers them
+  private latePeerRoutes = new Map<string, PeerRoute>();
 
-        this.wss.on('listening', () => {
-          logger.info(`WebSocket server listening on port ${port}`);
-          resolve();
-        });
+  private token: string | null;
+  private allowedOrigins: string[] | null;
 
-        this.wss.on('connection', (ws) => {
-          logger.info('UXP plugin connected');
+  private readonly REQUEST_TIMEOUT = DEFAULT_TIMEOUTS.standard;
+  private readonly TAKEOVER_DELAY = 1000; // 1 second
+  private readonly AUTH_TIMEOUT = 5000; // 5 seconds to send a valid hello
+  private readonly LATE_ROUTE_LIMIT = 50;
 
-          // Only allow one client at a time
-          if (this.client) {
-            logger.warn('Replacing existing client connection');
-            this.client.close();
-          }
+  /** Called when the plugin completes its handshake or goes away. */
+  onPluginChange: ((info: PluginInfo | null) => void) | null = null;
 
-          this.client = ws;
+  /** Called for each Photoshop event the plugin pushes, once it is logged. */
+  onEvent: ((event: RecordedEvent) => void) | null = null;
 
-          ws.on('message', (data) => {
-            this.handleMessage(data.toString());
-          });
-
-          ws.on('close', () => {
-            logger.info('UXP plugin disconnected');
-            if (this.client === ws) {
-              this.client = null;
-              this.rejectAllPending(new Error('Connection closed'));
-            }
-          });
+  constructor(options: BridgeServerOptions = {}) {
+    this.token = options.token ?? null;
+    this.allowedOrigins =
+      options.allowedOrigins !== undefined ? options.allowedOrigins : parseAllowedOrigins();
+  }
 
-          ws.on('error', (error) => {
-            logger.error('WebSocket client error', { error: error.message });
-          });
-        });
+  async start(port: number = 8765): Promise<void> {
+    this.port = port;
+    this.stopping = false;
+    this.token ??= loadBridgeToken();
 
-        this.wss.on('error', (error) => {
-          logger.error('WebSocket server error', { error: error.message });
-          reject(error);
-        });
-      } catch (error) {
-        reject(error);
+    try {
+      await this.listen(port);
+      this.mode = 'broker';
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EADDRINUSE') {
+        throw error;
       }
-    });
+      logger.info(`Port ${port} is in use, attaching to the existing bridge broker`);
+      await this.attach(port);
+      this.mode = 'peer';
+    }
   }
 
   async stop(): Promise<void> {
+    this.stopping = true;
+    this.mode = 'stopped';
+    if (this.takeoverTimer) {
+      clearTimeout(this.takeoverTimer);
+      this.takeoverTimer = null;
+    }
+    if (this.upstream) {
+      await this.upstream.disconnect();
+      this.upstream = null;
+    }
+    for (const peer of this.peers.values()) {
+      peer.close();
+    }
+    this.peers.clear();
+    this.clearPeerRoutes();
     if (this.client) {
       this.client.close();
       this.client = null;
@@ -113,53 +211,366 @@ export class PhotoshopBridgeServer {
     }
   }
 
+  getMode(): BridgeMode {
+    return this.mode;
+  }
+
+  /**
+   * What the connected plugin reported in its handshake, or null when no
+   * plugin is connected or it predates the handshake.
+   */
+  getPluginInfo(): PluginInfo | null {
+    if (this.upstream) {
+      return this.upstream.getPluginInfo();
+    }
+    return this.isConnected() ? this.pluginInfo : null;
+  }
+
   isConnected(): boolean {
+    if (this.upstream) {
+      return this.upstream.isConnected();
+    }
     return this.client !== null && this.client.readyState === WebSocket.OPEN;
   }
 
-  async send(command: string, params: Record<string, unknown> = {}): Promise<ToolResponse> {
+  /**
+   * Record of a request that timed out, including its late response once it
+   * arrives. Job IDs are the namespaced request IDs the plugin sees.
+   */
+  getJobStatus(jobId: string): JobRecord | null {
+    if (this.upstream) {
+      return this.upstream.getJobStatus(jobId);
+    }
+    return this.timedOut.get(jobId);
+  }
+
+  /**
+   * Photoshop events pushed by the plugin since this process started, in
+   * either mode, oldest first.
+   */
+  getEvents(query: EventQuery = {}): EventPage {
+    return this.events.since(query);
+  }
+
+  async send(
+    command: string,
+    params: Record<string, unknown> = {},
+    options: SendOptions = {},
+  ): Promise<ToolResponse> {
+    if (this.upstream) {
+      return this.upstream.send(command, params, options);
+    }
+
     if (!this.client || this.client.readyState !== WebSocket.OPEN) {
       throw new Error('No UXP plugin connected');
     }
 
     const id = `req_${++this.requestId}`;
-    const request: BridgeRequest = { id, command, params };
+    const request: BridgeRequest = {
+      id: namespaceRequestId(LOCAL_SESSION, id),
+      command,
+      params,
+    };
+
+    const timeoutMs = options.timeoutMs ?? this.REQUEST_TIMEOUT;
+    const sentAt = new Date();
 
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         this.pendingRequests.delete(id);
-        reject(new Error(`Request timeout: ${command}`));
-      }, this.REQUEST_TIMEOUT);
+        this.timedOut.add(request.id, command, timeoutMs, sentAt);
+        reject(timeoutError(command, timeoutMs, request.id));
+      }, timeoutMs);
 
       this.pendingRequests.set(id, {
-        resolve: (response) => {
-          resolve({
-            ok: response.ok,
-            changed: response.changed,
-            data: response.data,
-            artifacts: response.artifacts,
-            warnings: response.warnings,
-            error: response.error,
-          });
-        },
+        resolve: (response) => resolve(toToolResponse(response)),
         reject,
-        timeout
+        timeout,
+        onProgress: options.onProgress,
       });
 
       this.client!.send(JSON.stringify(request));
-      logger.debug('Sent request', { id, command });
+      logger.debug('Sent request', { id: request.id, command });
+    });
+  }
+
+  private listen(port: number): Promise<void> {
+    return new Promise((resolve, reject) => {
+      let listening = false;
+      const wss = new WebSocketServer({
+        port,
+        verifyClient: ({ origin, req }, done) => this.verifyClient(origin, req, done),
+      });
+
+      wss.on('listening', () => {
+        listening = true;
+        this.wss = wss;
+        logger.info(`WebSocket server listening on port ${port}`);
+        resolve();
+      });
+
+      wss.on('connection', (ws, req) => {
+        if (this.isPeerRequest(req)) {
+          this.acceptPeer(ws);
+        } else {
+          this.acceptPlugin(ws);
+        }
+      });
+
+      wss.on('error', (error) => {
+        if (!listening) {
+          wss.close();
+          reject(error);
+          return;
+        }
+        logger.error('WebSocket server error', { error: error.message });
+      });
+    });
+  }
+
+  private async attach(port: number): Promise<void> {
+    const upstream = new PhotoshopBridge();
+    await upstream.connect(`ws://localhost:${port}${MCP_PEER_PATH}`, { token: this.token! });
+    upstream.onClose = () => this.handleUpstreamClosed();
+    upstream.onStatus = () => this.onPluginChange?.(upstream.getPluginInfo());
+    upstream.onEvent = (event) => this.recordEvent(event);
+    this.upstream = upstream;
+    logger.info(`Attached to bridge broker on port ${port}`);
+  }
+
+  private handleUpstreamClosed(): void {
+    this.upstream = null;
+    this.onPluginChange?.(null);
+    if (this.stopping) return;
+
+    logger.warn('Lost connection to bridge broker, attempting to take over the port');
+    this.scheduleTakeover();
+  }
+
+  private scheduleTakeover(): void {
+    // Jitter so that several orphaned peers don't all hit the port at once
+    const delay = this.TAKEOVER_DELAY + Math.floor(Math.random() * this.TAKEOVER_DELAY);
+    this.takeoverTimer = setTimeout(() => {
+      this.takeoverTimer = null;
+      if (this.stopping) return;
+      this.start(this.port)
+        .then(() => logger.info(`Bridge running as ${this.mode} on port ${this.port}`))
+        .catch((error) => {
+          logger.warn('Bridge takeover failed, retrying', {
+            error: error instanceof Error ? error.message : String(error),
+          });
+          this.scheduleTakeover();
+        });
+    }, delay);
+  }
+
+  private isPeerRequest(req: IncomingMessage): boolean {
+    const path = (req.url ?? '/').split('?')[0];
+    return path === MCP_PEER_PATH;
+  }
+
+  /**
+   * Checked before the WebSocket upgrade. Peers must carry the token in their
+   * Authorization header; the plugin proves itself in its hello frame instead.
+   */
+  private verifyClient(
+    origin: string | undefined,
+    req: IncomingMessage,
+    done: (result: boolean, code?: number, message?: string) => void,
+  ): void {
+    if (!isOriginAllowed(origin, this.allowedOrigins)) {
+      logger.warn('Refused bridge connection from disallowed origin', { origin });
+      done(false, 403, 'Origin not allowed');
+      return;
+    }
+
+    if (this.isPeerRequest(req) && !tokensMatch(bearerToken(req.headers.authorization), this.token!)) {
+      logger.warn('Refused MCP peer with a missing or invalid bridge token');
+      done(false, 401, 'Invalid bridge token');
+      return;
+    }
+
+    done(true);
+  }
+
+  private acceptPlugin(ws: WebSocket): void {
+    logger.info('UXP plugin connecting, waiting for its hello');
+
+    const authTimer = setTimeout(() => {
+      logger.warn('Closing plugin connection that did not authenticate in time');
+      ws.close(AUTH_FAILED_CLOSE_CODE, 'Authentication required');
+    }, this.AUTH_TIMEOUT);
+
+    ws.on('message', (data) => {
+      if (this.client === ws) {
+        this.handleMessage(data.toString());
+        return;
+      }
+      clearTimeout(authTimer);
+      this.authenticatePlugin(ws, data.toString());
+    });
+
+    ws.on('close', () => {
+      clearTimeout(authTimer);
+      if (this.client === ws) {
+        logger.info('UXP plugin disconnected');
+        this.client = null;
+        this.pluginInfo = null;
+        this.rejectAllPending(new Error('Connection closed'));
+        this.broadcastStatus();
+        this.onPluginChange?.(null);
+      }
+    });
+
+    ws.on('error', (error) => {
+      logger.error('WebSocket client error', { error: error.message });
     });
   }
 
+  /**
+   * Promote a plugin socket to the current client once its hello carries the
+   * right token. Only then may it replace an existing client.
+   */
+  private authenticatePlugin(ws: WebSocket, data: string): void {
+    let frame: HelloFrame | null = null;
+    try {
+      frame = JSON.parse(data);
+    } catch {
+      // Treated like any other frame that isn't a valid hello
+    }
+
+    if (frame?.type !== 'hello' || !tokensMatch(frame.token, this.token!)) {
+      logger.warn('Refused plugin connection with a missing or invalid bridge token');
+      ws.close(AUTH_FAILED_CLOSE_CODE, 'Invalid bridge token');
+      return;
+    }
+
+    // Only allow one client at a time
+    if (this.client) {
+      logger.warn('Replacing existing client connection');
+      this.client.close();
+    }
+
+    logger.info('UXP plugin connected');
+    this.client = ws;
+    this.handleHello(frame);
+  }
+
+  private acceptPeer(ws: WebSocket): void {
+    const session = `peer${++this.sessionCounter}`;
+    this.peers.set(session, ws);
+    logger.info('MCP peer attached', { session });
+
+    this.sendStatus(session, ws);
+
+    ws.on('message', (data) => {
+      this.handlePeerMessage(session, ws, data.toString());
+    });
+
+    ws.on('close', () => {
+      logger.info('MCP peer detached', { session });
+      this.peers.delete(session);
+      for (const [wireId, route] of [...this.peerRequests, ...this.latePeerRoutes]) {
+        if (route.session === session) {
+          this.dropPeerRoute(wireId);
+        }
+      }
+    });
+
+    ws.on('error', (error) => {
+      logger.error('MCP peer error', { session, error: error.message });
+    });
+  }
+
+  private handlePeerMessage(session: string, ws: WebSocket, data: string): void {
+    let request: BridgeRequest;
+    try {
+      request = JSON.parse(data);
+    } catch (error) {
+      logger.error('Failed to parse peer message', { session, data, error });
+      return;
+    }
+
+    if (!this.client || this.client.readyState !== WebSocket.OPEN) {
+      this.replyToPeer(ws, {
+        id: request.id,
+        ok: false,
+        changed: false,
+        error: 'No UXP plugin connected',
+      });
+      return;
+    }
+
+    const wireId = namespaceRequestId(session, request.id);
+    const { timeoutMs, ...forwarded } = request;
+    const expiry = setTimeout(
+      () => this.expirePeerRoute(wireId),
+      typeof timeoutMs === 'number' ? timeoutMs : this.REQUEST_TIMEOUT
+    );
+    this.peerRequests.set(wireId, { session, id: request.id, expiry });
+    this.client.send(JSON.stringify({ ...forwarded, id: wireId }));
+    logger.debug('Forwarded peer request', { id: wireId, command: request.command });
+  }
+
+  private replyToPeer(ws: WebSocket, response: BridgeResponse): void {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(response));
+    }
+  }
+
+  private sendStatus(session: string, ws: WebSocket): void {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    const frame: StatusFrame = {
+      type: 'status',
+      connected: this.isConnected(),
+      plugin: this.getPluginInfo(),
+      session,
+    };
+    ws.send(JSON.stringify(frame));
+  }
+
+  private broadcastStatus(): void {
+    for (const [session, peer] of this.peers) {
+      this.sendStatus(session, peer);
+    }
+  }
+
   private handleMessage(data: string): void {
     try {
-      const response: BridgeResponse = JSON.parse(data);
+      const message = JSON.parse(data);
+
+      // A repeated hello from the authenticated plugin refreshes its info
+      if ((message as HelloFrame).type === 'hello') {
+        this.handleHello(message as HelloFrame);
+        return;
+      }
+
+      if ((message as ProgressFrame).type === 'progress') {
+        this.handleProgress(message as ProgressFrame);
+        return;
+      }
 
-      const pending = this.pendingRequests.get(response.id);
+      if ((message as EventFrame).type === 'event') {
+        this.handleEvent(message as EventFrame);
+        return;
+      }
+
+      const response = message as BridgeResponse;
+      const route = splitRequestId(response.id);
+
+      if (route && route.session !== LOCAL_SESSION) {
+        this.routeToPeer(response);
+        return;
+      }
+
+      const id = route ? route.id : response.id;
+      const pending = this.pendingRequests.get(id);
       if (pending) {
         clearTimeout(pending.timeout);
-        this.pendingRequests.delete(response.id);
+        this.pendingRequests.delete(id);
         pending.resolve(response);
+      } else if (this.timedOut.complete(response.id, toToolResponse(response))) {
+        logger.info('Request completed after timeout', { id: response.id });
       } else {
         logger.warn('Received response for unknown request', { id: response.id });
       }
@@ -168,11 +579,128 @@ export class PhotoshopBridgeServer {
     }
   }
 
+  private handleHello(frame: HelloFrame): void {
+    this.pluginInfo = parseHello(frame);
+    const negotiated = Math.min(PROTOCOL_VERSION, this.pluginInfo.protocolVersion);
+
+    logger.info('UXP plugin handshake', {
+      pluginVersion: this.pluginInfo.pluginVersion,
+      photoshopVersion: this.pluginInfo.photoshopVersion,
+      apiLevel: this.pluginInfo.apiLevel,
+      protocolVersion: negotiated,
+      commands: this.pluginInfo.commands.length,
+    });
+    if (this.pluginInfo.protocolVersion !== PROTOCOL_VERSION) {
+      logger.warn('Plugin protocol version differs from server', {
+        plugin: this.pluginInfo.protocolVersion,
+        server: PROTOCOL_VERSION,
+      });
+    }
+
+    const welcome: WelcomeFrame = { type: 'welcome', protocolVersion: negotiated };
+    this.client?.send(JSON.stringify(welcome));
+
+    this.broadcastStatus();
+    this.onPluginChange?.(this.pluginInfo);
+  }
+
+  private handleProgress(frame: ProgressFrame): void {
+    const route = splitRequestId(frame.id);
+
+    if (route && route.session !== LOCAL_SESSION) {
+      const peerRoute = this.peerRequests.get(frame.id);
+      const peer = peerRoute ? this.peers.get(peerRoute.session) : undefined;
+      if (peerRoute && peer && peer.readyState === WebSocket.OPEN) {
+        peer.send(JSON.stringify({ ...frame, id: peerRoute.id }));
+      }
+      return;
+    }
+
+    const pending = this.pendingRequests.get(route ? route.id : frame.id);
+    pending?.onProgress?.({
+      progress: frame.progress,
+      total: frame.total,
+      message: frame.message,
+    });
+  }
+
+  private handleEvent(frame: EventFrame): void {
+    const event = parseEvent(frame);
+    const relayed = JSON.stringify({ type: 'event', ...event });
+    for (const peer of this.peers.values()) {
+      if (peer.readyState === WebSocket.OPEN) peer.send(relayed);
+    }
+    this.recordEvent(event);
+  }
+
+  private recordEvent(event: PhotoshopEvent): void {
+    const recorded = this.events.record(event);
+    logger.debug('Photoshop event', { event: event.event, documentId: event.documentId });
+    this.onEvent?.(recorded);
+  }
+
+  private routeToPeer(response: BridgeResponse): void {
+    const route = this.dropPeerRoute(response.id);
+    const peer = route ? this.peers.get(route.session) : undefined;
+    if (!route || !peer) {
+      logger.warn('Received response for unknown peer request', { id: response.id });
+      return;
+    }
+
+    this.replyToPeer(peer, { ...response, id: route.id });
+  }
+
+  // The peer has given up on the request; keep its route for a late response,
+  // dropping the oldest late routes beyond the limit
+  private expirePeerRoute(wireId: string): void {
+    const route = this.peerRequests.get(wireId);
+    if (!route) return;
+
+    route.expiry = null;
+    this.peerRequests.delete(wireId);
+    this.latePeerRoutes.set(wireId, route);
+    for (const key of this.latePeerRoutes.keys()) {
+      if (this.latePeerRoutes.size <= this.LATE_ROUTE_LIMIT) break;
+      this.latePeerRoutes.delete(key);
+    }
+  }
+
+  private dropPeerRoute(wireId: string): PeerRoute | undefined {
+    const route = this.peerRequests.get(wireId) ?? this.latePeerRoutes.get(wireId);
+    if (route?.expiry) clearTimeout(route.expiry);
+    this.peerRequests.delete(wireId);
+    this.latePeerRoutes.delete(wireId);
+    return route;
+  }
+
+  private clearPeerRoutes(): void {
+    for (const route of this.peerRequests.values()) {
+      if (route.expiry) clearTimeout(route.expiry);
+    }
+    this.peerRequests.clear();
+    this.latePeerRoutes.clear();
+  }
+
   private rejectAllPending(error: Error): void {
     for (const [, pending] of this.pendingRequests) {
       clearTimeout(pending.timeout);
       pending.reject(error);
     }
     this.pendingRequests.clear();
+
+    // Peers time out on their own, but tell them now rather than in 30s
+    for (const route of this.peerRequests.values()) {
+      const peer = this.peers.get(route.session);
+      if (peer) {
+        this.replyToPeer(peer, {
+          id: route.id,
+          ok: false,
+          changed: false,
+          error: error.message,
+        });
+      }
+    }
+    // Nothing answers late once the plugin is gone
+    this.clearPeerRoutes();
   }
 }
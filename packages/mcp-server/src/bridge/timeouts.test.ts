@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { resolveTimeout, TimedOutRequests, DEFAULT_TIMEOUTS } from "./timeouts.js";
+
+describe("resolveTimeout", () => {
+  it("should use the class default", () => {
+    expect(resolveTimeout("ps_layer_list", undefined, {})).toBe(DEFAULT_TIMEOUTS.standard);
+    expect(resolveTimeout("ps_generative_fill", "generative", {})).toBe(300000);
+  });
+
+  it("should apply per-class env overrides", () => {
+    const env = { PS_TIMEOUT_SLOW_MS: "180000" };
+
+    expect(resolveTimeout("ps_filter_lens_blur", "slow", env)).toBe(180000);
+    expect(resolveTimeout("ps_layer_list", "standard", env)).toBe(30000);
+  });
+
+  it("should prefer per-tool overrides over class overrides", () => {
+    const env = {
+      PS_TIMEOUT_SLOW_MS: "180000",
+      PS_TOOL_TIMEOUTS: JSON.stringify({ ps_filter_lens_blur: 600000 }),
+    };
+
+    expect(resolveTimeout("ps_filter_lens_blur", "slow", env)).toBe(600000);
+  });
+
+  it("should ignore malformed overrides", () => {
+    const env = { PS_TOOL_TIMEOUTS: "{not json", PS_TIMEOUT_SLOW_MS: "soon" };
+
+    expect(resolveTimeout("ps_filter_lens_blur", "slow", env)).toBe(120000);
+  });
+});
+
+describe("TimedOutRequests", () => {
+  it("should reconcile a late response into its record", () => {
+    const records = new TimedOutRequests();
+    records.add("local:req_1", "filter.lens_blur", 1000, new Date());
+
+    const matched = records.complete("local:req_1", { ok: true, changed: true });
+
+    expect(matched).toBe(true);
+    expect(records.get("local:req_1")).toMatchObject({
+      command: "filter.lens_blur",
+      status: "completed_after_timeout",
+      response: { ok: true, changed: true },
+    });
+  });
+
+  it("should ignore responses for requests that never timed out", () => {
+    const records = new TimedOutRequests();
+
+    expect(records.complete("local:req_9", { ok: true, changed: false })).toBe(false);
+    expect(records.get("local:req_9")).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Bridge Timeouts
+ *
+ * Expected-duration classes for bridge commands, and bookkeeping for requests
+ * that outlive their timeout. Photoshop keeps running a command after the
+ * server gives up on it, so a late response is kept as a "completed after
+ * timeout" record that ps_job_status can return later.
+ */
+
+import type { ProgressUpdate } from './protocol.js';
+import type { ToolResponse } from './server.js';
+
+/**
+ * How long a command is expected to take.
+ * - fast: state queries and bookkeeping
+ * - standard: ordinary edits (the default)
+ * - slow: heavy filters, resizes, file I/O
+ * - generative: cloud-backed Firefly operations
+ */
+export type TimeoutClass = 'fast' | 'standard' | 'slow' | 'generative';
+
+export const DEFAULT_TIMEOUTS: Record<TimeoutClass, number> = {
+  fast: 10_000,
+  standard: 30_000,
+  slow: 120_000,
+  generative: 300_000,
+};
+
+/**
+ * Resolve the timeout for a tool. Overrides, most specific first:
+ * - PS_TOOL_TIMEOUTS: JSON map of tool name to milliseconds,
+ *   e.g. {"ps_filter_lens_blur": 600000}
+ * - PS_TIMEOUT_<CLASS>_MS: per class, e.g. PS_TIMEOUT_SLOW_MS=180000
+ */
+export function resolveTimeout(
+  toolName: string,
+  timeoutClass: TimeoutClass = 'standard',
+  env: NodeJS.ProcessEnv = process.env,
+): number {
+  if (env.PS_TOOL_TIMEOUTS) {
+    try {
+      const perTool = JSON.parse(env.PS_TOOL_TIMEOUTS) as Record<string, unknown>;
+      const value = Number(perTool[toolName]);
+      if (value > 0) return value;
+    } catch {
+      // Ignore malformed overrides and fall back to the class timeout
+    }
+  }
+
+  const classOverride = Number(env[`PS_TIMEOUT_${timeoutClass.toUpperCase()}_MS`]);
+  if (classOverride > 0) return classOverride;
+
+  return DEFAULT_TIMEOUTS[timeoutClass];
+}
+
+export interface SendOptions {
+  /** Overrides the bridge's default request timeout */
+  timeoutMs?: number;
+  /** Called for each progress frame the plugin sends while the request runs */
+  onProgress?: (update: ProgressUpdate) => void;
+}
+
+export interface JobRecord {
+  jobId: string;
+  command: string;
+  status: 'timed_out' | 'completed_after_timeout';
+  timeoutMs: number;
+  sentAt: string;
+  timedOutAt: string;
+  completedAt?: string;
+  response?: ToolResponse;
+}
+
+/**
+ * Remembers requests that timed out so their late responses can be
+ * reconciled instead of being dropped as "unknown request".
+ */
+export class TimedOutRequests {
+  private records = new Map<string, JobRecord>();
+
+  private readonly LIMIT = 50;
+
+  add(jobId: string, command: string, timeoutMs: number, sentAt: Date): JobRecord {
+    const record: JobRecord = {
+      jobId,
+      command,
+      status: 'timed_out',
+      timeoutMs,
+      sentAt: sentAt.toISOString(),
+      timedOutAt: new Date().toISOString(),
+    };
+    this.records.set(jobId, record);
+
+    // Drop the oldest records once over the limit
+    for (const key of this.records.keys()) {
+      if (this.records.size <= this.LIMIT) break;
+      this.records.delete(key);
+    }
+    return record;
+  }
+
+  /**
+   * Record a late response. Returns false if the request never timed out.
+   */
+  complete(jobId: string, response: ToolResponse): boolean {
+    const record = this.records.get(jobId);
+    if (!record) return false;
+
+    record.status = 'completed_after_timeout';
+    record.completedAt = new Date().toISOString();
+    record.response = response;
+    return true;
+  }
+
+  get(jobId: string): JobRecord | null {
+    return this.records.get(jobId) ?? null;
+  }
+}
+
+export function timeoutError(command: string, timeoutMs: number, jobId: string): Error {
+  return new Error(
+    `Request timeout: ${command} did not finish within ${timeoutMs}ms. ` +
+      `Photoshop may still be running it as job ${jobId}; call ps_job_status to fetch the result.`,
+  );
+}
@@ -10,13 +10,23 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
   type Tool,
 } from "@modelcontextprotocol/sdk/types.js";
 
 import { PhotoshopBridgeServer } from "./bridge/server.js";
 import { createToolRegistry, type ToolRegistry } from "./tools/registry.js";
+import { createResourceRegistry, type ResourceRegistry } from "./resources/registry.js";
 import { Logger } from "./logging/logger.js";
+import { loadPolicy } from "./policy/policy.js";
+import type { PhotoshopEvent, PluginInfo, ProgressUpdate } from "./bridge/protocol.js";
+import type { JobRecord, SendOptions } from "./bridge/timeouts.js";
+import type { EventPage, EventQuery } from "./bridge/events.js";
 
 const logger = new Logger("photoshop-mcp");
 
@@ -25,6 +35,7 @@ interface BridgeInterface {
   send(
     command: string,
     params?: Record<string, unknown>,
+    options?: SendOptions,
   ): Promise<{
     ok: boolean;
     changed: boolean;
@@ -33,12 +44,16 @@ interface BridgeInterface {
     warnings?: string[];
     error?: string;
   }>;
+  getPluginInfo(): PluginInfo | null;
+  getJobStatus(jobId: string): JobRecord | null;
+  getEvents(query: EventQuery): EventPage;
 }
 
 class PhotoshopMCPServer {
   private server: Server;
   private bridge: PhotoshopBridgeServer;
   private toolRegistry: ToolRegistry;
+  private resourceRegistry: ResourceRegistry;
 
   constructor() {
     this.server = new Server(
@@ -48,15 +63,56 @@ class PhotoshopMCPServer {
       },
       {
         capabilities: {
-          tools: {},
+          tools: { listChanged: true },
+          resources: { subscribe: true, listChanged: true },
         },
       },
     );
 
     this.bridge = new PhotoshopBridgeServer();
-    this.toolRegistry = createToolRegistry(this.bridge as BridgeInterface);
+
+    // Throws on a bad policy file: better not to start than to run unguarded
+    const policy = loadPolicy();
+    if (process.env.PS_POLICY_FILE) {
+      logger.info("Loaded safety policy", {
+        file: process.env.PS_POLICY_FILE,
+        rules: policy.rules.length,
+        snapshotBeforeDestructive: policy.snapshotBeforeDestructive,
+      });
+    }
+    this.toolRegistry = createToolRegistry(this.bridge as BridgeInterface, policy);
+    this.resourceRegistry = createResourceRegistry(this.bridge as BridgeInterface);
+
+    // Tool availability depends on which commands the plugin reports
+    this.bridge.onPluginChange = (info) => {
+      if (info) {
+        logger.info("Photoshop plugin ready", {
+          pluginVersion: info.pluginVersion,
+          photoshopVersion: info.photoshopVersion,
+        });
+      }
+      this.server.sendToolListChanged().catch(() => {
+        // Client not connected yet; it will list tools when it connects
+      });
+      // A different Photoshop, or none, has different documents
+      this.server.sendResourceListChanged().catch(() => {
+        // Likewise, it will list resources when it connects
+      });
+      this.notifyResourcesUpdated();
+    };
+
+    // Photoshop changed, maybe by hand: cached resources are stale
+    this.bridge.onEvent = (event) => {
+      if (event.event === "open" || event.event === "close") {
+        this.server.sendResourceListChanged().catch((error) => {
+          logger.debug("Failed to send resource list change", { error });
+        });
+      }
+      this.notifyResourcesUpdated(event);
+    };
 
     this.setupHandlers();
+    this.setupResourceHandlers();
     this.setupErrorHandling();
   }
 
@@ -68,25 +124,55 @@ class PhotoshopMCPServer {
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
+      const progressToken = request.params._meta?.progressToken;
 
       logger.info(`Tool call: ${name}`, { args });
 
+      // Forward plugin progress only when the client asked for it, and only
+      // when it moves forward, as MCP requires progress to keep increasing
+      let lastProgress = -Infinity;
+      const onProgress =
+        progressToken === undefined
+          ? undefined
+          : (update: ProgressUpdate) => {
+              if (update.progress <= lastProgress) return;
+              lastProgress = update.progress;
+              extra
+                .sendNotification({
+                  method: "notifications/progress",
+                  params: { progressToken, ...update },
+                })
+                .catch((error) => {
+                  logger.debug("Failed to send progress", { error });
+                });
+            };
+
       try {
-        const result = await this.toolRegistry.callTool(name, args ?? {});
+        const result = await this.toolRegistry.callTool(name, args ?? {}, {
+          onProgress,
+        });
 
         logger.info(`Tool result: ${name}`, {
           ok: result.ok,
           changed: result.changed,
         });
+        if (result.changed) this.notifyResourcesUpdated();
 
+        // Images go out as image content rather than inside the JSON
+        const { images, ...response } = result;
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(result, null, 2),
+              text: JSON.stringify(response, null, 2),
             },
+            ...(images ?? []).map((image) => ({
+              type: "image" as const,
+              data: image.data,
+              mimeType: image.mimeType,
+            })),
           ],
         };
       } catch (error) {
@@ -115,6 +201,42 @@ class PhotoshopMCPServer {
     });
   }
 
+  private setupResourceHandlers(): void {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: await this.resourceRegistry.listResources() };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: this.resourceRegistry.listResourceTemplates() };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return this.resourceRegistry.readResource(request.params.uri);
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.resourceRegistry.subscribe(request.params.uri);
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.resourceRegistry.unsubscribe(request.params.uri);
+      return {};
+    });
+  }
+
+  /**
+   * Tell subscribed clients to re-read what an event may have changed, or
+   * everything when there is no event to go by.
+   */
+  private notifyResourcesUpdated(event?: PhotoshopEvent): void {
+    for (const uri of this.resourceRegistry.invalidate(event)) {
+      this.server.sendResourceUpdated({ uri }).catch((error) => {
+        logger.debug("Failed to send resource update", { uri, error });
+      });
+    }
+  }
+
   private setupErrorHandling(): void {
     this.server.onerror = (error) => {
       logger.error("Server error", { error });
@@ -135,9 +257,15 @@ class PhotoshopMCPServer {
 
     // Start WebSocket server for UXP plugin to connect to
     // Non-fatal: MCP server continues even if WebSocket fails
+    // If another MCP server process already owns the port, this one attaches
+    // to it as a peer and shares its Photoshop connection.
     try {
       await this.bridge.start(wsPort);
-      logger.info(`WebSocket server running on ws://localhost:${wsPort}`);
+      if (this.bridge.getMode() === "peer") {
+        logger.info(`Sharing bridge broker on ws://localhost:${wsPort}`);
+      } else {
+        logger.info(`WebSocket server running on ws://localhost:${wsPort}`);
+      }
     } catch (error) {
       logger.warn(
         "WebSocket server failed to start - will retry or tools will fail until Photoshop connects",
@@ -0,0 +1,108 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { z } from "zod";
+import { EMPTY_POLICY, evaluatePolicy, loadPolicy, parsePolicy } from "./policy.js";
+
+const policy = parsePolicy(`
+snapshotBeforeDestructive: true
+rules:
+  - tools: [ps_execute_batchplay]
+    action: deny
+    reason: raw access
+  - tools: [ps_mask_delete]
+    when: { apply: true }
+    action: confirm
+  - tools: ["ps_adjust_*"]
+    clamp:
+      saturation: { min: -50, max: 50 }
+`);
+
+describe("parsePolicy", () => {
+  it("should parse YAML and JSON", () => {
+    expect(policy.rules).toHaveLength(3);
+    expect(parsePolicy('{"rules": [{"tools": ["ps_crop"], "action": "deny"}]}').rules[0]).toMatchObject({
+      tools: ["ps_crop"],
+      action: "deny",
+    });
+  });
+
+  it("should treat an empty file as the empty policy", () => {
+    expect(parsePolicy("")).toEqual(EMPTY_POLICY);
+  });
+
+  it("should reject malformed rules", () => {
+    expect(() => parsePolicy("rules:\n  - action: deny")).toThrow("Invalid policy: rules.0.tools");
+    expect(() => parsePolicy("rules:\n  - tools: [x]\n    action: maybe")).toThrow("Invalid policy");
+  });
+});
+
+describe("loadPolicy", () => {
+  const dirs: string[] = [];
+
+  afterEach(() => {
+    for (const dir of dirs.splice(0)) rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should return the empty policy without a file", () => {
+    expect(loadPolicy(undefined)).toBe(EMPTY_POLICY);
+  });
+
+  it("should name the file when it can't be loaded", () => {
+    const dir = mkdtempSync(join(tmpdir(), "ps-mcp-policy-"));
+    dirs.push(dir);
+    const file = join(dir, "policy.yaml");
+    writeFileSync(file, "rules: 5");
+
+    expect(() => loadPolicy(file)).toThrow(`Failed to load policy file ${file}`);
+    expect(() => loadPolicy(join(dir, "policy.txt"))).toThrow("must be .json, .yaml or .yml");
+  });
+});
+
+describe("evaluatePolicy", () => {
+  it("should deny matching tools", () => {
+    const decision = evaluatePolicy(policy, { name: "ps_execute_batchplay" }, {});
+
+    expect(decision.action).toBe("deny");
+    expect(decision.warnings).toEqual(["Policy: denied ps_execute_batchplay (raw access)"]);
+  });
+
+  it("should require confirmation only when the condition matches", () => {
+    expect(evaluatePolicy(policy, { name: "ps_mask_delete" }, { apply: false }).action).toBe("allow");
+    expect(evaluatePolicy(policy, { name: "ps_mask_delete" }, { apply: true }).action).toBe("confirm");
+
+    const confirmed = evaluatePolicy(policy, { name: "ps_mask_delete" }, { apply: true, confirm: true });
+    expect(confirmed.action).toBe("allow");
+    expect(confirmed.args).toEqual({ apply: true });
+    expect(confirmed.warnings).toEqual(["Policy: ps_mask_delete confirmed by caller"]);
+  });
+
+  it("should clamp numeric arguments matched by wildcard", () => {
+    const decision = evaluatePolicy(policy, { name: "ps_adjust_hue_saturation" }, { saturation: 80, hue: 10 });
+
+    expect(decision.args).toEqual({ saturation: 50, hue: 10 });
+    expect(decision.warnings).toEqual(["Policy: clamped saturation from 80 to 50"]);
+  });
+
+  it("should apply conditions and clamps to arguments left at their defaults", () => {
+    const maskDelete = { name: "ps_mask_delete", schema: z.object({ apply: z.boolean().default(true) }) };
+    const hueSaturation = {
+      name: "ps_adjust_hue_saturation",
+      schema: z.object({ hue: z.number().default(0), saturation: z.number().default(80) }),
+    };
+
+    expect(evaluatePolicy(policy, maskDelete, {}).action).toBe("confirm");
+    expect(evaluatePolicy(policy, maskDelete, { apply: false }).action).toBe("allow");
+
+    const clamped = evaluatePolicy(policy, hueSaturation, { hue: 10 });
+    expect(clamped.args).toEqual({ hue: 10, saturation: 50 });
+    expect(clamped.warnings).toEqual(["Policy: clamped saturation from 80 to 50"]);
+  });
+
+  it("should snapshot before destructive tools only", () => {
+    expect(evaluatePolicy(policy, { name: "ps_crop", destructive: true }, {}).snapshot).toBe(true);
+    expect(evaluatePolicy(policy, { name: "ps_layer_list" }, {}).snapshot).toBe(false);
+    expect(evaluatePolicy(EMPTY_POLICY, { name: "ps_crop", destructive: true }, {}).snapshot).toBe(false);
+  });
+});
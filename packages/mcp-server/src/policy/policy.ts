@@ -0,0 +1,191 @@
+/**
+ * Tool Policy
+ *
+ * Guardrails applied by the registry before a tool reaches Photoshop, loaded
+ * from a JSON or YAML file named by PS_POLICY_FILE. Rules can deny a tool,
+ * require the caller to confirm it, or clamp its numeric arguments, and the
+ * policy can ask for a history snapshot before every destructive tool. Each
+ * decision is reported back in the tool response's `warnings`.
+ *
+ * Example (YAML):
+ *
+ *   snapshotBeforeDestructive: true
+ *   rules:
+ *     - tools: [ps_execute_batchplay, ps_execute_multiple_batchplay]
+ *       action: deny
+ *       reason: Raw batchPlay bypasses every other guardrail
+ *     - tools: [ps_mask_delete]
+ *       when: { apply: true }
+ *       action: confirm
+ *     - tools: ["ps_adjust_*"]
+ *       clamp:
+ *         saturation: { min: -50, max: 50 }
+ */
+
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { parse as parseYaml } from "yaml";
+import { z } from "zod";
+import type { ToolSchema } from "../tools/registry.js";
+
+/** Argument a caller sets to go ahead with a tool that requires confirmation */
+export const CONFIRM_ARG = "confirm";
+
+const ruleSchema = z.object({
+  /** Tool names; `*` matches any run of characters, e.g. "ps_filter_*" */
+  tools: z.array(z.string()).min(1),
+  /** Only apply when every listed argument equals the given value */
+  when: z.record(z.unknown()).optional(),
+  action: z.enum(["allow", "deny", "confirm"]).default("allow"),
+  reason: z.string().optional(),
+  clamp: z
+    .record(
+      z.object({
+        min: z.number().optional(),
+        max: z.number().optional(),
+      }),
+    )
+    .optional(),
+});
+
+const policySchema = z.object({
+  snapshotBeforeDestructive: z.boolean().default(false),
+  rules: z.array(ruleSchema).default([]),
+});
+
+export type PolicyRule = z.infer<typeof ruleSchema>;
+export type Policy = z.infer<typeof policySchema>;
+
+export const EMPTY_POLICY: Policy = { snapshotBeforeDestructive: false, rules: [] };
+
+export interface PolicyDecision {
+  action: "allow" | "deny" | "confirm";
+  /** Why the tool was denied or needs confirmation */
+  reason?: string;
+  /** Arguments to call the tool with: clamped, and without `confirm` */
+  args: Record<string, unknown>;
+  /** Take a history snapshot before running the tool */
+  snapshot: boolean;
+  /** One entry per decision, for the response's warnings */
+  warnings: string[];
+}
+
+/**
+ * Parse policy file contents. YAML is a superset of JSON, so one parser
+ * handles both.
+ */
+export function parsePolicy(text: string): Policy {
+  const raw = text.trim() ? parseYaml(text) : {};
+  const result = policySchema.safeParse(raw ?? {});
+  if (!result.success) {
+    const errors = result.error.errors
+      .map((e) => `${e.path.join(".")}: ${e.message}`)
+      .join(", ");
+    throw new Error(`Invalid policy: ${errors}`);
+  }
+  return result.data;
+}
+
+/**
+ * Load the policy file, or the empty policy when no file is configured.
+ * Throws on unreadable or invalid files so a typo doesn't silently disable
+ * the guardrails.
+ */
+export function loadPolicy(file: string | undefined = process.env.PS_POLICY_FILE): Policy {
+  if (!file) return EMPTY_POLICY;
+
+  const ext = extname(file).toLowerCase();
+  if (![".json", ".yaml", ".yml"].includes(ext)) {
+    throw new Error(`Policy file must be .json, .yaml or .yml: ${file}`);
+  }
+
+  try {
+    return parsePolicy(readFileSync(file, "utf8"));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to load policy file ${file}: ${message}`);
+  }
+}
+
+function matchesTool(pattern: string, name: string): boolean {
+  const regex = new RegExp(
+    `^${pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`,
+  );
+  return regex.test(name);
+}
+
+function matchesArgs(when: Record<string, unknown> | undefined, args: Record<string, unknown>): boolean {
+  if (!when) return true;
+  return Object.entries(when).every(([key, value]) => args[key] === value);
+}
+
+/** Rules that name the tool, whether or not their `when` matches */
+export function rulesForTool(policy: Policy, toolName: string): PolicyRule[] {
+  return policy.rules.filter((rule) => rule.tools.some((pattern) => matchesTool(pattern, toolName)));
+}
+
+/**
+ * The arguments with the tool's defaults filled in, as its handler will see
+ * them. Arguments that fail validation are returned as they are; the tool
+ * rejects them anyway.
+ */
+function withDefaults(schema: ToolSchema | undefined, args: Record<string, unknown>): Record<string, unknown> {
+  const parsed = schema?.safeParse(args);
+  return parsed?.success ? { ...(parsed.data as Record<string, unknown>) } : { ...args };
+}
+
+/**
+ * Decide what to do with a tool call. The strictest matching action wins
+ * (deny over confirm over allow); clamps from every matching rule apply.
+ * Conditions and clamps see defaults for arguments the caller left out, so
+ * leaving one out can't get a call past a rule.
+ */
+export function evaluatePolicy(
+  policy: Policy,
+  tool: { name: string; destructive?: boolean; schema?: ToolSchema },
+  input: Record<string, unknown>,
+): PolicyDecision {
+  const { [CONFIRM_ARG]: confirmed, ...args } = input;
+  const resolved = withDefaults(tool.schema, args);
+  const warnings: string[] = [];
+  let action: PolicyDecision["action"] = "allow";
+  let reason: string | undefined;
+
+  for (const rule of rulesForTool(policy, tool.name)) {
+    if (!matchesArgs(rule.when, resolved)) continue;
+
+    for (const [key, { min, max }] of Object.entries(rule.clamp ?? {})) {
+      const value = resolved[key];
+      if (typeof value !== "number") continue;
+      const clamped = Math.min(max ?? Infinity, Math.max(min ?? -Infinity, value));
+      if (clamped !== value) {
+        // A clamped default is passed explicitly
+        args[key] = resolved[key] = clamped;
+        warnings.push(`Policy: clamped ${key} from ${value} to ${clamped}`);
+      }
+    }
+
+    if (rule.action === "deny" && action !== "deny") {
+      action = "deny";
+      reason = rule.reason;
+    } else if (rule.action === "confirm" && action === "allow") {
+      action = "confirm";
+      reason = rule.reason;
+    }
+  }
+
+  if (action === "deny") {
+    warnings.push(`Policy: denied ${tool.name}${reason ? ` (${reason})` : ""}`);
+  } else if (action === "confirm") {
+    if (confirmed === true) {
+      action = "allow";
+      warnings.push(`Policy: ${tool.name} confirmed by caller`);
+    } else {
+      warnings.push(`Policy: ${tool.name} requires confirmation${reason ? ` (${reason})` : ""}`);
+    }
+  }
+
+  const snapshot = action === "allow" && policy.snapshotBeforeDestructive && Boolean(tool.destructive);
+
+  return { action, reason, args, snapshot, warnings };
+}
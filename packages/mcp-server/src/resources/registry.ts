@@ -0,0 +1,216 @@
+/**
+ * Resource Registry
+ *
+ * MCP resources that let clients attach live Photoshop context without
+ * spending tool calls: the open documents, and each document's layer tree,
+ * history and a thumbnail. Subscribed clients are told to re-read whenever
+ * the plugin reports that a call changed something or pushes a Photoshop
+ * event for the document.
+ *
+ * While the plugin pushes events, reads are cached until an event or a
+ * changing call invalidates them. Older plugins don't tell the server about
+ * changes made by hand, so without events every read goes to the plugin.
+ */
+
+import {
+  ErrorCode,
+  McpError,
+  type ReadResourceResult,
+  type Resource,
+  type ResourceTemplate,
+} from "@modelcontextprotocol/sdk/types.js";
+import { resolveTimeout } from "../bridge/timeouts.js";
+import { EVENTS_PROTOCOL_VERSION, type PhotoshopEvent } from "../bridge/protocol.js";
+import type { PhotoshopBridge, ToolResponse } from "../tools/registry.js";
+import { renderPreview } from "../tools/preview.js";
+
+export const DOCUMENTS_URI = "photoshop://documents";
+
+/** Long edge of a document thumbnail */
+export const THUMBNAIL_SIZE = 256;
+
+const JSON_MIME_TYPE = "application/json";
+
+type DocumentResource = "layers" | "history" | "thumbnail";
+
+const DOCUMENT_RESOURCES: Record<DocumentResource, { title: string; description: string; mimeType: string }> = {
+  layers: {
+    title: "Layer tree",
+    description: "The document's layers in panel order, with groups nested",
+    mimeType: JSON_MIME_TYPE,
+  },
+  history: {
+    title: "History",
+    description: "The document's recent history states and which one is current",
+    mimeType: JSON_MIME_TYPE,
+  },
+  thumbnail: {
+    title: "Thumbnail",
+    description: `The composite image, at most ${THUMBNAIL_SIZE}px on the long edge`,
+    mimeType: "image/jpeg",
+  },
+};
+
+const DOCUMENT_URI = /^photoshop:\/\/document\/(\d+)\/(layers|history|thumbnail)$/;
+
+export function documentUri(documentId: number, resource: DocumentResource): string {
+  return `photoshop://document/${documentId}/${resource}`;
+}
+
+interface OpenDocument {
+  id: number;
+  name: string;
+}
+
+export interface ResourceRegistry {
+  listResources(): Promise<Resource[]>;
+  listResourceTemplates(): ResourceTemplate[];
+  readResource(uri: string): Promise<ReadResourceResult>;
+  subscribe(uri: string): void;
+  unsubscribe(uri: string): void;
+  /**
+   * Forget cached reads an event may have changed, or all of them without
+   * one. Returns the subscribed URIs to send resources/updated for.
+   */
+  invalidate(event?: PhotoshopEvent): string[];
+}
+
+/** The document and resource a URI names: null for the document list; throws for URIs this server doesn't serve */
+function parseUri(uri: string): { documentId: number; resource: DocumentResource } | null {
+  if (uri === DOCUMENTS_URI) return null;
+  const match = DOCUMENT_URI.exec(uri);
+  if (!match) throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  return { documentId: Number(match[1]), resource: match[2] as DocumentResource };
+}
+
+export function createResourceRegistry(bridge: PhotoshopBridge): ResourceRegistry {
+  const subscriptions = new Set<string>();
+  const cache = new Map<string, ReadResourceResult>();
+  // Bumped on every invalidation, so a read that raced one isn't cached
+  let generation = 0;
+
+  const pushesEvents = () => (bridge.getPluginInfo?.()?.protocolVersion ?? 0) >= EVENTS_PROTOCOL_VERSION;
+
+  /** Run one exchange with the plugin, throwing its failure as an MCP error */
+  async function request(command: string, exchange: () => Promise<ToolResponse>): Promise<ToolResponse> {
+    if (!bridge.isConnected()) {
+      throw new McpError(ErrorCode.InternalError, "Not connected to Photoshop. Please ensure the UXP plugin is running.");
+    }
+    let response: ToolResponse;
+    try {
+      response = await exchange();
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, error instanceof Error ? error.message : String(error));
+    }
+    if (!response.ok) throw new McpError(ErrorCode.InternalError, response.error ?? `${command} failed`);
+    return response;
+  }
+
+  async function read(command: string, params: Record<string, unknown> = {}): Promise<unknown> {
+    return (await request(command, () => bridge.send(command, params))).data;
+  }
+
+  async function readThumbnail(uri: string, documentId: number): Promise<ReadResourceResult> {
+    const timeoutMs = resolveTimeout("ps_preview", "slow");
+    const slow: PhotoshopBridge = {
+      ...bridge,
+      send: (command, params) => bridge.send(command, params, { timeoutMs }),
+    };
+    const rendered = await request("preview.render", () =>
+      renderPreview(slow, { documentId, source: "document", maxSize: THUMBNAIL_SIZE }),
+    );
+    const [image] = rendered.images!;
+    return { contents: [{ uri, mimeType: image.mimeType, blob: image.data }] };
+  }
+
+  const json = (uri: string, data: unknown): ReadResourceResult => ({
+    contents: [{ uri, mimeType: JSON_MIME_TYPE, text: JSON.stringify(data, null, 2) }],
+  });
+
+  return {
+    async listResources(): Promise<Resource[]> {
+      const resources: Resource[] = [
+        {
+          uri: DOCUMENTS_URI,
+          name: "documents",
+          title: "Open documents",
+          description: "Documents open in Photoshop, and which one is active",
+          mimeType: JSON_MIME_TYPE,
+        },
+      ];
+      if (!bridge.isConnected()) return resources;
+
+      // Listing shouldn't fail because Photoshop is busy; the templates still apply
+      let documents: OpenDocument[] = [];
+      try {
+        documents = ((await read("doc.list")) as { documents: OpenDocument[] }).documents;
+      } catch {
+        return resources;
+      }
+      for (const doc of documents) {
+        for (const [resource, info] of Object.entries(DOCUMENT_RESOURCES)) {
+          resources.push({
+            uri: documentUri(doc.id, resource as DocumentResource),
+            name: `${doc.name} ${resource}`,
+            title: `${doc.name}: ${info.title}`,
+            description: info.description,
+            mimeType: info.mimeType,
+          });
+        }
+      }
+      return resources;
+    },
+
+    listResourceTemplates(): ResourceTemplate[] {
+      return Object.entries(DOCUMENT_RESOURCES).map(([resource, info]) => ({
+        uriTemplate: `photoshop://document/{id}/${resource}`,
+        name: `document ${resource}`,
+        title: info.title,
+        description: `${info.description}; id is a document id from ${DOCUMENTS_URI}`,
+        mimeType: info.mimeType,
+      }));
+    },
+
+    async readResource(uri: string): Promise<ReadResourceResult> {
+      const parsed = parseUri(uri);
+      const cached = cache.get(uri);
+      if (cached && pushesEvents()) return cached;
+
+      const started = generation;
+      let result: ReadResourceResult;
+      if (!parsed) {
+        result = json(uri, await read("doc.list"));
+      } else if (parsed.resource === "thumbnail") {
+        result = await readThumbnail(uri, parsed.documentId);
+      } else {
+        const command = parsed.resource === "layers" ? "layer.tree" : "history.get_states";
+        result = json(uri, await read(command, { documentId: parsed.documentId }));
+      }
+      if (started === generation && pushesEvents()) cache.set(uri, result);
+      return result;
+    },
+
+    subscribe(uri: string): void {
+      parseUri(uri);
+      subscriptions.add(uri);
+    },
+
+    unsubscribe(uri: string): void {
+      subscriptions.delete(uri);
+    },
+
+    invalidate(event?: PhotoshopEvent): string[] {
+      generation++;
+      // An event in one document leaves the others alone, but may change
+      // the document list (its layer count, the active document)
+      const affected = (uri: string) =>
+        event?.documentId == null ||
+        uri === DOCUMENTS_URI ||
+        uri.startsWith(`photoshop://document/${event.documentId}/`);
+      for (const uri of cache.keys()) {
+        if (affected(uri)) cache.delete(uri);
+      }
+      return [...subscriptions].filter(affected);
+    },
+  };
+}
@@ -0,0 +1,1732 @@
+/**
+ * Fake Photoshop Runtime
+ *
+ * In-memory stand-in for the UXP `photoshop` module, so the bridge plugin's
+ * command handlers can run outside Photoshop. Documents hold a tree of layers
+ * with ids, bounds, visibility and opacity. `action.batchPlay` records every
+ * descriptor it is given and applies the ones it understands to that model,
+ * and DOM methods (createLayer, layer.delete, selection.selectRectangle, ...)
+ * change it directly. `imaging.getPixels` renders layers from a solid `fill`
+ * per layer, and `imaging.encodeImageData` wraps the pixels in JPEG
+ * markers. Both follow Photoshop's rules where handlers are likely to get
+ * them wrong: changes are only allowed inside `core.executeAsModal`,
+ * unknown references come back as error descriptors rather than exceptions,
+ * and every change adds a history state that can be returned to.
+ */
+
+import { basename, extname } from "node:path";
+
+export type Descriptor = { _obj: string; [key: string]: unknown };
+
+export interface FakeBounds {
+  left: number;
+  top: number;
+  right: number;
+  bottom: number;
+  width: number;
+  height: number;
+}
+
+type Rect = Pick<FakeBounds, "left" | "top" | "right" | "bottom">;
+
+/** 8-bit color; alpha defaults to 255 */
+export interface Fill {
+  red: number;
+  green: number;
+  blue: number;
+  alpha?: number;
+}
+
+export interface LayerOptions {
+  name?: string;
+  /** UXP LayerKind value: "pixel", "group", "text", "curves", ... */
+  kind?: string;
+  visible?: boolean;
+  /** 0-100, as in the DOM */
+  opacity?: number;
+  blendMode?: string;
+  locked?: boolean;
+  bounds?: Rect;
+  /** Color of every pixel inside the bounds, for imaging.getPixels; without one the layer is transparent */
+  fill?: Fill;
+  /** Children; makes the layer a group */
+  layers?: LayerOptions[];
+  /** Anything else a test wants to keep on the layer (adjustment settings, text, ...) */
+  data?: Record<string, unknown>;
+}
+
+export interface DocumentOptions {
+  name?: string;
+  path?: string | null;
+  width?: number;
+  height?: number;
+  resolution?: number;
+  mode?: string;
+  bitsPerChannel?: number;
+  /** Top to bottom, like `document.layers` */
+  layers?: LayerOptions[];
+  /** Saved alpha channels by name, each a rectangular selection */
+  channels?: Record<string, Rect>;
+}
+
+interface ImagingOptions {
+  documentID: number;
+  sourceBounds?: Rect;
+  targetSize?: { width?: number; height?: number };
+}
+
+export interface BatchPlayCall {
+  descriptor: Descriptor;
+  options: Record<string, unknown> | undefined;
+  /** Whether the call was made inside executeAsModal */
+  modal: boolean;
+  documentId: number | null;
+}
+
+export interface ExecutionContext {
+  isCancelled: boolean;
+  onCancel: (() => void) | null;
+  reportProgress(progress: { value: number; commandName?: string }): void;
+  hostControl: {
+    suspendHistory(options: { documentID: number; name: string }): Promise<number>;
+    resumeHistory(suspensionId: number, commit?: boolean): Promise<void>;
+  };
+}
+
+/** Custom batchPlay behavior for one `_obj`; return a result descriptor or throw. */
+export type BatchPlayStub = (descriptor: Descriptor, photoshop: FakePhotoshop) => unknown;
+
+interface LayerRecord {
+  id: number;
+  name: string;
+  kind: string;
+  visible: boolean;
+  opacity: number;
+  blendMode: string;
+  locked: boolean;
+  bounds: Rect;
+  fill: Fill | null;
+  layers: LayerRecord[] | null;
+  data: Record<string, unknown>;
+  linkId: number | null;
+}
+
+interface DocumentRecord {
+  width: number;
+  height: number;
+  layers: LayerRecord[];
+  activeLayerIds: number[];
+  selection: Rect | null;
+  channels: Record<string, Rect | null>;
+}
+
+const MODAL_ERROR = (event: string) =>
+  new Error(
+    `Event: ${event} may modify the state of Photoshop. Such events are only allowed from inside a modal scope`,
+  );
+
+function withSize(rect: Rect): FakeBounds {
+  return { ...rect, width: rect.right - rect.left, height: rect.bottom - rect.top };
+}
+
+function unitValue(value: unknown): number | undefined {
+  if (typeof value === "number") return value;
+  if (value && typeof value === "object" && "_value" in value) {
+    return Number((value as { _value: unknown })._value);
+  }
+  return undefined;
+}
+
+function errorDescriptor(message: string): Descriptor {
+  return { _obj: "error", result: -25920, message };
+}
+
+function pixels(value: number): { _unit: string; _value: number } {
+  return { _unit: "pixelsUnit", _value: value };
+}
+
+/** Filter events; applied to a smart object they are recorded as smart filters */
+const FILTER_EVENTS = new Set([
+  "gaussianBlur",
+  "motionBlur",
+  "radialBlur",
+  "surfaceBlur",
+  "lensBlur",
+  "unsharpMask",
+  "smartSharpen",
+  "addNoise",
+  "denoise",
+  "liquify",
+  "emboss",
+  "findEdges",
+  "highPass",
+  "dustAndScratches",
+  "median",
+  "maximum",
+  "minimum",
+]);
+
+/** smartObject and smartObjectMore descriptors for a placed file; `link` is set for linked files */
+function smartObjectDescriptors(fileName: string, link: string | null, bounds: Rect): Record<string, unknown> {
+  const { left, top, right, bottom } = bounds;
+  const corners = [left, top, right, top, right, bottom, left, bottom];
+  return {
+    smartObject: {
+      _obj: "smartObject",
+      placed: { _enum: "placed", _value: "rasterizeContent" },
+      documentID: `xmp.did:${fileName}`,
+      linked: link !== null,
+      fileReference: fileName,
+      ...(link !== null && { link: { _path: link, _kind: "local" }, linkMissing: false, linkChanged: false }),
+    },
+    smartObjectMore: {
+      _obj: "smartObjectMore",
+      ID: `xmp.did:${fileName}`,
+      size: { _obj: "Pnt", width: right - left, height: bottom - top },
+      resolution: { _unit: "densityUnit", _value: 72 },
+      transform: corners,
+      nonAffineTransform: corners,
+    },
+  };
+}
+
+export class FakeLayer {
+  readonly id: number;
+  kind: string;
+  locked: boolean;
+  data: Record<string, unknown>;
+  /** Color of the layer's pixels inside its bounds, null for no pixels */
+  fill: Fill | null;
+  /** Layers with the same link id are linked; null when unlinked */
+  linkId: number | null;
+  parent: FakeLayer | null = null;
+  /** Children of a group, null for other kinds */
+  layers: FakeLayer[] | null;
+
+  private state: { name: string; visible: boolean; opacity: number; blendMode: string };
+  private rect: Rect;
+
+  constructor(
+    readonly document: FakeDocument,
+    record: LayerRecord,
+  ) {
+    this.id = record.id;
+    this.kind = record.kind;
+    this.locked = record.locked;
+    this.data = { ...record.data };
+    this.fill = record.fill ? { ...record.fill } : null;
+    this.linkId = record.linkId;
+    this.rect = { ...record.bounds };
+    this.state = {
+      name: record.name,
+      visible: record.visible,
+      opacity: record.opacity,
+      blendMode: record.blendMode,
+    };
+    this.layers = record.layers
+      ? record.layers.map((child) => {
+          const layer = new FakeLayer(document, child);
+          layer.parent = this;
+          return layer;
+        })
+      : null;
+  }
+
+  get name(): string {
+    return this.state.name;
+  }
+  set name(value: string) {
+    this.change("Rename Layer", () => (this.state.name = value));
+  }
+
+  get visible(): boolean {
+    return this.state.visible;
+  }
+  set visible(value: boolean) {
+    this.change(value ? "Show Layer" : "Hide Layer", () => (this.state.visible = value));
+  }
+
+  get opacity(): number {
+    return this.state.opacity;
+  }
+  set opacity(value: number) {
+    this.change("Layer Properties", () => (this.state.opacity = value));
+  }
+
+  get blendMode(): string {
+    return this.state.blendMode;
+  }
+  set blendMode(value: string) {
+    this.change("Layer Properties", () => (this.state.blendMode = value));
+  }
+
+  get bounds(): FakeBounds {
+    return withSize(this.rect);
+  }
+
+  get linkedLayers(): FakeLayer[] {
+    if (this.linkId === null) return [];
+    return this.document.allLayers().filter((layer) => layer !== this && layer.linkId === this.linkId);
+  }
+
+  async delete(): Promise<void> {
+    this.document.photoshop.requireModal("delete");
+    this.document.removeLayer(this);
+    this.document.recordHistory("Delete Layer");
+  }
+
+  async duplicate(): Promise<FakeLayer> {
+    this.document.photoshop.requireModal("duplicate");
+    const copy = this.document.insertLayer(
+      this.document.freshRecord(this.toRecord(), `${this.name} copy`),
+      this,
+    );
+    this.document.recordHistory("Duplicate Layer");
+    return copy;
+  }
+
+  async moveAbove(relative: FakeLayer): Promise<void> {
+    this.document.moveLayer(this, relative.parent, this.document.siblings(relative).indexOf(relative));
+  }
+
+  async moveBelow(relative: FakeLayer): Promise<void> {
+    this.document.moveLayer(this, relative.parent, this.document.siblings(relative).indexOf(relative) + 1);
+  }
+
+  async bringToFront(): Promise<void> {
+    this.document.moveLayer(this, this.parent, 0);
+  }
+
+  async sendToBack(): Promise<void> {
+    const siblings = this.document.siblings(this);
+    // Nothing goes below the background layer
+    const last = siblings.at(-1);
+    const bottom = !this.parent && last !== this && last?.name === "Background" ? siblings.length - 1 : siblings.length;
+    this.document.moveLayer(this, this.parent, bottom);
+  }
+
+  /** ElementPlacement: placeBefore is above `relative`, placeAfter below, placeInside at the top of a group */
+  async move(relative: FakeLayer, placement: string): Promise<void> {
+    switch (placement) {
+      case "placeBefore":
+        return this.moveAbove(relative);
+      case "placeAfter":
+        return this.moveBelow(relative);
+      case "placeInside":
+      case "placeAtBeginning":
+        if (!relative.layers) throw new Error("The target layer is not a group");
+        return this.document.moveLayer(this, relative, 0);
+      case "placeAtEnd":
+        if (!relative.layers) throw new Error("The target layer is not a group");
+        return this.document.moveLayer(this, relative, relative.layers.length);
+      default:
+        throw new Error(`Unknown placement ${placement}`);
+    }
+  }
+
+  /** Merge down into the layer below, which is returned */
+  async merge(): Promise<FakeLayer> {
+    this.document.photoshop.requireModal("mergeLayersNew");
+    const siblings = this.document.siblings(this);
+    const below = siblings[siblings.indexOf(this) + 1];
+    if (!below || below.layers) throw new Error("Merge Down is not available");
+    below.absorb([this]);
+    this.document.removeLayer(this);
+    this.document.activeLayers = [below];
+    this.document.recordHistory("Merge Down");
+    return below;
+  }
+
+  async link(other: FakeLayer): Promise<FakeLayer[]> {
+    this.document.photoshop.requireModal("linkSelectedLayers");
+    const linkId = this.linkId ?? other.linkId ?? this.document.photoshop.nextId();
+    for (const layer of [this, ...this.linkedLayers, other, ...other.linkedLayers]) {
+      layer.linkId = linkId;
+    }
+    this.document.recordHistory("Link Layers");
+    return [this, ...this.linkedLayers];
+  }
+
+  async unlink(): Promise<void> {
+    this.document.photoshop.requireModal("unlinkSelectedLayers");
+    this.linkId = null;
+    this.document.recordHistory("Unlink Layers");
+  }
+
+  /** @internal Grow to cover `layers`, as when they are merged into this one */
+  absorb(layers: FakeLayer[]): void {
+    for (const layer of layers) {
+      const b = layer.bounds;
+      this.rect = {
+        left: Math.min(this.rect.left, b.left),
+        top: Math.min(this.rect.top, b.top),
+        right: Math.max(this.rect.right, b.right),
+        bottom: Math.max(this.rect.bottom, b.bottom),
+      };
+    }
+  }
+
+  /** Apply a change from batchPlay, which has already checked modality */
+  apply(changes: Partial<FakeLayer["state"]> & { bounds?: Rect }): void {
+    const { bounds, ...state } = changes;
+    Object.assign(this.state, state);
+    if (bounds) this.rect = { ...bounds };
+  }
+
+  toRecord(): LayerRecord {
+    return {
+      id: this.id,
+      ...this.state,
+      kind: this.kind,
+      locked: this.locked,
+      bounds: { ...this.rect },
+      fill: this.fill ? { ...this.fill } : null,
+      layers: this.layers ? this.layers.map((layer) => layer.toRecord()) : null,
+      data: structuredClone(this.data),
+      linkId: this.linkId,
+    };
+  }
+
+  private change(historyName: string, update: () => void): void {
+    this.document.photoshop.requireModal("set");
+    update();
+    this.document.recordHistory(historyName);
+  }
+}
+
+export class FakeHistoryState {
+  constructor(
+    readonly id: number,
+    readonly name: string,
+    readonly snapshot: boolean,
+    /** The document as it was right after this state */
+    readonly record: DocumentRecord,
+  ) {}
+}
+
+export class FakeSelection {
+  constructor(private readonly document: FakeDocument) {}
+
+  /** Null when nothing is selected */
+  get bounds(): FakeBounds | null {
+    const rect = this.document.selectionRect;
+    return rect ? withSize(rect) : null;
+  }
+
+  async selectAll(): Promise<void> {
+    this.select("All", this.document.canvasRect());
+  }
+
+  async deselect(): Promise<void> {
+    this.select("Deselect", null);
+  }
+
+  async inverse(): Promise<void> {
+    // An inverted rectangle isn't a rectangle; its bounds are the canvas
+    this.select("Select Inverse", this.document.selectionRect ? this.document.canvasRect() : null);
+  }
+
+  async selectRectangle(bounds: Rect, _options?: Record<string, unknown>): Promise<void> {
+    this.select("Rectangular Marquee", { ...bounds });
+  }
+
+  async selectEllipse(bounds: Rect, _options?: Record<string, unknown>): Promise<void> {
+    this.select("Elliptical Marquee", { ...bounds });
+  }
+
+  async expand(by: number): Promise<void> {
+    this.resize("Expand", by);
+  }
+
+  async contract(by: number): Promise<void> {
+    this.resize("Contract", -by);
+  }
+
+  async feather(_radius: number): Promise<void> {
+    this.select("Feather", this.document.selectionRect);
+  }
+
+  async grow(_tolerance: number): Promise<void> {
+    this.select("Grow", this.document.selectionRect);
+  }
+
+  private resize(historyName: string, by: number): void {
+    const rect = this.document.selectionRect;
+    this.select(
+      historyName,
+      rect && {
+        left: rect.left - by,
+        top: rect.top - by,
+        right: rect.right + by,
+        bottom: rect.bottom + by,
+      },
+    );
+  }
+
+  private select(historyName: string, rect: Rect | null): void {
+    this.document.photoshop.requireModal("set");
+    this.document.selectionRect = rect;
+    this.document.recordHistory(historyName);
+  }
+}
+
+export class FakeDocument {
+  readonly id: number;
+  name: string;
+  path: string | null;
+  width: number;
+  height: number;
+  resolution: number;
+  mode: string;
+  colorProfileName = "sRGB IEC61966-2.1";
+  bitsPerChannel: number;
+  layers: FakeLayer[] = [];
+  historyStates: FakeHistoryState[] = [];
+  selectionRect: Rect | null = null;
+  /** Saved alpha channels by name, each holding the selection it was saved from */
+  channels = new Map<string, Rect | null>();
+  readonly selection: FakeSelection;
+  /** Formats and files passed to save/saveAs, in order */
+  readonly saves: Array<{ format: string; file: unknown; options?: unknown }> = [];
+  closed = false;
+  /** For a smart object's contents opened as a document: the layer they save back to */
+  placedIn: { document: FakeDocument; layerId: number } | null = null;
+
+  private activeLayerIds: number[] = [];
+  private currentState: FakeHistoryState | null = null;
+  private suspension: { id: number; name: string; changed: boolean; base: FakeHistoryState } | null = null;
+
+  constructor(
+    readonly photoshop: FakePhotoshop,
+    options: DocumentOptions,
+  ) {
+    this.id = photoshop.nextId();
+    this.name = options.name ?? `Untitled-${this.id}`;
+    this.path = options.path ?? null;
+    this.width = options.width ?? 800;
+    this.height = options.height ?? 600;
+    this.resolution = options.resolution ?? 72;
+    this.mode = options.mode ?? "RGBColorMode";
+    this.bitsPerChannel = options.bitsPerChannel ?? 8;
+    this.selection = new FakeSelection(this);
+
+    const layers = options.layers ?? [{ name: "Background" }];
+    this.load({
+      width: this.width,
+      height: this.height,
+      layers: layers.map((layer) => this.freshRecord(this.recordFromOptions(layer))),
+      activeLayerIds: [],
+      selection: null,
+      channels: structuredClone(options.channels ?? {}),
+    });
+    this.activeLayerIds = this.layers.length > 0 ? [this.layers[0].id] : [];
+    this.recordHistory(options.path ? "Open" : "New", { force: true });
+  }
+
+  get activeLayers(): FakeLayer[] {
+    return this.activeLayerIds
+      .map((id) => this.findLayer(id))
+      .filter((layer): layer is FakeLayer => layer !== null);
+  }
+  set activeLayers(layers: FakeLayer[]) {
+    this.activeLayerIds = layers.map((layer) => layer.id);
+  }
+
+  get activeHistoryState(): FakeHistoryState | null {
+    return this.currentState;
+  }
+  set activeHistoryState(state: FakeHistoryState | null) {
+    this.photoshop.requireModal("select");
+    if (!state || !this.historyStates.includes(state)) {
+      throw new Error("The history state is not available");
+    }
+    this.load(state.record);
+    this.currentState = state;
+  }
+
+  /** Depth-first, top to bottom, including group contents */
+  allLayers(): FakeLayer[] {
+    const walk = (layers: FakeLayer[]): FakeLayer[] =>
+      layers.flatMap((layer) => [layer, ...(layer.layers ? walk(layer.layers) : [])]);
+    return walk(this.layers);
+  }
+
+  findLayer(id: number): FakeLayer | null {
+    return this.allLayers().find((layer) => layer.id === id) ?? null;
+  }
+
+  /** RGBA of one layer's pixel, transparent outside its bounds or without a fill */
+  layerPixel(layer: FakeLayer, x: number, y: number): [number, number, number, number] {
+    const { left, top, right, bottom } = layer.bounds;
+    if (!layer.fill || x < left || x >= right || y < top || y >= bottom) return [0, 0, 0, 0];
+    const { red, green, blue, alpha = 255 } = layer.fill;
+    return [red, green, blue, alpha];
+  }
+
+  /** RGB of the composite at a pixel: visible layers blended normally over white */
+  compositePixel(x: number, y: number): [number, number, number] {
+    const color: [number, number, number] = [255, 255, 255];
+    const paint = (layers: FakeLayer[]) => {
+      for (const layer of [...layers].reverse()) {
+        if (!layer.visible) continue;
+        if (layer.layers) {
+          paint(layer.layers);
+          continue;
+        }
+        const [red, green, blue, alpha] = this.layerPixel(layer, x, y);
+        const coverage = (alpha / 255) * (layer.opacity / 100);
+        [red, green, blue].forEach((value, i) => (color[i] = Math.round(value * coverage + color[i] * (1 - coverage))));
+      }
+    };
+    paint(this.layers);
+    return color;
+  }
+
+  findLayerByName(name: string): FakeLayer | null {
+    return this.allLayers().find((layer) => layer.name === name) ?? null;
+  }
+
+  async createLayer(options: LayerOptions = {}): Promise<FakeLayer> {
+    this.photoshop.requireModal("make");
+    const layer = this.insertLayer(this.freshRecord(this.recordFromOptions({ name: "Layer", ...options })));
+    this.recordHistory("New Layer");
+    return layer;
+  }
+
+  /** With `fromLayers`, the group takes the place of the topmost of them and holds them all */
+  async createLayerGroup(options: LayerOptions & { fromLayers?: FakeLayer[] } = {}): Promise<FakeLayer> {
+    this.photoshop.requireModal("make");
+    const { fromLayers, ...layerOptions } = options;
+    const members = fromLayers ? this.allLayers().filter((layer) => fromLayers.includes(layer)) : [];
+    const group = this.insertLayer(
+      this.freshRecord(this.recordFromOptions({ name: "Group", kind: "group", layers: [], ...layerOptions })),
+      members[0],
+    );
+    for (const layer of members) {
+      this.detach(layer);
+      layer.parent = group;
+      group.layers!.push(layer);
+    }
+    this.recordHistory(members.length > 0 ? "Group Layers" : "New Group");
+    return group;
+  }
+
+  /** Merge every visible layer into the lowest one; hidden layers stay */
+  async mergeVisibleLayers(): Promise<void> {
+    this.photoshop.requireModal("mergeVisible");
+    const shown = (layer: FakeLayer): boolean => layer.visible && (!layer.parent || shown(layer.parent));
+    const visible = this.allLayers().filter((layer) => !layer.layers && shown(layer));
+    const target = visible.at(-1);
+    if (!target || visible.length < 2) throw new Error("Merge Visible is not available");
+    const merged = visible.slice(0, -1);
+    target.absorb(merged);
+    for (const layer of merged) this.removeLayer(layer);
+    // Groups the merge emptied go with it
+    for (const group of this.allLayers().reverse()) {
+      if (group.layers && group.layers.length === 0 && shown(group)) this.removeLayer(group);
+    }
+    this.activeLayerIds = [target.id];
+    this.recordHistory("Merge Visible");
+  }
+
+  async save(): Promise<void> {
+    this.photoshop.requireModal("save");
+    this.saves.push({ format: "psd", file: this.path });
+    this.placedIn?.document.recordHistory("Update Smart Object");
+  }
+
+  readonly saveAs = {
+    psd: (file: unknown, options?: unknown) => this.saveAsFormat("psd", file, options),
+    png: (file: unknown, options?: unknown) => this.saveAsFormat("png", file, options),
+    jpg: (file: unknown, options?: unknown) => this.saveAsFormat("jpg", file, options),
+    tiff: (file: unknown, options?: unknown) => this.saveAsFormat("tiff", file, options),
+    gif: (file: unknown, options?: unknown) => this.saveAsFormat("gif", file, options),
+    bmp: (file: unknown, options?: unknown) => this.saveAsFormat("bmp", file, options),
+  };
+
+  async close(): Promise<void> {
+    this.photoshop.requireModal("close");
+    this.photoshop.closeDocument(this);
+  }
+
+  async closeWithoutSaving(): Promise<void> {
+    await this.close();
+  }
+
+  canvasRect(): Rect {
+    return { left: 0, top: 0, right: this.width, bottom: this.height };
+  }
+
+  /** Add a history state for a change, unless history is suspended */
+  recordHistory(name: string, options: { snapshot?: boolean; force?: boolean } = {}): FakeHistoryState | null {
+    if (this.suspension && !options.force && !options.snapshot) {
+      this.suspension.changed = true;
+      return null;
+    }
+
+    const state = new FakeHistoryState(
+      this.photoshop.nextId(),
+      name,
+      Boolean(options.snapshot),
+      this.toRecord(),
+    );
+
+    if (options.snapshot) {
+      // Snapshots sit above the timeline and don't truncate it
+      const firstState = this.historyStates.findIndex((s) => !s.snapshot);
+      this.historyStates.splice(firstState === -1 ? this.historyStates.length : firstState, 0, state);
+      return state;
+    }
+
+    // A new step discards everything that was undone
+    const current = this.currentState ? this.historyStates.indexOf(this.currentState) : -1;
+    if (current !== -1 && !this.currentState!.snapshot) {
+      this.historyStates.splice(current + 1);
+    }
+    this.historyStates.push(state);
+    this.currentState = state;
+    return state;
+  }
+
+  /** Photoshop's history index (1-based, snapshots included) */
+  historyIndex(state: FakeHistoryState | null): number {
+    return state ? this.historyStates.indexOf(state) + 1 : 0;
+  }
+
+  suspendHistory(name: string): number {
+    if (this.suspension) throw new Error("History is already suspended");
+    const id = this.photoshop.nextId();
+    this.suspension = { id, name, changed: false, base: this.currentState! };
+    return id;
+  }
+
+  resumeHistory(id: number, commit: boolean): void {
+    const suspension = this.suspension;
+    if (!suspension || suspension.id !== id) throw new Error("Unknown history suspension");
+    this.suspension = null;
+    if (!suspension.changed) return;
+    if (commit) {
+      this.recordHistory(suspension.name);
+    } else {
+      this.load(suspension.base.record);
+      this.currentState = suspension.base;
+    }
+  }
+
+  /** @internal */
+  insertLayer(record: LayerRecord, above?: FakeLayer): FakeLayer {
+    const layer = new FakeLayer(this, record);
+    const siblings = above?.parent?.layers ?? this.layers;
+    layer.parent = above?.parent ?? null;
+    const index = above ? siblings.indexOf(above) : 0;
+    siblings.splice(Math.max(0, index), 0, layer);
+    this.activeLayerIds = [layer.id];
+    return layer;
+  }
+
+  /** @internal Whether `layer` is inside `group`, at any depth */
+  contains(group: FakeLayer, layer: FakeLayer): boolean {
+    for (let parent = layer.parent; parent; parent = parent.parent) {
+      if (parent === group) return true;
+    }
+    return false;
+  }
+
+  /** @internal The list that holds `layer`: its group's children or the top level */
+  siblings(layer: FakeLayer): FakeLayer[] {
+    return layer.parent?.layers ?? this.layers;
+  }
+
+  /** @internal Move `layer` to `index` among `parent`'s children (the top level when null) */
+  moveLayer(layer: FakeLayer, parent: FakeLayer | null, index: number): void {
+    this.photoshop.requireModal("move");
+    for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === layer) throw new Error("A group can't be moved into itself");
+    }
+    const destination = parent?.layers ?? this.layers;
+    // Removing the layer first shifts everything after it up by one
+    const current = destination.indexOf(layer);
+    this.detach(layer);
+    destination.splice(current !== -1 && current < index ? index - 1 : index, 0, layer);
+    layer.parent = parent;
+    this.recordHistory("Layer Order");
+  }
+
+  /** @internal Take a group's children out into its place and remove it */
+  ungroup(group: FakeLayer): FakeLayer[] {
+    const siblings = this.siblings(group);
+    const children = group.layers ?? [];
+    for (const child of children) child.parent = group.parent;
+    siblings.splice(siblings.indexOf(group), 1, ...children);
+    this.activeLayerIds = children.map((child) => child.id);
+    return children;
+  }
+
+  /** @internal */
+  removeLayer(layer: FakeLayer): void {
+    const siblings = layer.parent?.layers ?? this.layers;
+    siblings.splice(siblings.indexOf(layer), 1);
+    const removed = new Set([layer, ...(layer.layers ? this.descendants(layer) : [])].map((l) => l.id));
+    this.activeLayerIds = this.activeLayerIds.filter((id) => !removed.has(id));
+  }
+
+  /** @internal A copy of `record` with new ids throughout */
+  freshRecord(record: LayerRecord, name?: string): LayerRecord {
+    return {
+      ...record,
+      id: this.photoshop.nextId(),
+      name: name ?? record.name,
+      layers: record.layers ? record.layers.map((child) => this.freshRecord(child)) : null,
+      data: structuredClone(record.data),
+      linkId: null,
+    };
+  }
+
+  /** @internal */
+  recordFromOptions(options: LayerOptions): LayerRecord {
+    const kind = options.kind ?? (options.layers ? "group" : "pixel");
+    return {
+      id: 0,
+      name: options.name ?? "Layer",
+      kind,
+      visible: options.visible ?? true,
+      opacity: options.opacity ?? 100,
+      blendMode: options.blendMode ?? (kind === "group" ? "passThrough" : "normal"),
+      locked: options.locked ?? false,
+      bounds: options.bounds ? { ...options.bounds } : this.canvasRect(),
+      fill: options.fill ? { ...options.fill } : null,
+      layers: kind === "group" ? (options.layers ?? []).map((child) => this.recordFromOptions(child)) : null,
+      data: structuredClone(options.data ?? {}),
+      linkId: null,
+    };
+  }
+
+  private detach(layer: FakeLayer): void {
+    const siblings = this.siblings(layer);
+    siblings.splice(siblings.indexOf(layer), 1);
+  }
+
+  private descendants(layer: FakeLayer): FakeLayer[] {
+    return (layer.layers ?? []).flatMap((child) => [child, ...this.descendants(child)]);
+  }
+
+  private saveAsFormat(format: string, file: unknown, options?: unknown): Promise<void> {
+    this.photoshop.requireModal("save");
+    this.saves.push({ format, file, options });
+    return Promise.resolve();
+  }
+
+  private toRecord(): DocumentRecord {
+    return {
+      width: this.width,
+      height: this.height,
+      layers: this.layers.map((layer) => layer.toRecord()),
+      activeLayerIds: [...this.activeLayerIds],
+      selection: this.selectionRect ? { ...this.selectionRect } : null,
+      channels: structuredClone(Object.fromEntries(this.channels)),
+    };
+  }
+
+  private load(record: DocumentRecord): void {
+    this.width = record.width;
+    this.height = record.height;
+    this.layers = record.layers.map((layer) => new FakeLayer(this, structuredClone(layer)));
+    this.activeLayerIds = [...record.activeLayerIds];
+    this.selectionRect = record.selection ? { ...record.selection } : null;
+    this.channels = new Map(Object.entries(structuredClone(record.channels)));
+  }
+}
+
+export class FakePhotoshop {
+  documents: FakeDocument[] = [];
+  /** Every descriptor passed to batchPlay, in order */
+  readonly batchPlayCalls: BatchPlayCall[] = [];
+  /** commandName of every executeAsModal call, in order */
+  readonly modalCommands: string[] = [];
+  /** Everything reported through executionContext.reportProgress */
+  readonly progress: Array<{ value: number; commandName?: string }> = [];
+  /** Listeners registered with action.addNotificationListener */
+  readonly notificationListeners: Array<{ events: string[]; listener: (event: string, descriptor: unknown) => void }> = [];
+  version = "25.0.0";
+  fonts: Array<{ name: string; postScriptName: string; family: string; style: string }> = [];
+
+  private activeDocumentId: number | null = null;
+  private idCounter = 0;
+  private modalDepth = 0;
+  private executionContext: ExecutionContext | null = null;
+  private stubs = new Map<string, BatchPlayStub>();
+  private suspensions = new Map<number, FakeDocument>();
+
+  readonly app = this.createApp();
+  readonly core = {
+    executeAsModal: (
+      callback: (context: ExecutionContext, descriptor?: unknown) => Promise<unknown>,
+      options: { commandName?: string; descriptor?: unknown } = {},
+    ) => this.executeAsModal(callback, options),
+  };
+  readonly action = {
+    batchPlay: (descriptors: Descriptor[], options?: Record<string, unknown>) =>
+      this.batchPlay(descriptors, options),
+    addNotificationListener: async (
+      events: Array<string | { event: string }>,
+      listener: (event: string, descriptor: unknown) => void,
+    ) => {
+      this.notificationListeners.push({
+        events: events.map((e) => (typeof e === "string" ? e : e.event)),
+        listener,
+      });
+    },
+    removeNotificationListener: async (
+      _events: unknown,
+      listener: (event: string, descriptor: unknown) => void,
+    ) => {
+      const index = this.notificationListeners.findIndex((entry) => entry.listener === listener);
+      if (index !== -1) this.notificationListeners.splice(index, 1);
+    },
+  };
+
+  /** imaging.getPixels and getSelection results whose imageData hasn't been disposed */
+  undisposedImageData = 0;
+
+  readonly imaging = {
+    getPixels: async (options: ImagingOptions & { layerID?: number; applyAlpha?: boolean }) => {
+      const doc = this.imagingDocument(options.documentID);
+      const layer = options.layerID === undefined ? null : doc.findLayer(options.layerID);
+      if (options.layerID !== undefined && !layer) throw new Error(`Layer ${options.layerID} not found`);
+      if (layer && options.applyAlpha) {
+        // Transparency blended over white, as Photoshop does
+        return this.sample(doc, options, 3, (x, y) => {
+          const [red, green, blue, alpha] = doc.layerPixel(layer, x, y);
+          return [red, green, blue].map((value) => Math.round((value * alpha + 255 * (255 - alpha)) / 255));
+        });
+      }
+      return this.sample(doc, options, layer ? 4 : 3, (x, y) =>
+        layer ? doc.layerPixel(layer, x, y) : doc.compositePixel(x, y),
+      );
+    },
+    getSelection: async (options: ImagingOptions) => {
+      const doc = this.imagingDocument(options.documentID);
+      return this.sample(doc, options, 1, (x, y) => {
+        const rect = doc.selectionRect;
+        const inside = rect && x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+        return [inside ? 255 : 0];
+      });
+    },
+    /**
+     * Not a real JPEG: the start and end markers around the raw pixels, so
+     * the size still grows with the pixel count
+     */
+    encodeImageData: async (options: {
+      imageData: { components: number; getData: () => Promise<Uint8Array> };
+      base64?: boolean;
+    }) => {
+      if (options.imageData.components !== 3) throw new Error("Only RGB image data can be encoded as JPEG");
+      const pixels = await options.imageData.getData();
+      const bytes = [0xff, 0xd8, ...pixels, 0xff, 0xd9];
+      return options.base64 ? Buffer.from(bytes).toString("base64") : bytes;
+    },
+  };
+
+  readonly constants = {
+    ElementPlacement: {
+      PLACEAFTER: "placeAfter",
+      PLACEATBEGINNING: "placeAtBeginning",
+      PLACEATEND: "placeAtEnd",
+      PLACEBEFORE: "placeBefore",
+      PLACEINSIDE: "placeInside",
+    },
+  };
+
+  /** What `require("photoshop")` returns inside the plugin */
+  get module(): {
+    app: FakePhotoshop["app"];
+    core: FakePhotoshop["core"];
+    action: FakePhotoshop["action"];
+    imaging: FakePhotoshop["imaging"];
+    constants: FakePhotoshop["constants"];
+  } {
+    return { app: this.app, core: this.core, action: this.action, imaging: this.imaging, constants: this.constants };
+  }
+
+  get activeDocument(): FakeDocument | null {
+    return this.documents.find((doc) => doc.id === this.activeDocumentId) ?? null;
+  }
+
+  get inModal(): boolean {
+    return this.modalDepth > 0;
+  }
+
+  /** Open a document and make it active */
+  addDocument(options: DocumentOptions = {}): FakeDocument {
+    const doc = new FakeDocument(this, options);
+    this.documents.push(doc);
+    this.activeDocumentId = doc.id;
+    return doc;
+  }
+
+  /** Replace batchPlay's handling of one `_obj` */
+  stub(obj: string, handler: BatchPlayStub): void {
+    this.stubs.set(obj, handler);
+  }
+
+  /** Descriptors passed to batchPlay, optionally only those with this `_obj` */
+  descriptors(obj?: string): Descriptor[] {
+    return this.batchPlayCalls
+      .map((call) => call.descriptor)
+      .filter((descriptor) => !obj || descriptor._obj === obj);
+  }
+
+  /** Cancel the running modal scope, as the user would from the progress bar */
+  cancelModal(): void {
+    if (!this.executionContext) throw new Error("No modal scope is running");
+    this.executionContext.isCancelled = true;
+    this.executionContext.onCancel?.();
+  }
+
+  /** Deliver a notification to listeners registered for `event` */
+  notify(event: string, descriptor: unknown = {}): void {
+    for (const entry of this.notificationListeners) {
+      if (entry.events.includes(event)) entry.listener(event, descriptor);
+    }
+  }
+
+  private imagingDocument(documentID: number): FakeDocument {
+    const doc = this.documents.find((d) => d.id === documentID);
+    if (!doc) throw new Error(`Document ${documentID} not found`);
+    return doc;
+  }
+
+  /**
+   * An imaging result for `sourceBounds` (default: the canvas), scaled to
+   * `targetSize` by taking the nearest pixel
+   */
+  private sample(
+    doc: FakeDocument,
+    options: ImagingOptions,
+    components: number,
+    pixel: (x: number, y: number) => number[],
+  ) {
+    const bounds = options.sourceBounds ?? doc.canvasRect();
+    const sourceWidth = bounds.right - bounds.left;
+    const sourceHeight = bounds.bottom - bounds.top;
+    const width = options.targetSize?.width ?? sourceWidth;
+    const height = options.targetSize?.height ?? sourceHeight;
+    const data = new Uint8Array(width * height * components);
+    for (let row = 0; row < height; row++) {
+      for (let column = 0; column < width; column++) {
+        const x = bounds.left + Math.floor(((column + 0.5) * sourceWidth) / width);
+        const y = bounds.top + Math.floor(((row + 0.5) * sourceHeight) / height);
+        data.set(pixel(x, y), (row * width + column) * components);
+      }
+    }
+
+    this.undisposedImageData++;
+    let disposed = false;
+    const imageData = {
+      width,
+      height,
+      components,
+      componentSize: 8,
+      colorSpace: components === 1 ? "Grayscale" : "RGB",
+      hasAlpha: components === 4,
+      getData: async (_options?: { chunky?: boolean }) => {
+        if (disposed) throw new Error("The image data has been disposed");
+        return data;
+      },
+      dispose: () => {
+        if (!disposed) this.undisposedImageData--;
+        disposed = true;
+      },
+    };
+    return { imageData, sourceBounds: { ...bounds }, level: 0 };
+  }
+
+  /** @internal */
+  nextId(): number {
+    return ++this.idCounter;
+  }
+
+  /** @internal */
+  requireModal(event: string): void {
+    if (!this.inModal) throw MODAL_ERROR(event);
+  }
+
+  /** @internal */
+  closeDocument(doc: FakeDocument): void {
+    doc.closed = true;
+    this.documents = this.documents.filter((d) => d !== doc);
+    if (this.activeDocumentId === doc.id) {
+      this.activeDocumentId = this.documents.at(-1)?.id ?? null;
+    }
+  }
+
+  private createApp() {
+    const photoshop = this;
+    return {
+      get activeDocument(): FakeDocument | null {
+        return photoshop.activeDocument;
+      },
+      set activeDocument(doc: FakeDocument | null) {
+        photoshop.activeDocumentId = doc ? doc.id : null;
+      },
+      get documents(): FakeDocument[] {
+        return photoshop.documents;
+      },
+      get version(): string {
+        return photoshop.version;
+      },
+      get fonts() {
+        return photoshop.fonts;
+      },
+      async open(entry: { name?: string; nativePath?: string }): Promise<FakeDocument> {
+        photoshop.requireModal("open");
+        return photoshop.addDocument({
+          name: entry?.name ?? "Untitled",
+          path: entry?.nativePath ?? entry?.name ?? null,
+        });
+      },
+      async createDocument(options: DocumentOptions = {}): Promise<FakeDocument> {
+        photoshop.requireModal("make");
+        return photoshop.addDocument(options);
+      },
+    };
+  }
+
+  private async executeAsModal(
+    callback: (context: ExecutionContext, descriptor?: unknown) => Promise<unknown>,
+    options: { commandName?: string; descriptor?: unknown },
+  ): Promise<unknown> {
+    const outer = this.executionContext;
+    const context: ExecutionContext = {
+      isCancelled: false,
+      onCancel: null,
+      reportProgress: (progress) => this.progress.push(progress),
+      hostControl: {
+        suspendHistory: async ({ documentID, name }) => {
+          const doc = this.documentById(documentID);
+          const id = doc.suspendHistory(name);
+          this.suspensions.set(id, doc);
+          return id;
+        },
+        resumeHistory: async (id, commit = true) => {
+          const doc = this.suspensions.get(id);
+          if (!doc) throw new Error("Unknown history suspension");
+          this.suspensions.delete(id);
+          doc.resumeHistory(id, commit);
+        },
+      },
+    };
+
+    this.modalCommands.push(options.commandName ?? "");
+    this.modalDepth++;
+    this.executionContext = context;
+    try {
+      return await callback(context, options.descriptor);
+    } finally {
+      this.modalDepth--;
+      this.executionContext = outer;
+    }
+  }
+
+  private documentById(id: number): FakeDocument {
+    const doc = this.documents.find((d) => d.id === id);
+    if (!doc) throw new Error(`Document ${id} not found`);
+    return doc;
+  }
+
+  private async batchPlay(
+    descriptors: Descriptor[],
+    options?: Record<string, unknown>,
+  ): Promise<unknown[]> {
+    if (!Array.isArray(descriptors)) {
+      throw new Error("batchPlay expects an array of descriptors");
+    }
+
+    const results: unknown[] = [];
+    for (const descriptor of descriptors) {
+      this.batchPlayCalls.push({
+        descriptor: structuredClone(descriptor),
+        options,
+        modal: this.inModal,
+        documentId: this.activeDocumentId,
+      });
+
+      const stub = this.stubs.get(descriptor._obj);
+      if (stub) {
+        results.push(stub(descriptor, this) ?? {});
+        continue;
+      }
+
+      if (descriptor._obj === "get") {
+        // Copies, as from Photoshop: later events don't change what a get returned
+        results.push(structuredClone(this.get(descriptor)));
+        continue;
+      }
+
+      if (descriptor._obj === "multiGet") {
+        results.push(this.multiGet(descriptor));
+        continue;
+      }
+
+      this.requireModal(descriptor._obj);
+      results.push(this.apply(descriptor));
+    }
+    return results;
+  }
+
+  private get(descriptor: Descriptor): unknown {
+    const target = (descriptor._target as Array<Record<string, unknown>>) ?? [];
+    const property = target.find((ref) => "_property" in ref)?._property as string | undefined;
+    const ref = target.find((r) => "_ref" in r);
+    // A document reference by id anywhere in the chain picks the document; otherwise the active one
+    const docRef = target.find((r) => r._ref === "document" && r._id !== undefined);
+    const doc = docRef ? (this.documents.find((d) => d.id === Number(docRef._id)) ?? null) : this.activeDocument;
+    if (docRef && !doc) return errorDescriptor(`The object “document ${docRef._id}” is not currently available.`);
+
+    if (ref?._ref === "historyState") {
+      if (!doc) return errorDescriptor("No document is open");
+      if (property === "count") return { count: doc.historyStates.length };
+      const state = this.resolveHistoryState(doc, ref);
+      if (!state) return errorDescriptor("The history state is not currently available");
+      return { name: state.name, ID: state.id, itemIndex: doc.historyIndex(state), snapshot: state.snapshot };
+    }
+
+    if (ref?._ref === "layer") {
+      const layer = doc ? this.resolveLayer(doc, ref) : null;
+      if (!layer) return errorDescriptor(`The object “layer ${ref._id ?? ref._name ?? ""}” is not currently available.`);
+      const all = this.layerDescriptor(doc!, layer);
+      return property ? { [property]: all[property] } : all;
+    }
+
+    if (ref?._ref === "document" || (!ref && property)) {
+      if (!doc) return errorDescriptor("No document is open");
+      const all: Record<string, unknown> = {
+        _obj: "document",
+        documentID: doc.id,
+        title: doc.name,
+        width: pixels(doc.width),
+        height: pixels(doc.height),
+        resolution: { _unit: "densityUnit", _value: doc.resolution },
+        numberOfLayers: doc.allLayers().length,
+        hasBackgroundLayer: doc.layers.at(-1)?.name === "Background",
+        currentHistoryState: { _ref: "historyState", _index: doc.historyIndex(doc.activeHistoryState) },
+        selection: doc.selectionRect
+          ? { _obj: "rectangle", ...Object.fromEntries(Object.entries(doc.selectionRect).map(([k, v]) => [k, pixels(v)])) }
+          : undefined,
+      };
+      return property ? { [property]: all[property] } : all;
+    }
+
+    return errorDescriptor("The requested property is not available");
+  }
+
+  /** multiGet over a document's layers: the listed properties of every layer, bottom to top */
+  private multiGet(descriptor: Descriptor): unknown {
+    const refs = ((descriptor._target as { _ref?: unknown })?._ref ?? []) as Array<Record<string, unknown>>;
+    const docId = refs.find((ref) => ref._ref === "document")?._id;
+    const doc = docId !== undefined ? this.documents.find((d) => d.id === Number(docId)) : this.activeDocument;
+    if (!doc) return errorDescriptor("The object “document” is not currently available.");
+
+    const [properties] = (descriptor.extendedReference ?? [[]]) as [string[]];
+    const list = doc
+      .allLayers()
+      .reverse()
+      .map((layer) => {
+        const all = this.layerDescriptor(doc, layer);
+        return Object.fromEntries(properties.filter((key) => key in all).map((key) => [key, all[key]]));
+      });
+    return { list };
+  }
+
+  private layerDescriptor(doc: FakeDocument, layer: FakeLayer): Record<string, unknown> {
+    const bounds = layer.bounds;
+    const rectangle = {
+      _obj: "rectangle",
+      top: pixels(bounds.top),
+      left: pixels(bounds.left),
+      bottom: pixels(bounds.bottom),
+      right: pixels(bounds.right),
+      width: pixels(bounds.width),
+      height: pixels(bounds.height),
+    };
+    return {
+      _obj: "layer",
+      layerID: layer.id,
+      name: layer.name,
+      visible: layer.visible,
+      // Descriptors carry opacity on Photoshop's internal 0-255 scale
+      opacity: Math.round((layer.opacity / 100) * 255),
+      mode: { _enum: "blendMode", _value: layer.blendMode },
+      fillOpacity: 255,
+      layerKind: this.layerKind(doc, layer),
+      layerSection: {
+        _enum: "layerSectionType",
+        _value: layer.layers ? "layerSectionStart" : "layerSectionContent",
+      },
+      bounds: rectangle,
+      boundsNoEffects: rectangle,
+      // Clipped to the layer below, not "inside a group"
+      group: false,
+      layerLocking: { _obj: "layerLocking", protectAll: layer.locked },
+      hasUserMask: false,
+      hasVectorMask: false,
+      color: { _enum: "color", _value: "none" },
+      artboardEnabled: false,
+      background: this.layerKind(doc, layer) === 12,
+      parentLayerID: layer.parent?.id ?? -1,
+      itemIndex: doc.allLayers().reverse().indexOf(layer) + 1,
+      ...(layer.kind === "smartObject" && smartObjectDescriptors(`${layer.name}.psb`, null, bounds)),
+      ...layer.data,
+    };
+  }
+
+  /** Photoshop's numeric layerKind for a fake layer kind; unknown kinds are adjustments */
+  private layerKind(doc: FakeDocument, layer: FakeLayer): number {
+    if (layer === doc.layers.at(-1) && layer.name === "Background") return 12;
+    const kinds: Record<string, number> = {
+      pixel: 1,
+      text: 3,
+      shape: 4,
+      smartObject: 5,
+      video: 6,
+      group: 7,
+      // Fill layers made through batchPlay keep their descriptor class as kind
+      gradientLayer: 9,
+      patternLayer: 10,
+      solidColorLayer: 11,
+    };
+    return kinds[layer.kind] ?? 2;
+  }
+
+  private apply(descriptor: Descriptor): unknown {
+    const doc = this.activeDocument;
+    if (!doc) return errorDescriptor(`The command “${descriptor._obj}” is not currently available.`);
+
+    // `null` holds the target for some events and a file for others (placeEvent, ...)
+    const references = descriptor._target ?? (Array.isArray(descriptor.null) ? descriptor.null : undefined);
+    const target = (references as Array<Record<string, unknown>> | undefined) ?? [];
+    const ref = target.find((r) => "_ref" in r);
+
+    if (ref?._ref === "filterFX") return this.applyToSmartFilter(doc, descriptor, target);
+
+    switch (descriptor._obj) {
+      case "select": {
+        if (ref?._ref === "historyState" || ref?._ref === "snapshotClass") {
+          const state = this.resolveHistoryState(doc, ref);
+          if (!state) return errorDescriptor("The history state is not currently available");
+          doc.activeHistoryState = state;
+          return {};
+        }
+        if (ref?._ref === "channel") {
+          // Targeting a layer mask or the composite doesn't change the document
+          return {};
+        }
+        if (ref?._ref === "layer") {
+          const layer = this.resolveLayer(doc, ref);
+          if (!layer) return this.missingLayer(ref);
+          const add = (descriptor.selectionModifier as { _value?: string } | undefined)?._value;
+          doc.activeLayers = add === "addToSelection" ? [...doc.activeLayers, layer] : [layer];
+          return {};
+        }
+        break;
+      }
+
+      case "show":
+      case "hide": {
+        if (ref?._ref === "layerEffects") {
+          const layerRef = target.find((r) => r._ref === "layer");
+          const layer = layerRef && this.resolveLayer(doc, layerRef);
+          if (!layer) return this.missingLayer(layerRef);
+          if (!layer.data.layerEffects) return errorDescriptor("The layer has no effects");
+          layer.data.layerFXVisible = descriptor._obj === "show";
+          doc.recordHistory(descriptor._obj === "show" ? "Show Layer Effects" : "Hide Layer Effects");
+          return {};
+        }
+        const layer = ref && this.resolveLayer(doc, ref);
+        if (!layer) return this.missingLayer(ref);
+        layer.apply({ visible: descriptor._obj === "show" });
+        doc.recordHistory(descriptor._obj === "show" ? "Show Layer" : "Hide Layer");
+        return {};
+      }
+
+      case "set": {
+        if (ref?._ref === "channel" && ref._property === "selection") {
+          const to = descriptor.to as Record<string, unknown>;
+          if (to?._ref === "channel") {
+            const name = String(to._name);
+            if (!doc.channels.has(name)) return errorDescriptor("The object “channel” is not currently available.");
+            doc.selectionRect = doc.channels.get(name) ?? null;
+          } else if (Array.isArray(to?._ref)) {
+            // A layer's mask; masks aren't modelled, so it loads as the layer's bounds
+            const layerRef = (to._ref as Array<Record<string, unknown>>).find((r) => r._ref === "layer");
+            const layer = layerRef && this.resolveLayer(doc, layerRef);
+            if (!layer) return this.missingLayer(layerRef);
+            if (!layer.data.hasUserMask) return errorDescriptor("The object “channel” is not currently available.");
+            const { left, top, right, bottom } = layer.bounds;
+            doc.selectionRect = { left, top, right, bottom };
+          } else if (to?._obj === "rectangle" || to?._obj === "ellipse") {
+            doc.selectionRect = {
+              left: unitValue(to.left) ?? 0,
+              top: unitValue(to.top) ?? 0,
+              right: unitValue(to.right) ?? doc.width,
+              bottom: unitValue(to.bottom) ?? doc.height,
+            };
+          } else {
+            doc.selectionRect = (to as { _value?: string })?._value === "allEnum" ? doc.canvasRect() : null;
+          }
+          doc.recordHistory(doc.selectionRect ? "Select" : "Deselect");
+          return {};
+        }
+        if (ref?._ref === "adjustmentLayer" || ref?._ref === "contentLayer") {
+          const layer = this.resolveLayer(doc, ref);
+          if (!layer) return this.missingLayer(ref);
+          const [current] = (layer.data.adjustment ?? []) as Descriptor[];
+          const to = descriptor.to as Descriptor;
+          if (!current || current._obj !== to?._obj) {
+            return errorDescriptor("The command “Set” is not currently available.");
+          }
+          layer.data.adjustment = [structuredClone(to)];
+          doc.recordHistory(`Modify ${to._obj} Layer`);
+          return {};
+        }
+        if (ref?._ref === "layer" && target.some((r) => r._property === "layerEffects")) {
+          const layer = this.resolveLayer(doc, ref);
+          if (!layer) return this.missingLayer(ref);
+          layer.data.layerEffects = structuredClone(descriptor.to);
+          layer.data.layerFXVisible ??= true;
+          doc.recordHistory("Layer Style");
+          return {};
+        }
+        if (ref?._ref === "layer") {
+          const layer = this.resolveLayer(doc, ref);
+          if (!layer) return this.missingLayer(ref);
+          const to = (descriptor.to ?? {}) as Record<string, unknown>;
+          const opacity = unitValue(to.opacity);
+          const fillOpacity = unitValue(to.fillOpacity);
+          layer.apply({
+            ...(typeof to.name === "string" && { name: to.name }),
+            ...(opacity !== undefined && { opacity }),
+            ...(typeof to.visible === "boolean" && { visible: to.visible }),
+            ...(to.mode !== undefined && { blendMode: String((to.mode as { _value: unknown })._value) }),
+          });
+          // Kept in descriptor form, the way a get reports them
+          if (fillOpacity !== undefined) layer.data.fillOpacity = Math.round((fillOpacity / 100) * 255);
+          if (to.color !== undefined) layer.data.color = structuredClone(to.color);
+          doc.recordHistory(typeof to.name === "string" ? "Rename Layer" : "Layer Properties");
+          return {};
+        }
+        break;
+      }
+
+      case "make": {
+        if (ref?._ref === "snapshotClass") {
+          doc.recordHistory(String(descriptor.name ?? "Snapshot"), { snapshot: true });
+          return {};
+        }
+        if (ref?._ref === "layer" || ref?._ref === "adjustmentLayer" || ref?._ref === "contentLayer" || ref?._ref === "textLayer") {
+          const using = (descriptor.using ?? {}) as Record<string, unknown>;
+          const type = (using.type as { _obj?: string } | undefined)?._obj;
+          const kind =
+            ref._ref === "textLayer" ? "text" : ref._ref === "layer" ? "pixel" : (type ?? ref._ref);
+          const layer = doc.insertLayer(
+            doc.freshRecord(
+              doc.recordFromOptions({
+                name: typeof using.name === "string" ? using.name : "Layer",
+                kind,
+                // Photoshop reports an adjustment layer's settings as a one-item list,
+                // and masks adjustment and fill layers with the selection
+                data: using.type ? { adjustment: [structuredClone(using.type)], hasUserMask: true } : {},
+              }),
+            ),
+            doc.activeLayers[0],
+          );
+          doc.recordHistory(ref._ref === "layer" ? "New Layer" : `New ${kind} Layer`);
+          return { layerID: layer.id };
+        }
+        break;
+      }
+
+      case "delete": {
+        if (ref?._ref === "channel" && typeof ref._name === "string") {
+          if (!doc.channels.delete(ref._name)) return errorDescriptor("The object “channel” is not currently available.");
+          doc.recordHistory("Delete Channel");
+          return {};
+        }
+        if (ref?._ref === "historyState") {
+          if ((ref as { _value?: string })._value === "allExceptCurrent") {
+            doc.historyStates = doc.historyStates.filter((s) => s === doc.activeHistoryState);
+            return {};
+          }
+          break;
+        }
+        if (ref?._ref === "layer") {
+          const layer = this.resolveLayer(doc, ref);
+          if (!layer) return this.missingLayer(ref);
+          doc.removeLayer(layer);
+          doc.recordHistory("Delete Layer");
+          return {};
+        }
+        break;
+      }
+
+      case "applyLocking": {
+        const layer = ref && this.resolveLayer(doc, ref);
+        if (!layer) return this.missingLayer(ref);
+        const { _obj, ...locks } = (descriptor.layerLocking ?? {}) as Record<string, unknown>;
+        const layerLocking = { ...(layer.data.layerLocking as object), ...locks, _obj };
+        layer.data.layerLocking = layerLocking;
+        layer.locked = Boolean((layerLocking as { protectAll?: boolean }).protectAll);
+        doc.recordHistory("Lock Layer");
+        return {};
+      }
+
+      case "groupEvent":
+      case "ungroup": {
+        const layer = ref && this.resolveLayer(doc, ref);
+        if (!layer) return this.missingLayer(ref);
+        const siblings = doc.siblings(layer);
+        if (descriptor._obj === "groupEvent" && siblings.indexOf(layer) === siblings.length - 1) {
+          // Nothing below to clip to
+          return errorDescriptor("The command “Create Clipping Mask” is not currently available.");
+        }
+        layer.data.group = descriptor._obj === "groupEvent";
+        doc.recordHistory(descriptor._obj === "groupEvent" ? "Create Clipping Mask" : "Release Clipping Mask");
+        return {};
+      }
+
+      case "newPlacedLayer": {
+        const selected = doc.activeLayers;
+        // A selected group takes its selected children with it
+        const layers = doc
+          .allLayers()
+          .filter((layer) => selected.includes(layer))
+          .filter((layer) => !selected.some((other) => other !== layer && doc.contains(other, layer)));
+        if (layers.length === 0) return errorDescriptor("The command “Convert to Smart Object” is not currently available.");
+        const bounds = {
+          left: Math.min(...layers.map((layer) => layer.bounds.left)),
+          top: Math.min(...layers.map((layer) => layer.bounds.top)),
+          right: Math.max(...layers.map((layer) => layer.bounds.right)),
+          bottom: Math.max(...layers.map((layer) => layer.bounds.bottom)),
+        };
+        const [top] = layers;
+        const placed = doc.insertLayer(
+          doc.freshRecord(doc.recordFromOptions({ name: top.name, kind: "smartObject", bounds })),
+          top,
+        );
+        for (const layer of layers) doc.removeLayer(layer);
+        doc.activeLayers = [placed];
+        doc.recordHistory("Convert to Smart Object");
+        return {};
+      }
+
+      case "placeEvent": {
+        const file = (descriptor.null as { _path?: string } | undefined)?._path;
+        if (!file) return errorDescriptor("The command “Place” is not currently available.");
+        const linked = descriptor.linked === true;
+        const bounds = doc.canvasRect();
+        const layer = doc.insertLayer(
+          doc.freshRecord(
+            doc.recordFromOptions({
+              name: basename(file, extname(file)),
+              kind: "smartObject",
+              bounds,
+              data: smartObjectDescriptors(basename(file), linked ? file : null, bounds),
+            }),
+          ),
+          doc.activeLayers[0],
+        );
+        doc.recordHistory(linked ? "Place Linked" : "Place Embedded");
+        return { _obj: "placeEvent", ID: layer.id };
+      }
+
+      case "placedLayerReplaceContents":
+      case "placedLayerRelinkToFile":
+      case "placedLayerEditContents": {
+        const names: Record<string, string> = {
+          placedLayerReplaceContents: "Replace Contents",
+          placedLayerRelinkToFile: "Relink to File",
+          placedLayerEditContents: "Edit Contents",
+        };
+        const name = names[descriptor._obj];
+        const layer = doc.activeLayers[0];
+        const smartObject =
+          layer?.kind === "smartObject"
+            ? (this.layerDescriptor(doc, layer).smartObject as { linked: boolean; fileReference: string })
+            : null;
+        if (!smartObject || (descriptor._obj === "placedLayerRelinkToFile" && !smartObject.linked)) {
+          return errorDescriptor(`The command “${name}” is not currently available.`);
+        }
+        if (descriptor._obj === "placedLayerEditContents") {
+          const contents = this.addDocument({
+            name: smartObject.fileReference,
+            width: layer.bounds.width,
+            height: layer.bounds.height,
+            layers: [{ name: layer.name }],
+          });
+          contents.placedIn = { document: doc, layerId: layer.id };
+          return {};
+        }
+        const file = (descriptor.null as { _path?: string } | undefined)?._path;
+        if (!file) return errorDescriptor(`The command “${name}” is not currently available.`);
+        Object.assign(layer.data, smartObjectDescriptors(basename(file), smartObject.linked ? file : null, layer.bounds));
+        doc.recordHistory(name);
+        return {};
+      }
+
+      case "rasterizeLayer": {
+        const layer = ref && this.resolveLayer(doc, ref);
+        if (!layer) return this.missingLayer(ref);
+        layer.kind = "pixel";
+        delete layer.data.smartObject;
+        delete layer.data.smartObjectMore;
+        doc.recordHistory("Rasterize Layer");
+        return {};
+      }
+
+      case "disableLayerStyle": {
+        const layer = ref && this.resolveLayer(doc, ref);
+        if (!layer) return this.missingLayer(ref);
+        delete layer.data.layerEffects;
+        delete layer.data.layerFXVisible;
+        doc.recordHistory("Clear Layer Style");
+        return {};
+      }
+
+      case "ungroupLayersEvent": {
+        const group = ref && this.resolveLayer(doc, ref);
+        if (!group) return this.missingLayer(ref);
+        if (!group.layers) return errorDescriptor("The command “Ungroup Layers” is not currently available.");
+        doc.ungroup(group);
+        doc.recordHistory("Ungroup Layers");
+        return {};
+      }
+
+      case "duplicate": {
+        if (ref?._ref === "channel" && ref._property === "selection") {
+          doc.channels.set(String(descriptor.name ?? `Alpha ${doc.channels.size + 1}`), doc.selectionRect);
+          doc.recordHistory("Save Selection");
+          return {};
+        }
+        break;
+      }
+
+      case "colorRange": {
+        // Every tonal range is taken to be somewhere in the image
+        doc.selectionRect = doc.canvasRect();
+        doc.recordHistory("Color Range");
+        return {};
+      }
+
+      case "canvasSize":
+      case "imageSize": {
+        doc.width = unitValue(descriptor.width) ?? doc.width;
+        doc.height = unitValue(descriptor.height) ?? doc.height;
+        doc.recordHistory(descriptor._obj === "canvasSize" ? "Canvas Size" : "Image Size");
+        return {};
+      }
+    }
+
+    const active = doc.activeLayers[0];
+    if (FILTER_EVENTS.has(descriptor._obj) && active?.kind === "smartObject") {
+      const filter = structuredClone(descriptor);
+      delete filter._options;
+      this.smartFilters(doc, active).push({
+        _obj: "filterFX",
+        name: descriptor._obj,
+        enabled: true,
+        blendOptions: {
+          _obj: "blendOptions",
+          opacity: { _unit: "percentUnit", _value: 100 },
+          mode: { _enum: "blendMode", _value: "normal" },
+        },
+        filter,
+      });
+      doc.recordHistory(descriptor._obj);
+      return {};
+    }
+
+    // Anything else counts as a pixel edit on the document
+    doc.recordHistory(descriptor._obj);
+    return {};
+  }
+
+  /** A smart object's smart filters, kept in its smartObject descriptor in the order they were applied */
+  private smartFilters(doc: FakeDocument, layer: FakeLayer): Descriptor[] {
+    layer.data.smartObject ??= structuredClone(this.layerDescriptor(doc, layer).smartObject);
+    const smartObject = layer.data.smartObject as { filterFX?: Descriptor[] };
+    return (smartObject.filterFX ??= []);
+  }
+
+  /** show, hide, set, move or delete one smart filter, named by its 1-based filterFX index */
+  private applyToSmartFilter(doc: FakeDocument, descriptor: Descriptor, target: Array<Record<string, unknown>>): unknown {
+    const layerRef = target.find((r) => r._ref === "layer");
+    const layer = layerRef ? this.resolveLayer(doc, layerRef) : doc.activeLayers[0];
+    if (!layer) return this.missingLayer(layerRef);
+    const filters = layer.kind === "smartObject" ? this.smartFilters(doc, layer) : [];
+    const index = Number(target.find((r) => r._ref === "filterFX")?._index) - 1;
+    const filterFX = filters[index] as Record<string, unknown> | undefined;
+    if (!filterFX) return errorDescriptor(`The object “smart filter ${index + 1}” is not currently available.`);
+
+    switch (descriptor._obj) {
+      case "show":
+      case "hide":
+        filterFX.enabled = descriptor._obj === "show";
+        doc.recordHistory(descriptor._obj === "show" ? "Show Smart Filter" : "Hide Smart Filter");
+        return {};
+
+      case "set": {
+        const to = (descriptor.filterFX ?? {}) as Record<string, unknown>;
+        if (to.filter) filterFX.filter = structuredClone(to.filter);
+        if (to.blendOptions) {
+          filterFX.blendOptions = { ...(filterFX.blendOptions as object), ...structuredClone(to.blendOptions) };
+        }
+        doc.recordHistory(to.filter ? "Edit Smart Filter" : "Smart Filter Blending Options");
+        return {};
+      }
+
+      case "move": {
+        const to = Number((descriptor.to as { _index?: number } | undefined)?._index) - 1;
+        if (!(to >= 0 && to < filters.length)) return errorDescriptor("The command “Move” is not currently available.");
+        filters.splice(to, 0, ...filters.splice(index, 1));
+        doc.recordHistory("Move Smart Filter");
+        return {};
+      }
+
+      case "delete":
+        filters.splice(index, 1);
+        doc.recordHistory("Delete Smart Filter");
+        return {};
+    }
+
+    return errorDescriptor(`The command “${descriptor._obj}” is not currently available.`);
+  }
+
+  private missingLayer(ref: Record<string, unknown> | undefined): Descriptor {
+    return errorDescriptor(`The object “layer ${ref?._id ?? ref?._name ?? ""}” is not currently available.`);
+  }
+
+  private resolveLayer(doc: FakeDocument, ref: Record<string, unknown>): FakeLayer | null {
+    if (ref._id !== undefined) return doc.findLayer(Number(ref._id));
+    if (ref._name !== undefined) return doc.findLayerByName(String(ref._name));
+    if (ref._enum === "ordinal") return doc.activeLayers[0] ?? null;
+    if (ref._index !== undefined) return doc.allLayers().reverse()[Number(ref._index) - 1] ?? null;
+    return doc.activeLayers[0] ?? null;
+  }
+
+  private resolveHistoryState(doc: FakeDocument, ref: Record<string, unknown>): FakeHistoryState | null {
+    const states = doc.historyStates;
+    if (ref._id !== undefined) return states.find((s) => s.id === Number(ref._id)) ?? null;
+    if (ref._name !== undefined) return [...states].reverse().find((s) => s.name === ref._name) ?? null;
+    if (ref._index !== undefined) return states[Number(ref._index) - 1] ?? null;
+
+    const current = states.indexOf(doc.activeHistoryState!);
+    switch (ref._value) {
+      case "previous":
+        return states[current - 1] && !states[current - 1].snapshot ? states[current - 1] : null;
+      case "next":
+        return states[current + 1] ?? null;
+      default:
+        return doc.activeHistoryState;
+    }
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * MCP Server Harness
+ *
+ * Spawns the built server (`dist/index.js`) over stdio with the MCP SDK
+ * client, on its own bridge port and token, so end-to-end tests exercise the
+ * same path as a real MCP client: JSON-RPC over stdio, the tool registry,
+ * the bridge server and its WebSocket. Pair it with a SimulatedPlugin on
+ * `bridgeUrl` to play Photoshop's side.
+ *
+ * Run `npm run build` first; the harness does not compile anything.
+ */
+
+import { existsSync } from "fs";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import {
+  StdioClientTransport,
+  getDefaultEnvironment,
+} from "@modelcontextprotocol/sdk/client/stdio.js";
+import type { ProgressUpdate } from "../bridge/protocol.js";
+import type { ToolResponse } from "../tools/registry.js";
+
+export const SERVER_MAIN = fileURLToPath(new URL("../../dist/index.js", import.meta.url));
+
+export interface McpHarnessOptions {
+  /** Bridge port (default: a random high port) */
+  port?: number;
+  /** Bridge token (default: a fixed test token) */
+  token?: string;
+  /** Extra environment, e.g. PS_TOOL_TIMEOUTS */
+  env?: Record<string, string>;
+}
+
+export interface ToolCallResult {
+  /** The tool's response, parsed from the text content */
+  response: ToolResponse;
+  /** MCP-level error flag, set when the call threw */
+  isError: boolean;
+  /** Image content that followed the text */
+  images: Array<{ data: string; mimeType: string }>;
+}
+
+export interface McpHarness {
+  client: Client;
+  port: number;
+  token: string;
+  bridgeUrl: string;
+  /** Server log lines (JSONL on stderr) */
+  logs: string[];
+  callTool(
+    name: string,
+    args?: Record<string, unknown>,
+    options?: { onProgress?: (update: ProgressUpdate) => void },
+  ): Promise<ToolCallResult>;
+  close(): Promise<void>;
+}
+
+export const randomPort = () => 20000 + Math.floor(Math.random() * 20000);
+
+export async function startMcpServer(options: McpHarnessOptions = {}): Promise<McpHarness> {
+  if (!existsSync(SERVER_MAIN)) {
+    throw new Error(`${SERVER_MAIN} not found; run npm run build first`);
+  }
+
+  const port = options.port ?? randomPort();
+  const token = options.token ?? "e2e-token";
+  const logs: string[] = [];
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_MAIN],
+    env: {
+      ...getDefaultEnvironment(),
+      LOG_LEVEL: "info",
+      ...options.env,
+      PS_BRIDGE_PORT: String(port),
+      PS_BRIDGE_TOKEN: token,
+    },
+    stderr: "pipe",
+  });
+  transport.stderr?.on("data", (chunk: Buffer) => {
+    logs.push(...chunk.toString().split("\n").filter(Boolean));
+  });
+
+  const client = new Client({ name: "photoshop-mcp-e2e", version: "0.0.0" });
+  await client.connect(transport);
+
+  return {
+    client,
+    port,
+    token,
+    bridgeUrl: `ws://localhost:${port}`,
+    logs,
+    async callTool(name, args = {}, callOptions = {}) {
+      const { onProgress } = callOptions;
+      const result = await client.callTool(
+        { name, arguments: args },
+        undefined,
+        onProgress ? { onprogress: ({ progress, total, message }) => onProgress({ progress, total, message }) } : undefined,
+      );
+      const [content, ...rest] = result.content as Array<{ type: string; text: string; data: string; mimeType: string }>;
+      return {
+        response: JSON.parse(content.text) as ToolResponse,
+        isError: Boolean(result.isError),
+        images: rest.filter((item) => item.type === "image").map(({ data, mimeType }) => ({ data, mimeType })),
+      };
+    },
+    async close() {
+      await client.close();
+    },
+  };
+}
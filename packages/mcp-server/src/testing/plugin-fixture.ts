@@ -0,0 +1,55 @@
+/**
+ * Plugin Test Fixture
+ *
+ * The setup plugin tests share: a FakePhotoshop with some documents open and
+ * the plugin loaded against it, and bridges that run commands through the
+ * plugin's job queue so the tool and resource registries can be tested
+ * against the real plugin without a WebSocket in between.
+ */
+
+import type { PluginInfo } from "../bridge/protocol.js";
+import type { Policy } from "../policy/policy.js";
+import { createToolRegistry, type PhotoshopBridge, type ToolRegistry } from "../tools/registry.js";
+import { FakePhotoshop, type DocumentOptions } from "./fake-photoshop.js";
+import { loadPlugin, type PluginHarness } from "./uxp-harness.js";
+
+export interface PluginFixture {
+  photoshop: FakePhotoshop;
+  plugin: PluginHarness;
+}
+
+/** Open the documents in a fresh FakePhotoshop (the last one is active) and load the plugin */
+export function setUpPlugin(...documents: DocumentOptions[]): PluginFixture {
+  const photoshop = new FakePhotoshop();
+  for (const document of documents) photoshop.addDocument(document);
+  return { photoshop, plugin: loadPlugin({ photoshop }) };
+}
+
+export interface PluginBridgeOptions {
+  /** Connection state to report (default: always connected) */
+  isConnected?: () => boolean;
+  /** Handshake details to report (default: none, as from a plugin without the handshake) */
+  getPluginInfo?: () => PluginInfo | null;
+  /** Called with each command before the plugin runs it */
+  onSend?: (command: string, params?: Record<string, unknown>) => void;
+}
+
+/** A bridge that runs each command through the plugin's job queue */
+export function pluginBridge(plugin: PluginHarness, options: PluginBridgeOptions = {}): PhotoshopBridge {
+  return {
+    isConnected: options.isConnected ?? (() => true),
+    getPluginInfo: options.getPluginInfo,
+    send: async (command, params) => {
+      options.onSend?.(command, params);
+      return plugin.run(command, params);
+    },
+  };
+}
+
+/** The full tool registry over pluginBridge() */
+export function pluginRegistry(
+  plugin: PluginHarness,
+  { policy, ...options }: PluginBridgeOptions & { policy?: Policy } = {},
+): ToolRegistry {
+  return createToolRegistry(pluginBridge(plugin, options), policy);
+}
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "./fake-photoshop.js";
+import { setUpPlugin } from "./plugin-fixture.js";
+import type { PluginHarness } from "./uxp-harness.js";
+
+describe("UXP plugin against the fake Photoshop", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Poster.psd",
+      width: 1000,
+      height: 500,
+      layers: [
+        { name: "Title", kind: "text", bounds: { left: 10, top: 10, right: 200, bottom: 60 } },
+        { name: "Photos", layers: [{ name: "Beach" }, { name: "Sky", visible: false }] },
+        { name: "Background" },
+      ],
+    }));
+  });
+
+  const layerId = (name: string) => photoshop.activeDocument!.findLayerByName(name)!.id;
+
+  it("should register its command handlers", () => {
+    expect(Object.keys(plugin.commands)).toContain("layer.list");
+    expect(Object.keys(plugin.commands).length).toBeGreaterThan(100);
+  });
+
+  it("should report app and document info", async () => {
+    const info = await plugin.commands["app.get_info"]({});
+    const doc = await plugin.commands["doc.get_active"]({});
+
+    expect(info.data).toMatchObject({ version: "25.0.0", activeDocumentName: "Poster.psd", documentsCount: 1 });
+    expect(doc.data).toMatchObject({ name: "Poster.psd", width: 1000, height: 500, layerCount: 3 });
+  });
+
+  it("should list nested layers and skip hidden ones on request", async () => {
+    const all = await plugin.commands["layer.list"]({});
+    const visible = await plugin.commands["layer.list"]({ includeHidden: false });
+
+    expect(all.data.layers.map((l: { name: string }) => l.name)).toEqual([
+      "Title",
+      "Photos",
+      "Beach",
+      "Sky",
+      "Background",
+    ]);
+    expect(visible.data.layers.map((l: { name: string }) => l.name)).not.toContain("Sky");
+  });
+
+  it("should set opacity with a batchPlay descriptor inside a modal scope", async () => {
+    const id = layerId("Beach");
+
+    const result = await plugin.run("layer.set_opacity", { layerId: id, opacity: 40 });
+
+    expect(result.ok).toBe(true);
+    expect(photoshop.descriptors("set")).toEqual([
+      {
+        _obj: "set",
+        _target: [{ _ref: "layer", _id: id }],
+        to: { _obj: "layer", opacity: { _unit: "percentUnit", _value: 40 } },
+      },
+    ]);
+    expect(photoshop.batchPlayCalls[0].modal).toBe(true);
+    expect(photoshop.activeDocument!.findLayer(id)!.opacity).toBe(40);
+  });
+
+  it("should create, duplicate and delete layers through the DOM", async () => {
+    const created = await plugin.run("layer.create", { name: "Glow", opacity: 50 });
+    const duplicated = await plugin.run("layer.duplicate", { layerId: created.data.layerId, name: "Glow 2" });
+    const deleted = await plugin.run("layer.delete", { layerId: layerId("Title") });
+    const doc = photoshop.activeDocument!;
+
+    expect(created.data).toMatchObject({ name: "Glow", opacity: 50 });
+    expect(doc.findLayer(duplicated.data.layerId)!.name).toBe("Glow 2");
+    expect(deleted.data.deletedLayerName).toBe("Title");
+    expect(doc.findLayerByName("Title")).toBeNull();
+  });
+
+  it("should report layers that don't exist", async () => {
+    const result = await plugin.run("layer.delete", { layerId: 999 });
+
+    expect(result).toMatchObject({ ok: false, error: "Layer with ID 999 not found" });
+  });
+
+  it("should create snapshots and go back to them", async () => {
+    await plugin.run("history.snapshot_create", { name: "Before" });
+    await plugin.run("layer.set_visibility", { layerId: layerId("Title"), visible: false });
+
+    const states = await plugin.run("history.get_states");
+    expect(states.data.states.map((s: { name: string }) => s.name)).toEqual(["Before", "New", "Hide Layer"]);
+
+    await plugin.run("history.goto_state", { name: "Before" });
+    expect(photoshop.activeDocument!.findLayerByName("Title")!.visible).toBe(true);
+  });
+
+  it("should work on selections through the DOM", async () => {
+    await plugin.run("selection.select_rectangle", { top: 10, left: 20, bottom: 110, right: 220 });
+    await plugin.run("selection.expand", { pixels: 5 });
+
+    const bounds = await plugin.run("selection.get_bounds");
+    expect(bounds.data).toEqual({
+      hasSelection: true,
+      bounds: { top: 5, left: 15, bottom: 115, right: 225, width: 210, height: 110 },
+    });
+  });
+
+  it("should roll back a job cancelled from Photoshop's progress bar", async () => {
+    const doc = photoshop.activeDocument!;
+    const startState = doc.activeHistoryState;
+    photoshop.stub("canvasSize", (descriptor, ps) => {
+      ps.activeDocument!.width = 1200;
+      ps.activeDocument!.recordHistory("Canvas Size");
+      ps.cancelModal();
+      return {};
+    });
+
+    const result = await plugin.run("generate.generative_expand", { left: 100, right: 100 });
+
+    expect(result).toMatchObject({ ok: false, data: { cancelled: true, rolledBack: true } });
+    expect(doc.activeHistoryState!.id).toBe(startState!.id);
+    expect(doc.width).toBe(1000);
+    expect(photoshop.descriptors("syntheticFill")).toEqual([]);
+  });
+
+  it("should list queued and finished jobs", async () => {
+    await plugin.run("layer.list");
+
+    const jobs = await plugin.commands["job.list"]({});
+
+    expect(jobs.data.jobs).toEqual([
+      expect.objectContaining({ jobId: "test:req_1", command: "layer.list", status: "completed" }),
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginRegistry } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin adjustment layer options", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Portrait.psd",
+      layers: [
+        { name: "Skin", bounds: { left: 10, top: 10, right: 60, bottom: 60 }, data: { hasUserMask: true } },
+        { name: "Photo" },
+        { name: "Background" },
+      ],
+      channels: { Sky: { left: 0, top: 0, right: 800, bottom: 200 } },
+    }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+
+  const registry = () => pluginRegistry(plugin);
+
+  it("should mask, blend and clip the new layer as one history step", async () => {
+    const before = doc().historyStates.length;
+
+    const result = await registry().callTool("ps_adjust_curves", {
+      target: { name: "Photo" },
+      mask: { type: "channel", name: "Sky", invert: true },
+      blendMode: "luminosity",
+      opacity: 60,
+      clip: true,
+    });
+
+    expect(result.ok).toBe(true);
+    const layer = doc().findLayerByName("Curves")!;
+    expect(layer).toMatchObject({ blendMode: "luminosity", opacity: 60 });
+    expect(layer.data.group).toBe(true);
+    expect(result.data).toEqual({
+      layerId: layer.id,
+      name: "Curves",
+      mask: { type: "channel", inverted: true },
+      blendMode: "luminosity",
+      opacity: 60,
+      clipped: true,
+    });
+    expect(photoshop.descriptors("set")[0]).toMatchObject({ to: { _ref: "channel", _name: "Sky" } });
+    expect(photoshop.descriptors("invert")).toHaveLength(1);
+    expect(doc().historyStates.map((s) => s.name).slice(before)).toEqual(["Create Curves Layer"]);
+    expect(doc().selectionRect).toBeNull();
+  });
+
+  it("should put back the selection a mask source replaced", async () => {
+    doc().selectionRect = { left: 100, top: 100, right: 200, bottom: 200 };
+
+    const result = await registry().callTool("ps_adjust_levels", {
+      mask: { type: "layerMask", layer: { name: "Skin" } },
+    });
+
+    expect(result.ok).toBe(true);
+    expect(photoshop.descriptors("set")[0]).toMatchObject({
+      to: { _ref: [{ _ref: "channel", _value: "mask" }, { _ref: "layer", _id: doc().findLayerByName("Skin")!.id }] },
+    });
+    expect(doc().selectionRect).toEqual({ left: 100, top: 100, right: 200, bottom: 200 });
+    expect(doc().channels.has("Adjustment Selection")).toBe(false);
+  });
+
+  it("should mask to a luminosity range with Color Range", async () => {
+    await registry().callTool("ps_adjust_hue_saturation", {
+      saturation: -40,
+      mask: { type: "luminosity", range: "highlights", fuzziness: 30 },
+    });
+
+    expect(photoshop.descriptors("colorRange")).toEqual([
+      expect.objectContaining({
+        colors: { _enum: "colors", _value: "highlights" },
+        highlightsFuzziness: 30,
+        highlightsLowerLimit: 190,
+      }),
+    ]);
+    expect(doc().findLayerByName("Hue/Saturation")!.data.hasUserMask).toBe(true);
+  });
+
+  it("should need a selection for a selection mask and leave nothing behind on failure", async () => {
+    const states = doc().historyStates.length;
+
+    const noSelection = await registry().callTool("ps_adjust_exposure", { mask: { type: "selection" } });
+    expect(noSelection).toMatchObject({ ok: false, error: expect.stringContaining("needs an active selection") });
+
+    const missing = await registry().callTool("ps_adjust_exposure", { mask: { type: "channel", name: "Clouds" } });
+    expect(missing.ok).toBe(false);
+    expect(doc().findLayerByName("Exposure")).toBeNull();
+    expect(doc().historyStates).toHaveLength(states);
+  });
+
+  it("should keep creation options out of ps_adjust_update", async () => {
+    await registry().callTool("ps_adjust_vibrance", { vibrance: 20 });
+
+    const result = await registry().callTool("ps_adjust_update", {
+      target: { name: "Vibrance" },
+      settings: { vibrance: 30, opacity: 50 },
+    });
+
+    expect(result).toMatchObject({ ok: false, error: expect.stringContaining("opacity can only be given when creating") });
+    expect(photoshop.descriptors("set")).toHaveLength(0);
+  });
+});
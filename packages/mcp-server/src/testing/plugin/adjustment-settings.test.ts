@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginRegistry } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin adjustment layer settings", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({ name: "Grade.psd", layers: [{ name: "Photo" }, { name: "Background" }] }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+
+  const registry = () => pluginRegistry(plugin);
+
+  it("should read settings back in the create tool's schema", async () => {
+    await registry().callTool("ps_adjust_curves", {
+      name: "Contrast",
+      points: [
+        { input: 0, output: 0 },
+        { input: 128, output: 150 },
+        { input: 255, output: 255 },
+      ],
+      channel: "red",
+    });
+
+    const result = await registry().callTool("ps_adjust_get", { target: { name: "Contrast" } });
+
+    expect(result.data).toEqual({
+      layerId: doc().findLayerByName("Contrast")!.id,
+      layerName: "Contrast",
+      type: "curves",
+      command: "adjust.curves",
+      tool: "ps_adjust_curves",
+      settings: {
+        points: [
+          { input: 0, output: 0 },
+          { input: 128, output: 150 },
+          { input: 255, output: 255 },
+        ],
+        channel: "red",
+      },
+      curves: [
+        {
+          channel: "red",
+          points: [
+            { input: 0, output: 0 },
+            { input: 128, output: 150 },
+            { input: 255, output: 255 },
+          ],
+        },
+      ],
+    });
+  });
+
+  it("should change only the given channel's curve on a Curves layer with several", async () => {
+    const curve = (channel: string, points: number[][]) => ({
+      _obj: "curvesAdjustment",
+      channel: { _ref: "channel", _enum: "channel", _value: channel },
+      curve: points.map(([horizontal, vertical]) => ({ _obj: "paint", horizontal, vertical })),
+    });
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Grade.psd",
+      layers: [
+        {
+          name: "Tone",
+          kind: "curves",
+          data: {
+            adjustment: [
+              { _obj: "curves", adjustment: [curve("composite", [[0, 0], [128, 150], [255, 255]]), curve("red", [[0, 20], [255, 255]])] },
+            ],
+          },
+        },
+        { name: "Background" },
+      ],
+    }));
+    const points = (...pairs: number[][]) => pairs.map(([input, output]) => ({ input, output }));
+
+    const before = await registry().callTool("ps_adjust_get", { target: { name: "Tone" } });
+    expect(before.data).toMatchObject({
+      settings: { channel: "composite", points: points([0, 0], [128, 150], [255, 255]) },
+      curves: [
+        { channel: "composite", points: points([0, 0], [128, 150], [255, 255]) },
+        { channel: "red", points: points([0, 20], [255, 255]) },
+      ],
+    });
+
+    const composite = await registry().callTool("ps_adjust_update", {
+      target: { name: "Tone" },
+      settings: { points: points([0, 0], [255, 230]) },
+    });
+    const red = await registry().callTool("ps_adjust_update", {
+      target: { name: "Tone" },
+      settings: { channel: "red", points: points([0, 40], [255, 255]) },
+    });
+
+    expect(composite.ok).toBe(true);
+    expect(red.ok).toBe(true);
+    expect((red.data as { curves: unknown }).curves).toEqual([
+      { channel: "composite", points: points([0, 0], [255, 230]) },
+      { channel: "red", points: points([0, 40], [255, 255]) },
+    ]);
+  });
+
+  it("should update a layer in place, keeping the settings left out", async () => {
+    await registry().callTool("ps_adjust_hue_saturation", { hue: 20, saturation: 10, colorize: true });
+    const layers = doc().layers.length;
+
+    const result = await registry().callTool("ps_adjust_update", {
+      target: { name: "Hue/Saturation" },
+      settings: { saturation: -30 },
+    });
+
+    expect(result.ok).toBe(true);
+    expect(doc().layers).toHaveLength(layers);
+    expect(photoshop.descriptors("set").at(-1)).toMatchObject({
+      _target: [{ _ref: "adjustmentLayer", _id: doc().findLayerByName("Hue/Saturation")!.id }],
+      to: { _obj: "hueSaturation", colorize: true },
+    });
+    expect(result.data).toMatchObject({
+      settings: { hue: 20, saturation: -30, lightness: 0, colorize: true },
+    });
+    expect(result.artifacts!.layerIds).toEqual([doc().findLayerByName("Hue/Saturation")!.id]);
+  });
+
+  it("should round-trip color balance sliders", async () => {
+    await registry().callTool("ps_adjust_color_balance", { shadowsCyanRed: 10 });
+
+    const result = await registry().callTool("ps_adjust_update", {
+      target: { name: "Color Balance" },
+      settings: { midtonesYellowBlue: -5 },
+    });
+
+    expect(photoshop.descriptors("set").at(-1)!.to).toMatchObject({
+      shadowLevels: [10, 0, 0],
+      midtoneLevels: [0, 0, -5],
+    });
+    expect(result.data).toMatchObject({
+      settings: { shadowsCyanRed: 10, midtonesYellowBlue: -5, preserveLuminosity: true },
+    });
+  });
+
+  it("should update a solid color fill layer", async () => {
+    await registry().callTool("ps_fill_solid_color", { name: "Tint", color: { red: 255, green: 0, blue: 0 } });
+
+    const result = await registry().callTool("ps_adjust_update", {
+      target: { name: "Tint" },
+      settings: { color: { red: 0, green: 0, blue: 255 } },
+    });
+
+    expect(result.ok).toBe(true);
+    expect(photoshop.descriptors("set").at(-1)!._target).toEqual([
+      { _ref: "contentLayer", _id: doc().findLayerByName("Tint")!.id },
+    ]);
+    expect(result.data).toMatchObject({ command: "fill.solid_color", settings: { color: { red: 0, green: 0, blue: 255 } } });
+  });
+
+  it("should refuse layers without adjustments and out-of-range settings", async () => {
+    const pixel = await registry().callTool("ps_adjust_get", { target: { name: "Photo" } });
+    expect(pixel).toMatchObject({ ok: false, error: expect.stringContaining('"Photo" is not an adjustment or fill layer') });
+
+    await registry().callTool("ps_adjust_levels", {});
+    const invalid = await registry().callTool("ps_adjust_update", {
+      target: { name: "Levels" },
+      settings: { gamma: 50 },
+    });
+    expect(invalid).toMatchObject({ ok: false, error: expect.stringContaining("gamma") });
+    expect(photoshop.descriptors("set")).toHaveLength(0);
+  });
+
+  it("should refuse keys that aren't the layer's settings", async () => {
+    await registry().callTool("ps_adjust_hue_saturation", { hue: 20 });
+
+    const result = await registry().callTool("ps_adjust_update", {
+      target: { name: "Hue/Saturation" },
+      settings: { satruation: -30, name: "Warm" },
+    });
+
+    expect(result).toMatchObject({
+      ok: false,
+      error:
+        "satruation, name are not settings of ps_adjust_hue_saturation; a hueSaturation layer takes hue, saturation, lightness, colorize",
+    });
+    expect(photoshop.descriptors("set")).toHaveLength(0);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin } from "../plugin-fixture.js";
+import type { PluginHarness, PluginResponse } from "../uxp-harness.js";
+
+describe("UXP plugin job queue", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin(
+      { name: "Poster.psd", layers: [{ name: "Background" }] },
+      { name: "Flyer.psd", layers: [{ name: "Background" }] },
+    ));
+  });
+
+  const document = (name: string) => photoshop.documents.find((doc) => doc.name === name)!;
+  const layerNames = (name: string) => document(name).layers.map((layer) => layer.name);
+
+  // Queue every command before any of them runs; the first one holds the
+  // queue while the others wait
+  const runAll = (calls: Array<[string, Record<string, unknown>]>) => {
+    const finished: string[] = [];
+    const results = calls.map(([command, params], index) =>
+      plugin.run(command, params).then((result: PluginResponse) => {
+        finished.push(`${index + 1}:${command}`);
+        return result;
+      })
+    );
+    return Promise.all(results).then((responses) => ({ responses, finished }));
+  };
+
+  it("should take turns between documents and keep each document's jobs in order", async () => {
+    const poster = document("Poster.psd").id;
+    const flyer = document("Flyer.psd").id;
+
+    const { finished } = await runAll([
+      ["layer.tree", { documentId: poster }],
+      ["history.get_states", { documentId: poster }],
+      ["layer.tree", { documentId: poster }],
+      ["layer.tree", { documentId: flyer }],
+    ]);
+
+    expect(finished).toEqual(["1:layer.tree", "2:history.get_states", "4:layer.tree", "3:layer.tree"]);
+  });
+
+  it("should drop a queued job that is cancelled before it starts", async () => {
+    const running = plugin.run("layer.tree");
+    const queued = plugin.run("layer.create", { name: "Never" });
+
+    const cancel = await plugin.commands["job.cancel"]({ jobId: "test:req_2" });
+
+    expect(cancel).toMatchObject({ ok: true, data: { jobId: "test:req_2", status: "cancelled" } });
+    expect(await queued).toMatchObject({ ok: false, data: { jobId: "test:req_2", cancelled: true } });
+    expect((await running).ok).toBe(true);
+    expect(layerNames("Flyer.psd")).toEqual(["Background"]);
+  });
+
+  it("should stop a running job at its next checkpoint and roll its changes back", async () => {
+    const doc = photoshop.activeDocument!;
+    const { width } = doc;
+    const startState = doc.activeHistoryState;
+    let cancel: PluginResponse | undefined;
+    photoshop.stub("canvasSize", (_descriptor, ps) => {
+      ps.activeDocument!.width = 1200;
+      ps.activeDocument!.recordHistory("Canvas Size");
+      // Arrives while Photoshop is busy with the canvas resize
+      void plugin.commands["job.cancel"]({ jobId: "test:req_1" }).then((response) => (cancel = response));
+      return {};
+    });
+
+    const result = await plugin.run("generate.generative_expand", { left: 100, right: 100 });
+
+    expect(cancel).toMatchObject({ ok: true, data: { status: "running", cancelRequested: true } });
+    expect(cancel!.warnings![0]).toContain("Job is running");
+    expect(result).toMatchObject({ ok: false, data: { jobId: "test:req_1", cancelled: true, rolledBack: true } });
+    expect(photoshop.descriptors("syntheticFill")).toEqual([]);
+    expect(doc.activeHistoryState!.id).toBe(startState!.id);
+    expect(doc.width).toBe(width);
+  });
+
+  it("should refuse to cancel a job that already finished", async () => {
+    await plugin.run("layer.tree");
+
+    const cancel = await plugin.commands["job.cancel"]({ jobId: "test:req_1" });
+
+    expect(cancel).toMatchObject({ ok: false, error: "Job test:req_1 already completed" });
+  });
+
+  it("should run jobs queued before a document switch first, and jobs queued after it in the new document", async () => {
+    const { responses, finished } = await runAll([
+      ["layer.tree", { documentId: document("Poster.psd").id }],
+      ["layer.create", { name: "One" }],
+      ["layer.create", { name: "Two" }],
+      ["doc.open", { path: "/work/Banner.psd" }],
+      ["layer.create", { name: "Three" }],
+    ]);
+
+    expect(responses.every((response) => response.ok)).toBe(true);
+    expect(finished).toEqual(["1:layer.tree", "2:layer.create", "3:layer.create", "4:doc.open", "5:layer.create"]);
+    expect(layerNames("Flyer.psd")).toEqual(["Two", "One", "Background"]);
+    expect(layerNames("Banner.psd")).toEqual(["Three", "Background"]);
+
+    const jobs = (await plugin.commands["job.list"]({})).data.jobs;
+    expect(jobs.at(-1)).toMatchObject({ command: "layer.create", documentId: document("Banner.psd").id });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin layer arrangement", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      layers: [
+        { name: "Title", kind: "text", bounds: { left: 0, top: 0, right: 100, bottom: 50 } },
+        { name: "Photos", layers: [{ name: "Beach" }, { name: "Sky", visible: false }] },
+        { name: "Card", bounds: { left: 50, top: 50, right: 300, bottom: 200 } },
+        { name: "Background" },
+      ],
+    }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+  const id = (name: string) => doc().findLayerByName(name)!.id;
+  type Node = { name: string; layers: Node[] | null };
+  const stack = (layers: Node[] = doc().layers): unknown[] =>
+    layers.map((layer) => (layer.layers ? { [layer.name]: stack(layer.layers) } : layer.name));
+
+  it("should move layers above and below others, across groups", async () => {
+    const below = await plugin.run("layer.move", {
+      layerId: id("Title"),
+      placement: "below",
+      relativeTo: { name: "Beach" },
+    });
+    await plugin.run("layer.move", { target: { name: "Card" }, placement: "above", relativeTo: { name: "Photos" } });
+
+    expect(below).toMatchObject({ ok: true, artifacts: { layerIds: [id("Title")] } });
+    expect(below.data.parentId).toBe(id("Photos"));
+    expect(stack()).toEqual(["Card", { Photos: ["Beach", "Title", "Sky"] }, "Background"]);
+  });
+
+  it("should move layers to the top and bottom of their group, above the background", async () => {
+    await plugin.run("layer.move", { target: { name: "Card" }, placement: "top" });
+    await plugin.run("layer.move", { target: { name: "Title" }, placement: "bottom" });
+    await plugin.run("layer.move", { target: { name: "Beach" }, placement: "bottom" });
+
+    expect(stack()).toEqual(["Card", { Photos: ["Sky", "Beach"] }, "Title", "Background"]);
+  });
+
+  it("should move layers into a group at an index and back out", async () => {
+    await plugin.run("layer.move", { target: { name: "Card" }, placement: "into", relativeTo: { name: "Photos" }, index: 1 });
+    await plugin.run("layer.move", { target: { name: "Title" }, placement: "into", relativeTo: { name: "Photos" }, index: 9 });
+    await plugin.run("layer.move", { target: { name: "Beach" }, placement: "out" });
+
+    expect(stack()).toEqual(["Beach", { Photos: ["Card", "Sky", "Title"] }, "Background"]);
+  });
+
+  it("should refuse moves it can't make", async () => {
+    const notGroup = await plugin.run("layer.move", { target: { name: "Card" }, placement: "into", relativeTo: { name: "Title" } });
+    const noRelative = await plugin.run("layer.move", { target: { name: "Card" }, placement: "above" });
+    const notInGroup = await plugin.run("layer.move", { target: { name: "Card" }, placement: "out" });
+
+    expect(notGroup.error).toBe('Layer "Title" is not a group');
+    expect(noRelative.error).toBe("relativeTo is required to move a layer above");
+    expect(notInGroup.error).toBe('Layer "Card" is not in a group');
+  });
+
+  it("should group layers where the topmost was and ungroup them again", async () => {
+    const grouped = await plugin.run("layer.group", { layerIds: [id("Card"), id("Title")], name: "Header" });
+
+    expect(stack()).toEqual([{ Header: ["Title", "Card"] }, { Photos: ["Beach", "Sky"] }, "Background"]);
+    expect(grouped.artifacts?.layerIds).toEqual([grouped.data.groupId, id("Card"), id("Title")]);
+
+    const ungrouped = await plugin.run("layer.ungroup", { target: { name: "Photos" } });
+
+    expect(stack()).toEqual([{ Header: ["Title", "Card"] }, "Beach", "Sky", "Background"]);
+    expect(ungrouped.artifacts?.layerIds).toEqual([id("Beach"), id("Sky")]);
+    expect(photoshop.descriptors("ungroupLayersEvent")).toHaveLength(1);
+  });
+
+  it("should merge down and merge visible layers", async () => {
+    const down = await plugin.run("layer.merge_down", { target: { name: "Card" } });
+
+    expect(down).toMatchObject({ ok: true, data: { name: "Background" }, artifacts: { layerIds: [id("Background")] } });
+    expect(doc().findLayerByName("Card")).toBeNull();
+
+    const visible = await plugin.run("layer.merge_visible");
+
+    expect(visible.artifacts?.layerIds).toEqual([id("Background")]);
+    expect(stack()).toEqual([{ Photos: ["Sky"] }, "Background"]);
+  });
+
+  it("should link and unlink layers", async () => {
+    const linked = await plugin.run("layer.link", { layerIds: [id("Title"), id("Card"), id("Beach")] });
+
+    expect(linked.artifacts!.layerIds!.sort()).toEqual([id("Title"), id("Card"), id("Beach")].sort());
+    expect(doc().findLayerByName("Card")!.linkedLayers.map((l) => l.name)).toEqual(["Title", "Beach"]);
+
+    await plugin.run("layer.unlink", { target: { name: "Card" } });
+
+    expect(doc().findLayerByName("Title")!.linkedLayers.map((l) => l.name)).toEqual(["Beach"]);
+  });
+});
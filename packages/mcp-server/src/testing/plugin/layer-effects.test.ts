@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin layer effects", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({ layers: [{ name: "Title" }, { name: "Card" }, { name: "Background" }] }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+  const effects = async (name: string) =>
+    (await plugin.run("effects.get", { target: { name } })).data;
+
+  it("should add an effect with the Layer Style defaults under the given settings", async () => {
+    const result = await plugin.run("effects.set", {
+      target: { name: "Title" },
+      effect: { type: "dropShadow", distance: 12, color: { red: 20, green: 30, blue: 40 } },
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.data.added).toBe(true);
+    expect(result.artifacts!.layerIds).toEqual([doc().findLayerByName("Title")!.id]);
+    expect(photoshop.descriptors("set")[0].to).toMatchObject({
+      _obj: "layerEffects",
+      dropShadow: {
+        _obj: "dropShadow",
+        enabled: true,
+        distance: { _unit: "pixelsUnit", _value: 12 },
+        blur: { _unit: "pixelsUnit", _value: 5 },
+        color: { _obj: "RGBColor", red: 20, grain: 30, blue: 40 },
+        mode: { _enum: "blendMode", _value: "multiply" },
+      },
+    });
+
+    const { visible, effects: list } = await effects("Title");
+    expect(visible).toBe(true);
+    expect(list).toEqual([
+      {
+        type: "dropShadow",
+        enabled: true,
+        blendMode: "multiply",
+        color: { red: 20, green: 30, blue: 40 },
+        opacity: 75,
+        angle: 120,
+        useGlobalAngle: false,
+        distance: 12,
+        spread: 0,
+        size: 5,
+        noise: 0,
+        knockout: true,
+      },
+    ]);
+  });
+
+  it("should update an effect the layer has and keep the others", async () => {
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "stroke", size: 4 } });
+    await plugin.run("effects.set", {
+      target: { name: "Title" },
+      effect: { type: "colorOverlay", color: { red: 0, green: 0, blue: 255 } },
+    });
+    const result = await plugin.run("effects.set", {
+      target: { name: "Title" },
+      effect: { type: "stroke", position: "inside", blendMode: "subtract" },
+    });
+
+    expect(result.data.added).toBe(false);
+    const { effects: list } = await effects("Title");
+    expect(list.map((effect: { type: string }) => effect.type)).toEqual(["colorOverlay", "stroke"]);
+    expect(list[1]).toMatchObject({ size: 4, position: "inside", blendMode: "subtract" });
+    expect(doc().findLayerByName("Title")!.data.layerEffects).toMatchObject({
+      frameFX: { style: { _value: "insetFrame" }, mode: { _value: "blendSubtraction" } },
+    });
+  });
+
+  it("should update the first of several instances and keep the rest", async () => {
+    const second = { _obj: "dropShadow", enabled: true, distance: { _unit: "pixelsUnit", _value: 40 } };
+    doc().findLayerByName("Title")!.data.layerEffects = {
+      _obj: "layerEffects",
+      dropShadow: { _obj: "dropShadow", enabled: true, distance: { _unit: "pixelsUnit", _value: 2 } },
+      dropShadowMulti: [
+        { _obj: "dropShadow", enabled: true, distance: { _unit: "pixelsUnit", _value: 2 } },
+        second,
+      ],
+    };
+
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "dropShadow", distance: 8 } });
+
+    const { effects: list } = await effects("Title");
+    expect(list.map((effect: { distance: number }) => effect.distance)).toEqual([8, 40]);
+  });
+
+  it("should map gradient stops between 0-100 and descriptor locations", async () => {
+    await plugin.run("effects.set", {
+      target: { name: "Card" },
+      effect: {
+        type: "gradientOverlay",
+        style: "radial",
+        colors: [
+          { color: { red: 255, green: 0, blue: 0 }, location: 0 },
+          { color: { red: 0, green: 0, blue: 255 }, location: 50 },
+        ],
+      },
+    });
+
+    const fx = doc().findLayerByName("Card")!.data.layerEffects as Record<string, any>;
+    expect(fx.gradientFill.gradient.colors.map((stop: { location: number }) => stop.location)).toEqual([0, 2048]);
+    expect(fx.gradientFill.type).toEqual({ _enum: "gradientType", _value: "radial" });
+    const [overlay] = (await effects("Card")).effects;
+    expect(overlay.colors[1]).toEqual({ color: { red: 0, green: 0, blue: 255 }, location: 50 });
+  });
+
+  it("should require a pattern to add a pattern overlay", async () => {
+    const result = await plugin.run("effects.set", {
+      target: { name: "Card" },
+      effect: { type: "patternOverlay", scale: 50 },
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain("pattern is required");
+    expect(photoshop.descriptors("set")).toHaveLength(0);
+  });
+
+  it("should turn one effect or all of them off", async () => {
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "outerGlow" } });
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "bevelEmboss", depth: 200 } });
+
+    await plugin.run("effects.enable", { target: { name: "Title" }, type: "outerGlow", enabled: false });
+    let data = await effects("Title");
+    expect(data.effects.map((effect: { enabled: boolean }) => effect.enabled)).toEqual([false, true]);
+
+    const result = await plugin.run("effects.enable", { target: { name: "Title" }, enabled: false });
+    expect(result.ok).toBe(true);
+    expect(photoshop.descriptors("hide")[0].null).toEqual([
+      { _ref: "layerEffects" },
+      { _ref: "layer", _id: doc().findLayerByName("Title")!.id },
+    ]);
+    data = await effects("Title");
+    expect(data.visible).toBe(false);
+  });
+
+  it("should refuse to toggle an effect the layer doesn't have", async () => {
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "satin" } });
+
+    const result = await plugin.run("effects.enable", { target: { name: "Title" }, type: "stroke", enabled: true });
+
+    expect(result).toMatchObject({ ok: false, error: 'Layer "Title" has no stroke effect' });
+  });
+
+  it("should remove one effect, and clear the layer style with the last", async () => {
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "innerShadow" } });
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "innerGlow", source: "center" } });
+
+    await plugin.run("effects.clear", { target: { name: "Title" }, type: "innerShadow" });
+    expect((await effects("Title")).effects.map((effect: { type: string }) => effect.type)).toEqual(["innerGlow"]);
+
+    await plugin.run("effects.clear", { target: { name: "Title" }, type: "innerGlow" });
+    expect(photoshop.descriptors("disableLayerStyle")).toHaveLength(1);
+    expect((await effects("Title")).effects).toEqual([]);
+
+    const again = await plugin.run("effects.clear", { target: { name: "Title" } });
+    expect(again).toMatchObject({ ok: true, changed: false });
+  });
+
+  it("should paste one layer's effects onto others as one history step", async () => {
+    await plugin.run("effects.set", { target: { name: "Title" }, effect: { type: "stroke", size: 6 } });
+    const before = doc().historyStates.length;
+
+    const result = await plugin.run("effects.copy", {
+      target: { name: "Title" },
+      to: [{ name: "Card" }, { name: "Background" }, { name: "Title" }],
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.artifacts!.layerIds).toEqual([
+      doc().findLayerByName("Card")!.id,
+      doc().findLayerByName("Background")!.id,
+    ]);
+    expect(doc().historyStates.map((s) => s.name).slice(before)).toEqual(["Paste Layer Style"]);
+    expect((await effects("Background")).effects).toMatchObject([{ type: "stroke", size: 6 }]);
+  });
+
+  it("should refuse to copy from a layer without effects", async () => {
+    const result = await plugin.run("effects.copy", { target: { name: "Card" }, to: [{ name: "Title" }] });
+
+    expect(result).toMatchObject({ ok: false, error: 'Layer "Card" has no effects to copy' });
+  });
+});
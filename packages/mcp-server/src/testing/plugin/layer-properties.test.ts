@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin layer properties", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({ layers: [{ name: "Shadow" }, { name: "Card" }, { name: "Background" }] }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+  const tree = async () => (await plugin.run("layer.tree")).data.layers;
+
+  it("should apply every property in one modal scope and one history step", async () => {
+    const before = doc().historyStates.length;
+
+    const result = await plugin.run("layer.set_properties", {
+      target: { name: "Shadow" },
+      blendMode: "multiply",
+      fillOpacity: 40,
+      clipped: true,
+      locks: { position: true, transparency: true },
+      color: "yellow",
+    });
+
+    expect(result.ok).toBe(true);
+    expect(photoshop.modalCommands).toEqual(["Set Layer Properties"]);
+    expect(doc().historyStates.map((s) => s.name).slice(before)).toEqual(["Layer Properties"]);
+    expect(photoshop.descriptors().map((d) => d._obj)).toEqual(["set", "applyLocking", "groupEvent"]);
+    expect(photoshop.descriptors("set")[0].to).toMatchObject({
+      mode: { _enum: "blendMode", _value: "multiply" },
+      fillOpacity: { _unit: "percentUnit", _value: 40 },
+      color: { _enum: "color", _value: "yellowColor" },
+    });
+
+    const [shadow] = await tree();
+    expect(shadow).toMatchObject({
+      blendMode: "multiply",
+      fillOpacity: 40,
+      clipped: true,
+      locks: ["transparency", "position"],
+      color: "yellow",
+    });
+  });
+
+  it("should use batchPlay's names for subtract and divide", async () => {
+    await plugin.run("layer.set_properties", { target: { name: "Card" }, blendMode: "subtract" });
+
+    expect(photoshop.descriptors("set")[0].to).toMatchObject({ mode: { _value: "blendSubtraction" } });
+  });
+
+  it("should release a clipping mask", async () => {
+    await plugin.run("layer.set_properties", { target: { name: "Shadow" }, clipped: true });
+    await plugin.run("layer.set_properties", { target: { name: "Shadow" }, clipped: false });
+
+    expect((await tree())[0].clipped).toBe(false);
+  });
+
+  it("should leave no history step when any part fails", async () => {
+    const before = doc().historyStates.length;
+
+    const result = await plugin.run("layer.set_properties", {
+      target: { name: "Background" },
+      blendMode: "screen",
+      clipped: true,
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain("Create Clipping Mask");
+    expect(doc().historyStates).toHaveLength(before);
+    expect(doc().findLayerByName("Background")!.blendMode).toBe("normal");
+  });
+
+  it("should refuse a call with nothing to set", async () => {
+    const result = await plugin.run("layer.set_properties", { target: { name: "Card" } });
+
+    expect(result).toMatchObject({ ok: false, error: "No properties to set" });
+  });
+});
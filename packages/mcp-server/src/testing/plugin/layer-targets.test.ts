@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin layer targets", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      layers: [
+        {
+          name: "Header",
+          layers: [
+            {
+              name: "Logo",
+              layers: [{ name: "Text", kind: "text", bounds: { left: 20, top: 10, right: 120, bottom: 40 } }],
+            },
+            { name: "Text", kind: "text" },
+          ],
+        },
+        { name: "Before/After" },
+        { name: "Background" },
+      ],
+    }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+  const logoText = () => doc().findLayer(doc().findLayerByName("Logo")!.layers![0].id)!;
+
+  it("should find layers inside groups by ID", async () => {
+    const result = await plugin.run("layer.get_bounds", { layerId: logoText().id });
+
+    expect(result).toMatchObject({
+      ok: true,
+      data: { layerName: "Text", bounds: { left: 20, top: 10, width: 100, height: 30 } },
+    });
+  });
+
+  it("should resolve a slash path and hand the handler its layerId", async () => {
+    const result = await plugin.run("layer.rename", { target: { path: "Header/Logo/Text" }, name: "Tagline" });
+
+    expect(result).toMatchObject({ ok: true, data: { layerId: logoText().id, name: "Tagline" } });
+    expect(doc().findLayerByName("Logo")!.layers![0].name).toBe("Tagline");
+  });
+
+  it("should match an escaped slash in a layer name", async () => {
+    const result = await plugin.run("layer.set_visibility", { target: { path: "Before\\/After" }, visible: false });
+
+    expect(result.ok).toBe(true);
+    expect(doc().findLayerByName("Before/After")!.visible).toBe(false);
+  });
+
+  it("should list the candidates when a name is ambiguous", async () => {
+    const result = await plugin.run("layer.delete", { target: { name: "Text" } });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain('2 layers named "Text": [0] Header/Logo/Text');
+    expect(result.error).toContain("[1] Header/Text");
+    expect(doc().allLayers()).toHaveLength(6);
+  });
+
+  it("should pick between layers that share a name by index", async () => {
+    const result = await plugin.run("layer.delete", { target: { name: "Text", index: 1 } });
+
+    expect(result).toMatchObject({ ok: true, data: { deletedLayerName: "Text" } });
+    expect(doc().findLayerByName("Header")!.layers!.map((l) => l.name)).toEqual(["Logo"]);
+  });
+
+  it("should report targets that match nothing", async () => {
+    const byPath = await plugin.run("layer.select", { target: { path: "Header/Missing" } });
+    const byId = await plugin.run("layer.select", { target: { layerId: 999 } });
+
+    expect(byPath).toMatchObject({ ok: false, error: 'No layer at path "Header/Missing"' });
+    expect(byId).toMatchObject({ ok: false, error: "Layer with ID 999 not found" });
+  });
+
+  it("should select the target before commands that work on the active layer", async () => {
+    const id = logoText().id;
+
+    const result = await plugin.run("adjust.invert", { target: { path: "Header/Logo/Text" } });
+
+    expect(result.ok).toBe(true);
+    expect(photoshop.descriptors("select")[0]._target).toEqual([{ _ref: "layer", _id: id }]);
+    // The adjustment lands above its target, inside the same group
+    expect(doc().findLayerByName("Logo")!.layers!.map((l) => l.name)).toEqual(["Invert", "Text"]);
+  });
+
+  it("should resolve the target in the document the request names", async () => {
+    const first = doc();
+    photoshop.addDocument({ name: "Other.psd", layers: [{ name: "Badge" }] });
+
+    const result = await plugin.run("preview.render", {
+      documentId: first.id,
+      source: "layer",
+      target: { name: "Before/After" },
+    });
+    const missing = await plugin.run("preview.render", { documentId: 999, source: "layer", target: { name: "Badge" } });
+
+    expect(result.ok).toBe(true);
+    expect(result.data.layerId).toBe(first.findLayerByName("Before/After")!.id);
+    expect(missing).toMatchObject({ ok: false, error: "Document 999 is not open" });
+  });
+});
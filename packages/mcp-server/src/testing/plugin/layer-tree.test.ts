@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin layer tree", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      layers: [
+        {
+          name: "Header",
+          layers: [
+            {
+              name: "Shadow",
+              opacity: 60,
+              blendMode: "multiply",
+              data: {
+                group: true,
+                hasUserMask: true,
+                userMaskEnabled: false,
+                fillOpacity: 128,
+                layerEffects: {
+                  _obj: "layerFXVisible",
+                  scale: { _unit: "percentUnit", _value: 100 },
+                  dropShadow: { _obj: "dropShadow", enabled: true },
+                  innerGlow: { _obj: "innerGlow", enabled: false },
+                  frameFXMulti: [{ _obj: "frameFX", enabled: true }],
+                },
+                color: { _enum: "color", _value: "red" },
+              },
+            },
+            { name: "Logo", kind: "smartObject", locked: true, bounds: { left: 10, top: 20, right: 110, bottom: 70 } },
+            { name: "Details", layers: [{ name: "Tagline", kind: "text", visible: false }] },
+          ],
+        },
+        { name: "Board", layers: [], data: { artboardEnabled: true } },
+        { name: "Background" },
+      ],
+    }));
+  });
+
+  type TreeNode = { name: string; children?: TreeNode[] } & Record<string, unknown>;
+  const names = (nodes: TreeNode[]): unknown[] =>
+    nodes.map((node) => (node.children ? { [node.name]: names(node.children) } : node.name));
+
+  it("should read every layer with one multiGet and nest them in panel order", async () => {
+    const result = await plugin.run("layer.tree");
+
+    expect(photoshop.descriptors().map((d) => d._obj)).toEqual(["multiGet"]);
+    expect(result.data.layerCount).toBe(7);
+    expect(names(result.data.layers)).toEqual([
+      { Header: ["Shadow", "Logo", { Details: ["Tagline"] }] },
+      { Board: [] },
+      "Background",
+    ]);
+  });
+
+  it("should report kinds and layer properties", async () => {
+    const result = await plugin.run("layer.tree");
+    const [header, board, background] = result.data.layers;
+    const [shadow, logo, details] = header.children;
+
+    expect(shadow).toMatchObject({
+      kind: "pixel",
+      opacity: 60,
+      fillOpacity: 50,
+      blendMode: "multiply",
+      clipped: true,
+      mask: { user: true, userEnabled: false, vector: false },
+      effects: ["dropShadow", "frameFX"],
+      color: "red",
+    });
+    expect(logo).toMatchObject({
+      kind: "smartObject",
+      locks: ["all"],
+      bounds: { left: 10, top: 20, right: 110, bottom: 70, width: 100, height: 50 },
+    });
+    expect(details.children[0]).toMatchObject({ kind: "text", visible: false });
+    expect(board.kind).toBe("artboard");
+    expect(background).toMatchObject({ kind: "pixel", background: true });
+  });
+
+  it("should keep the groups that lead to filtered matches", async () => {
+    const text = await plugin.run("layer.tree", { kind: ["text"] });
+    const hidden = await plugin.run("layer.tree", { visible: false });
+    const byName = await plugin.run("layer.tree", { name: "^(logo|board)$" });
+
+    expect(names(text.data.layers)).toEqual([{ Header: [{ Details: ["Tagline"] }] }]);
+    expect(text.data.layers[0]).toMatchObject({ matched: false, childCount: 3 });
+    expect(names(hidden.data.layers)).toEqual(names(text.data.layers));
+    expect(names(byName.data.layers)).toEqual([{ Header: ["Logo"] }, { Board: [] }]);
+  });
+
+  it("should stop at the depth limit", async () => {
+    const result = await plugin.run("layer.tree", { maxDepth: 0 });
+
+    expect(names(result.data.layers)).toEqual([{ Header: [] }, { Board: [] }, "Background"]);
+    expect(result.data.layers[0].childCount).toBe(3);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop, Fill } from "../fake-photoshop.js";
+import { setUpPlugin, pluginRegistry } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin before/after measurement", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+  let sent: Array<{ command: string; params?: Record<string, unknown> }>;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Gray.psd",
+      width: 100,
+      height: 100,
+      layers: [{ name: "Photo", fill: { red: 128, green: 128, blue: 128 } }],
+    }));
+    sent = [];
+  });
+
+  const doc = () => photoshop.activeDocument!;
+
+  const registry = () => pluginRegistry(plugin, { onSend: (command, params) => sent.push({ command, params }) });
+
+  // A filter that repaints the active layer in one color
+  const repaint = (event: string, fill: Fill) =>
+    photoshop.stub(event, (_descriptor, ps) => {
+      ps.activeDocument!.activeLayers[0].fill = fill;
+      ps.activeDocument!.recordHistory(event);
+      return {};
+    });
+
+  it("should report histogram deltas and warn about clipped highlights", async () => {
+    repaint("maximum", { red: 255, green: 255, blue: 255 });
+
+    const result = await registry().callTool("ps_filter_maximum", { radius: 4, measure: true });
+
+    expect(sent.map((call) => call.command)).toEqual(["analyze.pixels", "filter.maximum", "analyze.pixels"]);
+    const { measurement } = result.data as { measurement: Record<string, any> };
+    expect(measurement.before).toMatchObject({ mean: { red: 128 }, clipped: { shadows: 0, highlights: 0 } });
+    expect(measurement.after).toMatchObject({ mean: { red: 255 }, clipped: { shadows: 0, highlights: 100 } });
+    expect(measurement.delta).toMatchObject({ mean: { luminosity: 127 }, median: { green: 127 }, gamutClipped: 0 });
+    expect(measurement.delta.histograms.red).toEqual([...new Array(8).fill(0), -100, ...new Array(6).fill(0), 100]);
+    expect(result.warnings).toEqual(["Measurement: pixels with a channel clipped to white rose from 0% to 100%"]);
+  });
+
+  it("should warn when colors are clipped at the edge of the gamut", async () => {
+    repaint("gaussianBlur", { red: 255, green: 90, blue: 40 });
+
+    const result = await registry().callTool("ps_filter_gaussian_blur", { radius: 2, measure: true });
+
+    expect(result.warnings).toContainEqual(
+      "Measurement: 100% of pixels now have colors clipped at the edge of the gamut (was 0%)"
+    );
+  });
+
+  it("should measure adjustment layers, and keep measure away from the plugin", async () => {
+    const result = await registry().callTool("ps_adjust_levels", { gamma: 1.2, measure: true });
+
+    expect(result.ok).toBe(true);
+    expect(result.data).toMatchObject({ name: "Levels", measurement: { delta: { clipped: { shadows: 0, highlights: 0 } } } });
+    expect(result.warnings).toBeUndefined();
+    expect(doc().findLayerByName("Levels")).not.toBeNull();
+    expect(sent.find((call) => call.command === "adjust.levels")!.params).not.toHaveProperty("measure");
+  });
+
+  it("should keep an applied edit when measuring after it throws", async () => {
+    let exports = 0;
+    const tools = pluginRegistry(plugin, {
+      onSend: (command) => {
+        if (command === "analyze.pixels" && ++exports === 2) throw new Error("Connection lost");
+      },
+    });
+
+    const result = await tools.callTool("ps_adjust_invert", { measure: true });
+
+    expect(result).toMatchObject({ ok: true, changed: true, warnings: ["Measurement skipped: Connection lost"] });
+    expect(result.data).not.toHaveProperty("measurement");
+    expect(doc().findLayerByName("Invert")).not.toBeNull();
+  });
+
+  it("should only measure when asked, and not for calls that fail validation", async () => {
+    await registry().callTool("ps_filter_median", { radius: 3 });
+    const invalid = await registry().callTool("ps_filter_median", { radius: 0, measure: true });
+
+    expect(invalid.ok).toBe(false);
+    expect(sent.map((call) => call.command)).toEqual(["filter.median"]);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginRegistry } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin pixel analysis", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Split.psd",
+      width: 200,
+      height: 100,
+      layers: [
+        { name: "Red", bounds: { left: 0, top: 0, right: 50, bottom: 100 }, fill: { red: 255, green: 0, blue: 0 } },
+        { name: "Black", bounds: { left: 0, top: 0, right: 100, bottom: 100 }, fill: { red: 0, green: 0, blue: 0 } },
+        { name: "Background" },
+      ],
+    }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+
+  const registry = () => pluginRegistry(plugin);
+
+  it("should histogram the composite", async () => {
+    const result = await registry().callTool("ps_analyze_histogram", { channels: ["red", "luminosity"], bins: 16 });
+
+    expect(result).toMatchObject({ ok: true, changed: false });
+    expect(result.data).toEqual({
+      source: "document",
+      bounds: { left: 0, top: 0, right: 200, bottom: 100 },
+      sampledSize: { width: 200, height: 100 },
+      pixelCount: 20000,
+      bins: 16,
+      histograms: {
+        red: [5000, ...new Array(14).fill(0), 15000],
+        luminosity: [5000, 0, 0, 0, 5000, ...new Array(10).fill(0), 10000],
+      },
+      clipped: { shadows: 50, highlights: 75 },
+    });
+    expect(photoshop.undisposedImageData).toBe(0);
+  });
+
+  it("should report statistics of one layer's own pixels", async () => {
+    const result = await registry().callTool("ps_analyze_stats", { target: { name: "Red" }, percentiles: [50] });
+
+    expect(result.data).toMatchObject({
+      source: "layer",
+      layerId: doc().findLayerByName("Red")!.id,
+      bounds: { left: 0, top: 0, right: 50, bottom: 100 },
+      pixelCount: 5000,
+      averageColor: { red: 255, green: 0, blue: 0, hex: "#ff0000" },
+      channels: {
+        red: { mean: 255, median: 255, percentiles: { p50: 255 }, clipped: { shadows: 0, highlights: 100 } },
+        luminosity: { mean: 77, min: 77, max: 77 },
+      },
+    });
+  });
+
+  it("should only count pixels inside the selection", async () => {
+    doc().selectionRect = { left: 100, top: 0, right: 200, bottom: 100 };
+
+    const result = await registry().callTool("ps_analyze_stats", { source: "selection" });
+
+    expect(result.data).toMatchObject({
+      source: "selection",
+      pixelCount: 10000,
+      averageColor: { hex: "#ffffff" },
+    });
+  });
+
+  it("should downsample large areas to maxSize", async () => {
+    const result = await registry().callTool("ps_analyze_histogram", { maxSize: 50 });
+
+    expect(result.data).toMatchObject({ sampledSize: { width: 50, height: 25 }, pixelCount: 1250 });
+  });
+
+  it("should refuse a selection source without a selection, and a target with another source", async () => {
+    const noSelection = await registry().callTool("ps_analyze_stats", { source: "selection" });
+    expect(noSelection).toMatchObject({ ok: false, error: expect.stringContaining("No active selection") });
+
+    const mixed = await registry().callTool("ps_analyze_stats", { source: "document", target: { name: "Red" } });
+    expect(mixed).toMatchObject({ ok: false, error: "target is only used with source: layer" });
+  });
+});
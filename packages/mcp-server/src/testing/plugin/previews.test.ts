@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginRegistry } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin previews", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+  let sent: Array<{ command: string; params?: Record<string, unknown> }>;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Split.psd",
+      width: 200,
+      height: 100,
+      layers: [
+        { name: "Red", bounds: { left: 0, top: 0, right: 50, bottom: 100 }, fill: { red: 255, green: 0, blue: 0, alpha: 128 } },
+        { name: "Background", fill: { red: 0, green: 0, blue: 255 } },
+      ],
+    }));
+    sent = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  const registry = () => pluginRegistry(plugin, { onSend: (command, params) => sent.push({ command, params }) });
+
+  // The fake's JPEG is the raw RGB pixels between start and end markers
+  const decoded = (image: string) => {
+    const bytes = Buffer.from(image, "base64");
+    expect([...bytes.subarray(0, 2), ...bytes.subarray(-2)]).toEqual([0xff, 0xd8, 0xff, 0xd9]);
+    return bytes.subarray(2, -2);
+  };
+
+  it("should render the composite as an image", async () => {
+    const result = await registry().callTool("ps_preview", { maxSize: 100 });
+
+    expect(result).toMatchObject({ ok: true, changed: false });
+    expect(result.data).toEqual({
+      source: "document",
+      bounds: { left: 0, top: 0, right: 200, bottom: 100 },
+      width: 100,
+      height: 50,
+      mimeType: "image/jpeg",
+      bytes: result.images![0].data.length,
+    });
+    expect(result.images).toHaveLength(1);
+    expect(result.images![0].mimeType).toBe("image/jpeg");
+    expect(decoded(result.images![0].data)).toHaveLength(100 * 50 * 3);
+    expect(photoshop.undisposedImageData).toBe(0);
+  });
+
+  it("should render a layer over white and a region of the composite", async () => {
+    const layer = await registry().callTool("ps_preview", { target: { name: "Red" } });
+    expect(layer.data).toMatchObject({ source: "layer", bounds: { left: 0, top: 0, right: 50, bottom: 100 }, width: 50 });
+    expect([...decoded(layer.images![0].data).subarray(0, 3)]).toEqual([255, 127, 127]);
+
+    const region = await registry().callTool("ps_preview", { region: { left: 100, top: 0, right: 300, bottom: 50 } });
+    expect(region.data).toMatchObject({ source: "region", bounds: { left: 100, top: 0, right: 200, bottom: 50 } });
+    expect([...decoded(region.images![0].data).subarray(0, 3)]).toEqual([0, 0, 255]);
+
+    const wrong = await registry().callTool("ps_preview", { source: "document", target: { name: "Red" } });
+    expect(wrong).toMatchObject({ ok: false, error: "target is only used with source: layer" });
+  });
+
+  it("should shrink the preview until it fits the byte budget", async () => {
+    vi.stubEnv("PS_PREVIEW_MAX_BYTES", "20000");
+
+    const result = await registry().callTool("ps_preview", {});
+
+    expect(result.ok).toBe(true);
+    expect(sent.map((call) => call.params?.maxSize)).toEqual([768, 89]);
+    expect(result.data).toMatchObject({ width: 89, height: 45 });
+    expect((result.data as { bytes: number }).bytes).toBeLessThanOrEqual(20000);
+
+    vi.stubEnv("PS_PREVIEW_MAX_BYTES", "100");
+    const tooBig = await registry().callTool("ps_preview", {});
+    expect(tooBig).toMatchObject({ ok: false });
+    expect(tooBig.error).toContain("doesn't fit the 100-byte budget");
+  });
+
+  it("should attach a preview to a call that changes the document when asked", async () => {
+    const result = await registry().callTool("ps_layer_set_properties", {
+      target: { name: "Red" },
+      opacity: 50,
+      preview: true,
+    });
+
+    expect(result).toMatchObject({ ok: true, changed: true });
+    expect(result.images).toHaveLength(1);
+    expect(sent.map((call) => call.command)).toEqual(["layer.set_properties", "preview.render"]);
+    expect(sent[0].params).not.toHaveProperty("preview");
+    expect(sent[1].params).toMatchObject({ source: "document", maxSize: 512 });
+
+    sent = [];
+    const plain = await registry().callTool("ps_layer_set_properties", { target: { name: "Red" }, opacity: 40 });
+    expect(plain.images).toBeUndefined();
+    expect(sent.map((call) => call.command)).toEqual(["layer.set_properties"]);
+  });
+
+  it("should keep an applied edit when rendering its preview throws", async () => {
+    const tools = pluginRegistry(plugin, {
+      onSend: (command) => {
+        if (command === "preview.render") throw new Error("Request timed out after 30000ms");
+      },
+    });
+
+    const result = await tools.callTool("ps_layer_set_properties", { target: { name: "Red" }, opacity: 50, preview: true });
+
+    expect(result).toMatchObject({
+      ok: true,
+      changed: true,
+      warnings: ["Preview failed: Request timed out after 30000ms"],
+    });
+    expect(result.images).toBeUndefined();
+    expect(photoshop.activeDocument!.findLayerByName("Red")!.opacity).toBe(50);
+  });
+
+  it("should only offer preview on tools that can change the document", async () => {
+    const listed = registry().listTools();
+    const properties = (name: string) => listed.find((tool) => tool.name === name)!.inputSchema.properties;
+
+    expect(properties("ps_layer_set_properties")).toHaveProperty("preview");
+    expect(properties("ps_layer_list")).not.toHaveProperty("preview");
+    expect(properties("ps_preview")).not.toHaveProperty("preview");
+
+    const invalid = await registry().callTool("ps_layer_set_properties", { opacity: 50, preview: "yes" });
+    expect(invalid).toMatchObject({ ok: false, error: "Validation failed: preview: Expected boolean, received string" });
+  });
+});
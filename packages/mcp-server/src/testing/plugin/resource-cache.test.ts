@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginBridge } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+import { createResourceRegistry } from "../../resources/registry.js";
+
+describe("UXP plugin resource cache", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+  let protocolVersion: number;
+  let sent: string[];
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin(
+      { name: "Poster.psd", layers: [{ name: "Title" }, { name: "Background" }] },
+      { name: "Flyer.psd", layers: [{ name: "Background" }] },
+    ));
+    protocolVersion = 3;
+    sent = [];
+  });
+
+  const uri = (name: string, resource: string) =>
+    `photoshop://document/${photoshop.documents.find((doc) => doc.name === name)!.id}/${resource}`;
+
+  const registry = () =>
+    createResourceRegistry(
+      pluginBridge(plugin, {
+        onSend: (command) => sent.push(command),
+        getPluginInfo: () => ({ protocolVersion, pluginVersion: "0.3.0", photoshopVersion: "26.0", apiLevel: 2, commands: [] }),
+      }),
+    );
+
+  const names = async (resources: ReturnType<typeof registry>, layersUri: string) => {
+    const { contents } = await resources.readResource(layersUri);
+    return JSON.parse((contents[0] as { text: string }).text).layers.map((layer: { name: string }) => layer.name);
+  };
+
+  it("should serve reads from the cache until an event in that document", async () => {
+    const resources = registry();
+    const poster = uri("Poster.psd", "layers");
+    const flyer = uri("Flyer.psd", "layers");
+    resources.subscribe(poster);
+    resources.subscribe(flyer);
+    resources.subscribe("photoshop://documents");
+
+    await names(resources, poster);
+    await names(resources, flyer);
+    // An edit by hand: the plugin isn't asked
+    await photoshop.core.executeAsModal(async () => {
+      photoshop.documents[0].findLayerByName("Title")!.name = "Headline";
+    });
+    expect(await names(resources, poster)).toEqual(["Title", "Background"]);
+    expect(sent).toEqual(["layer.tree", "layer.tree"]);
+
+    const documentId = photoshop.documents[0].id;
+    const affected = resources.invalidate({ event: "make", documentId, target: "layer", time: new Date().toISOString() });
+    expect(affected).toEqual([poster, "photoshop://documents"]);
+    expect(await names(resources, poster)).toEqual(["Headline", "Background"]);
+    await names(resources, flyer);
+    expect(sent).toHaveLength(3);
+
+    // Without a document to go by, everything goes
+    expect(resources.invalidate()).toEqual([poster, flyer, "photoshop://documents"]);
+    await names(resources, flyer);
+    expect(sent).toHaveLength(4);
+  });
+
+  it("should read through every time when the plugin doesn't push events", async () => {
+    protocolVersion = 2;
+    const resources = registry();
+
+    await resources.readResource("photoshop://documents");
+    await resources.readResource("photoshop://documents");
+
+    expect(sent).toEqual(["doc.list", "doc.list"]);
+  });
+});
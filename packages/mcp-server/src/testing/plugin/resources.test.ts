@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginBridge } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+import { createResourceRegistry } from "../../resources/registry.js";
+
+describe("UXP plugin resources", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+  let connected: boolean;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin(
+      {
+        name: "Poster.psd",
+        width: 400,
+        height: 200,
+        layers: [{ name: "Title", kind: "text" }, { name: "Background", fill: { red: 0, green: 0, blue: 255 } }],
+      },
+      { name: "Flyer.psd", width: 100, height: 100, layers: [{ name: "Background" }] },
+    ));
+    connected = true;
+  });
+
+  const poster = () => photoshop.documents.find((doc) => doc.name === "Poster.psd")!;
+
+  const resources = () => createResourceRegistry(pluginBridge(plugin, { isConnected: () => connected }));
+
+  const readJson = async (uri: string) => {
+    const { contents } = await resources().readResource(uri);
+    expect(contents[0]).toMatchObject({ uri, mimeType: "application/json" });
+    return JSON.parse((contents[0] as { text: string }).text);
+  };
+
+  it("should list the open documents and their resources", async () => {
+    const listed = await resources().listResources();
+
+    expect(listed.map((resource) => resource.uri)).toEqual([
+      "photoshop://documents",
+      ...photoshop.documents.flatMap((doc) =>
+        ["layers", "history", "thumbnail"].map((resource) => `photoshop://document/${doc.id}/${resource}`),
+      ),
+    ]);
+    expect(listed[1]).toMatchObject({ name: "Poster.psd layers", mimeType: "application/json" });
+    expect(resources().listResourceTemplates().map((template) => template.uriTemplate)).toEqual([
+      "photoshop://document/{id}/layers",
+      "photoshop://document/{id}/history",
+      "photoshop://document/{id}/thumbnail",
+    ]);
+
+    connected = false;
+    expect((await resources().listResources()).map((resource) => resource.uri)).toEqual(["photoshop://documents"]);
+  });
+
+  it("should read the documents, and the layers and history of one that isn't active", async () => {
+    const documents = await readJson("photoshop://documents");
+    expect(documents).toMatchObject({
+      activeDocumentId: photoshop.activeDocument!.id,
+      documents: [
+        { id: poster().id, name: "Poster.psd", width: 400, height: 200, layerCount: 2 },
+        { name: "Flyer.psd" },
+      ],
+    });
+
+    const layers = await readJson(`photoshop://document/${poster().id}/layers`);
+    expect(layers.documentId).toBe(poster().id);
+    expect(layers.layers.map((layer: { name: string }) => layer.name)).toEqual(["Title", "Background"]);
+
+    const history = await readJson(`photoshop://document/${poster().id}/history`);
+    expect(history).toMatchObject({ totalCount: 1, currentIndex: 1, states: [{ index: 1, isCurrent: true }] });
+    expect(photoshop.activeDocument!.name).toBe("Flyer.psd");
+  });
+
+  it("should render a thumbnail of a document", async () => {
+    const uri = `photoshop://document/${poster().id}/thumbnail`;
+    const { contents } = await resources().readResource(uri);
+
+    expect(contents).toEqual([{ uri, mimeType: "image/jpeg", blob: expect.any(String) }]);
+    const bytes = Buffer.from((contents[0] as { blob: string }).blob, "base64");
+    // 256x128 RGB pixels between the fake JPEG's markers
+    expect(bytes.length).toBe(256 * 128 * 3 + 4);
+    expect([...bytes.subarray(2, 5)]).toEqual([0, 0, 255]);
+  });
+
+  it("should refuse unknown URIs and report plugin failures", async () => {
+    await expect(resources().readResource("photoshop://document/1/masks")).rejects.toThrow(
+      "Unknown resource: photoshop://document/1/masks",
+    );
+    await expect(resources().readResource("photoshop://document/999/layers")).rejects.toThrow(
+      "Document 999 is not open",
+    );
+    expect(() => resources().subscribe("file:///tmp/x.psd")).toThrow("Unknown resource");
+
+    connected = false;
+    await expect(resources().readResource("photoshop://documents")).rejects.toThrow("Not connected to Photoshop");
+  });
+
+  it("should keep track of subscriptions", () => {
+    const registry = resources();
+    registry.subscribe("photoshop://documents");
+    registry.subscribe(`photoshop://document/${poster().id}/layers`);
+    registry.subscribe("photoshop://documents");
+    registry.unsubscribe(`photoshop://document/${poster().id}/layers`);
+
+    expect(registry.invalidate()).toEqual(["photoshop://documents"]);
+  });
+});
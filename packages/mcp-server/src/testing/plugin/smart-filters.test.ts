@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginRegistry } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+
+describe("UXP plugin smart filters", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Portrait.psd",
+      layers: [
+        { name: "Face", bounds: { left: 100, top: 50, right: 500, bottom: 350 } },
+        { name: "Background" },
+      ],
+    }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+  const filters = async () => (await plugin.run("smart_filter.list", { target: { name: "Face" } })).data.filters;
+
+  const registry = () => pluginRegistry(plugin);
+
+  // Face converted to a smart object with a Gaussian Blur and an Add Noise on it
+  const withFilters = async () => {
+    await plugin.run("filter.gaussian_blur", { radius: 5, smart: true });
+    await plugin.run("filter.add_noise", { amount: 10, distribution: "gaussian", monochromatic: true, smart: true });
+  };
+
+  it("should still filter pixels directly without smart", async () => {
+    const result = await plugin.run("filter.gaussian_blur", { radius: 5 });
+
+    expect(result).toMatchObject({ ok: true, data: { filter: "gaussianBlur", radius: 5 } });
+    expect(photoshop.descriptors("gaussianBlur")[0]).toMatchObject({
+      radius: { _unit: "pixelsUnit", _value: 5 },
+      _options: { dialogOptions: "dontDisplay" },
+    });
+    expect(photoshop.descriptors("newPlacedLayer")).toHaveLength(0);
+    expect(doc().findLayerByName("Face")!.kind).toBe("pixel");
+  });
+
+  it("should convert the layer and apply a smart filter in one history step", async () => {
+    const states = doc().historyStates.length;
+
+    const result = await plugin.run("filter.gaussian_blur", { radius: 5, smart: true });
+
+    const face = doc().findLayerByName("Face")!;
+    expect(result).toMatchObject({
+      ok: true,
+      data: { filter: "gaussianBlur", smart: true, converted: true, index: 0, layerId: face.id },
+      artifacts: { layerIds: [face.id] },
+    });
+    expect(face.kind).toBe("smartObject");
+    expect(doc().historyStates).toHaveLength(states + 1);
+    expect(doc().historyStates.at(-1)!.name).toBe("Gaussian Blur");
+    expect(await filters()).toEqual([
+      {
+        index: 0,
+        name: "Gaussian Blur",
+        filter: "gaussianBlur",
+        command: "filter.gaussian_blur",
+        enabled: true,
+        blendMode: "normal",
+        opacity: 100,
+        settings: { radius: 5 },
+      },
+    ]);
+  });
+
+  it("should add further smart filters without converting again", async () => {
+    await withFilters();
+
+    expect(photoshop.descriptors("newPlacedLayer")).toHaveLength(1);
+    expect((await filters()).map((filter: { name: string }) => filter.name)).toEqual(["Gaussian Blur", "Add Noise"]);
+  });
+
+  it("should undo the conversion when the filter fails", async () => {
+    const states = doc().historyStates.length;
+    photoshop.stub("lensBlur", () => ({ _obj: "error", message: "Lens Blur can't be a smart filter" }));
+
+    const result = await plugin.run("filter.lens_blur", { radius: 10, smart: true });
+
+    expect(result).toMatchObject({ ok: false, error: expect.stringContaining("Lens Blur can't be a smart filter") });
+    expect(doc().findLayerByName("Face")!.kind).toBe("pixel");
+    expect(doc().historyStates).toHaveLength(states);
+  });
+
+  it("should edit a smart filter's settings through its filter tool's schema", async () => {
+    await withFilters();
+
+    const result = await registry().callTool("ps_smart_filter_edit", {
+      target: { name: "Face" },
+      index: 1,
+      settings: { amount: 25 },
+    });
+
+    expect(result.ok).toBe(true);
+    expect(photoshop.descriptors("set").at(-1)).toMatchObject({
+      _target: [{ _ref: "filterFX", _index: 2 }, { _ref: "layer", _id: doc().findLayerByName("Face")!.id }],
+      filterFX: { _obj: "filterFX", filter: { _obj: "addNoise", amount: { _value: 25 } } },
+    });
+    // Settings left out keep their values
+    expect((await filters())[1].settings).toEqual({ amount: 25, distribution: "gaussian", monochromatic: true });
+
+    const invalid = await registry().callTool("ps_smart_filter_edit", {
+      target: { name: "Face" },
+      index: 0,
+      settings: { radius: 1000 },
+    });
+    expect(invalid).toMatchObject({ ok: false, error: expect.stringContaining("radius") });
+  });
+
+  it("should reorder, toggle and blend smart filters", async () => {
+    await withFilters();
+
+    await plugin.run("smart_filter.move", { target: { name: "Face" }, index: 1, to: 0 });
+    await plugin.run("smart_filter.enable", { target: { name: "Face" }, index: 1, enabled: false });
+    const blended = await plugin.run("smart_filter.set_blending", {
+      target: { name: "Face" },
+      index: 0,
+      blendMode: "linearDodge",
+      opacity: 40,
+    });
+
+    expect(blended.data.filter).toMatchObject({ name: "Add Noise", blendMode: "linearDodge", opacity: 40 });
+    expect(photoshop.descriptors("set").at(-1)!.filterFX).toMatchObject({
+      blendOptions: { mode: { _enum: "blendMode", _value: "linearDodge" } },
+    });
+    expect(
+      (await filters()).map((filter: { name: string; enabled: boolean }) => [filter.name, filter.enabled])
+    ).toEqual([
+      ["Add Noise", true],
+      ["Gaussian Blur", false],
+    ]);
+  });
+
+  it("should turn all smart filters off in one history step", async () => {
+    await withFilters();
+    const states = doc().historyStates.length;
+
+    const result = await plugin.run("smart_filter.enable", { target: { name: "Face" }, enabled: false });
+
+    expect(result.data.indexes).toEqual([0, 1]);
+    expect(doc().historyStates).toHaveLength(states + 1);
+    expect((await filters()).every((filter: { enabled: boolean }) => !filter.enabled)).toBe(true);
+  });
+
+  it("should delete one smart filter or all of them", async () => {
+    await withFilters();
+
+    await plugin.run("smart_filter.delete", { target: { name: "Face" }, index: 0 });
+    expect((await filters()).map((filter: { name: string }) => filter.name)).toEqual(["Add Noise"]);
+
+    const cleared = await plugin.run("smart_filter.delete", { target: { name: "Face" } });
+    expect(cleared.data).toMatchObject({ deleted: 1, remaining: 0 });
+    expect(await filters()).toEqual([]);
+    expect(doc().findLayerByName("Face")!.kind).toBe("smartObject");
+  });
+
+  it("should refuse missing indexes and layers that are not smart objects", async () => {
+    const notSmart = await plugin.run("smart_filter.list", { target: { name: "Face" } });
+    expect(notSmart).toMatchObject({ ok: false, error: expect.stringContaining('"Face" is not a smart object') });
+
+    await withFilters();
+    const missing = await plugin.run("smart_filter.move", { target: { name: "Face" }, index: 2, to: 0 });
+    expect(missing).toMatchObject({ ok: false, error: expect.stringContaining("has 2 smart filters; there is no index 2") });
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import type { FakePhotoshop } from "../fake-photoshop.js";
+import { setUpPlugin, pluginRegistry } from "../plugin-fixture.js";
+import type { PluginHarness } from "../uxp-harness.js";
+import { parsePolicy } from "../../policy/policy.js";
+
+describe("UXP plugin smart objects", () => {
+  let photoshop: FakePhotoshop;
+  let plugin: PluginHarness;
+
+  beforeEach(() => {
+    ({ photoshop, plugin } = setUpPlugin({
+      name: "Mockup.psd",
+      layers: [
+        { name: "Screen", kind: "smartObject", bounds: { left: 100, top: 50, right: 500, bottom: 350 } },
+        { name: "Shadow", bounds: { left: 0, top: 0, right: 50, bottom: 50 } },
+        { name: "Glare", bounds: { left: 40, top: 40, right: 200, bottom: 100 } },
+        { name: "Background" },
+      ],
+    }));
+  });
+
+  const doc = () => photoshop.activeDocument!;
+  const info = async (name: string) =>
+    (await plugin.run("smart_object.info", { target: { name } })).data;
+
+  // The registry over the plugin, so server-orchestrated tools reach the fake
+  const registry = (policy = parsePolicy("")) => pluginRegistry(plugin, { policy });
+
+  it("should report where a smart object's contents come from", async () => {
+    await plugin.run("smart_object.place", {
+      filePath: "/assets/logo.svg",
+      linked: true,
+      target: { name: "Shadow" },
+    });
+
+    const data = await info("logo");
+    expect(data).toMatchObject({
+      linked: true,
+      filePath: "/assets/logo.svg",
+      fileName: "logo.svg",
+      fileType: "svg",
+      linkMissing: false,
+      size: { width: 800, height: 600 },
+      transform: [
+        { x: 0, y: 0 },
+        { x: 800, y: 0 },
+        { x: 800, y: 600 },
+        { x: 0, y: 600 },
+      ],
+    });
+    expect(doc().layers.map((layer) => layer.name)).toEqual(["Screen", "logo", "Shadow", "Glare", "Background"]);
+  });
+
+  it("should place a file embedded under the given name", async () => {
+    const result = await plugin.run("smart_object.place", { filePath: "/assets/photo.jpg", name: "Hero" });
+
+    expect(result.ok).toBe(true);
+    expect(photoshop.descriptors("placeEvent")[0]).toMatchObject({
+      null: { _path: "/assets/photo.jpg", _kind: "local" },
+      linked: false,
+    });
+    expect(await info("Hero")).toMatchObject({ linked: false, filePath: null, fileType: "jpg" });
+  });
+
+  it("should combine layers into one smart object in place of the topmost", async () => {
+    const ids = ["Shadow", "Glare"].map((name) => doc().findLayerByName(name)!.id);
+
+    const result = await plugin.run("smart_object.convert", { layerIds: ids });
+
+    expect(result.ok).toBe(true);
+    expect(result.data.convertedLayerIds).toEqual(ids);
+    expect(doc().layers.map((layer) => [layer.name, layer.kind])).toEqual([
+      ["Screen", "smartObject"],
+      ["Shadow", "smartObject"],
+      ["Background", "pixel"],
+    ]);
+    expect(await info("Shadow")).toMatchObject({ fileName: "Shadow.psb", size: { width: 200, height: 100 } });
+  });
+
+  it("should replace embedded contents and relink only linked smart objects", async () => {
+    const replaced = await plugin.run("smart_object.replace_contents", {
+      target: { name: "Screen" },
+      filePath: "/templates/app-screen.png",
+    });
+    expect(replaced.ok).toBe(true);
+    expect(await info("Screen")).toMatchObject({ linked: false, fileName: "app-screen.png" });
+    expect(doc().findLayerByName("Screen")!.bounds).toMatchObject({ left: 100, top: 50 });
+
+    const relinked = await plugin.run("smart_object.relink", {
+      target: { name: "Screen" },
+      filePath: "/templates/other.png",
+    });
+    expect(relinked.ok).toBe(false);
+    expect(relinked.error).toContain("embedded smart object");
+  });
+
+  it("should relink a linked smart object", async () => {
+    await plugin.run("smart_object.place", { filePath: "/old/badge.png", linked: true });
+
+    const result = await plugin.run("smart_object.relink", { target: { name: "badge" }, filePath: "/new/badge.png" });
+
+    expect(result.ok).toBe(true);
+    expect(await info("badge")).toMatchObject({ linked: true, filePath: "/new/badge.png" });
+  });
+
+  it("should refuse layers that are not smart objects", async () => {
+    const result = await plugin.run("smart_object.rasterize", { target: { name: "Glare" } });
+
+    expect(result).toMatchObject({ ok: false, error: expect.stringContaining('"Glare" is not a smart object') });
+  });
+
+  it("should rasterize a smart object", async () => {
+    const result = await plugin.run("smart_object.rasterize", { target: { name: "Screen" } });
+
+    expect(result.ok).toBe(true);
+    expect(doc().findLayerByName("Screen")!.kind).toBe("pixel");
+  });
+
+  it("should edit contents with tool calls and save them back", async () => {
+    const parent = doc();
+
+    const result = await registry().callTool("ps_smart_object_edit_contents", {
+      target: { name: "Screen" },
+      steps: [
+        { tool: "ps_layer_create", args: { name: "Badge" } },
+        { tool: "ps_layer_tree", args: {} },
+      ],
+    });
+
+    expect(result.ok).toBe(true);
+    const { steps } = result.data as { steps: Array<{ tool: string; ok: boolean; data: any }> };
+    expect(steps.map((step) => step.ok)).toEqual([true, true]);
+    // The steps ran in the contents, not in the mockup
+    expect(steps[1].data.layers.map((layer: { name: string }) => layer.name)).toEqual(["Badge", "Screen"]);
+    expect(parent.findLayerByName("Badge")).toBeNull();
+    expect(photoshop.activeDocument).toBe(parent);
+    expect(photoshop.documents).toEqual([parent]);
+    expect(parent.historyStates.at(-1)!.name).toBe("Update Smart Object");
+    expect(result.artifacts!.layerIds).toEqual([parent.findLayerByName("Screen")!.id]);
+  });
+
+  it("should close the contents without saving when a step fails", async () => {
+    const parent = doc();
+    const states = parent.historyStates.length;
+
+    const result = await registry().callTool("ps_smart_object_edit_contents", {
+      target: { name: "Screen" },
+      steps: [
+        { tool: "ps_layer_create", args: { name: "Badge" } },
+        { tool: "ps_layer_rename", args: { target: { name: "Missing" }, name: "X" } },
+        { tool: "ps_layer_create", args: { name: "Never" } },
+      ],
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain("Step 2 (ps_layer_rename) failed");
+    expect(result.error).toContain("closed without saving");
+    expect((result.data as { steps: unknown[] }).steps).toHaveLength(2);
+    expect(photoshop.modalCommands).toContain("Close Smart Object Contents");
+    expect(photoshop.documents).toEqual([parent]);
+    expect(parent.historyStates).toHaveLength(states);
+  });
+
+  it("should close the contents without saving when a step throws", async () => {
+    const parent = doc();
+    const sent: Array<{ command: string; params?: Record<string, unknown> }> = [];
+    const tools = pluginRegistry(plugin, {
+      onSend: (command, params) => {
+        sent.push({ command, params });
+        if (command === "layer.rename") throw new Error("Request timed out after 30000ms");
+      },
+    });
+
+    const result = tools.callTool("ps_smart_object_edit_contents", {
+      target: { name: "Screen" },
+      steps: [
+        { tool: "ps_layer_create", args: { name: "Badge" } },
+        { tool: "ps_layer_rename", args: { target: { name: "Badge" }, name: "X" } },
+      ],
+    });
+
+    await expect(result).rejects.toThrow("Request timed out");
+    expect(sent.at(-1)).toMatchObject({ command: "smart_object.close_contents", params: { save: false } });
+    expect(photoshop.activeDocument).toBe(parent);
+    expect(photoshop.documents).toEqual([parent]);
+  });
+
+  it("should hold the steps to the safety policy", async () => {
+    const policy = parsePolicy(`
+rules:
+  - tools: [ps_execute_batchplay]
+    action: deny
+`);
+
+    const result = await registry(policy).callTool("ps_smart_object_edit_contents", {
+      target: { name: "Screen" },
+      steps: [{ tool: "ps_execute_batchplay", args: { descriptor: { _obj: "flattenImage" } } }],
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain("denied by the safety policy");
+    expect(photoshop.descriptors("flattenImage")).toHaveLength(0);
+  });
+});
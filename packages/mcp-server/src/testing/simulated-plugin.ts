@@ -0,0 +1,165 @@
+/**
+ * Simulated UXP Plugin
+ *
+ * A scripted stand-in for the MCP Bridge panel that speaks the bridge
+ * protocol over a real WebSocket: it authenticates with a hello frame,
+ * records every request it receives, and answers through per-command
+ * responders. Tests use it to drive the server's request IDs, timeouts and
+ * disconnect handling without Photoshop.
+ */
+
+import WebSocket from "ws";
+import { PROTOCOL_VERSION, type HelloFrame } from "../bridge/protocol.js";
+import type { BridgeRequest } from "../bridge/server.js";
+import type { PluginResponse } from "./uxp-harness.js";
+
+export interface SimulatedRequest extends BridgeRequest {
+  /** Send interim progress for this request */
+  progress(progress: number, message?: string): void;
+}
+
+/**
+ * Answers one command. Returning undefined leaves the request unanswered,
+ * e.g. to let it time out or to drop the connection first.
+ */
+export type Responder = (
+  request: SimulatedRequest,
+) => PluginResponse | undefined | Promise<PluginResponse | undefined>;
+
+export interface SimulatedPluginOptions {
+  token: string;
+  /** Commands announced in the hello frame (default: every scripted command) */
+  commands?: string[];
+  pluginVersion?: string;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class SimulatedPlugin {
+  private ws: WebSocket | null = null;
+  private responders = new Map<string, Responder>();
+  private requestListeners: Array<() => void> = [];
+
+  /** Every request received, across reconnects, oldest first */
+  readonly requests: BridgeRequest[] = [];
+  /** Protocol version from the server's welcome, once received */
+  protocolVersion: number | null = null;
+  /** Close code of the last disconnect, if the server closed the socket */
+  closeCode: number | null = null;
+
+  constructor(
+    private readonly url: string,
+    private readonly options: SimulatedPluginOptions,
+  ) {}
+
+  /** Script the answer to a command; unscripted commands echo their name back */
+  on(command: string, responder: Responder): this {
+    this.responders.set(command, responder);
+    return this;
+  }
+
+  isConnected(): boolean {
+    return this.ws?.readyState === WebSocket.OPEN && this.protocolVersion !== null;
+  }
+
+  /**
+   * Connect and complete the handshake. Retries while the server is still
+   * starting, as the panel's auto-reconnect would.
+   */
+  async connect(timeoutMs = 10000): Promise<void> {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      try {
+        await this.open();
+        return;
+      } catch (error) {
+        if (Date.now() > deadline) throw error;
+        await sleep(100);
+      }
+    }
+  }
+
+  /** Drop the connection without answering outstanding requests */
+  async disconnect(): Promise<void> {
+    const ws = this.ws;
+    if (!ws || ws.readyState === WebSocket.CLOSED) return;
+    const closed = new Promise((resolve) => ws.once("close", resolve));
+    ws.close();
+    await closed;
+  }
+
+  /** Resolves once `count` requests have arrived in total */
+  async waitForRequests(count: number, timeoutMs = 5000): Promise<BridgeRequest[]> {
+    if (this.requests.length >= count) return this.requests.slice(0, count);
+
+    await new Promise<void>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Expected ${count} requests, received ${this.requests.length}`));
+      }, timeoutMs);
+      const listener = () => {
+        if (this.requests.length < count) return;
+        clearTimeout(timer);
+        this.requestListeners = this.requestListeners.filter((l) => l !== listener);
+        resolve();
+      };
+      this.requestListeners.push(listener);
+    });
+    return this.requests.slice(0, count);
+  }
+
+  private open(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+      this.ws = ws;
+      this.protocolVersion = null;
+
+      ws.on("error", reject);
+      ws.on("close", (code) => {
+        this.closeCode = code;
+        reject(new Error(`Connection closed during handshake (${code})`));
+      });
+      ws.once("open", () => {
+        const hello: HelloFrame = {
+          type: "hello",
+          protocolVersion: PROTOCOL_VERSION,
+          pluginVersion: this.options.pluginVersion ?? "0.0.0-simulated",
+          photoshopVersion: "simulated",
+          apiLevel: 2,
+          commands: this.options.commands ?? [...this.responders.keys()],
+          token: this.options.token,
+        };
+        ws.send(JSON.stringify(hello));
+      });
+
+      ws.on("message", (data) => {
+        const frame = JSON.parse(data.toString());
+        if (frame.type === "welcome") {
+          this.protocolVersion = frame.protocolVersion;
+          resolve();
+          return;
+        }
+        if (!frame.type) this.handleRequest(ws, frame as BridgeRequest);
+      });
+    });
+  }
+
+  private async handleRequest(ws: WebSocket, request: BridgeRequest): Promise<void> {
+    this.requests.push(request);
+    for (const listener of [...this.requestListeners]) listener();
+
+    const respond: Responder =
+      this.responders.get(request.command) ??
+      (() => ({ ok: true, changed: false, data: { command: request.command } }));
+
+    const response = await respond({
+      ...request,
+      progress: (progress, message) => {
+        ws.send(JSON.stringify({ type: "progress", id: request.id, progress, total: 1, message }));
+      },
+    });
+
+    if (response && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ id: request.id, ...response }));
+    }
+  }
+}
@@ -0,0 +1,274 @@
+import { describe, it, expect, afterEach } from "vitest";
+import WebSocket from "ws";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { startMcpServer, type McpHarness } from "./mcp-harness.js";
+import { SimulatedPlugin } from "./simulated-plugin.js";
+import { loadPlugin, type PluginHarness } from "./uxp-harness.js";
+import { FakePhotoshop } from "./fake-photoshop.js";
+
+const COMMANDS = ["app.get_info", "layer.list", "generate.generative_fill", "job.list"];
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("MCP stdio ↔ bridge ↔ plugin", () => {
+  const servers: McpHarness[] = [];
+  const plugins: SimulatedPlugin[] = [];
+
+  afterEach(async () => {
+    for (const plugin of plugins.splice(0)) await plugin.disconnect();
+    for (const server of servers.splice(0)) await server.close();
+  });
+
+  const start = async (env?: Record<string, string>) => {
+    const server = await startMcpServer({ env });
+    servers.push(server);
+    return server;
+  };
+
+  const attachPlugin = async (server: McpHarness, script?: (plugin: SimulatedPlugin) => void) => {
+    const plugin = new SimulatedPlugin(server.bridgeUrl, { token: server.token, commands: COMMANDS });
+    script?.(plugin);
+    plugins.push(plugin);
+    await plugin.connect();
+    return plugin;
+  };
+
+  it("should report that Photoshop is not connected before the plugin attaches", async () => {
+    const server = await start();
+
+    const { response } = await server.callTool("ps_app_get_info");
+
+    expect(response.ok).toBe(false);
+    expect(response.error).toContain("Not connected to Photoshop");
+  });
+
+  it("should route tool calls to the plugin with unique request IDs", async () => {
+    const server = await start();
+    const plugin = await attachPlugin(server);
+
+    const first = await server.callTool("ps_app_get_info");
+    const second = await server.callTool("ps_layer_list", { includeHidden: true });
+
+    expect(first.response).toMatchObject({ ok: true, data: { command: "app.get_info" } });
+    expect(second.response).toMatchObject({ ok: true, data: { command: "layer.list" } });
+    expect(plugin.requests.map((r) => [r.id, r.command])).toEqual([
+      ["local:req_1", "app.get_info"],
+      ["local:req_2", "layer.list"],
+    ]);
+    expect(plugin.requests[1].params).toMatchObject({ includeHidden: true });
+  });
+
+  it("should refuse a plugin with the wrong token", async () => {
+    const server = await start();
+    const intruder = new SimulatedPlugin(server.bridgeUrl, { token: "wrong", commands: COMMANDS });
+    plugins.push(intruder);
+
+    await expect(intruder.connect(1000)).rejects.toThrow("4001");
+    const { response } = await server.callTool("ps_app_get_info");
+    expect(response.error).toContain("Not connected to Photoshop");
+  });
+
+  it("should deliver plugin progress as MCP progress notifications", async () => {
+    const server = await start();
+    await attachPlugin(server, (plugin) =>
+      plugin.on("generate.generative_fill", async (request) => {
+        request.progress(0.25, "Generating");
+        request.progress(0.75, "Placing");
+        await sleep(50);
+        return { ok: true, changed: true };
+      }),
+    );
+
+    const updates: number[] = [];
+    const { response } = await server.callTool(
+      "ps_generative_fill",
+      { prompt: "a red balloon" },
+      { onProgress: (update) => updates.push(update.progress) },
+    );
+
+    expect(response.ok).toBe(true);
+    expect(updates).toEqual([0.25, 0.75]);
+  });
+
+  it("should time out a slow command and keep its late result for ps_job_status", async () => {
+    const server = await start({ PS_TOOL_TIMEOUTS: JSON.stringify({ ps_layer_list: 200 }) });
+    await attachPlugin(server, (plugin) =>
+      plugin.on("layer.list", async () => {
+        await sleep(500);
+        return { ok: true, changed: false, data: { layers: [] } };
+      }),
+    );
+
+    const timedOut = await server.callTool("ps_layer_list");
+
+    expect(timedOut.isError).toBe(true);
+    expect(timedOut.response.error).toContain("job local:req_1");
+
+    await sleep(500);
+    const { response } = await server.callTool("ps_job_status", { jobId: "local:req_1" });
+    expect(response).toMatchObject({
+      ok: true,
+      data: { status: "completed_after_timeout", response: { ok: true, data: { layers: [] } } },
+    });
+  });
+
+  it("should fail pending calls when the plugin disconnects and recover on reconnect", async () => {
+    const server = await start();
+    const plugin = await attachPlugin(server, (p) => p.on("layer.list", () => undefined));
+
+    const pending = server.callTool("ps_layer_list");
+    await plugin.waitForRequests(1);
+    await plugin.disconnect();
+
+    const failed = await pending;
+    expect(failed.isError).toBe(true);
+    expect(failed.response.error).toBe("Connection closed");
+
+    const disconnected = await server.callTool("ps_app_get_info");
+    expect(disconnected.response.error).toContain("Not connected to Photoshop");
+
+    await plugin.connect();
+    const recovered = await server.callTool("ps_app_get_info");
+
+    expect(recovered.response.ok).toBe(true);
+    // IDs keep counting across connections, so a late reply can't be mistaken for a new one
+    expect(plugin.requests.map((r) => r.id)).toEqual(["local:req_1", "local:req_2"]);
+  });
+
+  it("should share the plugin with a second server process as a peer", async () => {
+    const broker = await start();
+    const plugin = await attachPlugin(broker);
+    const peer = await startMcpServer({ port: broker.port, token: broker.token });
+    servers.push(peer);
+
+    // The peer learns about the plugin from the broker's status frame
+    let result = await peer.callTool("ps_app_get_info");
+    for (let attempt = 0; !result.response.ok && attempt < 50; attempt++) {
+      await sleep(100);
+      result = await peer.callTool("ps_app_get_info");
+    }
+
+    expect(result.response).toMatchObject({ ok: true, data: { command: "app.get_info" } });
+    expect(plugin.requests.map((r) => r.id)).toEqual(["peer1:req_1"]);
+  });
+});
+
+describe("MCP stdio ↔ bridge ↔ UXP plugin code", () => {
+  let server: McpHarness | null = null;
+  let plugin: PluginHarness | null = null;
+
+  afterEach(async () => {
+    plugin?.evaluate("disconnect()");
+    await server?.close();
+    server = plugin = null;
+  });
+
+  // Serve the fake Photoshop from main.js, connected once the panel's handshake completes
+  const connectPanel = async (photoshop: FakePhotoshop) => {
+    server = await startMcpServer();
+    plugin = loadPlugin({
+      photoshop,
+      WebSocket,
+      elements: {
+        serverUrl: { value: server.bridgeUrl },
+        bridgeToken: { value: "" },
+      },
+      // The panel fills the token field from storage when it loads
+      storage: { mcpBridgeToken: server.token },
+    });
+
+    plugin.evaluate("connect()");
+    let result = await server.callTool("ps_doc_get_active");
+    for (let attempt = 0; !result.response.ok && attempt < 50; attempt++) {
+      await sleep(100);
+      result = await server.callTool("ps_doc_get_active");
+    }
+    return { server, panel: plugin, result };
+  };
+
+  it("should answer tool calls from main.js running against the fake Photoshop", async () => {
+    const photoshop = new FakePhotoshop();
+    photoshop.addDocument({ name: "Poster.psd", width: 1000, height: 500 });
+    const { server, panel, result } = await connectPanel(photoshop);
+
+    expect(result.response).toMatchObject({
+      ok: true,
+      data: { name: "Poster.psd", width: 1000, height: 500 },
+    });
+    expect(panel.logs).toContain("[MCP Bridge] Handshake complete (protocol v3)");
+
+    const preview = await server.callTool("ps_preview", { maxSize: 100 });
+    expect(preview.response).toMatchObject({ ok: true, data: { width: 100, height: 50, mimeType: "image/jpeg" } });
+    expect(preview.response).not.toHaveProperty("images");
+    expect(preview.images).toEqual([{ data: expect.any(String), mimeType: "image/jpeg" }]);
+  });
+
+  it("should serve resources and tell subscribers when a call changes the document", async () => {
+    const photoshop = new FakePhotoshop();
+    const doc = photoshop.addDocument({ name: "Poster.psd", width: 1000, height: 500, layers: [{ name: "Background" }] });
+    const { server } = await connectPanel(photoshop);
+
+    const { resources } = await server.client.listResources();
+    expect(resources.map((resource) => resource.uri)).toEqual([
+      "photoshop://documents",
+      `photoshop://document/${doc.id}/layers`,
+      `photoshop://document/${doc.id}/history`,
+      `photoshop://document/${doc.id}/thumbnail`,
+    ]);
+
+    const updated: string[] = [];
+    server.client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updated.push(notification.params.uri);
+    });
+    const layersUri = `photoshop://document/${doc.id}/layers`;
+    await server.client.subscribeResource({ uri: layersUri });
+
+    await server.callTool("ps_layer_create", { name: "Notes" });
+    for (let attempt = 0; updated.length === 0 && attempt < 50; attempt++) await sleep(20);
+    expect(updated).toEqual([layersUri]);
+
+    const { contents } = await server.client.readResource({ uri: layersUri });
+    const tree = JSON.parse((contents[0] as { text: string }).text);
+    expect(tree.layers.map((layer: { name: string }) => layer.name)).toEqual(["Notes", "Background"]);
+  });
+
+  it("should push Photoshop events made by hand to ps_events_poll and resource subscribers", async () => {
+    const photoshop = new FakePhotoshop();
+    const doc = photoshop.addDocument({ name: "Poster.psd", layers: [{ name: "Logo" }, { name: "Background" }] });
+    const { server } = await connectPanel(photoshop);
+
+    const updated: string[] = [];
+    server.client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updated.push(notification.params.uri);
+    });
+    const historyUri = `photoshop://document/${doc.id}/history`;
+    await server.client.subscribeResource({ uri: historyUri });
+    await server.client.subscribeResource({ uri: "photoshop://document/999/history" });
+
+    // The user deletes a layer and undoes it in Photoshop
+    const logo = doc.findLayerByName("Logo")!;
+    photoshop.notify("delete", { _target: [{ _ref: "layer", _id: logo.id }], documentID: doc.id });
+    photoshop.notify("historyStateChanged", { documentID: doc.id, name: "Delete Layer" });
+
+    let poll = await server.callTool("ps_events_poll");
+    for (let attempt = 0; (poll.response.data as { events: unknown[] }).events.length < 2 && attempt < 50; attempt++) {
+      await sleep(20);
+      poll = await server.callTool("ps_events_poll");
+    }
+    expect(poll.response).toMatchObject({
+      ok: true,
+      data: {
+        events: [
+          { seq: 1, event: "delete", documentId: doc.id, target: "layer" },
+          { seq: 2, event: "historyStateChanged", documentId: doc.id, name: "Delete Layer" },
+        ],
+        cursor: 2,
+        missed: 0,
+      },
+    });
+    expect(updated).toEqual([historyUri, historyUri]);
+
+    const next = await server.callTool("ps_events_poll", { since: 2 });
+    expect(next.response.data).toEqual({ events: [], cursor: 2, missed: 0 });
+  });
+});
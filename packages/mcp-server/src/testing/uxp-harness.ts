@@ -0,0 +1,180 @@
+/**
+ * UXP Plugin Harness
+ *
+ * Loads the bridge plugin (`ps-uxp-bridge/main.js`) into a fresh VM context
+ * whose `require("photoshop")` is a FakePhotoshop and whose `require("uxp")`,
+ * `document`, `localStorage` and `WebSocket` are minimal stand-ins for the
+ * panel host. Tests can then call the plugin's `commands[...]` handlers
+ * directly, or run them through its job queue the way a bridge request would.
+ */
+
+import { readFileSync } from "fs";
+import { basename } from "path";
+import { fileURLToPath } from "url";
+import vm from "vm";
+import { FakePhotoshop } from "./fake-photoshop.js";
+
+export const PLUGIN_MAIN = fileURLToPath(new URL("../../../ps-uxp-bridge/main.js", import.meta.url));
+
+export interface PluginResponse {
+  ok: boolean;
+  changed: boolean;
+  // Loose on purpose: tests read whatever each handler returns
+  data?: any;
+  artifacts?: { layerIds?: number[]; selectionRef?: string };
+  warnings?: string[];
+  error?: string;
+}
+
+export type PluginCommand = (params: Record<string, unknown>) => Promise<PluginResponse>;
+
+export interface HarnessOptions {
+  photoshop?: FakePhotoshop;
+  /** WebSocket constructor for the panel; the default never connects */
+  WebSocket?: unknown;
+  /** Panel elements by id, e.g. `{ serverUrl: { value: "ws://localhost:9000" } }` */
+  elements?: Record<string, Record<string, unknown>>;
+  /** Initial panel localStorage contents */
+  storage?: Record<string, string>;
+  pluginVersion?: string;
+}
+
+export interface PluginHarness {
+  photoshop: FakePhotoshop;
+  commands: Record<string, PluginCommand>;
+  /** Panel log lines, oldest first */
+  logs: string[];
+  storage: Map<string, string>;
+  /** Run a command through the plugin's job queue, as a bridge request would be */
+  run(command: string, params?: Record<string, unknown>): Promise<PluginResponse>;
+  /** Evaluate code inside the plugin, e.g. to read a top-level binding */
+  evaluate<T = unknown>(code: string): T;
+}
+
+/** A file entry as returned by uxp.storage.localFileSystem */
+export interface FakeEntry {
+  name: string;
+  nativePath: string;
+  isFile: boolean;
+}
+
+function fileEntry(path: string): FakeEntry {
+  return { name: basename(path), nativePath: path, isFile: true };
+}
+
+function createUxp(pluginVersion: string) {
+  return {
+    versions: { plugin: pluginVersion, uxp: "7.0.0" },
+    storage: {
+      localFileSystem: {
+        getFileForSaving: async (path: string) => fileEntry(path),
+        getEntryWithUrl: async (url: string) => fileEntry(url.replace(/^file:/, "")),
+        getTemporaryFolder: async () => ({ name: "tmp", nativePath: "/tmp", isFolder: true }),
+        createSessionToken: (entry: FakeEntry) => `session:${entry.nativePath}`,
+      },
+    },
+  };
+}
+
+/** Never opens; enough for a panel that is loaded but not connected */
+class IdleWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+  readyState = IdleWebSocket.CONNECTING;
+  onopen: (() => void) | null = null;
+  onmessage: ((event: { data: string }) => void) | null = null;
+  onclose: ((event: { code: number; reason: string; wasClean: boolean }) => void) | null = null;
+  onerror: ((error: unknown) => void) | null = null;
+
+  constructor(readonly url: string) {}
+
+  send(): void {
+    throw new Error("WebSocket is not open");
+  }
+
+  close(): void {
+    this.readyState = IdleWebSocket.CLOSED;
+  }
+}
+
+function createDocument(elements: Record<string, Record<string, unknown>>) {
+  const withEvents = (element: Record<string, unknown>) => ({
+    addEventListener: () => {},
+    ...element,
+  });
+  const panelElements = new Map(Object.entries(elements).map(([id, el]) => [id, withEvents(el)]));
+
+  return {
+    readyState: "complete",
+    getElementById: (id: string) => panelElements.get(id) ?? null,
+    createElement: () => withEvents({}),
+    addEventListener: () => {},
+  };
+}
+
+export function loadPlugin(options: HarnessOptions = {}): PluginHarness {
+  const photoshop = options.photoshop ?? new FakePhotoshop();
+  const logs: string[] = [];
+  const storage = new Map(Object.entries(options.storage ?? {}));
+  const uxp = createUxp(options.pluginVersion ?? "0.1.0");
+
+  const modules: Record<string, unknown> = {
+    photoshop: photoshop.module,
+    uxp,
+    os: { platform: () => "darwin" },
+  };
+
+  const sandbox = {
+    require: (name: string) => {
+      if (!(name in modules)) throw new Error(`Cannot find module '${name}'`);
+      return modules[name];
+    },
+    console: {
+      log: (...args: unknown[]) => logs.push(args.map(String).join(" ")),
+      warn: (...args: unknown[]) => logs.push(args.map(String).join(" ")),
+      error: (...args: unknown[]) => logs.push(args.map(String).join(" ")),
+    },
+    document: createDocument(options.elements ?? {}),
+    localStorage: {
+      getItem: (key: string) => storage.get(key) ?? null,
+      setItem: (key: string, value: string) => storage.set(key, String(value)),
+      removeItem: (key: string) => storage.delete(key),
+    },
+    WebSocket: options.WebSocket ?? IdleWebSocket,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    structuredClone,
+  };
+
+  const context = vm.createContext(sandbox);
+  vm.runInContext(readFileSync(PLUGIN_MAIN, "utf8"), context, { filename: PLUGIN_MAIN });
+
+  // Top-level const/let bindings aren't properties of the context object,
+  // but later scripts in the same context can see them
+  const evaluate = <T>(code: string): T => vm.runInContext(code, context) as T;
+  const commands = evaluate<Record<string, PluginCommand>>("commands");
+  const enqueueJob = evaluate<
+    (id: string, command: string, handler: PluginCommand, params: Record<string, unknown>) => Promise<PluginResponse>
+  >("enqueueJob");
+
+  let requestId = 0;
+
+  return {
+    photoshop,
+    commands,
+    logs,
+    storage,
+    evaluate,
+    run(command, params = {}) {
+      const handler = commands[command];
+      if (!handler) {
+        return Promise.resolve({ ok: false, changed: false, error: `Unknown command: ${command}` });
+      }
+      return enqueueJob(`test:req_${++requestId}`, command, handler, params);
+    },
+  };
+}
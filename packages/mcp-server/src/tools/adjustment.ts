@@ -2,594 +2,432 @@
  * Adjustment Layer Tools
  *
  * Tools for creating and modifying adjustment layers in Photoshop.
- * All use batchPlay for adjustment layer creation.
+ * All use batchPlay for adjustment layer creation. ps_adjust_get reads a
+ * layer's settings back in its create tool's schema, and ps_adjust_update
+ * changes them in place. Every create tool also takes a mask source, blend
+ * mode, opacity and clipping, so a local correction is a single call, and
+ * `measure` to report what the layer did to the histogram.
+ * Uses Zod validation for type-safe parameter handling.
  */
 
-import type {
-  ToolDefinition,
-  PhotoshopBridge,
-  ToolResponse,
-} from "./registry.js";
+import { ZodObject } from "zod";
+import { createTool, validationError, z } from "./factory.js";
+import type { ToolDefinition, ToolResponse } from "./registry.js";
+import { blendModes } from "./layer.js";
+import { withMeasurement } from "./measure.js";
+import { activeLayerTarget, layerTargetSchema } from "./target.js";
 
+const rgbColorSchema = z.object({
+  red: z.number().min(0).max(255),
+  green: z.number().min(0).max(255),
+  blue: z.number().min(0).max(255),
+});
+
+const layerName = z.string().optional().describe("Name for the adjustment layer");
+
+const layerTarget = activeLayerTarget(
+  "Layer to put the new layer above (default: the active layer)"
+);
+
+/** A number in [min, max] that defaults to `fallback` */
+const ranged = (min: number, max: number, fallback: number, description: string) =>
+  z.number().min(min).max(max).default(fallback).describe(description);
+
+const balance = (description: string) => ranged(-100, 100, 0, description);
+
+const invertMask = z.boolean().default(false).describe("Invert the mask (default: false)");
+
+// What the new layer's mask is made from. Photoshop masks a new adjustment
+// layer with the selection, so each source is loaded as one first.
+const maskSchema = z
+  .discriminatedUnion("type", [
+    z.object({
+      type: z.literal("selection"),
+      invert: invertMask,
+    }),
+    z.object({
+      type: z.literal("channel"),
+      name: z.string().min(1).describe("Name of a saved alpha channel"),
+      invert: invertMask,
+    }),
+    z.object({
+      type: z.literal("layerMask"),
+      layer: layerTargetSchema.describe("Layer whose mask to copy, by ID, path or name"),
+      invert: invertMask,
+    }),
+    z.object({
+      type: z.literal("luminosity"),
+      range: z.enum(["highlights", "midtones", "shadows"]).describe("Tonal range to let through"),
+      fuzziness: ranged(0, 100, 20, "How softly the range falls off (0-100, default: 20)"),
+      invert: invertMask,
+    }),
+  ])
+  .optional()
+  .describe(
+    "Mask the layer to the current selection, a saved channel, another layer's mask or a luminosity range (default: the current selection if there is one, else no mask). The selection is left as it was."
+  );
+
+/** Layer options every adjustment and fill tool takes */
+const creationOptions = {
+  mask: maskSchema,
+  blendMode: z.enum(blendModes).exclude(["passThrough"]).optional().describe("Blend mode for the layer"),
+  opacity: z.number().min(0).max(100).optional().describe("Layer opacity (0-100)"),
+  clip: z.boolean().optional().describe("Clip the layer to the one below so it only affects that layer"),
+};
+
+// Schemas
+const curvesSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  points: z
+    .array(
+      z.object({
+        input: z.number().min(0).max(255),
+        output: z.number().min(0).max(255),
+      })
+    )
+    .optional()
+    .describe(
+      "Array of {input, output} points (0-255). E.g., [{input:0,output:0},{input:128,output:140},{input:255,output:255}]"
+    ),
+  channel: z
+    .enum(["composite", "red", "green", "blue"])
+    .default("composite")
+    .describe("Channel to adjust (default: composite/RGB)"),
+});
+
+const levelsSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  inputBlack: ranged(0, 255, 0, "Input black point (0-255, default: 0)"),
+  inputWhite: ranged(0, 255, 255, "Input white point (0-255, default: 255)"),
+  gamma: ranged(0.1, 10, 1.0, "Gamma/midtones (0.1-10, default: 1.0)"),
+  outputBlack: ranged(0, 255, 0, "Output black point (0-255, default: 0)"),
+  outputWhite: ranged(0, 255, 255, "Output white point (0-255, default: 255)"),
+});
+
+const hueSaturationSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  hue: ranged(-180, 180, 0, "Hue shift (-180 to 180, default: 0)"),
+  saturation: ranged(-100, 100, 0, "Saturation (-100 to 100, default: 0)"),
+  lightness: ranged(-100, 100, 0, "Lightness (-100 to 100, default: 0)"),
+  colorize: z.boolean().default(false).describe("Enable colorize mode (default: false)"),
+});
+
+const brightnessContrastSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  brightness: ranged(-150, 150, 0, "Brightness (-150 to 150, default: 0)"),
+  contrast: ranged(-50, 100, 0, "Contrast (-50 to 100, default: 0)"),
+  useLegacy: z.boolean().default(false).describe("Use legacy mode (default: false)"),
+});
+
+const vibranceSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  vibrance: ranged(-100, 100, 0, "Vibrance (-100 to 100, default: 0)"),
+  saturation: ranged(-100, 100, 0, "Saturation (-100 to 100, default: 0)"),
+});
+
+const colorBalanceSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  shadowsCyanRed: balance("Shadows cyan-red (-100 to 100)"),
+  shadowsMagentaGreen: balance("Shadows magenta-green (-100 to 100)"),
+  shadowsYellowBlue: balance("Shadows yellow-blue (-100 to 100)"),
+  midtonesCyanRed: balance("Midtones cyan-red (-100 to 100)"),
+  midtonesMagentaGreen: balance("Midtones magenta-green (-100 to 100)"),
+  midtonesYellowBlue: balance("Midtones yellow-blue (-100 to 100)"),
+  highlightsCyanRed: balance("Highlights cyan-red (-100 to 100)"),
+  highlightsMagentaGreen: balance("Highlights magenta-green (-100 to 100)"),
+  highlightsYellowBlue: balance("Highlights yellow-blue (-100 to 100)"),
+  preserveLuminosity: z.boolean().default(true).describe("Preserve luminosity (default: true)"),
+});
+
+const blackWhiteSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  red: ranged(-200, 300, 40, "Red contribution (default: 40)"),
+  yellow: ranged(-200, 300, 60, "Yellow contribution (default: 60)"),
+  green: ranged(-200, 300, 40, "Green contribution (default: 40)"),
+  cyan: ranged(-200, 300, 60, "Cyan contribution (default: 60)"),
+  blue: ranged(-200, 300, 20, "Blue contribution (default: 20)"),
+  magenta: ranged(-200, 300, 80, "Magenta contribution (default: 80)"),
+});
+
+const exposureSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  exposure: ranged(-20, 20, 0, "Exposure (-20 to 20, default: 0)"),
+  offset: ranged(-0.5, 0.5, 0, "Offset (-0.5 to 0.5, default: 0)"),
+  gamma: ranged(0.01, 9.99, 1.0, "Gamma correction (0.01-9.99, default: 1.0)"),
+});
+
+const invertSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+});
+
+const posterizeSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  levels: ranged(2, 255, 4, "Number of tonal levels (2-255, default: 4)"),
+});
+
+const thresholdSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  level: ranged(1, 255, 128, "Threshold level (1-255, default: 128)"),
+});
+
+const photoFilterSchema = z.object({
+  target: layerTarget,
+  name: layerName,
+  ...creationOptions,
+  color: rgbColorSchema
+    // Warming filter default
+    .default({ red: 236, green: 138, blue: 0 })
+    .describe("Filter color as RGB {red, green, blue} (0-255)"),
+  density: ranged(1, 100, 25, "Filter density (1-100, default: 25)"),
+  preserveLuminosity: z.boolean().default(true).describe("Preserve luminosity (default: true)"),
+});
+
+const adjustmentTarget = activeLayerTarget(
+  "Adjustment or fill layer by ID, path or name (default: the active layer)"
+);
+
+const getSchema = z.object({
+  target: adjustmentTarget,
+});
+
+const updateSchema = z.object({
+  target: adjustmentTarget,
+  settings: z
+    .record(z.unknown())
+    .describe(
+      "Settings to change, named like the parameters of the layer's create tool (see ps_adjust_get), e.g. {saturation: -20}; settings left out keep their current values. On a Curves layer only the given channel's curve changes"
+    ),
+});
+
+const solidColorSchema = z.object({
+  target: layerTarget,
+  name: z.string().optional().describe("Name for the fill layer"),
+  ...creationOptions,
+  color: rgbColorSchema.describe("Fill color as RGB {red, green, blue} (0-255)"),
+});
+
+// The plugin takes each tonal range as [cyanRed, magentaGreen, yellowBlue]
+const colorBalanceLevels = (args: z.infer<typeof colorBalanceSchema>) => ({
+  target: args.target,
+  name: args.name,
+  mask: args.mask,
+  blendMode: args.blendMode,
+  opacity: args.opacity,
+  clip: args.clip,
+  shadows: [args.shadowsCyanRed, args.shadowsMagentaGreen, args.shadowsYellowBlue],
+  midtones: [args.midtonesCyanRed, args.midtonesMagentaGreen, args.midtonesYellowBlue],
+  highlights: [args.highlightsCyanRed, args.highlightsMagentaGreen, args.highlightsYellowBlue],
+  preserveLuminosity: args.preserveLuminosity,
+});
+
+interface AdjustmentSettings {
+  layerId: number;
+  layerName: string;
+  type: string;
+  command: string | null;
+  settings: Record<string, unknown> | null;
+  /** Every channel's curve, on a Curves layer */
+  curves?: Array<{ channel: string; points: Array<{ input: number; output: number }> }>;
+}
+
+/** The create tool whose schema an adjustment layer's settings follow */
+function createToolFor(command: string | null): ToolDefinition | undefined {
+  return adjustmentTools.find((tool) => command !== null && tool.command === command);
+}
+
+// Create tool arguments that say where and how to make the layer rather
+// than what it does
+const placementArgs = new Set(["target", "name", "measure", ...Object.keys(creationOptions)]);
+
+/** The settings a create tool takes: its arguments, less where and how to make the layer */
+function settingKeys(create: ToolDefinition): string[] {
+  const shape = create.schema instanceof ZodObject ? create.schema.shape : {};
+  return Object.keys(shape).filter((key) => !placementArgs.has(key));
+}
+
+// Tools
 export const adjustmentTools: ToolDefinition[] = [
-  {
-    name: "ps_adjust_curves",
-    description: "Create a Curves adjustment layer with custom curve points",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        points: {
-          type: "array",
-          description: "Array of {input, output} points (0-255). E.g., [{input:0,output:0},{input:128,output:140},{input:255,output:255}]",
-          items: {
-            type: "object",
-            properties: {
-              input: { type: "number", minimum: 0, maximum: 255 },
-              output: { type: "number", minimum: 0, maximum: 255 },
-            },
-          },
-        },
-        channel: {
-          type: "string",
-          enum: ["composite", "red", "green", "blue"],
-          description: "Channel to adjust (default: composite/RGB)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.curves", {
-        name: args.name,
-        points: args.points,
-        channel: args.channel ?? "composite",
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_levels",
-    description: "Create a Levels adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        inputBlack: {
-          type: "number",
-          minimum: 0,
-          maximum: 255,
-          description: "Input black point (0-255, default: 0)",
-        },
-        inputWhite: {
-          type: "number",
-          minimum: 0,
-          maximum: 255,
-          description: "Input white point (0-255, default: 255)",
-        },
-        gamma: {
-          type: "number",
-          minimum: 0.1,
-          maximum: 10,
-          description: "Gamma/midtones (0.1-10, default: 1.0)",
-        },
-        outputBlack: {
-          type: "number",
-          minimum: 0,
-          maximum: 255,
-          description: "Output black point (0-255, default: 0)",
-        },
-        outputWhite: {
-          type: "number",
-          minimum: 0,
-          maximum: 255,
-          description: "Output white point (0-255, default: 255)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.levels", {
-        name: args.name,
-        inputBlack: args.inputBlack ?? 0,
-        inputWhite: args.inputWhite ?? 255,
-        gamma: args.gamma ?? 1.0,
-        outputBlack: args.outputBlack ?? 0,
-        outputWhite: args.outputWhite ?? 255,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_hue_saturation",
-    description: "Create a Hue/Saturation adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        hue: {
-          type: "number",
-          minimum: -180,
-          maximum: 180,
-          description: "Hue shift (-180 to 180, default: 0)",
-        },
-        saturation: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Saturation (-100 to 100, default: 0)",
-        },
-        lightness: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Lightness (-100 to 100, default: 0)",
-        },
-        colorize: {
-          type: "boolean",
-          description: "Enable colorize mode (default: false)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.hue_saturation", {
-        name: args.name,
-        hue: args.hue ?? 0,
-        saturation: args.saturation ?? 0,
-        lightness: args.lightness ?? 0,
-        colorize: args.colorize ?? false,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_brightness_contrast",
-    description: "Create a Brightness/Contrast adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        brightness: {
-          type: "number",
-          minimum: -150,
-          maximum: 150,
-          description: "Brightness (-150 to 150, default: 0)",
-        },
-        contrast: {
-          type: "number",
-          minimum: -50,
-          maximum: 100,
-          description: "Contrast (-50 to 100, default: 0)",
-        },
-        useLegacy: {
-          type: "boolean",
-          description: "Use legacy mode (default: false)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.brightness_contrast", {
-        name: args.name,
-        brightness: args.brightness ?? 0,
-        contrast: args.contrast ?? 0,
-        useLegacy: args.useLegacy ?? false,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_vibrance",
-    description: "Create a Vibrance adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        vibrance: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Vibrance (-100 to 100, default: 0)",
-        },
-        saturation: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Saturation (-100 to 100, default: 0)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.vibrance", {
-        name: args.name,
-        vibrance: args.vibrance ?? 0,
-        saturation: args.saturation ?? 0,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_color_balance",
-    description: "Create a Color Balance adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        shadowsCyanRed: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Shadows cyan-red (-100 to 100)",
-        },
-        shadowsMagentaGreen: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Shadows magenta-green (-100 to 100)",
-        },
-        shadowsYellowBlue: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Shadows yellow-blue (-100 to 100)",
-        },
-        midtonesCyanRed: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Midtones cyan-red (-100 to 100)",
-        },
-        midtonesMagentaGreen: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Midtones magenta-green (-100 to 100)",
-        },
-        midtonesYellowBlue: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Midtones yellow-blue (-100 to 100)",
-        },
-        highlightsCyanRed: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Highlights cyan-red (-100 to 100)",
-        },
-        highlightsMagentaGreen: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Highlights magenta-green (-100 to 100)",
-        },
-        highlightsYellowBlue: {
-          type: "number",
-          minimum: -100,
-          maximum: 100,
-          description: "Highlights yellow-blue (-100 to 100)",
-        },
-        preserveLuminosity: {
-          type: "boolean",
-          description: "Preserve luminosity (default: true)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.color_balance", {
-        name: args.name,
-        shadows: [
-          args.shadowsCyanRed ?? 0,
-          args.shadowsMagentaGreen ?? 0,
-          args.shadowsYellowBlue ?? 0,
-        ],
-        midtones: [
-          args.midtonesCyanRed ?? 0,
-          args.midtonesMagentaGreen ?? 0,
-          args.midtonesYellowBlue ?? 0,
-        ],
-        highlights: [
-          args.highlightsCyanRed ?? 0,
-          args.highlightsMagentaGreen ?? 0,
-          args.highlightsYellowBlue ?? 0,
-        ],
-        preserveLuminosity: args.preserveLuminosity ?? true,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_black_white",
-    description: "Create a Black & White adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        red: {
-          type: "number",
-          minimum: -200,
-          maximum: 300,
-          description: "Red contribution (default: 40)",
-        },
-        yellow: {
-          type: "number",
-          minimum: -200,
-          maximum: 300,
-          description: "Yellow contribution (default: 60)",
-        },
-        green: {
-          type: "number",
-          minimum: -200,
-          maximum: 300,
-          description: "Green contribution (default: 40)",
-        },
-        cyan: {
-          type: "number",
-          minimum: -200,
-          maximum: 300,
-          description: "Cyan contribution (default: 60)",
-        },
-        blue: {
-          type: "number",
-          minimum: -200,
-          maximum: 300,
-          description: "Blue contribution (default: 20)",
-        },
-        magenta: {
-          type: "number",
-          minimum: -200,
-          maximum: 300,
-          description: "Magenta contribution (default: 80)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.black_white", {
-        name: args.name,
-        red: args.red ?? 40,
-        yellow: args.yellow ?? 60,
-        green: args.green ?? 40,
-        cyan: args.cyan ?? 60,
-        blue: args.blue ?? 20,
-        magenta: args.magenta ?? 80,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_exposure",
-    description: "Create an Exposure adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        exposure: {
-          type: "number",
-          minimum: -20,
-          maximum: 20,
-          description: "Exposure (-20 to 20, default: 0)",
-        },
-        offset: {
-          type: "number",
-          minimum: -0.5,
-          maximum: 0.5,
-          description: "Offset (-0.5 to 0.5, default: 0)",
-        },
-        gamma: {
-          type: "number",
-          minimum: 0.01,
-          maximum: 9.99,
-          description: "Gamma correction (0.01-9.99, default: 1.0)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.exposure", {
-        name: args.name,
-        exposure: args.exposure ?? 0,
-        offset: args.offset ?? 0,
-        gamma: args.gamma ?? 1.0,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_invert",
-    description: "Create an Invert adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.invert", { name: args.name });
-    },
-  },
-
-  {
-    name: "ps_adjust_posterize",
-    description: "Create a Posterize adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        levels: {
-          type: "number",
-          minimum: 2,
-          maximum: 255,
-          description: "Number of tonal levels (2-255, default: 4)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.posterize", {
-        name: args.name,
-        levels: args.levels ?? 4,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_threshold",
-    description: "Create a Threshold adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        level: {
-          type: "number",
-          minimum: 1,
-          maximum: 255,
-          description: "Threshold level (1-255, default: 128)",
-        },
-      },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.threshold", {
-        name: args.name,
-        level: args.level ?? 128,
-      });
-    },
-  },
-
-  {
-    name: "ps_adjust_photo_filter",
-    description: "Create a Photo Filter adjustment layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the adjustment layer",
-        },
-        color: {
-          type: "object",
-          description: "Filter color as RGB {red, green, blue} (0-255)",
-          properties: {
-            red: { type: "number", minimum: 0, maximum: 255 },
-            green: { type: "number", minimum: 0, maximum: 255 },
-            blue: { type: "number", minimum: 0, maximum: 255 },
-          },
-        },
-        density: {
-          type: "number",
-          minimum: 1,
-          maximum: 100,
-          description: "Filter density (1-100, default: 25)",
-        },
-        preserveLuminosity: {
-          type: "boolean",
-          description: "Preserve luminosity (default: true)",
-        },
+  createTool(
+    "ps_adjust_curves",
+    "Create a Curves adjustment layer with custom curve points",
+    curvesSchema,
+    "adjust.curves"
+  ),
+
+  createTool(
+    "ps_adjust_levels",
+    "Create a Levels adjustment layer",
+    levelsSchema,
+    "adjust.levels"
+  ),
+
+  createTool(
+    "ps_adjust_hue_saturation",
+    "Create a Hue/Saturation adjustment layer",
+    hueSaturationSchema,
+    "adjust.hue_saturation"
+  ),
+
+  createTool(
+    "ps_adjust_brightness_contrast",
+    "Create a Brightness/Contrast adjustment layer",
+    brightnessContrastSchema,
+    "adjust.brightness_contrast"
+  ),
+
+  createTool(
+    "ps_adjust_vibrance",
+    "Create a Vibrance adjustment layer",
+    vibranceSchema,
+    "adjust.vibrance"
+  ),
+
+  createTool(
+    "ps_adjust_color_balance",
+    "Create a Color Balance adjustment layer",
+    colorBalanceSchema,
+    "adjust.color_balance",
+    { transform: colorBalanceLevels }
+  ),
+
+  createTool(
+    "ps_adjust_black_white",
+    "Create a Black & White adjustment layer",
+    blackWhiteSchema,
+    "adjust.black_white"
+  ),
+
+  createTool(
+    "ps_adjust_exposure",
+    "Create an Exposure adjustment layer",
+    exposureSchema,
+    "adjust.exposure"
+  ),
+
+  createTool(
+    "ps_adjust_invert",
+    "Create an Invert adjustment layer",
+    invertSchema,
+    "adjust.invert"
+  ),
+
+  createTool(
+    "ps_adjust_posterize",
+    "Create a Posterize adjustment layer",
+    posterizeSchema,
+    "adjust.posterize"
+  ),
+
+  createTool(
+    "ps_adjust_threshold",
+    "Create a Threshold adjustment layer",
+    thresholdSchema,
+    "adjust.threshold"
+  ),
+
+  createTool(
+    "ps_adjust_photo_filter",
+    "Create a Photo Filter adjustment layer",
+    photoFilterSchema,
+    "adjust.photo_filter"
+  ),
+
+  createTool(
+    "ps_fill_solid_color",
+    "Create a Solid Color fill layer",
+    solidColorSchema,
+    "fill.solid_color"
+  ),
+
+  createTool(
+    "ps_adjust_get",
+    "Read an adjustment or fill layer's settings, in the schema of the tool that creates it. A Curves layer's settings are its composite curve; every channel's curve is listed in curves.",
+    getSchema,
+    "adjust.get",
+    {
+      readOnly: true,
+      handler: async (bridge, { target }): Promise<ToolResponse> => {
+        const result = await bridge.send("adjust.get", { target });
+        if (!result.ok) return result;
+        const adjustment = result.data as AdjustmentSettings;
+        return { ...result, data: { ...adjustment, tool: createToolFor(adjustment.command)?.name ?? null } };
       },
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("adjust.photo_filter", {
-        name: args.name,
-        color: args.color ?? { red: 236, green: 138, blue: 0 }, // Warming filter default
-        density: args.density ?? 25,
-        preserveLuminosity: args.preserveLuminosity ?? true,
-      });
-    },
-  },
-
-  {
-    name: "ps_fill_solid_color",
-    description: "Create a Solid Color fill layer",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: {
-          type: "string",
-          description: "Name for the fill layer",
-        },
-        color: {
-          type: "object",
-          description: "Fill color as RGB {red, green, blue} (0-255)",
-          properties: {
-            red: { type: "number", minimum: 0, maximum: 255 },
-            green: { type: "number", minimum: 0, maximum: 255 },
-            blue: { type: "number", minimum: 0, maximum: 255 },
-          },
-          required: ["red", "green", "blue"],
-        },
+    }
+  ),
+
+  // Settings are merged over the layer's current ones and validated against
+  // its create tool, so an update takes exactly what creating it would
+  createTool(
+    "ps_adjust_update",
+    "Change an existing adjustment or fill layer's settings in place instead of stacking a new layer",
+    updateSchema,
+    "adjust.update",
+    {
+      handler: async (bridge, { target, settings }): Promise<ToolResponse> => {
+        const current = await bridge.send("adjust.get", { target });
+        if (!current.ok) return current;
+        const { layerName, type, command, settings: currentSettings } = current.data as AdjustmentSettings;
+
+        const layerOptions = Object.keys(settings).filter((key) => key in creationOptions);
+        if (layerOptions.length > 0) {
+          return {
+            ok: false,
+            changed: false,
+            error: `${layerOptions.join(", ")} can only be given when creating the layer; use ps_layer_set_properties or the ps_mask_* tools to change it`,
+          };
+        }
+
+        const create = createToolFor(command);
+        if (!create || !currentSettings) {
+          return {
+            ok: false,
+            changed: false,
+            error: `Layer "${layerName}" is a ${type} layer, which no ps_adjust_* tool creates, so it can't be updated here`,
+          };
+        }
+
+        // The create schema accepts its placement arguments and strips
+        // unknown keys, so either would otherwise be dropped without a word
+        const known = settingKeys(create);
+        const unknown = Object.keys(settings).filter((key) => !known.includes(key));
+        if (unknown.length > 0) {
+          return {
+            ok: false,
+            changed: false,
+            error: `${unknown.join(", ")} ${unknown.length === 1 ? "is not a setting" : "are not settings"} of ${create.name}; a ${type} layer takes ${known.join(", ")}`,
+          };
+        }
+
+        const parsed = create.schema.safeParse({ ...currentSettings, ...settings });
+        if (!parsed.success) return validationError(parsed.error);
+        const params =
+          command === "adjust.color_balance"
+            ? colorBalanceLevels(parsed.data as z.infer<typeof colorBalanceSchema>)
+            : parsed.data;
+        return bridge.send("adjust.update", { target, command, params });
       },
-      required: ["color"],
-    },
-    handler: async (
-      bridge: PhotoshopBridge,
-      args: Record<string, unknown>
-    ): Promise<ToolResponse> => {
-      return bridge.send("fill.solid_color", {
-        name: args.name,
-        color: args.color,
-      });
-    },
-  },
-];
+    }
+  ),
+].map(withMeasurement);
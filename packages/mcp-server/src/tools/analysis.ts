@@ -0,0 +1,158 @@
+/**
+ * Analysis Tools
+ *
+ * Histograms and pixel statistics for the document, a layer or the current
+ * selection. The plugin exports the pixels (downsampled to at most maxSize
+ * on the long edge) and the numbers are computed here, in src/analysis.
+ * Uses Zod validation for type-safe parameter handling.
+ */
+
+import {
+  CHANNELS,
+  averageColor,
+  channelStats,
+  clippedPixels,
+  decodePixels,
+  histograms,
+  pixelCount,
+  rebin,
+  type PixelPayload,
+} from "../analysis/pixels.js";
+import { createTool, z } from "./factory.js";
+import type { PhotoshopBridge, ToolDefinition, ToolResponse } from "./registry.js";
+import { activeLayerTarget, type LayerTarget } from "./target.js";
+
+const sourceFields = {
+  source: z
+    .enum(["document", "layer", "selection"])
+    .optional()
+    .describe(
+      "What to analyze: the composite image, one layer's own pixels, or the composite inside the selection (default: layer if target is given, otherwise document)"
+    ),
+  target: activeLayerTarget("Layer to analyze with source: layer (default: the active layer)"),
+  maxSize: z
+    .number()
+    .int()
+    .min(16)
+    .max(1024)
+    .default(1024)
+    .describe("Downsample so the long edge is at most this many pixels before counting (default: 1024)"),
+};
+
+// Schemas
+const histogramSchema = z.object({
+  ...sourceFields,
+  channels: z
+    .array(z.enum(CHANNELS))
+    .min(1)
+    .default([...CHANNELS])
+    .describe("Histograms to return (default: red, green, blue and luminosity)"),
+  bins: z
+    .union([z.literal(16), z.literal(32), z.literal(64), z.literal(128), z.literal(256)])
+    .default(256)
+    .describe("Bins per histogram: 256 gives one per level (default: 256)"),
+});
+
+const statsSchema = z.object({
+  ...sourceFields,
+  percentiles: z
+    .array(z.number().min(0).max(100))
+    .default([1, 5, 25, 75, 95, 99])
+    .describe("Percentiles to report for each channel (default: 1, 5, 25, 75, 95, 99)"),
+});
+
+interface AnalyzedPixels extends PixelPayload {
+  source: string;
+  layerId?: number;
+  bounds: { left: number; top: number; right: number; bottom: number };
+}
+
+/** Export the pixels to analyze, and describe what they cover */
+async function exportPixels(
+  bridge: PhotoshopBridge,
+  args: { source?: string; target?: LayerTarget; maxSize: number }
+): Promise<{ response: ToolResponse } | { pixels: AnalyzedPixels }> {
+  const source = args.source ?? (args.target ? "layer" : "document");
+  if (args.target && source !== "layer") {
+    return { response: { ok: false, changed: false, error: "target is only used with source: layer" } };
+  }
+  const response = await bridge.send("analyze.pixels", {
+    source,
+    target: args.target,
+    maxSize: args.maxSize,
+  });
+  if (!response.ok) return { response };
+  return { pixels: response.data as AnalyzedPixels };
+}
+
+/** What was analyzed, shared by both tools' results */
+function coverage(pixels: AnalyzedPixels, counted: number) {
+  return {
+    source: pixels.source,
+    ...(pixels.layerId !== undefined && { layerId: pixels.layerId }),
+    bounds: pixels.bounds,
+    sampledSize: { width: pixels.width, height: pixels.height },
+    pixelCount: counted,
+  };
+}
+
+// Tools
+export const analysisTools: ToolDefinition[] = [
+  createTool(
+    "ps_analyze_histogram",
+    "Get per-channel histograms and clipping of the document, a layer or the selection, counted from the actual pixels",
+    histogramSchema,
+    "analyze.pixels",
+    {
+      readOnly: true,
+      timeoutClass: "slow",
+      handler: async (bridge, { channels, bins, ...source }): Promise<ToolResponse> => {
+        const exported = await exportPixels(bridge, source);
+        if ("response" in exported) return exported.response;
+
+        const buffer = decodePixels(exported.pixels);
+        const counted = histograms(buffer);
+        return {
+          ok: true,
+          changed: false,
+          data: {
+            ...coverage(exported.pixels, pixelCount(counted)),
+            bins,
+            histograms: Object.fromEntries(channels.map((channel) => [channel, rebin(counted[channel], bins)])),
+            clipped: clippedPixels(buffer),
+          },
+        };
+      },
+    }
+  ),
+
+  createTool(
+    "ps_analyze_stats",
+    "Get pixel statistics of the document, a layer or the selection: per-channel mean, median, percentiles, min/max, standard deviation and clipping, plus the average color",
+    statsSchema,
+    "analyze.pixels",
+    {
+      readOnly: true,
+      timeoutClass: "slow",
+      handler: async (bridge, { percentiles, ...source }): Promise<ToolResponse> => {
+        const exported = await exportPixels(bridge, source);
+        if ("response" in exported) return exported.response;
+
+        const buffer = decodePixels(exported.pixels);
+        const counted = histograms(buffer);
+        return {
+          ok: true,
+          changed: false,
+          data: {
+            ...coverage(exported.pixels, pixelCount(counted)),
+            channels: Object.fromEntries(
+              CHANNELS.map((channel) => [channel, channelStats(counted[channel], percentiles)])
+            ),
+            averageColor: averageColor(counted),
+            clipped: clippedPixels(buffer),
+          },
+        };
+      },
+    }
+  ),
+];
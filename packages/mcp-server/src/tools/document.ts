@@ -26,26 +26,30 @@ export const documentTools: ToolDefinition[] = [
   createSimpleTool(
     "ps_doc_get_active",
     "Get information about the currently active Photoshop document",
-    "doc.get_active"
+    "doc.get_active",
+    { readOnly: true }
   ),
 
   createTool(
     "ps_doc_open",
     "Open a document from a file path",
     openDocSchema,
-    "doc.open"
+    "doc.open",
+    { timeoutClass: "slow" }
   ),
 
   createSimpleTool(
     "ps_doc_save",
     "Save the current document",
-    "doc.save"
+    "doc.save",
+    { timeoutClass: "slow", readOnly: true }
   ),
 
   createTool(
     "ps_doc_save_as",
     "Save the current document to a new path",
     saveAsSchema,
-    "doc.save_as"
+    "doc.save_as",
+    { timeoutClass: "slow", readOnly: true }
   ),
 ];
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from "vitest";
+import { effectsTools } from "./effects.js";
+import type { PhotoshopBridge, ToolResponse } from "./registry.js";
+
+const createMockBridge = (response?: Partial<ToolResponse>): PhotoshopBridge => ({
+  isConnected: () => true,
+  send: vi.fn().mockResolvedValue({ ok: true, changed: true, data: {}, ...response }),
+});
+
+const findTool = (name: string) => {
+  const tool = effectsTools.find((t) => t.name === name);
+  if (!tool) throw new Error(`Tool not found: ${name}`);
+  return tool;
+};
+
+describe("Layer Effects Tools", () => {
+  describe("ps_effects_set", () => {
+    it("should send only the settings given", async () => {
+      const bridge = createMockBridge();
+
+      await findTool("ps_effects_set").handler(bridge, {
+        target: { path: "Header/Title" },
+        effect: { type: "stroke", size: 2, position: "inside" },
+      });
+
+      expect(bridge.send).toHaveBeenCalledWith("effects.set", {
+        target: { path: "Header/Title" },
+        effect: { type: "stroke", size: 2, position: "inside" },
+      });
+    });
+
+    it("should check settings against the effect type", async () => {
+      const bridge = createMockBridge();
+      const tool = findTool("ps_effects_set");
+
+      const unknownType = await tool.handler(bridge, { effect: { type: "lensFlare" } });
+      const outOfRange = await tool.handler(bridge, { effect: { type: "dropShadow", opacity: 150 } });
+      const passThrough = await tool.handler(bridge, {
+        effect: { type: "colorOverlay", blendMode: "passThrough" },
+      });
+
+      for (const result of [unknownType, outOfRange, passThrough]) {
+        expect(result.ok).toBe(false);
+        expect(result.error).toContain("Validation failed");
+      }
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it("should describe each effect type's settings in the input schema", () => {
+      const effect = findTool("ps_effects_set").inputSchema.properties.effect as {
+        anyOf: Array<{ properties: Record<string, unknown> }>;
+      };
+
+      expect(effect.anyOf).toHaveLength(10);
+      expect(Object.keys(effect.anyOf[0].properties)).toContain("distance");
+    });
+  });
+
+  it("should mark clearing effects as destructive", () => {
+    expect(findTool("ps_effects_clear").destructive).toBe(true);
+    expect(findTool("ps_effects_copy").destructive).toBeFalsy();
+  });
+
+  it("should require at least one layer to copy effects to", async () => {
+    const bridge = createMockBridge();
+
+    const result = await findTool("ps_effects_copy").handler(bridge, { to: [] });
+
+    expect(result.ok).toBe(false);
+    expect(bridge.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Layer Effects Tools
+ *
+ * Layer styles: drop shadow, glows, bevel, satin, overlays and stroke.
+ * The plugin reads and writes them through the layer's batchPlay
+ * layerEffects descriptor.
+ * Uses Zod validation for type-safe parameter handling.
+ */
+
+import { createTool, z } from "./factory.js";
+import { blendModes } from "./layer.js";
+import type { ToolDefinition } from "./registry.js";
+import { activeLayerTarget, layerTargetSchema } from "./target.js";
+
+export const effectTypes = [
+  "dropShadow",
+  "innerShadow",
+  "outerGlow",
+  "innerGlow",
+  "bevelEmboss",
+  "satin",
+  "colorOverlay",
+  "gradientOverlay",
+  "patternOverlay",
+  "stroke",
+] as const;
+
+const rgbColorSchema = z.object({
+  red: z.number().min(0).max(255),
+  green: z.number().min(0).max(255),
+  blue: z.number().min(0).max(255),
+});
+
+// Settings left out keep the layer's current values, or the Layer Style defaults for a new effect
+const blendMode = z.enum(blendModes).exclude(["passThrough"]).optional().describe("Blend mode");
+const color = (description = "Color as RGB {red, green, blue} (0-255)") =>
+  rgbColorSchema.optional().describe(description);
+const percent = (description: string) => z.number().min(0).max(100).optional().describe(description);
+const pixels = (max: number, description: string) =>
+  z.number().min(0).max(max).optional().describe(description);
+const angle = z.number().min(-360).max(360).optional().describe("Light angle in degrees");
+const useGlobalAngle = z.boolean().optional().describe("Use the document's global light angle");
+const flag = (description: string) => z.boolean().optional().describe(description);
+
+const effectTarget = activeLayerTarget();
+
+const effect = <T extends (typeof effectTypes)[number], S extends z.ZodRawShape>(
+  type: T,
+  shape: S
+) =>
+  z.object({
+    type: z.literal(type),
+    enabled: z.boolean().optional().describe("Whether the effect is on (default: true)"),
+    ...shape,
+  });
+
+const shadowShape = {
+  blendMode,
+  color: color(),
+  opacity: percent("Opacity (0-100)"),
+  angle,
+  useGlobalAngle,
+  distance: pixels(30000, "Distance in pixels"),
+  size: pixels(250, "Size (blur) in pixels"),
+  noise: percent("Noise (0-100)"),
+};
+
+const glowShape = {
+  blendMode,
+  color: color(),
+  opacity: percent("Opacity (0-100)"),
+  noise: percent("Noise (0-100)"),
+  technique: z.enum(["softer", "precise"]).optional().describe("Glow technique"),
+  size: pixels(250, "Size in pixels"),
+  range: percent("Contour range (0-100)"),
+};
+
+const effectSchema = z.discriminatedUnion("type", [
+  effect("dropShadow", {
+    ...shadowShape,
+    spread: percent("Spread (0-100)"),
+    knockout: flag("Layer knocks out the drop shadow"),
+  }),
+  effect("innerShadow", { ...shadowShape, choke: percent("Choke (0-100)") }),
+  effect("outerGlow", { ...glowShape, spread: percent("Spread (0-100)") }),
+  effect("innerGlow", {
+    ...glowShape,
+    source: z.enum(["edge", "center"]).optional().describe("Glow from the edges or the center"),
+    choke: percent("Choke (0-100)"),
+  }),
+  effect("bevelEmboss", {
+    style: z
+      .enum(["innerBevel", "outerBevel", "emboss", "pillowEmboss", "strokeEmboss"])
+      .optional()
+      .describe("Bevel style"),
+    technique: z.enum(["smooth", "chiselHard", "chiselSoft"]).optional().describe("Bevel technique"),
+    depth: z.number().min(1).max(1000).optional().describe("Depth (1-1000%)"),
+    direction: z.enum(["up", "down"]).optional().describe("Direction"),
+    size: pixels(250, "Size in pixels"),
+    soften: pixels(16, "Soften in pixels"),
+    angle,
+    altitude: z.number().min(0).max(90).optional().describe("Light altitude in degrees"),
+    useGlobalAngle,
+    highlightMode: blendMode,
+    highlightColor: color("Highlight color as RGB {red, green, blue} (0-255)"),
+    highlightOpacity: percent("Highlight opacity (0-100)"),
+    shadowMode: blendMode,
+    shadowColor: color("Shadow color as RGB {red, green, blue} (0-255)"),
+    shadowOpacity: percent("Shadow opacity (0-100)"),
+  }),
+  effect("satin", {
+    blendMode,
+    color: color(),
+    opacity: percent("Opacity (0-100)"),
+    angle,
+    distance: pixels(250, "Distance in pixels"),
+    size: pixels(250, "Size in pixels"),
+    invert: flag("Invert the satin"),
+    antiAlias: flag("Anti-alias the contour"),
+  }),
+  effect("colorOverlay", {
+    blendMode,
+    color: color(),
+    opacity: percent("Opacity (0-100)"),
+  }),
+  effect("gradientOverlay", {
+    blendMode,
+    opacity: percent("Opacity (0-100)"),
+    colors: z
+      .array(
+        z.object({
+          color: rgbColorSchema,
+          location: z.number().min(0).max(100).describe("Position along the gradient (0-100)"),
+        })
+      )
+      .min(2)
+      .optional()
+      .describe("Gradient color stops (default: black to white)"),
+    style: z
+      .enum(["linear", "radial", "angle", "reflected", "diamond"])
+      .optional()
+      .describe("Gradient style"),
+    angle: z.number().min(-360).max(360).optional().describe("Gradient angle in degrees"),
+    scale: z.number().min(10).max(150).optional().describe("Scale (10-150%)"),
+    reverse: flag("Reverse the gradient"),
+    dither: flag("Dither the gradient"),
+    alignWithLayer: flag("Align the gradient with the layer"),
+  }),
+  effect("patternOverlay", {
+    blendMode,
+    opacity: percent("Opacity (0-100)"),
+    pattern: z
+      .object({
+        name: z.string().optional().describe("Pattern preset name"),
+        id: z.string().optional().describe("Pattern preset ID"),
+      })
+      .refine((pattern) => pattern.name !== undefined || pattern.id !== undefined, {
+        message: "Give the pattern's name or id",
+      })
+      .optional()
+      .describe("Pattern from Photoshop's pattern presets (required for a new pattern overlay)"),
+    scale: z.number().min(1).max(1000).optional().describe("Scale (1-1000%)"),
+    linkWithLayer: flag("Move the pattern with the layer"),
+  }),
+  effect("stroke", {
+    size: pixels(250, "Stroke width in pixels"),
+    position: z.enum(["outside", "inside", "center"]).optional().describe("Stroke position"),
+    blendMode,
+    opacity: percent("Opacity (0-100)"),
+    color: color(),
+  }),
+]);
+
+// Schemas
+const getEffectsSchema = z.object({
+  target: effectTarget,
+});
+
+const setEffectSchema = z.object({
+  target: effectTarget,
+  effect: effectSchema.describe(
+    "The effect and the settings to change, e.g. {type: 'dropShadow', distance: 10, opacity: 50}"
+  ),
+});
+
+const enableEffectsSchema = z.object({
+  target: effectTarget,
+  type: z
+    .enum(effectTypes)
+    .optional()
+    .describe("Effect to turn on or off (default: all of the layer's effects)"),
+  enabled: z.boolean().describe("Turn the effects on (true) or off (false)"),
+});
+
+const clearEffectsSchema = z.object({
+  target: effectTarget,
+  type: z.enum(effectTypes).optional().describe("Effect to remove (default: the whole layer style)"),
+});
+
+const copyEffectsSchema = z.object({
+  target: activeLayerTarget("Layer to copy the effects from (default: the active layer)"),
+  to: z.array(layerTargetSchema).min(1).describe("Layers to paste the effects on"),
+});
+
+// Tools
+export const effectsTools: ToolDefinition[] = [
+  createTool(
+    "ps_effects_get",
+    "Read a layer's effects (layer style) with their settings",
+    getEffectsSchema,
+    "effects.get",
+    { readOnly: true }
+  ),
+
+  createTool(
+    "ps_effects_set",
+    "Add a layer effect or update the settings of one the layer already has: drop shadow, inner shadow, outer/inner glow, bevel & emboss, satin, color/gradient/pattern overlay or stroke",
+    setEffectSchema,
+    "effects.set"
+  ),
+
+  createTool(
+    "ps_effects_enable",
+    "Turn one layer effect, or all of a layer's effects, on or off without removing them",
+    enableEffectsSchema,
+    "effects.enable"
+  ),
+
+  createTool(
+    "ps_effects_clear",
+    "Remove one effect from a layer, or clear its whole layer style",
+    clearEffectsSchema,
+    "effects.clear",
+    { destructive: true }
+  ),
+
+  createTool(
+    "ps_effects_copy",
+    "Copy a layer's effects onto other layers, replacing their layer style (Copy/Paste Layer Style)",
+    copyEffectsSchema,
+    "effects.copy"
+  ),
+];
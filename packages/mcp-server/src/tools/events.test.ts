@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { eventTools } from "./events.js";
+import { EventLog } from "../bridge/events.js";
+import { createToolRegistry, type PhotoshopBridge } from "./registry.js";
+
+const poll = eventTools.find((t) => t.name === "ps_events_poll")!;
+
+const createBridge = (protocolVersion = 3, connected = true) => {
+  const log = new EventLog();
+  const bridge: PhotoshopBridge = {
+    isConnected: () => connected,
+    send: async () => {
+      throw new Error("ps_events_poll should not ask the plugin");
+    },
+    getPluginInfo: () => ({ protocolVersion, pluginVersion: "0.3.0", photoshopVersion: "26.0", apiLevel: 2, commands: [] }),
+    getEvents: (query) => log.since(query),
+  };
+  return { log, bridge };
+};
+
+describe("Event Tools", () => {
+  it("should return logged events and the cursor for the next poll", async () => {
+    const { log, bridge } = createBridge();
+    log.record({ event: "delete", documentId: 7, target: "layer", time: "2026-01-01T00:00:00.000Z" });
+    log.record({ event: "historyStateChanged", documentId: 7, name: "Undo", time: "2026-01-01T00:00:01.000Z" });
+
+    const result = await poll.handler(bridge, { events: ["historyStateChanged"] });
+
+    expect(result).toEqual({
+      ok: true,
+      changed: false,
+      data: {
+        events: [{ seq: 2, event: "historyStateChanged", documentId: 7, name: "Undo", time: "2026-01-01T00:00:01.000Z" }],
+        cursor: 2,
+        missed: 0,
+      },
+    });
+    expect((await poll.handler(bridge, { since: 2 })).data).toEqual({ events: [], cursor: 2, missed: 0 });
+  });
+
+  it("should read the log while the plugin is disconnected", async () => {
+    const { log, bridge } = createBridge(3, false);
+    log.record({ event: "close", documentId: 7, time: "2026-01-01T00:00:00.000Z" });
+
+    const result = await createToolRegistry(bridge).callTool("ps_events_poll", {});
+
+    expect(result.ok).toBe(true);
+    expect(result.data).toMatchObject({ events: [{ seq: 1, event: "close", documentId: 7 }], cursor: 1 });
+  });
+
+  it("should warn when the plugin is too old to push events", async () => {
+    const { bridge } = createBridge(2);
+
+    const result = await poll.handler(bridge, {});
+
+    expect(result.ok).toBe(true);
+    expect(result.warnings).toEqual([
+      "The connected MCP Bridge plugin (version 0.3.0) does not push events; update the plugin in Photoshop",
+    ]);
+  });
+
+  it("should only accept events the plugin watches", async () => {
+    const { bridge } = createBridge();
+
+    const result = await poll.handler(bridge, { events: ["set"] });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain("Validation failed: events.0");
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Event Tools
+ *
+ * Photoshop events the plugin pushes as they happen, whether a tool call or
+ * the user caused them: layers made or deleted, selection changes, history
+ * state changes (including undo by hand), documents opened or closed. The
+ * server logs them; clients that can't take resource notifications poll.
+ * Uses Zod validation for type-safe parameter handling.
+ */
+
+import { EVENTS_PROTOCOL_VERSION } from "../bridge/protocol.js";
+import { createTool, z } from "./factory.js";
+import type { ToolDefinition, ToolResponse } from "./registry.js";
+
+/** Events the plugin listens for */
+export const WATCHED_EVENTS = ["make", "delete", "select", "historyStateChanged", "open", "close"] as const;
+
+// Schemas
+const pollSchema = z.object({
+  since: z
+    .number()
+    .int()
+    .min(0)
+    .default(0)
+    .describe("Cursor from the previous poll; only events after it are returned (default: 0, every event still kept)"),
+  limit: z.number().int().min(1).max(500).default(100).describe("Most events to return (default: 100)"),
+  events: z
+    .array(z.enum(WATCHED_EVENTS))
+    .min(1)
+    .optional()
+    .describe("Only return these events (default: all)"),
+});
+
+// Tools
+export const eventTools: ToolDefinition[] = [
+  // The log is kept server-side; the plugin is not asked
+  createTool(
+    "ps_events_poll",
+    "Get Photoshop events since the last poll: layers made or deleted, selection and history changes (including undo by hand), documents opened or closed. Pass the returned cursor as since next time.",
+    pollSchema,
+    null,
+    {
+      readOnly: true,
+      timeoutClass: "fast",
+      handler: async (bridge, { since, limit, events }): Promise<ToolResponse> => {
+        if (!bridge.getEvents) {
+          return { ok: false, changed: false, error: "This server does not record Photoshop events" };
+        }
+        const page = bridge.getEvents({ since, limit, events });
+
+        const plugin = bridge.getPluginInfo?.();
+        if (plugin && plugin.protocolVersion < EVENTS_PROTOCOL_VERSION) {
+          return {
+            ok: true,
+            changed: false,
+            data: page,
+            warnings: [
+              `The connected MCP Bridge plugin (version ${plugin.pluginVersion}) does not push events; update the plugin in Photoshop`,
+            ],
+          };
+        }
+        return { ok: true, changed: false, data: page };
+      },
+    }
+  ),
+];
@@ -147,6 +147,40 @@ describe("createTool", () => {
   });
 });
 
+describe("createTool handler option", () => {
+  const schema = z.object({
+    steps: z.number().min(1).default(1),
+  });
+
+  it("should pass validated args to a custom handler", async () => {
+    const handler = vi.fn().mockResolvedValue({ ok: true, changed: false });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd", { handler });
+    const bridge = createMockBridge();
+    const context = { callTool: vi.fn() };
+
+    await tool.handler(bridge, {}, context);
+
+    expect(handler).toHaveBeenCalledWith(bridge, { steps: 1 }, context);
+    expect(bridge.send).not.toHaveBeenCalled();
+  });
+
+  it("should not call the handler with invalid args", async () => {
+    const handler = vi.fn();
+    const tool = createTool("ps_test", "Test", schema, "test.cmd", { handler });
+
+    const result = await tool.handler(createMockBridge(), { steps: 0 });
+
+    expect(result.error).toMatch(/^Validation failed: steps:/);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should require a handler for tools without a bridge command", () => {
+    expect(() => createTool("ps_test", "Test", schema, null)).toThrow(
+      "needs a bridge command or a handler"
+    );
+  });
+});
+
 describe("JSON Schema generation", () => {
   it("should generate correct schema for string type", () => {
     const schema = z.object({
@@ -211,4 +245,150 @@ describe("JSON Schema generation", () => {
     expect(tool.inputSchema.required).not.toContain("optional");
     expect(tool.inputSchema.required).not.toContain("withDefault");
   });
+
+  it("should publish integers, exclusive bounds and defaults", () => {
+    const schema = z.object({
+      count: z.number().int().positive().default(1).describe("How many"),
+      ratio: z.number().lt(1).multipleOf(0.25),
+    });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd");
+
+    expect(tool.inputSchema.properties.count).toEqual({
+      type: "integer",
+      exclusiveMinimum: 0,
+      default: 1,
+      description: "How many",
+    });
+    expect(tool.inputSchema.properties.ratio).toEqual({
+      type: "number",
+      exclusiveMaximum: 1,
+      multipleOf: 0.25,
+    });
+  });
+
+  it("should keep descriptions given before optional or default", () => {
+    const schema = z.object({
+      name: z.string().describe("Layer name").optional(),
+      mode: z.enum(["a", "b"]).describe("Mode").default("a"),
+    });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd");
+
+    expect(tool.inputSchema.properties.name).toEqual({ type: "string", description: "Layer name" });
+    expect(tool.inputSchema.properties.mode).toEqual({
+      type: "string",
+      enum: ["a", "b"],
+      default: "a",
+      description: "Mode",
+    });
+  });
+
+  it("should publish string length, pattern and format checks", () => {
+    const schema = z.object({
+      color: z.string().regex(/^#[0-9a-f]{6}$/i),
+      code: z.string().length(3),
+      name: z.string().min(1).max(255),
+      link: z.string().url(),
+    });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd");
+
+    expect(tool.inputSchema.properties).toEqual({
+      color: { type: "string", pattern: "^#[0-9a-f]{6}$" },
+      code: { type: "string", minLength: 3, maxLength: 3 },
+      name: { type: "string", minLength: 1, maxLength: 255 },
+      link: { type: "string", format: "uri" },
+    });
+  });
+
+  it("should publish number tuples as arrays, not strings", () => {
+    const schema = z.object({
+      points: z.array(z.tuple([z.number(), z.number()])).min(2).max(16),
+      anchor: z.tuple([z.string(), z.number()]),
+    });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd");
+
+    expect(tool.inputSchema.properties.points).toEqual({
+      type: "array",
+      minItems: 2,
+      maxItems: 16,
+      items: {
+        type: "array",
+        prefixItems: [{ type: "number" }, { type: "number" }],
+        items: { type: "number" },
+        minItems: 2,
+        maxItems: 2,
+      },
+    });
+    expect(tool.inputSchema.properties.anchor).toEqual({
+      type: "array",
+      prefixItems: [{ type: "string" }, { type: "number" }],
+      minItems: 2,
+      maxItems: 2,
+    });
+  });
+
+  it("should publish unions, literals and nullable fields", () => {
+    const schema = z.object({
+      target: z.union([z.number(), z.string()]),
+      side: z.union([z.literal("left"), z.literal("right")]),
+      kind: z.literal("text"),
+      color: z.object({ r: z.number() }).or(z.string()),
+      path: z.string().nullable(),
+      format: z.enum(["png", "jpg"]).nullable(),
+    });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd");
+
+    expect(tool.inputSchema.properties).toEqual({
+      target: { type: ["number", "string"] },
+      side: { type: "string", enum: ["left", "right"] },
+      kind: { type: "string", const: "text" },
+      color: {
+        anyOf: [
+          { type: "object", properties: { r: { type: "number" } }, required: ["r"] },
+          { type: "string" },
+        ],
+      },
+      path: { type: ["string", "null"] },
+      format: { type: ["string", "null"], enum: ["png", "jpg", null] },
+    });
+  });
+
+  it("should publish records and strict objects", () => {
+    const schema = z.object({
+      settings: z.record(z.number()),
+      bounds: z.object({ left: z.number().optional() }).strict(),
+    });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd");
+
+    expect(tool.inputSchema.properties.settings).toEqual({
+      type: "object",
+      additionalProperties: { type: "number" },
+    });
+    expect(tool.inputSchema.properties.bounds).toEqual({
+      type: "object",
+      properties: { left: { type: "number" } },
+      additionalProperties: false,
+    });
+  });
+
+  it("should publish the input shape of refined and transformed fields", () => {
+    const schema = z.object({
+      size: z.number().refine((n) => n % 2 === 0).describe("Even size"),
+      name: z.string().transform((s) => s.trim()),
+    });
+    const tool = createTool("ps_test", "Test", schema, "test.cmd");
+
+    expect(tool.inputSchema.properties).toEqual({
+      size: { type: "number", description: "Even size" },
+      name: { type: "string" },
+    });
+    expect(tool.inputSchema.required).toEqual(["size", "name"]);
+  });
+
+  it("should refuse Zod types it can't describe", () => {
+    const schema = z.object({ when: z.date() });
+
+    expect(() => createTool("ps_test", "Test", schema, "test.cmd")).toThrow(
+      "unsupported Zod type ZodDate"
+    );
+  });
 });
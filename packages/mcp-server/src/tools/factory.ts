@@ -5,40 +5,60 @@
  * and Zod validation.
  */
 
-import { z, ZodObject, ZodRawShape } from "zod";
+import { z, ZodEffects, ZodObject, ZodRawShape } from "zod";
 import type {
   ToolDefinition,
+  ToolSchema,
   PhotoshopBridge,
   ToolResponse,
+  ToolHandlerContext,
 } from "./registry.js";
+import type { TimeoutClass } from "../bridge/timeouts.js";
 
 // Use zod-to-json-schema approach with manual conversion
 // This avoids accessing Zod internals directly
 
+type JsonSchemaType = "string" | "number" | "integer" | "boolean" | "object" | "array" | "null";
+
 type JsonSchemaProperty = {
-  type: string;
+  type?: JsonSchemaType | JsonSchemaType[];
   description?: string;
+  default?: unknown;
+  const?: unknown;
+  enum?: unknown[];
   minimum?: number;
   maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  multipleOf?: number;
   minLength?: number;
   maxLength?: number;
-  enum?: string[];
-  default?: unknown;
+  pattern?: string;
+  format?: string;
   items?: JsonSchemaProperty;
+  prefixItems?: JsonSchemaProperty[];
+  minItems?: number;
+  maxItems?: number;
   properties?: Record<string, JsonSchemaProperty>;
   required?: string[];
+  additionalProperties?: boolean | JsonSchemaProperty;
+  anyOf?: JsonSchemaProperty[];
+  allOf?: JsonSchemaProperty[];
+  not?: JsonSchemaProperty;
 };
 
 /**
  * Convert a Zod schema to JSON Schema for MCP tool definitions.
- * This is a simplified converter that handles common Zod types.
+ * Covers the Zod types tool schemas use; anything else throws when the tool
+ * is defined rather than being published with a misleading schema.
  */
-function zodToJsonSchema(schema: ZodObject<ZodRawShape>): {
+export function zodToJsonSchema(schema: ToolSchema): {
   type: "object";
   properties: Record<string, object>;
   required?: string[];
 } {
-  const shape = schema.shape;
+  // Refinements across fields have no JSON Schema form; they still run on input
+  const shape = (schema instanceof ZodEffects ? schema.sourceType() : schema).shape;
   const properties: Record<string, object> = {};
   const required: string[] = [];
 
@@ -58,129 +78,359 @@ function zodToJsonSchema(schema: ZodObject<ZodRawShape>): {
 }
 
 /**
- * Convert a single Zod field to JSON Schema property
+ * Convert a single Zod field to JSON Schema property. Wrappers (optional,
+ * default, nullable, refinements, ...) are peeled off first; they decide
+ * whether the property is required and contribute `default` and `null`.
  */
 function convertZodField(field: z.ZodTypeAny): {
   schema: JsonSchemaProperty;
   optional: boolean;
 } {
-  // Handle the field by checking its constructor name or using describe
-  const def = field._def as Record<string, unknown>;
-  const typeName = def.typeName as string | undefined;
-
   let optional = false;
+  let nullable = false;
+  let defaultValue: { value: unknown } | undefined;
+  // .describe() on a wrapper copies the description onto it, so the
+  // outermost one is the most recent
+  const description = field.description;
   let innerField = field;
 
-  // Unwrap optional
-  if (typeName === "ZodOptional") {
-    optional = true;
-    innerField = (def.innerType as z.ZodTypeAny) ?? field;
-  }
+  for (;;) {
+    const def = innerField._def as Record<string, unknown>;
+    const typeName = def.typeName as string | undefined;
 
-  // Unwrap default (also makes it optional for required array)
-  const innerDef = innerField._def as Record<string, unknown>;
-  const innerTypeName = innerDef.typeName as string | undefined;
-
-  if (innerTypeName === "ZodDefault") {
-    optional = true;
-    innerField = (innerDef.innerType as z.ZodTypeAny) ?? innerField;
+    if (typeName === "ZodOptional") {
+      optional = true;
+      innerField = def.innerType as z.ZodTypeAny;
+    } else if (typeName === "ZodDefault") {
+      // Defaulted fields may be omitted, so they're optional too
+      optional = true;
+      defaultValue ??= { value: (def.defaultValue as () => unknown)() };
+      innerField = def.innerType as z.ZodTypeAny;
+    } else if (typeName === "ZodNullable") {
+      nullable = true;
+      innerField = def.innerType as z.ZodTypeAny;
+    } else if (typeName === "ZodEffects") {
+      // refine/transform/preprocess: clients send the input shape
+      innerField = def.schema as z.ZodTypeAny;
+    } else if (typeName === "ZodPipeline") {
+      innerField = def.in as z.ZodTypeAny;
+    } else if (typeName === "ZodBranded") {
+      innerField = def.type as z.ZodTypeAny;
+    } else if (typeName === "ZodCatch" || typeName === "ZodReadonly") {
+      innerField = def.innerType as z.ZodTypeAny;
+    } else if (typeName === "ZodLazy") {
+      innerField = (def.getter as () => z.ZodTypeAny)();
+    } else {
+      break;
+    }
   }
 
-  // Get final type info
-  const finalDef = innerField._def as Record<string, unknown>;
-  const finalTypeName = finalDef.typeName as string | undefined;
+  let schema = convertZodType(innerField);
+  if (nullable) schema = withNull(schema);
+  if (description) schema.description = description;
+  if (defaultValue) schema.default = defaultValue.value;
+
+  return { schema, optional };
+}
 
-  let schema: JsonSchemaProperty = { type: "string" };
+/**
+ * Convert an unwrapped Zod type (see convertZodField) to JSON Schema
+ */
+function convertZodType(field: z.ZodTypeAny): JsonSchemaProperty {
+  const def = field._def as Record<string, unknown>;
+  const typeName = def.typeName as string | undefined;
 
-  switch (finalTypeName) {
+  switch (typeName) {
     case "ZodString":
-      schema = { type: "string" };
-      break;
+      return stringSchema(def.checks as StringCheck[]);
 
     case "ZodNumber":
-      schema = { type: "number" };
-      // Check for min/max
-      const checks = finalDef.checks as Array<{ kind: string; value: number }> | undefined;
-      if (checks) {
-        for (const check of checks) {
-          if (check.kind === "min") schema.minimum = check.value;
-          if (check.kind === "max") schema.maximum = check.value;
-        }
-      }
-      break;
+      return numberSchema(def.checks as NumberCheck[]);
+
+    case "ZodBigInt":
+      return { type: "integer" };
 
     case "ZodBoolean":
-      schema = { type: "boolean" };
-      break;
+      return { type: "boolean" };
+
+    case "ZodNull":
+      return { type: "null" };
+
+    case "ZodAny":
+    case "ZodUnknown":
+      return {};
+
+    case "ZodNever":
+      return { not: {} };
+
+    case "ZodLiteral":
+      return literalSchema(def.value);
 
     case "ZodEnum":
-      schema = {
+      return {
         type: "string",
-        enum: finalDef.values as string[],
+        enum: def.values as string[],
       };
-      break;
 
-    case "ZodArray":
-      const itemType = finalDef.type as z.ZodTypeAny;
-      schema = {
+    case "ZodNativeEnum": {
+      const values = Object.values(def.values as Record<string, string | number>);
+      // Numeric enums map names to values and values back to names
+      const numeric = values.filter((v): v is number => typeof v === "number");
+      const enumValues = numeric.length > 0 ? numeric : values;
+      return {
+        type: numeric.length > 0 ? "number" : "string",
+        enum: enumValues,
+      };
+    }
+
+    case "ZodArray": {
+      const schema: JsonSchemaProperty = {
         type: "array",
-        items: convertZodField(itemType).schema,
+        items: convertZodField(def.type as z.ZodTypeAny).schema,
       };
-      break;
+      const exact = def.exactLength as { value: number } | null;
+      const min = (def.minLength as { value: number } | null) ?? exact;
+      const max = (def.maxLength as { value: number } | null) ?? exact;
+      if (min) schema.minItems = min.value;
+      if (max) schema.maxItems = max.value;
+      return schema;
+    }
+
+    case "ZodTuple": {
+      const prefixItems = (def.items as z.ZodTypeAny[]).map((item) => convertZodField(item).schema);
+      const rest = def.rest as z.ZodTypeAny | null;
+      const schema: JsonSchemaProperty = {
+        type: "array",
+        prefixItems,
+        minItems: prefixItems.length,
+      };
+      if (rest) {
+        schema.items = convertZodField(rest).schema;
+      } else {
+        schema.maxItems = prefixItems.length;
+        // Also constrain `items` when every position has the same schema,
+        // for clients that predate prefixItems
+        const first = JSON.stringify(prefixItems[0]);
+        if (prefixItems.length > 0 && prefixItems.every((item) => JSON.stringify(item) === first)) {
+          schema.items = prefixItems[0];
+        }
+      }
+      return schema;
+    }
 
-    case "ZodObject":
-      const objSchema = zodToJsonSchema(innerField as ZodObject<ZodRawShape>);
-      schema = {
+    case "ZodObject": {
+      const objSchema = zodToJsonSchema(field as ZodObject<ZodRawShape>);
+      const schema: JsonSchemaProperty = {
         type: "object",
         properties: objSchema.properties as Record<string, JsonSchemaProperty>,
         ...(objSchema.required && { required: objSchema.required }),
       };
-      break;
+      const catchall = def.catchall as z.ZodTypeAny;
+      if ((catchall._def as { typeName: string }).typeName !== "ZodNever") {
+        schema.additionalProperties = convertZodField(catchall).schema;
+      } else if (def.unknownKeys === "strict") {
+        schema.additionalProperties = false;
+      } else if (def.unknownKeys === "passthrough") {
+        schema.additionalProperties = true;
+      }
+      return schema;
+    }
+
+    case "ZodRecord":
+      return {
+        type: "object",
+        additionalProperties: convertZodField(def.valueType as z.ZodTypeAny).schema,
+      };
+
+    case "ZodUnion":
+    case "ZodDiscriminatedUnion": {
+      const options = def.options as z.ZodTypeAny[];
+      return unionSchema(options.map((option) => convertZodField(option).schema));
+    }
+
+    case "ZodIntersection":
+      return {
+        allOf: [
+          convertZodField(def.left as z.ZodTypeAny).schema,
+          convertZodField(def.right as z.ZodTypeAny).schema,
+        ],
+      };
 
     default:
-      schema = { type: "string" };
+      throw new Error(`zodToJsonSchema: unsupported Zod type ${typeName ?? "unknown"}`);
+  }
+}
+
+type StringCheck = { kind: string; value?: number; regex?: RegExp };
+type NumberCheck = { kind: string; value?: number; inclusive?: boolean };
+
+const STRING_FORMATS: Record<string, string> = {
+  email: "email",
+  url: "uri",
+  uuid: "uuid",
+  datetime: "date-time",
+  date: "date",
+  time: "time",
+  ip: "ipv4",
+};
+
+function stringSchema(checks: StringCheck[] = []): JsonSchemaProperty {
+  const schema: JsonSchemaProperty = { type: "string" };
+  for (const check of checks) {
+    if (check.kind === "min") schema.minLength = check.value;
+    if (check.kind === "max") schema.maxLength = check.value;
+    if (check.kind === "length") {
+      schema.minLength = check.value;
+      schema.maxLength = check.value;
+    }
+    if (check.kind === "regex" && check.regex) schema.pattern = check.regex.source;
+    if (check.kind in STRING_FORMATS) schema.format = STRING_FORMATS[check.kind];
   }
+  return schema;
+}
 
-  // Add description if present
-  if (innerField.description) {
-    schema.description = innerField.description;
+function numberSchema(checks: NumberCheck[] = []): JsonSchemaProperty {
+  const schema: JsonSchemaProperty = { type: "number" };
+  for (const check of checks) {
+    if (check.kind === "int") schema.type = "integer";
+    if (check.kind === "min") {
+      if (check.inclusive) schema.minimum = check.value;
+      else schema.exclusiveMinimum = check.value;
+    }
+    if (check.kind === "max") {
+      if (check.inclusive) schema.maximum = check.value;
+      else schema.exclusiveMaximum = check.value;
+    }
+    if (check.kind === "multipleOf") schema.multipleOf = check.value;
   }
+  return schema;
+}
 
-  return { schema, optional };
+function literalSchema(value: unknown): JsonSchemaProperty {
+  if (value === null) return { type: "null", const: null };
+  const type = typeof value;
+  if (type === "string" || type === "number" || type === "boolean") {
+    return { type: type as JsonSchemaType, const: value };
+  }
+  return { const: value };
+}
+
+/**
+ * Unions of literals of one type become an enum, unions of bare types a
+ * type list, and anything else anyOf.
+ */
+function unionSchema(options: JsonSchemaProperty[]): JsonSchemaProperty {
+  const isLiteral = (o: JsonSchemaProperty) => "const" in o && Object.keys(o).length === 2;
+  if (options.every(isLiteral) && new Set(options.map((o) => o.type)).size === 1) {
+    return { type: options[0].type, enum: options.map((o) => o.const) };
+  }
+
+  const isBareType = (o: JsonSchemaProperty) => typeof o.type === "string" && Object.keys(o).length === 1;
+  if (options.every(isBareType)) {
+    return { type: [...new Set(options.map((o) => o.type as JsonSchemaType))] };
+  }
+
+  return { anyOf: options };
+}
+
+/** Allow null alongside whatever the schema already accepts */
+function withNull(schema: JsonSchemaProperty): JsonSchemaProperty {
+  if (schema.enum) {
+    return { ...schema, type: addNullType(schema.type), enum: [...schema.enum, null] };
+  }
+  if (schema.type && !schema.anyOf && !("const" in schema)) {
+    return { ...schema, type: addNullType(schema.type) };
+  }
+  return { anyOf: [schema, { type: "null" }] };
+}
+
+function addNullType(type: JsonSchemaProperty["type"]): JsonSchemaType[] | undefined {
+  if (!type) return undefined;
+  const types = Array.isArray(type) ? type : [type];
+  return types.includes("null") ? types : [...types, "null"];
+}
+
+/**
+ * Tool response for input that failed validation. Every tool reports bad
+ * arguments in this shape, whichever module defines it.
+ */
+export function validationError(error: z.ZodError): ToolResponse {
+  const errors = error.errors
+    .map((e) => `${e.path.join(".")}: ${e.message}`)
+    .join(", ");
+  return {
+    ok: false,
+    changed: false,
+    error: `Validation failed: ${errors}`,
+  };
 }
 
 /**
- * Create a tool that validates input with Zod and forwards to bridge
+ * Put warnings from a wrapper (the policy, a measurement) ahead of the ones
+ * the tool itself returned.
+ */
+export function addWarnings(response: ToolResponse, warnings: string[]): ToolResponse {
+  if (warnings.length === 0) return response;
+  return { ...response, warnings: [...warnings, ...(response.warnings ?? [])] };
+}
+
+export interface CreateToolOptions<T extends ZodRawShape> {
+  /** Transform args before sending to bridge */
+  transform?: (args: z.infer<ZodObject<T>>) => Record<string, unknown>;
+  /**
+   * Replaces the single bridge.send, for tools that make several bridge
+   * calls or answer without the plugin. Receives validated args.
+   */
+  handler?: (
+    bridge: PhotoshopBridge,
+    args: z.infer<ZodObject<T>>,
+    context?: ToolHandlerContext
+  ) => Promise<ToolResponse>;
+  /** Expected duration of the bridge command (default: standard) */
+  timeoutClass?: TimeoutClass;
+  /** Discards pixels or structure (see ToolDefinition.destructive) */
+  destructive?: boolean;
+  /** Never changes the document (see ToolDefinition.readOnly) */
+  readOnly?: boolean;
+}
+
+/**
+ * Create a tool that validates input with Zod and forwards to bridge.
+ * Pass a null command for server-only tools (which need a handler).
  */
 export function createTool<T extends ZodRawShape>(
   name: string,
   description: string,
-  schema: ZodObject<T>,
-  command: string,
-  options?: {
-    /** Transform args before sending to bridge */
-    transform?: (args: z.infer<ZodObject<T>>) => Record<string, unknown>;
-  }
+  schema: ToolSchema<T>,
+  command: string | null,
+  options?: CreateToolOptions<T>
 ): ToolDefinition {
+  if (!command && !options?.handler) {
+    throw new Error(`Tool ${name} needs a bridge command or a handler`);
+  }
+
   return {
     name,
     description,
+    command: command ?? undefined,
+    timeoutClass: options?.timeoutClass,
+    destructive: options?.destructive,
+    readOnly: options?.readOnly,
+    schema,
     inputSchema: zodToJsonSchema(schema),
     handler: async (
       bridge: PhotoshopBridge,
-      args: Record<string, unknown>
+      args: Record<string, unknown>,
+      context?: ToolHandlerContext
     ): Promise<ToolResponse> => {
       // Validate input with Zod
       const parseResult = schema.safeParse(args);
       if (!parseResult.success) {
-        const errors = parseResult.error.errors
-          .map((e) => `${e.path.join(".")}: ${e.message}`)
-          .join(", ");
-        return {
-          ok: false,
-          changed: false,
-          error: `Validation failed: ${errors}`,
-        };
+        return validationError(parseResult.error);
+      }
+
+      if (options?.handler) {
+        return options.handler(bridge, parseResult.data, context);
       }
 
       // Transform if needed, otherwise use parsed data
@@ -189,7 +439,7 @@ export function createTool<T extends ZodRawShape>(
         : (parseResult.data as Record<string, unknown>);
 
       // Send to bridge
-      return bridge.send(command, params);
+      return bridge.send(command!, params);
     },
   };
 }
@@ -200,19 +450,17 @@ export function createTool<T extends ZodRawShape>(
 export function createSimpleTool(
   name: string,
   description: string,
-  command: string
+  command: string,
+  options?: {
+    /** Expected duration of the bridge command (default: standard) */
+    timeoutClass?: TimeoutClass;
+    /** Discards pixels or structure (see ToolDefinition.destructive) */
+    destructive?: boolean;
+    /** Never changes the document (see ToolDefinition.readOnly) */
+    readOnly?: boolean;
+  }
 ): ToolDefinition {
-  return {
-    name,
-    description,
-    inputSchema: {
-      type: "object",
-      properties: {},
-    },
-    handler: async (bridge: PhotoshopBridge): Promise<ToolResponse> => {
-      return bridge.send(command, {});
-    },
-  };
+  return createTool(name, description, z.object({}), command, options);
 }
 
 // Re-export zod for convenience
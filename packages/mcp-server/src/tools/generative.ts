@@ -8,7 +8,7 @@
  */
 
 import { createTool, z } from "./factory.js";
-import type { ToolDefinition, ToolResponse, PhotoshopBridge } from "./registry.js";
+import type { ToolDefinition } from "./registry.js";
 
 // Schemas
 const contentAwareFillSchema = z.object({
@@ -90,83 +90,41 @@ export const generativeTools: ToolDefinition[] = [
     "ps_content_aware_fill",
     "Fill the current selection using Content-Aware Fill. Analyzes surrounding content to seamlessly fill the selected area. Works locally without cloud services.",
     contentAwareFillSchema,
-    "generate.content_aware_fill"
+    "generate.content_aware_fill",
+    { timeoutClass: "slow" }
   ),
 
   // Generative Fill - requires cloud, experimental
-  {
-    name: "ps_generative_fill",
-    description:
-      "Fill the current selection using AI-powered Generative Fill (Adobe Firefly). " +
+  createTool(
+    "ps_generative_fill",
+    "Fill the current selection using AI-powered Generative Fill (Adobe Firefly). " +
       "Requires active selection, internet connection, and Adobe Creative Cloud subscription. " +
       "Use empty prompt to remove objects, or describe what to generate. " +
       "Note: This is cloud-based and may take 10-30 seconds.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        prompt: {
-          type: "string",
-          description: "Text prompt describing what to generate. Empty string removes content.",
-        },
-        sampleAllLayers: {
-          type: "boolean",
-          description: "Sample context from all visible layers (default: true)",
-        },
-      },
-    },
-    handler: async (bridge: PhotoshopBridge, args): Promise<ToolResponse> => {
-      const result = generativeFillSchema.safeParse(args);
-      if (!result.success) {
-        return {
-          ok: false,
-          changed: false,
-          error: `Validation failed: ${result.error.message}`,
-        };
-      }
-      return bridge.send("generate.generative_fill", result.data);
-    },
-  },
+    generativeFillSchema,
+    "generate.generative_fill",
+    { timeoutClass: "generative" }
+  ),
 
   // Generative Expand - requires cloud, experimental
-  {
-    name: "ps_generative_expand",
-    description:
-      "Expand the canvas and fill new areas using AI-powered generation (Adobe Firefly). " +
+  createTool(
+    "ps_generative_expand",
+    "Expand the canvas and fill new areas using AI-powered generation (Adobe Firefly). " +
       "Specify how many pixels to expand in each direction. " +
       "Requires internet connection and Adobe Creative Cloud subscription. " +
       "Note: This is cloud-based and may take 10-30 seconds.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        prompt: {
-          type: "string",
-          description: "Text prompt describing what to generate in expanded area",
-        },
-        top: { type: "number", description: "Pixels to expand at top" },
-        bottom: { type: "number", description: "Pixels to expand at bottom" },
-        left: { type: "number", description: "Pixels to expand at left" },
-        right: { type: "number", description: "Pixels to expand at right" },
-      },
-    },
-    handler: async (bridge: PhotoshopBridge, args): Promise<ToolResponse> => {
-      const result = generativeExpandSchema.safeParse(args);
-      if (!result.success) {
-        return {
-          ok: false,
-          changed: false,
-          error: `Validation failed: ${result.error.message}`,
-        };
-      }
-      return bridge.send("generate.generative_expand", result.data);
-    },
-  },
+    generativeExpandSchema,
+    "generate.generative_expand",
+    { timeoutClass: "generative", destructive: true }
+  ),
 
   // Remove Background - uses Select Subject + delete
   createTool(
     "ps_remove_background",
     "Remove the background from the image using AI-powered subject selection. Selects the main subject and removes everything else.",
     removeBackgroundSchema,
-    "generate.remove_background"
+    "generate.remove_background",
+    { timeoutClass: "generative", destructive: true }
   ),
 
   // Select Variation - after generative fill creates multiple options
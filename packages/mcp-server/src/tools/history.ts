@@ -6,7 +6,7 @@
  */
 
 import { createTool, createSimpleTool, z } from "./factory.js";
-import type { ToolDefinition, ToolResponse } from "./registry.js";
+import type { ToolDefinition } from "./registry.js";
 
 // Schemas
 const stepsSchema = z.object({
@@ -69,46 +69,36 @@ export const historyTools: ToolDefinition[] = [
   ),
 
   // Special handling for goto_state - needs validation that at least one param is provided
-  {
-    name: "ps_history_goto_state",
-    description: "Go to a specific history state by name or index",
-    inputSchema: {
-      type: "object",
-      properties: {
-        name: { type: "string", description: "Name of the history state" },
-        index: { type: "number", description: "Index of the history state (1-based)" },
+  createTool(
+    "ps_history_goto_state",
+    "Go to a specific history state by name or index",
+    gotoStateSchema,
+    "history.goto_state",
+    {
+      handler: async (bridge, { name, index }) => {
+        if (!name && !index) {
+          return {
+            ok: false,
+            changed: false,
+            error: "Either name or index must be provided",
+          };
+        }
+        return bridge.send("history.goto_state", { name, index });
       },
-    },
-    handler: async (bridge, args): Promise<ToolResponse> => {
-      const result = gotoStateSchema.safeParse(args);
-      if (!result.success) {
-        return {
-          ok: false,
-          changed: false,
-          error: `Validation failed: ${result.error.message}`,
-        };
-      }
-      const { name, index } = result.data;
-      if (!name && !index) {
-        return {
-          ok: false,
-          changed: false,
-          error: "Either name or index must be provided",
-        };
-      }
-      return bridge.send("history.goto_state", { name, index });
-    },
-  },
+    }
+  ),
 
   createSimpleTool(
     "ps_history_clear",
     "Clear all history states (cannot be undone)",
-    "history.clear"
+    "history.clear",
+    { destructive: true }
   ),
 
   createSimpleTool(
     "ps_history_get_states",
     "Get a list of current history states",
-    "history.get_states"
+    "history.get_states",
+    { readOnly: true }
   ),
 ];
@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from "vitest";
+import { createToolRegistry, type PhotoshopBridge } from "./registry.js";
+import type { JobRecord } from "../bridge/timeouts.js";
+
+const timedOut: JobRecord = {
+  jobId: "local:req_4",
+  command: "filter.gaussian_blur",
+  status: "completed_after_timeout",
+  timeoutMs: 30000,
+  sentAt: "2026-01-01T00:00:00.000Z",
+  timedOutAt: "2026-01-01T00:00:30.000Z",
+  completedAt: "2026-01-01T00:00:41.000Z",
+  response: { ok: true, changed: true },
+};
+
+const createMockBridge = (connected: boolean): PhotoshopBridge => ({
+  isConnected: () => connected,
+  send: vi.fn().mockResolvedValue({ ok: true, changed: false, data: { jobs: [] } }),
+  getJobStatus: (jobId) => (jobId === timedOut.jobId ? timedOut : null),
+});
+
+describe("Job Tools", () => {
+  describe("ps_job_cancel", () => {
+    it("should not offer a preview", () => {
+      const cancel = createToolRegistry(createMockBridge(true))
+        .listTools()
+        .find((tool) => tool.name === "ps_job_cancel")!;
+
+      expect(cancel.inputSchema.properties).not.toHaveProperty("preview");
+    });
+  });
+
+  describe("ps_job_status", () => {
+    it("should return a timed-out request's record while the plugin is disconnected", async () => {
+      const bridge = createMockBridge(false);
+
+      const result = await createToolRegistry(bridge).callTool("ps_job_status", { jobId: "local:req_4" });
+
+      expect(result).toEqual({ ok: true, changed: false, data: timedOut });
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it("should need the plugin only for jobs the server has no record of", async () => {
+      const registry = createToolRegistry(createMockBridge(false));
+
+      const result = await registry.callTool("ps_job_status", { jobId: "local:req_5" });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain("Not connected to Photoshop");
+    });
+
+    it("should ask the plugin's job list when connected", async () => {
+      const bridge = createMockBridge(true);
+
+      const result = await createToolRegistry(bridge).callTool("ps_job_status", { jobId: "local:req_5" });
+
+      expect(bridge.send).toHaveBeenCalledWith("job.list", {}, expect.any(Object));
+      expect(result).toMatchObject({ ok: false, error: "Job local:req_5 not found" });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Job Tools
+ *
+ * Tools for inspecting and cancelling commands queued in the UXP plugin.
+ * The plugin runs one command at a time in Photoshop's modal scope; every
+ * tool call becomes a job there, identified by its bridge request ID.
+ * Uses Zod validation for type-safe parameter handling.
+ */
+
+import { createTool, z } from "./factory.js";
+import type { ToolDefinition, ToolResponse } from "./registry.js";
+
+// Schemas
+const jobListSchema = z.object({
+  status: z
+    .enum(["queued", "running", "completed", "failed", "cancelled"])
+    .optional()
+    .describe("Only list jobs with this status"),
+  documentId: z
+    .number()
+    .optional()
+    .describe("Only list jobs queued against this document"),
+});
+
+const jobCancelSchema = z.object({
+  jobId: z.string().describe("Job ID as returned by ps_job_list"),
+});
+
+const jobStatusSchema = z.object({
+  jobId: z
+    .string()
+    .describe("Job ID from ps_job_list or from a request timeout error"),
+});
+
+// Tools
+export const jobTools: ToolDefinition[] = [
+  createTool(
+    "ps_job_list",
+    "List queued, running and recently finished Photoshop jobs with their status and progress",
+    jobListSchema,
+    "job.list",
+    { timeoutClass: "fast", readOnly: true }
+  ),
+
+  // Read-only as far as previews go: the only change it makes is rolling back
+  // the cancelled job, and that job's own call reports it
+  createTool(
+    "ps_job_cancel",
+    "Cancel a Photoshop job. Queued jobs are dropped; a running job stops at its next checkpoint or when Photoshop finishes the current step, and its changes are rolled back.",
+    jobCancelSchema,
+    "job.cancel",
+    { timeoutClass: "fast", readOnly: true }
+  ),
+
+  // Timed-out requests are tracked server-side, so they can be read while
+  // the plugin is disconnected; anything else is asked of the plugin
+  createTool(
+    "ps_job_status",
+    "Get the status of a Photoshop job. For a tool call that timed out, returns the result Photoshop produced after the timeout once it arrives.",
+    jobStatusSchema,
+    null,
+    {
+      readOnly: true,
+      timeoutClass: "fast",
+      handler: async (bridge, { jobId }): Promise<ToolResponse> => {
+        const record = bridge.getJobStatus?.(jobId);
+        if (record) {
+          return { ok: true, changed: false, data: record };
+        }
+
+        if (!bridge.isConnected()) {
+          return {
+            ok: false,
+            changed: false,
+            error: "Not connected to Photoshop. Please ensure the UXP plugin is running.",
+          };
+        }
+        const list = await bridge.send("job.list", {});
+        if (!list.ok) return list;
+
+        const jobs = (list.data as { jobs?: Array<{ jobId: string }> })?.jobs ?? [];
+        const job = jobs.find((j) => j.jobId === jobId);
+        if (!job) {
+          return { ok: false, changed: false, error: `Job ${jobId} not found` };
+        }
+        return { ok: true, changed: false, data: job };
+      },
+    }
+  ),
+];
@@ -82,6 +82,46 @@ describe("Layer Tools", () => {
     });
   });
 
+  describe("layer targets", () => {
+    it("should send a target by path instead of a layerId", async () => {
+      const tool = findTool("ps_layer_delete");
+      const bridge = createMockBridge();
+
+      const result = await tool.handler(bridge, { target: { path: "Header/Logo" } });
+
+      expect(result.ok).toBe(true);
+      expect(bridge.send).toHaveBeenCalledWith("layer.delete", {
+        target: { path: "Header/Logo" },
+      });
+    });
+
+    it("should ask for layerId or target when neither is given", async () => {
+      const tool = findTool("ps_layer_select");
+      const bridge = createMockBridge();
+
+      const result = await tool.handler(bridge, {});
+
+      expect(result.error).toBe("Validation failed: target: Give layerId or target");
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{}, "Give exactly one of layerId, path or name"],
+      [{ layerId: 3, name: "Logo" }, "Give exactly one of layerId, path or name"],
+      [{ name: "Logo", index: -1 }, "target.index:"],
+      [{ name: "Logo", parent: "Header" }, "Unrecognized key(s) in object: 'parent'"],
+    ])("should reject the target %j", async (target, message) => {
+      const tool = findTool("ps_layer_rename");
+      const bridge = createMockBridge();
+
+      const result = await tool.handler(bridge, { target, name: "Tagline" });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain(message);
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+  });
+
   describe("ps_layer_set_opacity", () => {
     it("should require both layerId and opacity", async () => {
       const tool = findTool("ps_layer_set_opacity");
@@ -142,6 +182,102 @@ describe("Layer Tools", () => {
     });
   });
 
+  describe("ps_layer_set_properties", () => {
+    it("should send only the properties given", async () => {
+      const tool = findTool("ps_layer_set_properties");
+      const bridge = createMockBridge();
+
+      await tool.handler(bridge, { layerId: 2, blendMode: "overlay", locks: { all: true } });
+
+      expect(bridge.send).toHaveBeenCalledWith("layer.set_properties", {
+        layerId: 2,
+        blendMode: "overlay",
+        locks: { all: true },
+      });
+    });
+
+    it.each([
+      ["ps_layer_set_properties", { layerId: 2, blendMode: "Multiply" }, "blendMode:"],
+      ["ps_layer_set_properties", { layerId: 2, locks: { everything: true } }, "Unrecognized key"],
+      ["ps_layer_set_properties", { layerId: 2, color: "pink" }, "color:"],
+      ["ps_layer_create", { blendMode: "burn" }, "blendMode:"],
+    ])("should reject invalid %s arguments", async (name, args, message) => {
+      const tool = findTool(name);
+      const bridge = createMockBridge();
+
+      const result = await tool.handler(bridge, args);
+
+      expect(result.error).toContain(message);
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("arrangement tools", () => {
+    it("should send a move with its relative layer and default index", async () => {
+      const tool = findTool("ps_layer_move");
+      const bridge = createMockBridge();
+
+      await tool.handler(bridge, { layerId: 4, placement: "into", relativeTo: { path: "Header" } });
+
+      expect(bridge.send).toHaveBeenCalledWith("layer.move", {
+        layerId: 4,
+        placement: "into",
+        relativeTo: { path: "Header" },
+        index: 0,
+      });
+    });
+
+    it.each([
+      ["ps_layer_move", { layerId: 4, placement: "sideways" }, "placement:"],
+      ["ps_layer_group", { layerIds: [] }, "layerIds:"],
+      ["ps_layer_link", { layerIds: [4] }, "layerIds:"],
+      ["ps_layer_merge_down", {}, "target: Give layerId or target"],
+    ])("should reject invalid %s arguments", async (name, args, message) => {
+      const tool = findTool(name);
+      const bridge = createMockBridge();
+
+      const result = await tool.handler(bridge, args);
+
+      expect(result.error).toContain(message);
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it("should mark merging and ungrouping as destructive", () => {
+      const destructive = layerTools.filter((t) => t.destructive).map((t) => t.name);
+
+      expect(destructive).toEqual(
+        expect.arrayContaining(["ps_layer_ungroup", "ps_layer_merge_down", "ps_layer_merge_visible"])
+      );
+      expect(destructive).not.toContain("ps_layer_move");
+    });
+  });
+
+  describe("ps_layer_tree", () => {
+    it("should pass filters and the depth limit through", async () => {
+      const tool = findTool("ps_layer_tree");
+      const bridge = createMockBridge();
+
+      await tool.handler(bridge, { kind: ["text", "group"], visible: true, name: "^Logo", maxDepth: 2 });
+
+      expect(bridge.send).toHaveBeenCalledWith("layer.tree", {
+        kind: ["text", "group"],
+        visible: true,
+        name: "^Logo",
+        maxDepth: 2,
+      });
+    });
+
+    it("should reject a name pattern that isn't a regular expression", async () => {
+      const tool = findTool("ps_layer_tree");
+      const bridge = createMockBridge();
+
+      const result = await tool.handler(bridge, { name: "Logo(" });
+
+      expect(result.error).toBe("Validation failed: name: Invalid regular expression");
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+  });
+
   describe("ps_layer_list", () => {
     it("should have default includeHidden = true", async () => {
       const tool = findTool("ps_layer_list");
@@ -176,15 +312,16 @@ describe("Layer Tools - Input Schema", () => {
     }
   });
 
-  it("ps_layer_set_visibility should require layerId and visible", () => {
+  it("ps_layer_set_visibility should require visible and offer layerId or target", () => {
     const tool = findTool("ps_layer_set_visibility");
-    expect(tool.inputSchema.required).toContain("layerId");
-    expect(tool.inputSchema.required).toContain("visible");
+    expect(tool.inputSchema.required).toEqual(["visible"]);
+    expect(Object.keys(tool.inputSchema.properties)).toEqual(
+      expect.arrayContaining(["layerId", "target"])
+    );
   });
 
-  it("ps_layer_duplicate should require layerId", () => {
+  it("ps_layer_duplicate should not require a name", () => {
     const tool = findTool("ps_layer_duplicate");
-    expect(tool.inputSchema.required).toContain("layerId");
-    expect(tool.inputSchema.required).not.toContain("name");
+    expect(tool.inputSchema.required).toBeUndefined();
   });
 });
@@ -7,11 +7,44 @@
 
 import { createTool, createSimpleTool, z } from "./factory.js";
 import type { ToolDefinition } from "./registry.js";
+import { layerFields, layerTargetSchema, requireLayer } from "./target.js";
+
+// Layer blend modes as the DOM names them; passThrough only applies to groups
+export const blendModes = [
+  "passThrough",
+  "normal",
+  "dissolve",
+  "darken",
+  "multiply",
+  "colorBurn",
+  "linearBurn",
+  "darkerColor",
+  "lighten",
+  "screen",
+  "colorDodge",
+  "linearDodge",
+  "lighterColor",
+  "overlay",
+  "softLight",
+  "hardLight",
+  "vividLight",
+  "linearLight",
+  "pinLight",
+  "hardMix",
+  "difference",
+  "exclusion",
+  "subtract",
+  "divide",
+  "hue",
+  "saturation",
+  "color",
+  "luminosity",
+] as const;
+
+const colorLabels = ["none", "red", "orange", "yellow", "green", "blue", "violet", "gray"] as const;
 
 // Schemas
-const layerIdSchema = z.object({
-  layerId: z.number().describe("The layer ID"),
-});
+const layerIdSchema = requireLayer(z.object(layerFields("The layer")));
 
 const createLayerSchema = z.object({
   name: z.string().optional().describe("Name for the new layer"),
@@ -22,30 +55,67 @@ const createLayerSchema = z.object({
     .optional()
     .describe("Layer opacity (0-100, default: 100)"),
   blendMode: z
-    .string()
+    .enum(blendModes)
     .optional()
     .describe("Blend mode (e.g., 'normal', 'multiply', 'screen')"),
 });
 
-const duplicateLayerSchema = z.object({
-  layerId: z.number().describe("The layer ID to duplicate"),
-  name: z.string().optional().describe("Name for the duplicated layer"),
-});
+const duplicateLayerSchema = requireLayer(
+  z.object({
+    ...layerFields("The layer to duplicate"),
+    name: z.string().optional().describe("Name for the duplicated layer"),
+  })
+);
 
-const renameLayerSchema = z.object({
-  layerId: z.number().describe("The layer ID to rename"),
-  name: z.string().describe("New name for the layer"),
-});
+const renameLayerSchema = requireLayer(
+  z.object({
+    ...layerFields("The layer to rename"),
+    name: z.string().describe("New name for the layer"),
+  })
+);
 
-const visibilitySchema = z.object({
-  layerId: z.number().describe("The layer ID"),
-  visible: z.boolean().describe("Whether the layer should be visible"),
-});
+const visibilitySchema = requireLayer(
+  z.object({
+    ...layerFields("The layer"),
+    visible: z.boolean().describe("Whether the layer should be visible"),
+  })
+);
 
-const opacitySchema = z.object({
-  layerId: z.number().describe("The layer ID"),
-  opacity: z.number().min(0).max(100).describe("Opacity percentage (0-100)"),
-});
+const opacitySchema = requireLayer(
+  z.object({
+    ...layerFields("The layer"),
+    opacity: z.number().min(0).max(100).describe("Opacity percentage (0-100)"),
+  })
+);
+
+const setPropertiesSchema = requireLayer(
+  z.object({
+    ...layerFields("The layer to change"),
+    blendMode: z.enum(blendModes).optional().describe("Blend mode"),
+    opacity: z.number().min(0).max(100).optional().describe("Opacity percentage (0-100)"),
+    fillOpacity: z
+      .number()
+      .min(0)
+      .max(100)
+      .optional()
+      .describe("Fill opacity percentage (0-100); unlike opacity it leaves layer effects alone"),
+    clipped: z
+      .boolean()
+      .optional()
+      .describe("Clip the layer to the one below it (true) or release the clipping mask (false)"),
+    locks: z
+      .object({
+        transparency: z.boolean().optional().describe("Lock transparent pixels"),
+        pixels: z.boolean().optional().describe("Lock image pixels"),
+        position: z.boolean().optional().describe("Lock position"),
+        all: z.boolean().optional().describe("Lock everything"),
+      })
+      .strict()
+      .optional()
+      .describe("Locks to turn on (true) or off (false); locks left out are unchanged"),
+    color: z.enum(colorLabels).optional().describe("Color label in the Layers panel"),
+  })
+);
 
 const listLayersSchema = z.object({
   includeHidden: z
@@ -54,10 +124,93 @@ const listLayersSchema = z.object({
     .describe("Include hidden layers (default: true)"),
 });
 
+const layerKinds = [
+  "pixel",
+  "text",
+  "smartObject",
+  "adjustment",
+  "fill",
+  "shape",
+  "group",
+  "artboard",
+  "video",
+  "3d",
+] as const;
+
+const layerTreeSchema = z.object({
+  kind: z
+    .array(z.enum(layerKinds))
+    .min(1)
+    .optional()
+    .describe("Only return layers of these kinds"),
+  visible: z
+    .boolean()
+    .optional()
+    .describe("Only return visible (true) or hidden (false) layers"),
+  name: z
+    .string()
+    .refine(
+      (pattern) => {
+        try {
+          new RegExp(pattern);
+          return true;
+        } catch {
+          return false;
+        }
+      },
+      { message: "Invalid regular expression" }
+    )
+    .optional()
+    .describe("Regular expression matched against layer names (case-insensitive)"),
+  maxDepth: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("How many levels of groups to descend into (0 = top-level layers only)"),
+});
+
 const groupCreateSchema = z.object({
   name: z.string().optional().describe("Name for the group"),
 });
 
+const moveLayerSchema = requireLayer(
+  z.object({
+    ...layerFields("The layer to move"),
+    placement: z
+      .enum(["above", "below", "top", "bottom", "into", "out"])
+      .describe(
+        "Where to move it: above or below relativeTo, to the top or bottom of its group, into the group relativeTo, or out of its group (just above it)"
+      ),
+    relativeTo: layerTargetSchema
+      .optional()
+      .describe("Layer to move above or below, or group to move into; required for above, below and into"),
+    index: z
+      .number()
+      .int()
+      .min(0)
+      .default(0)
+      .describe("Position inside the group for into, counting from the top (default: 0)"),
+  })
+);
+
+const layerIdsSchema = (min: number, description: string) =>
+  z.object({
+    layerIds: z.array(z.number()).min(min).describe(description),
+  });
+
+const groupLayersSchema = layerIdsSchema(1, "IDs of the layers to put in the new group").extend({
+  name: z.string().optional().describe("Name for the group"),
+});
+
+const ungroupSchema = requireLayer(z.object(layerFields("The group to ungroup")));
+
+const mergeDownSchema = requireLayer(
+  z.object(layerFields("The layer to merge into the one below it"))
+);
+
+const unlinkSchema = requireLayer(z.object(layerFields("The layer to unlink")));
+
 // Tools
 export const layerTools: ToolDefinition[] = [
   createTool(
@@ -78,7 +231,8 @@ export const layerTools: ToolDefinition[] = [
     "ps_layer_delete",
     "Delete a layer",
     layerIdSchema,
-    "layer.delete"
+    "layer.delete",
+    { destructive: true }
   ),
 
   createTool(
@@ -92,12 +246,21 @@ export const layerTools: ToolDefinition[] = [
     "ps_layer_list",
     "List all layers in the current document with their IDs, names, and types",
     listLayersSchema,
-    "layer.list"
+    "layer.list",
+    { readOnly: true }
+  ),
+
+  createTool(
+    "ps_layer_tree",
+    "Get the layer hierarchy with each layer's kind, blend mode, opacity and fill, clipping, locks, masks, effects, bounds and color label. Groups that lead to a filtered match are included with matched: false.",
+    layerTreeSchema,
+    "layer.tree",
+    { readOnly: true }
   ),
 
   createTool(
     "ps_layer_select",
-    "Select a layer by its ID",
+    "Select a layer by ID, path or name",
     layerIdSchema,
     "layer.select"
   ),
@@ -122,4 +285,62 @@ export const layerTools: ToolDefinition[] = [
     opacitySchema,
     "layer.set_opacity"
   ),
+
+  createTool(
+    "ps_layer_set_properties",
+    "Set any of a layer's blend mode, opacity, fill opacity, clipping mask, locks and color label as a single history step",
+    setPropertiesSchema,
+    "layer.set_properties"
+  ),
+
+  createTool(
+    "ps_layer_move",
+    "Move a layer in the stack: above or below another layer, to the top or bottom of its group, into a group at an index, or out of its group",
+    moveLayerSchema,
+    "layer.move"
+  ),
+
+  createTool(
+    "ps_layer_group",
+    "Put existing layers into a new group, placed where the topmost of them was",
+    groupLayersSchema,
+    "layer.group"
+  ),
+
+  createTool(
+    "ps_layer_ungroup",
+    "Ungroup a group, leaving its layers in its place",
+    ungroupSchema,
+    "layer.ungroup",
+    { destructive: true }
+  ),
+
+  createTool(
+    "ps_layer_merge_down",
+    "Merge a layer into the layer below it",
+    mergeDownSchema,
+    "layer.merge_down",
+    { destructive: true }
+  ),
+
+  createSimpleTool(
+    "ps_layer_merge_visible",
+    "Merge all visible layers into one; hidden layers are kept",
+    "layer.merge_visible",
+    { destructive: true }
+  ),
+
+  createTool(
+    "ps_layer_link",
+    "Link layers so they move and transform together",
+    layerIdsSchema(2, "IDs of the layers to link"),
+    "layer.link"
+  ),
+
+  createTool(
+    "ps_layer_unlink",
+    "Unlink a layer from the layers it is linked to",
+    unlinkSchema,
+    "layer.unlink"
+  ),
 ];
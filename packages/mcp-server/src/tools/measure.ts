@@ -0,0 +1,168 @@
+/**
+ * Before/After Measurement
+ *
+ * The `measure` option of adjustment and filter tools. The composite is
+ * exported before and after the edit, and the response gains a
+ * `measurement` with histogram deltas and clipping changes, plus warnings
+ * when the edit clipped shadows, highlights or saturated colors.
+ */
+
+import {
+  CHANNELS,
+  channelStats,
+  clippedPixels,
+  decodePixels,
+  gamutClipping,
+  histograms,
+  pixelCount,
+  rebin,
+  type Channel,
+  type PixelPayload,
+} from "../analysis/pixels.js";
+import { ZodObject } from "zod";
+import { addWarnings, validationError, z, zodToJsonSchema } from "./factory.js";
+import type { PhotoshopBridge, ToolDefinition, ToolResponse } from "./registry.js";
+
+const measureField = z
+  .boolean()
+  .optional()
+  .describe(
+    "Measure the image before and after: histogram deltas, clipping changes and clipping warnings (default: false)"
+  );
+
+/** Long edge the composite is downsampled to for measuring */
+const MEASURE_SIZE = 512;
+/** Percentage-point rise in clipped pixels that earns a warning */
+const CLIPPING_WARNING = 1;
+const DELTA_BINS = 16;
+
+interface Measured {
+  width: number;
+  height: number;
+  histograms: Record<Channel, number[]>;
+  pixelCount: number;
+  clipped: { shadows: number; highlights: number };
+  gamutClipped: number;
+}
+
+/** The measurement, or why it couldn't be taken; never throws, so it can't fail an edit that went through */
+async function measureComposite(bridge: PhotoshopBridge): Promise<Measured | string> {
+  try {
+    const exported = await bridge.send("analyze.pixels", { source: "document", maxSize: MEASURE_SIZE });
+    if (!exported.ok) return exported.error ?? "reading the pixels failed";
+    const payload = exported.data as PixelPayload;
+    const buffer = decodePixels(payload);
+    const counted = histograms(buffer);
+    return {
+      width: payload.width,
+      height: payload.height,
+      histograms: counted,
+      pixelCount: pixelCount(counted),
+      clipped: clippedPixels(buffer),
+      gamutClipped: gamutClipping(buffer),
+    };
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+}
+
+const round = (value: number) => Math.round(value * 100) / 100;
+
+/** Mean, median and clipping of one measurement */
+function summary(measured: Measured) {
+  const stats = Object.fromEntries(CHANNELS.map((channel) => [channel, channelStats(measured.histograms[channel], [])]));
+  return {
+    mean: Object.fromEntries(CHANNELS.map((channel) => [channel, stats[channel]?.mean ?? null])),
+    median: Object.fromEntries(CHANNELS.map((channel) => [channel, stats[channel]?.median ?? null])),
+    clipped: measured.clipped,
+    gamutClipped: measured.gamutClipped,
+  };
+}
+
+/** Change in each histogram bin, in percentage points of the pixels */
+function histogramDelta(before: Measured, after: Measured, channel: Channel): number[] {
+  const share = (measured: Measured) =>
+    rebin(measured.histograms[channel], DELTA_BINS).map((count) => (count / Math.max(1, measured.pixelCount)) * 100);
+  const was = share(before);
+  return share(after).map((value, bin) => round(value - was[bin]));
+}
+
+function compare(before: Measured, after: Measured) {
+  const was = summary(before);
+  const now = summary(after);
+  const change = (a: number | null, b: number | null) => (a === null || b === null ? null : round(b - a));
+  return {
+    sampledSize: { width: after.width, height: after.height },
+    before: was,
+    after: now,
+    delta: {
+      mean: Object.fromEntries(CHANNELS.map((channel) => [channel, change(was.mean[channel], now.mean[channel])])),
+      median: Object.fromEntries(CHANNELS.map((channel) => [channel, change(was.median[channel], now.median[channel])])),
+      clipped: {
+        shadows: round(now.clipped.shadows - was.clipped.shadows),
+        highlights: round(now.clipped.highlights - was.clipped.highlights),
+      },
+      gamutClipped: round(now.gamutClipped - was.gamutClipped),
+      histograms: Object.fromEntries(CHANNELS.map((channel) => [channel, histogramDelta(before, after, channel)])),
+    },
+  };
+}
+
+function clippingWarnings(before: Measured, after: Measured): string[] {
+  const warnings: string[] = [];
+  const rose = (was: number, now: number) => now - was >= CLIPPING_WARNING;
+  if (rose(before.clipped.shadows, after.clipped.shadows)) {
+    warnings.push(
+      `Measurement: pixels with a channel clipped to black rose from ${before.clipped.shadows}% to ${after.clipped.shadows}%`
+    );
+  }
+  if (rose(before.clipped.highlights, after.clipped.highlights)) {
+    warnings.push(
+      `Measurement: pixels with a channel clipped to white rose from ${before.clipped.highlights}% to ${after.clipped.highlights}%`
+    );
+  }
+  if (rose(before.gamutClipped, after.gamutClipped)) {
+    warnings.push(
+      `Measurement: ${after.gamutClipped}% of pixels now have colors clipped at the edge of the gamut (was ${before.gamutClipped}%)`
+    );
+  }
+  return warnings;
+}
+
+/**
+ * Give a tool the `measure` option: the wrapper adds the field to the
+ * tool's schema and takes it out of the arguments again, so the plugin never
+ * sees it. Read-only tools have nothing to measure and are left as they are.
+ */
+export function withMeasurement(tool: ToolDefinition): ToolDefinition {
+  if (tool.readOnly) return tool;
+  if (!(tool.schema instanceof ZodObject)) {
+    throw new Error(`Tool ${tool.name} has a refined schema, which withMeasurement can't extend`);
+  }
+  const schema = tool.schema.extend({ measure: measureField });
+
+  return {
+    ...tool,
+    schema,
+    inputSchema: zodToJsonSchema(schema),
+    handler: async (bridge, args, context): Promise<ToolResponse> => {
+      // Don't export pixels for a call that won't pass validation
+      const parsed = schema.safeParse(args);
+      if (!parsed.success) return validationError(parsed.error);
+      const { measure, ...rest } = args;
+      if (!measure) return tool.handler(bridge, rest, context);
+
+      const before = await measureComposite(bridge);
+      const result = await tool.handler(bridge, rest, context);
+      if (!result.ok) return result;
+      if (typeof before === "string") return addWarnings(result, [`Measurement skipped: ${before}`]);
+
+      const after = await measureComposite(bridge);
+      if (typeof after === "string") return addWarnings(result, [`Measurement skipped: ${after}`]);
+      return addWarnings(
+        { ...result, data: { ...(result.data as object), measurement: compare(before, after) } },
+        clippingWarnings(before, after)
+      );
+    },
+  };
+}
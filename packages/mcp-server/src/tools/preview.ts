@@ -0,0 +1,135 @@
+/**
+ * Preview Tools
+ *
+ * Render the document, a layer or a region as a JPEG the model can look at.
+ * Images go back as MCP image content next to the JSON result. Previews
+ * are kept small: at most maxSize on the long edge, and re-rendered smaller
+ * until they fit the byte budget (PS_PREVIEW_MAX_BYTES, default 300000
+ * base64 characters).
+ * Uses Zod validation for type-safe parameter handling.
+ */
+
+import { createTool, z } from "./factory.js";
+import type { PhotoshopBridge, ToolDefinition, ToolResponse } from "./registry.js";
+import { activeLayerTarget, type LayerTarget } from "./target.js";
+
+/** Long edge of the preview a mutating tool attaches with `preview: true` */
+export const INLINE_PREVIEW_SIZE = 512;
+
+const DEFAULT_MAX_BYTES = 300_000;
+const MIN_PREVIEW_SIZE = 64;
+const BUDGET_ATTEMPTS = 4;
+
+function maxPreviewBytes(): number {
+  const configured = Number(process.env.PS_PREVIEW_MAX_BYTES);
+  return configured > 0 ? configured : DEFAULT_MAX_BYTES;
+}
+
+export interface PreviewRequest {
+  /** Document to render (default: the active document) */
+  documentId?: number;
+  source: "document" | "layer" | "region";
+  target?: LayerTarget;
+  region?: { left: number; top: number; right: number; bottom: number };
+  maxSize: number;
+}
+
+interface RenderedPreview {
+  source: string;
+  layerId?: number;
+  bounds: { left: number; top: number; right: number; bottom: number };
+  width: number;
+  height: number;
+  mimeType: string;
+  /** Base64-encoded image */
+  image: string;
+}
+
+/**
+ * Render a preview within the byte budget, shrinking it as needed. The
+ * image is returned in `images`, and what it shows in `data`.
+ */
+export async function renderPreview(bridge: PhotoshopBridge, request: PreviewRequest): Promise<ToolResponse> {
+  const budget = maxPreviewBytes();
+  let maxSize = request.maxSize;
+  let smallest = maxSize;
+  for (let attempt = 0; attempt < BUDGET_ATTEMPTS; attempt++) {
+    const rendered = await bridge.send("preview.render", { ...request, maxSize });
+    if (!rendered.ok) return rendered;
+    const { image, ...shown } = rendered.data as RenderedPreview;
+    if (image.length <= budget) {
+      return {
+        ok: true,
+        changed: false,
+        data: { ...shown, bytes: image.length },
+        images: [{ data: image, mimeType: shown.mimeType }],
+      };
+    }
+    const longEdge = Math.max(shown.width, shown.height);
+    smallest = longEdge;
+    if (longEdge <= MIN_PREVIEW_SIZE) break;
+    // Size grows with area, so scale the edge by the square root, with some margin
+    maxSize = Math.max(MIN_PREVIEW_SIZE, Math.floor(longEdge * Math.sqrt(budget / image.length) * 0.9));
+  }
+  return {
+    ok: false,
+    changed: false,
+    error: `The preview doesn't fit the ${budget}-byte budget even at ${smallest}px; render a smaller region`,
+  };
+}
+
+const regionSchema = z
+  .object({
+    left: z.number().int().min(0).describe("Left edge in pixels"),
+    top: z.number().int().min(0).describe("Top edge in pixels"),
+    right: z.number().int().describe("Right edge in pixels"),
+    bottom: z.number().int().describe("Bottom edge in pixels"),
+  })
+  .refine((region) => region.right > region.left && region.bottom > region.top, {
+    message: "right and bottom must be past left and top",
+  });
+
+// Schemas
+const previewSchema = z
+  .object({
+    source: z
+      .enum(["document", "layer", "region"])
+      .optional()
+      .describe(
+        "What to render: the composite image, one layer on its own, or part of the composite (default: layer if target is given, region if region is, otherwise document)"
+      ),
+    target: activeLayerTarget("Layer to render with source: layer (default: the active layer)"),
+    region: regionSchema.optional().describe("Part of the document to render, with source: region"),
+    maxSize: z
+      .number()
+      .int()
+      .min(MIN_PREVIEW_SIZE)
+      .max(1568)
+      .default(768)
+      .describe("Longest edge of the preview in pixels (default: 768)"),
+  })
+  .refine((args) => args.source !== "region" || args.region !== undefined, {
+    message: "source: region needs a region",
+    path: ["region"],
+  });
+
+// Tools
+export const previewTools: ToolDefinition[] = [
+  createTool(
+    "ps_preview",
+    "Render the document, a layer or a region as an image you can see, to check an edit",
+    previewSchema,
+    "preview.render",
+    {
+      readOnly: true,
+      timeoutClass: "slow",
+      handler: async (bridge, { source, target, region, maxSize }): Promise<ToolResponse> => {
+        const resolved = source ?? (target ? "layer" : region ? "region" : "document");
+        if (target && resolved !== "layer") {
+          return { ok: false, changed: false, error: "target is only used with source: layer" };
+        }
+        return renderPreview(bridge, { source: resolved, target, region, maxSize });
+      },
+    }
+  ),
+];
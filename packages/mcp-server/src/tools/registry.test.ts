@@ -0,0 +1,266 @@
+import { describe, it, expect, vi } from "vitest";
+import { createToolRegistry } from "./registry.js";
+import { createTool, z } from "./factory.js";
+import type { PhotoshopBridge, ToolDefinition, ToolResponse } from "./registry.js";
+import type { PluginInfo } from "../bridge/protocol.js";
+import { parsePolicy } from "../policy/policy.js";
+
+const pluginInfo = (commands: string[]): PluginInfo => ({
+  protocolVersion: 1,
+  pluginVersion: "0.1.0",
+  photoshopVersion: "25.0.0",
+  apiLevel: 2,
+  commands,
+});
+
+// Mock bridge
+const createMockBridge = (
+  plugin: PluginInfo | null = null,
+  response?: Partial<ToolResponse>
+): PhotoshopBridge => ({
+  isConnected: () => true,
+  getPluginInfo: () => plugin,
+  send: vi.fn().mockResolvedValue({
+    ok: true,
+    changed: false,
+    ...response,
+  }),
+});
+
+describe("Tool Registry", () => {
+  describe("plugin capabilities", () => {
+    it("should list every tool unflagged when the plugin sent no handshake", () => {
+      const registry = createToolRegistry(createMockBridge());
+
+      const tools = registry.listTools();
+
+      expect(tools.length).toBeGreaterThan(100);
+      expect(tools.some((t) => t.description?.startsWith("[Unavailable"))).toBe(false);
+    });
+
+    it("should flag tools whose bridge command the plugin lacks", () => {
+      const registry = createToolRegistry(
+        createMockBridge(pluginInfo(["app.get_info"]))
+      );
+
+      const tools = registry.listTools();
+      const info = tools.find((t) => t.name === "ps_app_get_info");
+      const curves = tools.find((t) => t.name === "ps_adjust_curves");
+      const echo = tools.find((t) => t.name === "ps_echo");
+
+      expect(info?.description).not.toContain("Unavailable");
+      expect(echo?.description).not.toContain("Unavailable");
+      expect(curves?.description).toContain(
+        "[Unavailable: plugin 0.1.0 does not implement adjust.curves]"
+      );
+    });
+
+    it("should refuse to call tools the plugin does not implement", async () => {
+      const bridge = createMockBridge(pluginInfo(["app.get_info"]));
+      const registry = createToolRegistry(bridge);
+
+      const result = await registry.callTool("ps_layer_list", {});
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain("layer.list");
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it("should call tools the plugin implements", async () => {
+      const bridge = createMockBridge(pluginInfo(["layer.list"]));
+      const registry = createToolRegistry(bridge);
+
+      const result = await registry.callTool("ps_layer_list", {});
+
+      expect(result.ok).toBe(true);
+      expect(bridge.send).toHaveBeenCalledWith(
+        "layer.list",
+        { includeHidden: true },
+        { timeoutMs: 30000 }
+      );
+    });
+  });
+
+  describe("policy", () => {
+    const policy = parsePolicy(`
+snapshotBeforeDestructive: true
+rules:
+  - tools: [ps_execute_batchplay]
+    action: deny
+  - tools: [ps_text_rasterize]
+    action: confirm
+    reason: no longer editable
+`);
+
+    it("should refuse denied tools without calling the bridge", async () => {
+      const bridge = createMockBridge();
+      const registry = createToolRegistry(bridge, policy);
+
+      const result = await registry.callTool("ps_execute_batchplay", { descriptor: {} });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain("denied by the safety policy");
+      expect(result.warnings).toEqual(["Policy: denied ps_execute_batchplay"]);
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it("should ask for confirmation and advertise the confirm argument", async () => {
+      const bridge = createMockBridge();
+      const registry = createToolRegistry(bridge, policy);
+
+      const refused = await registry.callTool("ps_text_rasterize", {});
+      const tool = registry.listTools().find((t) => t.name === "ps_text_rasterize");
+
+      expect(refused.error).toContain("Call it again with confirm: true");
+      expect(tool?.inputSchema.properties).toHaveProperty("confirm");
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it("should snapshot before a confirmed destructive tool and report both decisions", async () => {
+      const bridge = createMockBridge(null, { changed: true });
+      const registry = createToolRegistry(bridge, policy);
+
+      const result = await registry.callTool("ps_text_rasterize", { confirm: true });
+
+      expect(bridge.send).toHaveBeenNthCalledWith(
+        1,
+        "history.snapshot_create",
+        { name: "Before ps_text_rasterize", fullDocument: true },
+        expect.anything()
+      );
+      expect(bridge.send).toHaveBeenNthCalledWith(
+        2,
+        "text.rasterize",
+        { layerId: undefined },
+        expect.anything()
+      );
+      expect(result.warnings).toEqual([
+        "Policy: ps_text_rasterize confirmed by caller",
+        'Policy: created history snapshot "Before ps_text_rasterize"',
+      ]);
+    });
+
+    it("should snapshot before clearing history", async () => {
+      const bridge = createMockBridge(null, { changed: true });
+
+      await createToolRegistry(bridge, policy).callTool("ps_history_clear", {});
+
+      expect((bridge.send as ReturnType<typeof vi.fn>).mock.calls.map(([command]) => command)).toEqual([
+        "history.snapshot_create",
+        "history.clear",
+      ]);
+    });
+
+    it("should not run a destructive tool when the snapshot before it fails", async () => {
+      const bridge = createMockBridge();
+      vi.mocked(bridge.send).mockResolvedValueOnce({ ok: false, changed: false, error: "No active document" });
+      const handler = vi.fn();
+      const flatten = createTool("ps_test_flatten", "Flatten", z.object({}), "test.flatten", {
+        destructive: true,
+        handler,
+      });
+
+      const result = await createToolRegistry(bridge, policy, [flatten]).callTool("ps_test_flatten", {});
+
+      expect(result).toEqual({
+        ok: false,
+        changed: false,
+        error: "ps_test_flatten was not run: the safety policy's history snapshot before it failed: No active document",
+        warnings: [],
+      });
+      expect(handler).not.toHaveBeenCalled();
+      expect(bridge.send).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not run a destructive tool when the snapshot request throws", async () => {
+      const bridge = createMockBridge(null, { changed: true });
+      vi.mocked(bridge.send).mockRejectedValueOnce(new Error("Connection closed"));
+
+      const result = await createToolRegistry(bridge, policy).callTool("ps_text_rasterize", { confirm: true });
+
+      expect(result).toMatchObject({ ok: false, changed: false, warnings: ["Policy: ps_text_rasterize confirmed by caller"] });
+      expect(result.error).toContain("history snapshot before it failed: Connection closed");
+      expect(bridge.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("progress", () => {
+    it("should hand the call's progress callback to the bridge", async () => {
+      const bridge = createMockBridge();
+      const registry = createToolRegistry(bridge);
+      const onProgress = vi.fn();
+
+      await registry.callTool("ps_layer_list", {}, { onProgress });
+
+      expect(bridge.send).toHaveBeenCalledWith(
+        "layer.list",
+        expect.anything(),
+        expect.objectContaining({ onProgress })
+      );
+    });
+  });
+
+  describe("timeouts", () => {
+    it("should send with the timeout of the tool's class", async () => {
+      const bridge = createMockBridge();
+      const registry = createToolRegistry(bridge);
+
+      await registry.callTool("ps_filter_lens_blur", { radius: 10 });
+      await registry.callTool("ps_job_list", {});
+
+      expect(bridge.send).toHaveBeenNthCalledWith(
+        1,
+        "filter.lens_blur",
+        expect.anything(),
+        { timeoutMs: 120000 }
+      );
+      expect(bridge.send).toHaveBeenNthCalledWith(2, "job.list", {}, { timeoutMs: 10000 });
+    });
+  });
+
+  describe("validation", () => {
+    it("should refuse to register a tool without a Zod schema", () => {
+      const unvalidated = {
+        name: "ps_raw",
+        description: "Raw tool",
+        inputSchema: { type: "object", properties: {} },
+        handler: async () => ({ ok: true, changed: false }),
+      } as unknown as ToolDefinition;
+
+      expect(() => createToolRegistry(createMockBridge(), undefined, [unvalidated])).toThrow(
+        "Tool ps_raw has no Zod schema"
+      );
+    });
+
+    it.each([
+      ["ps_execute_batchplay", { descriptor: { _target: [] } }, "descriptor._obj: Required"],
+      ["ps_export_jpeg", { filePath: "/tmp/a.jpg", quality: 20 }, "quality:"],
+      ["ps_filter_gaussian_blur", { radius: "big" }, "radius: Expected number"],
+      ["ps_text_create", { text: "Hi", color: { red: 300, green: 0, blue: 0 } }, "color.red:"],
+      ["ps_transform_scale", { scaleX: 50, scaleY: 50, anchor: "center" }, "anchor:"],
+    ])("should reject invalid %s arguments before they reach the bridge", async (name, args, message) => {
+      const bridge = createMockBridge();
+      const registry = createToolRegistry(bridge);
+
+      const result = await registry.callTool(name, args);
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toMatch(/^Validation failed: /);
+      expect(result.error).toContain(message);
+      expect(bridge.send).not.toHaveBeenCalled();
+    });
+
+    it("should send defaults for arguments the caller left out", async () => {
+      const bridge = createMockBridge();
+      const registry = createToolRegistry(bridge);
+
+      await registry.callTool("ps_transform_scale", { scaleX: 50, scaleY: 50 });
+
+      expect(bridge.send).toHaveBeenCalledWith(
+        "transform.scale",
+        { scaleX: 50, scaleY: 50, anchor: "middleCenter" },
+        expect.anything()
+      );
+    });
+  });
+});
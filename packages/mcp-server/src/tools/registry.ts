@@ -6,6 +6,15 @@
  */
 
 import type { Tool } from "@modelcontextprotocol/sdk/types.js";
+import type { ZodEffects, ZodObject, ZodRawShape } from "zod";
+import type { PluginInfo, ProgressUpdate } from "../bridge/protocol.js";
+import type { EventPage, EventQuery } from "../bridge/events.js";
+import {
+  resolveTimeout,
+  type JobRecord,
+  type SendOptions,
+  type TimeoutClass,
+} from "../bridge/timeouts.js";
 import { appTools } from "./app.js";
 import { documentTools } from "./document.js";
 import { layerTools } from "./layer.js";
@@ -17,6 +26,21 @@ import { transformTools } from "./transform.js";
 import { textTools } from "./text.js";
 import { utilityTools } from "./utility.js";
 import { generativeTools } from "./generative.js";
+import { jobTools } from "./job.js";
+import { effectsTools } from "./effects.js";
+import { smartObjectTools } from "./smart-object.js";
+import { smartFilterTools } from "./smart-filter.js";
+import { analysisTools } from "./analysis.js";
+import { INLINE_PREVIEW_SIZE, previewTools, renderPreview } from "./preview.js";
+import { eventTools } from "./events.js";
+import { addWarnings } from "./factory.js";
+import {
+  CONFIRM_ARG,
+  EMPTY_POLICY,
+  evaluatePolicy,
+  rulesForTool,
+  type Policy,
+} from "../policy/policy.js";
 
 export interface ToolResponse {
   ok: boolean;
@@ -28,6 +52,14 @@ export interface ToolResponse {
   };
   warnings?: string[];
   error?: string;
+  /** Rendered images, returned to the client as MCP image content next to the JSON */
+  images?: ToolImage[];
+}
+
+export interface ToolImage {
+  /** Base64-encoded image */
+  data: string;
+  mimeType: string;
 }
 
 export interface PhotoshopBridge {
@@ -35,12 +67,34 @@ export interface PhotoshopBridge {
   send(
     command: string,
     params?: Record<string, unknown>,
+    options?: SendOptions,
   ): Promise<ToolResponse>;
+  /** Handshake details of the connected plugin, if it sent any */
+  getPluginInfo?(): PluginInfo | null;
+  /** Record of a request that timed out, with its late response if any */
+  getJobStatus?(jobId: string): JobRecord | null;
+  /** Photoshop events the plugin has pushed */
+  getEvents?(query: EventQuery): EventPage;
 }
 
+/** Tool arguments: an object, optionally refined across its fields */
+export type ToolSchema<T extends ZodRawShape = ZodRawShape> =
+  | ZodObject<T>
+  | ZodEffects<ZodObject<T>>;
+
 export interface ToolDefinition {
   name: string;
   description: string;
+  /** Bridge command the tool dispatches to; omitted for server-only tools */
+  command?: string;
+  /** Expected duration, used to pick the bridge timeout (default: standard) */
+  timeoutClass?: TimeoutClass;
+  /** Discards pixels or structure; the policy can snapshot before it runs */
+  destructive?: boolean;
+  /** Never changes the document; only other tools take the `preview` argument */
+  readOnly?: boolean;
+  /** Runtime validator for the arguments; inputSchema is generated from it */
+  schema: ToolSchema;
   inputSchema: {
     type: "object";
     properties: Record<string, object>;
@@ -49,36 +103,159 @@ export interface ToolDefinition {
   handler: (
     bridge: PhotoshopBridge,
     args: Record<string, unknown>,
+    context?: ToolHandlerContext,
   ) => Promise<ToolResponse>;
 }
 
+/** What the registry gives handlers besides the bridge */
+export interface ToolHandlerContext {
+  /**
+   * Call another tool as a client would: validated, checked against the
+   * safety policy and with its own timeout.
+   */
+  callTool(name: string, args: Record<string, unknown>): Promise<ToolResponse>;
+}
+
+/** Per-call hooks supplied by the MCP request that triggered the tool call */
+export interface ToolCallContext {
+  /** Receives progress the plugin reports while the tool's commands run */
+  onProgress?: (update: ProgressUpdate) => void;
+}
+
 export interface ToolRegistry {
   listTools(): Tool[];
-  callTool(name: string, args: Record<string, unknown>): Promise<ToolResponse>;
+  callTool(
+    name: string,
+    args: Record<string, unknown>,
+    context?: ToolCallContext,
+  ): Promise<ToolResponse>;
 }
 
-export function createToolRegistry(bridge: PhotoshopBridge): ToolRegistry {
-  const tools = new Map<string, ToolDefinition>();
+/**
+ * Returns the bridge command a tool needs but the connected plugin lacks,
+ * or null when the tool is supported or support can't be determined
+ * (no plugin connected, or a plugin that predates the handshake).
+ */
+function missingCommand(
+  tool: ToolDefinition,
+  plugin: PluginInfo | null | undefined,
+): string | null {
+  if (!tool.command || !plugin) return null;
+  return plugin.commands.includes(tool.command) ? null : tool.command;
+}
+
+/**
+ * Wrap the bridge so every send made while handling one tool call uses that
+ * tool's timeout and progress callback, without each handler having to pass
+ * them along.
+ */
+function scopeBridge(
+  bridge: PhotoshopBridge,
+  defaults: SendOptions,
+): PhotoshopBridge {
+  return {
+    isConnected: () => bridge.isConnected(),
+    getPluginInfo: () => bridge.getPluginInfo?.() ?? null,
+    getJobStatus: (jobId) => bridge.getJobStatus?.(jobId) ?? null,
+    getEvents: bridge.getEvents && ((query) => bridge.getEvents!(query)),
+    send: (command, params, options) =>
+      bridge.send(command, params, { ...defaults, ...options }),
+  };
+}
+
+/**
+ * Advertise the `confirm` argument on tools the policy may ask to confirm.
+ */
+function withConfirmArg(inputSchema: ToolDefinition["inputSchema"]): ToolDefinition["inputSchema"] {
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      [CONFIRM_ARG]: {
+        type: "boolean",
+        description: "Set to true to confirm a call the safety policy asks you to confirm",
+      },
+    },
+  };
+}
+
+/** Argument a caller sets to get a preview of the document after a tool changes it */
+export const PREVIEW_ARG = "preview";
+
+/** Tools that can change the document take `preview` */
+function acceptsPreview(tool: ToolDefinition): boolean {
+  return Boolean(tool.command) && !tool.readOnly;
+}
+
+/**
+ * Advertise the `preview` argument on tools that can change the document.
+ */
+function withPreviewArg(inputSchema: ToolDefinition["inputSchema"]): ToolDefinition["inputSchema"] {
+  return {
+    ...inputSchema,
+    properties: {
+      ...inputSchema.properties,
+      [PREVIEW_ARG]: {
+        type: "boolean",
+        description: `Set to true to get an image of the document (${INLINE_PREVIEW_SIZE}px) if the call changes it`,
+      },
+    },
+  };
+}
+
+// All tool modules
+const allTools = [...appTools, ...documentTools, ...layerTools, ...selectionTools, ...adjustmentTools, ...historyTools, ...filterTools, ...transformTools, ...textTools, ...utilityTools, ...generativeTools, ...jobTools, ...effectsTools, ...smartObjectTools, ...smartFilterTools, ...analysisTools, ...previewTools, ...eventTools];
 
-  // Register all tool modules
-  const allTools = [...appTools, ...documentTools, ...layerTools, ...selectionTools, ...adjustmentTools, ...historyTools, ...filterTools, ...transformTools, ...textTools, ...utilityTools, ...generativeTools];
+export function createToolRegistry(
+  bridge: PhotoshopBridge,
+  policy: Policy = EMPTY_POLICY,
+  definitions: ToolDefinition[] = allTools,
+): ToolRegistry {
+  const tools = new Map<string, ToolDefinition>();
 
-  for (const tool of allTools) {
+  for (const tool of definitions) {
+    // Unvalidated arguments would reach Photoshop as-is; define tools with createTool
+    if (!tool.schema) {
+      throw new Error(`Tool ${tool.name} has no Zod schema to validate its arguments`);
+    }
     tools.set(tool.name, tool);
   }
 
-  return {
+  // Unsupported tools are flagged by default; set PS_HIDE_UNSUPPORTED_TOOLS=1 to drop them
+  const hideUnsupported = process.env.PS_HIDE_UNSUPPORTED_TOOLS === "1";
+
+  const registry: ToolRegistry = {
     listTools(): Tool[] {
-      return Array.from(tools.values()).map((tool) => ({
-        name: tool.name,
-        description: tool.description,
-        inputSchema: tool.inputSchema,
-      }));
+      const plugin = bridge.getPluginInfo?.();
+      const listed: Tool[] = [];
+
+      for (const tool of tools.values()) {
+        const missing = missingCommand(tool, plugin);
+        if (missing && hideUnsupported) continue;
+
+        const confirmable = rulesForTool(policy, tool.name).some(
+          (rule) => rule.action === "confirm",
+        );
+
+        let inputSchema = confirmable ? withConfirmArg(tool.inputSchema) : tool.inputSchema;
+        if (acceptsPreview(tool)) inputSchema = withPreviewArg(inputSchema);
+
+        listed.push({
+          name: tool.name,
+          description: missing
+            ? `[Unavailable: plugin ${plugin!.pluginVersion} does not implement ${missing}] ${tool.description}`
+            : tool.description,
+          inputSchema,
+        });
+      }
+
+      return listed;
     },
 
     async callTool(
       name: string,
-      args: Record<string, unknown>,
+      input: Record<string, unknown>,
+      context: ToolCallContext = {},
     ): Promise<ToolResponse> {
       const tool = tools.get(name);
 
@@ -90,8 +267,20 @@ export function createToolRegistry(bridge: PhotoshopBridge): ToolRegistry {
         };
       }
 
-      // Check bridge connection for tools that need it
-      if (!name.startsWith("ps_echo") && !bridge.isConnected()) {
+      // The preview is the registry's to render; the tool never sees the argument
+      let args = input;
+      let preview = false;
+      if (acceptsPreview(tool) && PREVIEW_ARG in input) {
+        const { [PREVIEW_ARG]: requested, ...rest } = input;
+        if (typeof requested !== "boolean") {
+          return { ok: false, changed: false, error: `Validation failed: ${PREVIEW_ARG}: Expected boolean, received ${typeof requested}` };
+        }
+        args = rest;
+        preview = requested;
+      }
+
+      // Server-only tools (no bridge command) answer without the plugin
+      if (tool.command && !bridge.isConnected()) {
         return {
           ok: false,
           changed: false,
@@ -100,7 +289,85 @@ export function createToolRegistry(bridge: PhotoshopBridge): ToolRegistry {
         };
       }
 
-      return tool.handler(bridge, args);
+      const plugin = bridge.getPluginInfo?.();
+      const missing = missingCommand(tool, plugin);
+      if (missing) {
+        return {
+          ok: false,
+          changed: false,
+          error: `${name} requires bridge command ${missing}, which the connected MCP Bridge plugin (version ${plugin!.pluginVersion}) does not implement. Update the plugin in Photoshop.`,
+        };
+      }
+
+      const decision = evaluatePolicy(policy, tool, args);
+      if (decision.action === "deny") {
+        return {
+          ok: false,
+          changed: false,
+          error: `${name} is denied by the safety policy${decision.reason ? `: ${decision.reason}` : ""}`,
+          warnings: decision.warnings,
+        };
+      }
+      if (decision.action === "confirm") {
+        return {
+          ok: false,
+          changed: false,
+          error: `${name} requires confirmation${decision.reason ? ` (${decision.reason})` : ""}. Call it again with ${CONFIRM_ARG}: true to proceed.`,
+          warnings: decision.warnings,
+        };
+      }
+
+      const timeoutMs = resolveTimeout(name, tool.timeoutClass);
+      const scoped = scopeBridge(bridge, { timeoutMs, onProgress: context.onProgress });
+      const warnings = [...decision.warnings];
+
+      if (decision.snapshot) {
+        const snapshotName = `Before ${name}`;
+        let failure: string | undefined;
+        try {
+          const snapshot = await scoped.send("history.snapshot_create", {
+            name: snapshotName,
+            fullDocument: true,
+          });
+          if (!snapshot.ok) failure = snapshot.error;
+        } catch (error) {
+          failure = error instanceof Error ? error.message : String(error);
+        }
+        // The snapshot is the policy's undo point; without one the tool doesn't run
+        if (failure !== undefined) {
+          return {
+            ok: false,
+            changed: false,
+            error: `${name} was not run: the safety policy's history snapshot before it failed: ${failure}`,
+            warnings,
+          };
+        }
+        warnings.push(`Policy: created history snapshot "${snapshotName}"`);
+      }
+
+      const result = await tool.handler(scoped, decision.args, {
+        callTool: (stepName, stepArgs) => registry.callTool(stepName, stepArgs, context),
+      });
+      if (!preview || !result.ok || !result.changed) return addWarnings(result, warnings);
+
+      // The edit has applied by now, so a failed render must not turn the
+      // result into an error that invites the caller to apply it again
+      let rendered: ToolResponse;
+      try {
+        rendered = await renderPreview(scoped, { source: "document", maxSize: INLINE_PREVIEW_SIZE });
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        rendered = { ok: false, changed: false, error: message };
+      }
+      if (!rendered.ok) {
+        return addWarnings(result, [...warnings, `Preview failed: ${rendered.error}`]);
+      }
+      return addWarnings(
+        { ...result, images: [...(result.images ?? []), ...(rendered.images ?? [])] },
+        warnings,
+      );
     },
   };
+
+  return registry;
 }
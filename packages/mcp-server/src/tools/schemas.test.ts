@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import { createToolRegistry, type PhotoshopBridge } from "./registry.js";
+
+// The published inputSchema is the contract with MCP clients; a change here
+// should be deliberate. Update with: npx vitest run -u src/tools/schemas.test.ts
+const bridge: PhotoshopBridge = {
+  isConnected: () => false,
+  send: async () => ({ ok: true, changed: false }),
+};
+
+const tools = createToolRegistry(bridge).listTools();
+
+describe("published tool schemas", () => {
+  it.each(tools.map((tool) => [tool.name, tool] as const))("%s", (_name, tool) => {
+    expect(tool.inputSchema).toMatchSnapshot();
+  });
+});
@@ -42,7 +42,8 @@ export const selectionTools: ToolDefinition[] = [
     "ps_select_subject",
     "Automatically select the main subject in the image using AI (Select Subject)",
     selectSubjectSchema,
-    "selection.select_subject"
+    "selection.select_subject",
+    { timeoutClass: "slow" }
   ),
 
   createSimpleTool(
@@ -108,6 +109,7 @@ export const selectionTools: ToolDefinition[] = [
   createSimpleTool(
     "ps_selection_get_bounds",
     "Get the bounding box of the current selection",
-    "selection.get_bounds"
+    "selection.get_bounds",
+    { readOnly: true }
   ),
 ];
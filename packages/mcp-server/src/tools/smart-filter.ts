@@ -0,0 +1,167 @@
+/**
+ * Smart Filter Tools
+ *
+ * List, edit, reorder, toggle, blend and delete the smart filters on a
+ * smart object. Filters become smart filters when a ps_filter_* tool runs
+ * with `smart: true`. Smart filters are addressed by index in the order
+ * they were applied (0 = the first, at the bottom of the Smart Filters list).
+ * Uses Zod validation for type-safe parameter handling.
+ */
+
+import { createTool, validationError, z } from "./factory.js";
+import { filterTools } from "./filter.js";
+import { blendModes } from "./layer.js";
+import type { ToolDefinition, ToolResponse } from "./registry.js";
+import { activeLayerTarget } from "./target.js";
+
+const smartFilterTarget = activeLayerTarget(
+  "Smart object layer by ID, path or name (default: the active layer)"
+);
+
+const filterIndex = (description: string) => z.number().int().min(0).describe(description);
+
+interface SmartFilter {
+  index: number;
+  name: string;
+  command: string | null;
+  settings: Record<string, unknown>;
+}
+
+// Schemas
+const listSchema = z.object({
+  target: smartFilterTarget,
+});
+
+const editSchema = z.object({
+  target: smartFilterTarget,
+  index: filterIndex("Smart filter to edit (0 = the first one applied)"),
+  settings: z
+    .record(z.unknown())
+    .describe(
+      "New settings, named like the parameters of the filter's ps_filter_* tool, e.g. {radius: 8} for a Gaussian Blur; settings left out keep their current values"
+    ),
+});
+
+const moveSchema = z.object({
+  target: smartFilterTarget,
+  index: filterIndex("Smart filter to move (0 = the first one applied)"),
+  to: filterIndex("Position to move it to; filters apply in order, from 0 up"),
+});
+
+const enableSchema = z.object({
+  target: smartFilterTarget,
+  index: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("Smart filter to turn on or off (default: all of the layer's smart filters)"),
+  enabled: z.boolean().describe("Turn the filters on (true) or off (false)"),
+});
+
+const setBlendingSchema = z
+  .object({
+    target: smartFilterTarget,
+    index: filterIndex("Smart filter to change (0 = the first one applied)"),
+    blendMode: z
+      .enum(blendModes)
+      .exclude(["passThrough"])
+      .optional()
+      .describe("How the filtered pixels blend with the unfiltered ones"),
+    opacity: z.number().min(0).max(100).optional().describe("Filter opacity (0-100)"),
+  })
+  .refine((args) => args.blendMode !== undefined || args.opacity !== undefined, {
+    message: "Give blendMode or opacity",
+  });
+
+const deleteSchema = z.object({
+  target: smartFilterTarget,
+  index: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("Smart filter to delete (default: all of the layer's smart filters)"),
+});
+
+// Tools
+export const smartFilterTools: ToolDefinition[] = [
+  createTool(
+    "ps_smart_filter_list",
+    "List a smart object's smart filters with their settings, blend mode, opacity and whether they are on",
+    listSchema,
+    "smart_filter.list",
+    { readOnly: true }
+  ),
+
+  // Settings are merged over the filter's current ones and validated
+  // against its ps_filter_* tool before the plugin re-runs the filter
+  createTool(
+    "ps_smart_filter_edit",
+    "Change the settings of a smart filter, e.g. the radius of a Gaussian Blur applied with smart: true",
+    editSchema,
+    "smart_filter.edit",
+    {
+      handler: async (bridge, { target, index, settings }): Promise<ToolResponse> => {
+        const listed = await bridge.send("smart_filter.list", { target });
+        if (!listed.ok) return listed;
+        const { filters } = listed.data as { filters: SmartFilter[] };
+
+        const filter = filters.find((candidate) => candidate.index === index);
+        if (!filter) {
+          return {
+            ok: false,
+            changed: false,
+            error: `There is no smart filter ${index}; the layer has ${filters.length}`,
+          };
+        }
+        const tool = filterTools.find((candidate) => candidate.command === filter.command);
+        if (!tool) {
+          return {
+            ok: false,
+            changed: false,
+            error: `Smart filter ${index} (${filter.name}) was not applied by a ps_filter_* tool and can't be edited here`,
+          };
+        }
+
+        const parsed = tool.schema.safeParse({ ...filter.settings, ...settings });
+        if (!parsed.success) return validationError(parsed.error);
+        return bridge.send("smart_filter.edit", {
+          target,
+          index,
+          command: filter.command,
+          params: parsed.data,
+        });
+      },
+    }
+  ),
+
+  createTool(
+    "ps_smart_filter_move",
+    "Move a smart filter to another position in the layer's filter stack",
+    moveSchema,
+    "smart_filter.move"
+  ),
+
+  createTool(
+    "ps_smart_filter_enable",
+    "Turn one smart filter, or all of a layer's smart filters, on or off without removing them",
+    enableSchema,
+    "smart_filter.enable"
+  ),
+
+  createTool(
+    "ps_smart_filter_set_blending",
+    "Set a smart filter's blend mode and opacity",
+    setBlendingSchema,
+    "smart_filter.set_blending"
+  ),
+
+  createTool(
+    "ps_smart_filter_delete",
+    "Delete one smart filter, or all of a smart object's smart filters",
+    deleteSchema,
+    "smart_filter.delete",
+    { destructive: true }
+  ),
+];
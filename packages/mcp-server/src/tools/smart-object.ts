@@ -0,0 +1,202 @@
+/**
+ * Smart Object Tools
+ *
+ * Convert, place, replace, relink, edit and rasterize smart objects.
+ * Editing contents is orchestrated here: the plugin opens the contents as
+ * their own document, the server runs the requested tool calls against it,
+ * and the plugin saves them back (or discards them if a call fails).
+ * Uses Zod validation for type-safe parameter handling.
+ */
+
+import { createTool, z } from "./factory.js";
+import type { ToolDefinition, ToolResponse } from "./registry.js";
+import { activeLayerTarget } from "./target.js";
+
+const smartObjectTarget = activeLayerTarget(
+  "Smart object layer by ID, path or name (default: the active layer)"
+);
+
+const filePath = (description: string) => z.string().min(1).describe(description);
+
+// Schemas
+const infoSchema = z.object({
+  target: smartObjectTarget,
+});
+
+const convertSchema = z.object({
+  target: activeLayerTarget("Layer to convert (default: the selected layers)"),
+  layerIds: z
+    .array(z.number().int())
+    .min(1)
+    .optional()
+    .describe("Layers to combine into one smart object; takes precedence over target"),
+});
+
+const placeSchema = z.object({
+  filePath: filePath("Full path of the file to place"),
+  linked: z
+    .boolean()
+    .default(false)
+    .describe("Link to the file instead of embedding a copy of it (default: false)"),
+  name: z.string().optional().describe("Name for the placed layer (default: the file name)"),
+  target: activeLayerTarget("Layer to place the file above (default: the active layer)"),
+});
+
+const replaceContentsSchema = z.object({
+  target: smartObjectTarget,
+  filePath: filePath("Full path of the file whose contents replace the smart object's"),
+});
+
+const relinkSchema = z.object({
+  target: smartObjectTarget,
+  filePath: filePath("Full path of the file to link to"),
+});
+
+const editContentsSchema = z.object({
+  target: smartObjectTarget,
+  steps: z
+    .array(
+      z.object({
+        tool: z.string().describe("Tool to call, e.g. 'ps_text_edit_content'"),
+        args: z.record(z.unknown()).default({}).describe("Arguments for the tool"),
+      })
+    )
+    .min(1)
+    .describe("Tool calls to run against the contents, in order; they see them as the active document"),
+});
+
+const rasterizeSchema = z.object({
+  target: smartObjectTarget,
+});
+
+interface StepResult {
+  tool: string;
+  ok: boolean;
+  data?: unknown;
+  error?: string;
+}
+
+// Tools
+export const smartObjectTools: ToolDefinition[] = [
+  createTool(
+    "ps_smart_object_info",
+    "Get a smart object's source: linked or embedded, file path and type, size and transform",
+    infoSchema,
+    "smart_object.info",
+    { readOnly: true }
+  ),
+
+  createTool(
+    "ps_smart_object_convert",
+    "Convert a layer, or several layers together, to a smart object",
+    convertSchema,
+    "smart_object.convert"
+  ),
+
+  createTool(
+    "ps_smart_object_place",
+    "Place an image or document file as an embedded or linked smart object",
+    placeSchema,
+    "smart_object.place",
+    { timeoutClass: "slow" }
+  ),
+
+  createTool(
+    "ps_smart_object_replace_contents",
+    "Replace a smart object's contents with a file, keeping its transform, effects and masks",
+    replaceContentsSchema,
+    "smart_object.replace_contents",
+    { timeoutClass: "slow" }
+  ),
+
+  createTool(
+    "ps_smart_object_relink",
+    "Point a linked smart object at a different file",
+    relinkSchema,
+    "smart_object.relink",
+    { timeoutClass: "slow" }
+  ),
+
+  // Open the contents, run each step until one fails, then save the contents
+  // back if every step succeeded and discard them otherwise
+  createTool(
+    "ps_smart_object_edit_contents",
+    "Edit a smart object's contents: open them, run the given tool calls against them, and save them back into the smart object. If a call fails, the contents are closed without saving.",
+    editContentsSchema,
+    "smart_object.edit_contents",
+    {
+      timeoutClass: "slow",
+      handler: async (bridge, { target, steps }, context): Promise<ToolResponse> => {
+        if (!context) {
+          return { ok: false, changed: false, error: "Editing contents needs the tool registry to run its steps" };
+        }
+
+        const opened = await bridge.send("smart_object.edit_contents", { target });
+        if (!opened.ok) return opened;
+        const { layerId, documentId, parentDocumentId } = opened.data as {
+          layerId: number;
+          documentId: number;
+          parentDocumentId: number;
+        };
+
+        const results: StepResult[] = [];
+        let threw = true;
+        try {
+          for (const step of steps) {
+            const result = await context.callTool(step.tool, step.args);
+            results.push(
+              result.ok
+                ? { tool: step.tool, ok: true, data: result.data }
+                : { tool: step.tool, ok: false, error: result.error }
+            );
+            if (!result.ok) break;
+          }
+          threw = false;
+        } finally {
+          // A step that throws (a timeout, a dropped connection) would otherwise
+          // leave the contents open and active for every later call to land in
+          if (threw) {
+            await bridge
+              .send("smart_object.close_contents", { documentId, parentDocumentId, save: false })
+              .catch(() => undefined);
+          }
+        }
+        const failed = results.find((result) => !result.ok);
+
+        const closed = await bridge.send("smart_object.close_contents", {
+          documentId,
+          parentDocumentId,
+          save: !failed,
+        });
+        const data = { layerId, documentId, steps: results };
+
+        if (failed) {
+          const contents = closed.ok ? "closed without saving" : `left open (${closed.error})`;
+          return {
+            ok: false,
+            changed: false,
+            data,
+            error: `Step ${results.length} (${failed.tool}) failed: ${failed.error}. The smart object's contents were ${contents}.`,
+          };
+        }
+        if (!closed.ok) {
+          return {
+            ok: false,
+            changed: false,
+            data,
+            error: `Every step ran, but saving the contents back failed: ${closed.error}`,
+          };
+        }
+        return { ok: true, changed: true, data, artifacts: { layerIds: [layerId] } };
+      },
+    }
+  ),
+
+  createTool(
+    "ps_smart_object_rasterize",
+    "Rasterize a smart object into a pixel layer (its contents can no longer be edited)",
+    rasterizeSchema,
+    "smart_object.rasterize",
+    { destructive: true }
+  ),
+];
@@ -0,0 +1,63 @@
+/**
+ * Layer Targets
+ *
+ * The `target` argument shared by layer-targeting tools. The plugin resolves
+ * it anywhere in the layer tree, so layers inside groups can be addressed
+ * by ID, by slash path or by name.
+ */
+
+import type { ZodObject, ZodRawShape } from "zod";
+import { z } from "./factory.js";
+
+export const layerTargetSchema = z
+  .object({
+    layerId: z.number().int().optional().describe("Layer ID"),
+    path: z
+      .string()
+      .min(1)
+      .optional()
+      .describe(
+        'Group and layer names from the top of the document, e.g. "Header/Logo/Text" (write a "/" inside a name as "\\/")'
+      ),
+    name: z.string().min(1).optional().describe("Layer name, matched inside groups too"),
+    index: z
+      .number()
+      .int()
+      .min(0)
+      .optional()
+      .describe(
+        "Which match to use when several layers share the path or name, counting from the top (0 = topmost)"
+      ),
+  })
+  .strict()
+  .refine(
+    (target) =>
+      [target.layerId, target.path, target.name].filter((value) => value !== undefined).length === 1,
+    { message: "Give exactly one of layerId, path or name" }
+  );
+
+export type LayerTarget = z.infer<typeof layerTargetSchema>;
+
+/** `target` for tools that work on the active layer when it is left out */
+export const activeLayerTarget = (description = "Layer to work on (default: the active layer)") =>
+  layerTargetSchema.optional().describe(description);
+
+/**
+ * Fields for tools that need a layer: `target`, or `layerId` as before.
+ * Wrap the schema in requireLayer so one of them is given.
+ */
+export const layerFields = (description: string) => ({
+  layerId: z.number().optional().describe("Layer ID (or use target)"),
+  target: layerTargetSchema
+    .optional()
+    .describe(`${description}, by ID, path or name; takes precedence over layerId`),
+});
+
+export function requireLayer<T extends ZodRawShape>(schema: ZodObject<T>) {
+  return schema.refine(
+    (args) =>
+      (args as { layerId?: unknown }).layerId !== undefined ||
+      (args as { target?: unknown }).target !== undefined,
+    { message: "Give layerId or target", path: ["target"] }
+  );
+}
@@ -0,0 +1,13 @@
+import { defineConfig } from "vitest/config";
+
+// End-to-end tests spawn dist/index.js, so they run after a build and
+// separately from the unit tests: npm run test:e2e
+export default defineConfig({
+  test: {
+    globals: true,
+    environment: "node",
+    include: ["src/**/*.e2e.ts"],
+    testTimeout: 20000,
+    hookTimeout: 20000,
+  },
+});
@@ -7,7 +7,8 @@
 
 const photoshop = require("photoshop");
 const { app, core } = photoshop;
-const { executeAsModal } = core;
+// executeAsModal is defined in the Job Queue section so that every handler's
+// modal scope is tied to the job that is running it
 
 // Command handlers - inline to avoid require path issues
 const commands = {};
@@ -60,6 +61,166 @@ commands["doc.get_active"] = async function () {
   };
 };
 
+commands["doc.list"] = async function () {
+  const active = app.activeDocument;
+  return {
+    ok: true,
+    changed: false,
+    data: {
+      activeDocumentId: active ? active.id : null,
+      documents: app.documents.map((doc) => ({
+        id: doc.id,
+        name: doc.name,
+        path: doc.path || null,
+        width: doc.width,
+        height: doc.height,
+        resolution: doc.resolution,
+        mode: doc.mode,
+        layerCount: doc.layers?.length || 0,
+      })),
+    },
+  };
+};
+
+// ============================================================================
+// Layer Addressing - find a layer anywhere in the tree
+// ============================================================================
+
+// A target names one layer by { layerId }, { path: "Header/Logo/Text" } or
+// { name }, with an optional index (0 = topmost) to pick between layers that
+// share the path or name. doc.layers only holds the top level, so every
+// lookup walks into groups.
+
+/**
+ * Every layer under `layers`, depth-first from the top, with its slash path.
+ * A "/" inside a name is written "\/" in the path.
+ */
+function walkLayers(layers, parentPath = "") {
+  const entries = [];
+  for (const layer of layers || []) {
+    const path = parentPath + layer.name.replace(/\//g, "\\/");
+    entries.push({ layer, path });
+    if (layer.layers && layer.layers.length > 0) {
+      entries.push(...walkLayers(layer.layers, `${path}/`));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Find a layer by ID at any depth; null if there is none.
+ */
+function findLayerById(doc, layerId) {
+  const entry = walkLayers(doc.layers).find((e) => e.layer.id === layerId);
+  return entry ? entry.layer : null;
+}
+
+// The layer a command works on: layerId, or the active layer
+function layerOrActive(doc, layerId) {
+  if (layerId === undefined) {
+    const layer = doc.activeLayers[0];
+    if (!layer) throw new Error("No active layer");
+    return layer;
+  }
+  const layer = findLayerById(doc, layerId);
+  if (!layer) throw new Error(`Layer with ID ${layerId} not found`);
+  return layer;
+}
+
+// The document a read-only command looks at: documentId, or the active document
+function documentOrActive(documentId) {
+  if (documentId === undefined) return app.activeDocument;
+  return app.documents.find((d) => d.id === documentId) || null;
+}
+
+function noDocumentError(documentId) {
+  return documentId === undefined ? "No active document" : `Document ${documentId} is not open`;
+}
+
+/**
+ * Resolve a target to a layer. Throws if nothing matches, or if several
+ * layers match and no index says which one.
+ */
+function resolveLayer(doc, target) {
+  if (!target || typeof target !== "object") {
+    throw new Error("target must be an object with layerId, path or name");
+  }
+  const { layerId, path, name, index } = target;
+
+  if (layerId !== undefined) {
+    const layer = findLayerById(doc, layerId);
+    if (!layer) throw new Error(`Layer with ID ${layerId} not found`);
+    return layer;
+  }
+
+  let matches;
+  let description;
+  if (path !== undefined) {
+    const wanted = path.replace(/^\/+|\/+$/g, "");
+    matches = walkLayers(doc.layers).filter((e) => e.path === wanted);
+    description = `at path "${wanted}"`;
+  } else if (name !== undefined) {
+    matches = walkLayers(doc.layers).filter((e) => e.layer.name === name);
+    description = `named "${name}"`;
+  } else {
+    throw new Error("target needs layerId, path or name");
+  }
+
+  if (matches.length === 0) {
+    throw new Error(`No layer ${description}`);
+  }
+  if (index !== undefined) {
+    if (!matches[index]) {
+      throw new Error(`index ${index} is out of range: ${matches.length} layer(s) ${description}`);
+    }
+    return matches[index].layer;
+  }
+  if (matches.length > 1) {
+    const candidates = matches.map((e, i) => `[${i}] ${e.path} (ID ${e.layer.id})`).join(", ");
+    throw new Error(
+      `${matches.length} layers ${description}: ${candidates}. Pass an index, a path or a layerId to pick one`
+    );
+  }
+  return matches[0].layer;
+}
+
+// Commands that work on the active layer; their target is selected first.
+// adjust.get and adjust.update address the adjustment layer by ID instead.
+function actsOnActiveLayer(command) {
+  if (command === "adjust.get" || command === "adjust.update") return false;
+  return /^(adjust|mask|transform)\./.test(command) || command === "fill.solid_color";
+}
+
+/**
+ * Replace a request's `target` with the layerId it resolves to, in the
+ * request's documentId if it names one, selecting the layer first for
+ * commands that work on the active layer.
+ */
+async function applyLayerTarget(command, params) {
+  const { target, ...rest } = params;
+  if (target === undefined) return params;
+
+  const doc = documentOrActive(params.documentId);
+  if (!doc) throw new Error(noDocumentError(params.documentId));
+  const layer = resolveLayer(doc, target);
+
+  const active = doc.activeLayers;
+  if (actsOnActiveLayer(command) && !(active.length === 1 && active[0].id === layer.id)) {
+    const { batchPlay } = require("photoshop").action;
+    await executeAsModal(
+      async () => {
+        await batchPlay(
+          [{ _obj: "select", _target: [{ _ref: "layer", _id: layer.id }], makeVisible: false }],
+          { synchronousExecution: true }
+        );
+      },
+      { commandName: "Select Layer" }
+    );
+  }
+
+  return { ...rest, layerId: layer.id };
+}
+
 // Layer commands
 commands["layer.list"] = async function (params) {
   const doc = app.activeDocument;
@@ -108,6 +269,222 @@ commands["layer.list"] = async function (params) {
   };
 };
 
+// Layer tree
+// Photoshop's layerKind values; a group with artboardEnabled is an artboard
+const LAYER_KINDS = {
+  1: "pixel",
+  2: "adjustment",
+  3: "text",
+  4: "shape",
+  5: "smartObject",
+  6: "video",
+  7: "group",
+  8: "3d",
+  9: "fill",
+  10: "fill",
+  11: "fill",
+  12: "pixel",
+};
+
+const LAYER_TREE_PROPERTIES = [
+  "layerID",
+  "name",
+  "layerKind",
+  "layerSection",
+  "parentLayerID",
+  "visible",
+  "opacity",
+  "fillOpacity",
+  "mode",
+  "group",
+  "layerLocking",
+  "hasUserMask",
+  "userMaskEnabled",
+  "hasVectorMask",
+  "layerFXVisible",
+  "layerEffects",
+  "bounds",
+  "color",
+  "artboardEnabled",
+  "background",
+];
+
+// Layer color labels and their descriptor values
+const COLOR_LABEL_DESCRIPTORS = {
+  none: "none",
+  red: "red",
+  orange: "orange",
+  yellow: "yellowColor",
+  green: "grain",
+  blue: "blue",
+  violet: "violet",
+  gray: "gray",
+};
+const COLOR_LABELS = Object.fromEntries(
+  Object.entries(COLOR_LABEL_DESCRIPTORS).map(([label, value]) => [value, label])
+);
+
+// layerLocking keys and the names layer.tree reports them under
+const LAYER_LOCKS = {
+  protectAll: "all",
+  protectTransparency: "transparency",
+  protectComposite: "pixels",
+  protectPosition: "position",
+  protectArtboardAutonest: "artboardAutonest",
+};
+
+function pixelValue(value) {
+  return typeof value === "object" && value !== null ? value._value : value;
+}
+
+/**
+ * Names of the enabled effects in a layerEffects descriptor
+ * ("dropShadow", "stroke", ...); the *Multi lists count once.
+ */
+function enabledEffects(layerEffects) {
+  if (!layerEffects) return [];
+  const names = [];
+  for (const [key, value] of Object.entries(layerEffects)) {
+    if (key.startsWith("_") || key === "scale" || !value || typeof value !== "object") continue;
+    const entries = Array.isArray(value) ? value : [value];
+    if (entries.some((effect) => effect.enabled !== false)) {
+      names.push(key.replace(/Multi$/, ""));
+    }
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * One layer.tree node from a multiGet entry; 0-255 opacities become percent.
+ */
+function layerTreeNode(desc) {
+  const rect = desc.bounds || {};
+  const left = pixelValue(rect.left) ?? 0;
+  const top = pixelValue(rect.top) ?? 0;
+  const right = pixelValue(rect.right) ?? 0;
+  const bottom = pixelValue(rect.bottom) ?? 0;
+  const kind = desc.artboardEnabled ? "artboard" : LAYER_KINDS[desc.layerKind] || "unknown";
+
+  return {
+    id: desc.layerID,
+    name: desc.name,
+    kind,
+    visible: desc.visible !== false,
+    opacity: Math.round(((desc.opacity ?? 255) / 255) * 100),
+    fillOpacity: Math.round(((desc.fillOpacity ?? 255) / 255) * 100),
+    blendMode: desc.mode?._value || "normal",
+    clipped: Boolean(desc.group),
+    locks: Object.entries(LAYER_LOCKS)
+      .filter(([key]) => desc.layerLocking?.[key])
+      .map(([, name]) => name),
+    mask: {
+      user: Boolean(desc.hasUserMask),
+      userEnabled: Boolean(desc.hasUserMask && desc.userMaskEnabled !== false),
+      vector: Boolean(desc.hasVectorMask),
+    },
+    effects: enabledEffects(desc.layerEffects),
+    effectsVisible: desc.layerFXVisible !== false,
+    bounds: { left, top, right, bottom, width: right - left, height: bottom - top },
+    color: COLOR_LABELS[desc.color?._value] || desc.color?._value || "none",
+    background: Boolean(desc.background),
+    children: kind === "group" || kind === "artboard" ? [] : undefined,
+  };
+}
+
+/**
+ * Keep the nodes that pass `matches`, along with the groups that lead to
+ * them (marked matched: false), down to `maxDepth` levels below the top.
+ */
+function filterLayerTree(nodes, matches, maxDepth, depth = 0) {
+  const kept = [];
+  for (const node of nodes) {
+    let children;
+    if (node.children) {
+      children = depth < maxDepth ? filterLayerTree(node.children, matches, maxDepth, depth + 1) : [];
+    }
+    const matched = matches(node);
+    if (!matched && !(children && children.length > 0)) continue;
+
+    const copy = { ...node, ...(matched ? {} : { matched: false }) };
+    if (node.children) {
+      copy.childCount = node.children.length;
+      copy.children = children;
+    }
+    kept.push(copy);
+  }
+  return kept;
+}
+
+commands["layer.tree"] = async function (params) {
+  const { documentId, kind, visible, name, maxDepth = Infinity } = params;
+  const doc = documentOrActive(documentId);
+
+  if (!doc) {
+    return { ok: false, changed: false, error: noDocumentError(documentId) };
+  }
+
+  let namePattern = null;
+  if (name) {
+    try {
+      namePattern = new RegExp(name, "i");
+    } catch (error) {
+      return { ok: false, changed: false, error: `Invalid name pattern: ${error.message}` };
+    }
+  }
+  const kinds = kind ? new Set(Array.isArray(kind) ? kind : [kind]) : null;
+
+  try {
+    const { batchPlay } = require("photoshop").action;
+    // One round-trip for every layer, instead of a get per layer
+    const [result] = await batchPlay(
+      [
+        {
+          _obj: "multiGet",
+          _target: { _ref: [{ _ref: "document", _id: doc.id }] },
+          extendedReference: [LAYER_TREE_PROPERTIES, { _obj: "layer", index: 1, count: -1 }],
+          options: { failOnMissingProperty: false, failOnMissingElement: false },
+        },
+      ],
+      { synchronousExecution: true }
+    );
+    if (!result || result._obj === "error") {
+      return { ok: false, changed: false, error: `Failed to read layers: ${result?.message || "no result"}` };
+    }
+
+    // The list runs bottom to top; walk it backwards so children stay in
+    // panel order, and skip the hidden markers that close each group
+    const entries = (result.list || [])
+      .filter((desc) => desc.layerSection?._value !== "layerSectionEnd")
+      .reverse();
+    const nodes = new Map();
+    const roots = [];
+    for (const desc of entries) {
+      nodes.set(desc.layerID, layerTreeNode(desc));
+    }
+    for (const desc of entries) {
+      const parent = nodes.get(desc.parentLayerID);
+      (parent?.children || roots).push(nodes.get(desc.layerID));
+    }
+
+    const matches = (node) =>
+      (!kinds || kinds.has(node.kind)) &&
+      (visible === undefined || node.visible === visible) &&
+      (!namePattern || namePattern.test(node.name));
+
+    return {
+      ok: true,
+      changed: false,
+      data: {
+        documentId: doc.id,
+        layerCount: nodes.size,
+        layers: filterLayerTree(roots, matches, maxDepth),
+      },
+    };
+  } catch (error) {
+    return { ok: false, changed: false, error: `Failed to read layer tree: ${error.message}` };
+  }
+};
+
 // Layer select
 commands["layer.select"] = async function (params) {
   const { layerId } = params;
@@ -117,7 +494,7 @@ commands["layer.select"] = async function (params) {
     return { ok: false, changed: false, error: "No active document" };
   }
   if (layerId === undefined) {
-    return { ok: false, changed: false, error: "layerId is required" };
+    return { ok: false, changed: false, error: "layerId or target is required" };
   }
 
   try {
@@ -154,7 +531,7 @@ commands["layer.rename"] = async function (params) {
     return { ok: false, changed: false, error: "No active document" };
   }
   if (layerId === undefined || !name) {
-    return { ok: false, changed: false, error: "layerId and name are required" };
+    return { ok: false, changed: false, error: "name and a layerId or target are required" };
   }
 
   try {
@@ -191,7 +568,7 @@ commands["layer.set_visibility"] = async function (params) {
     return { ok: false, changed: false, error: "No active document" };
   }
   if (layerId === undefined || visible === undefined) {
-    return { ok: false, changed: false, error: "layerId and visible are required" };
+    return { ok: false, changed: false, error: "visible and a layerId or target are required" };
   }
 
   try {
@@ -228,7 +605,7 @@ commands["layer.set_opacity"] = async function (params) {
     return { ok: false, changed: false, error: "No active document" };
   }
   if (layerId === undefined || opacity === undefined) {
-    return { ok: false, changed: false, error: "layerId and opacity are required" };
+    return { ok: false, changed: false, error: "opacity and a layerId or target are required" };
   }
   if (opacity < 0 || opacity > 100) {
     return { ok: false, changed: false, error: "opacity must be between 0 and 100" };
@@ -262,6 +639,101 @@ commands["layer.set_opacity"] = async function (params) {
   }
 };
 
+// Layer set properties
+// Blend modes as the DOM names them; batchPlay spells a few differently
+const BLEND_MODE_DESCRIPTORS = {
+  subtract: "blendSubtraction",
+  divide: "blendDivide",
+};
+
+const LOCK_DESCRIPTORS = {
+  transparency: "protectTransparency",
+  pixels: "protectComposite",
+  position: "protectPosition",
+  all: "protectAll",
+};
+
+commands["layer.set_properties"] = async function (params) {
+  const { layerId, blendMode, opacity, fillOpacity, clipped, locks, color } = params;
+  const doc = app.activeDocument;
+
+  if (!doc) {
+    return { ok: false, changed: false, error: "No active document" };
+  }
+  if (layerId === undefined) {
+    return { ok: false, changed: false, error: "layerId or target is required" };
+  }
+
+  const target = [{ _ref: "layer", _id: layerId }];
+  const to = { _obj: "layer" };
+  if (blendMode !== undefined) {
+    to.mode = { _enum: "blendMode", _value: BLEND_MODE_DESCRIPTORS[blendMode] || blendMode };
+  }
+  if (opacity !== undefined) to.opacity = { _unit: "percentUnit", _value: opacity };
+  if (fillOpacity !== undefined) to.fillOpacity = { _unit: "percentUnit", _value: fillOpacity };
+  if (color !== undefined) to.color = { _enum: "color", _value: COLOR_LABEL_DESCRIPTORS[color] || color };
+
+  const descriptors = [];
+  if (Object.keys(to).length > 1) {
+    descriptors.push({ _obj: "set", _target: target, to });
+  }
+  if (locks && Object.keys(locks).length > 0) {
+    const layerLocking = { _obj: "layerLocking" };
+    for (const [lock, value] of Object.entries(locks)) {
+      if (!LOCK_DESCRIPTORS[lock]) {
+        return { ok: false, changed: false, error: `Unknown lock: ${lock}` };
+      }
+      layerLocking[LOCK_DESCRIPTORS[lock]] = value;
+    }
+    descriptors.push({ _obj: "applyLocking", _target: target, layerLocking });
+  }
+  if (clipped !== undefined) {
+    // Create Clipping Mask and Release Clipping Mask
+    descriptors.push({ _obj: clipped ? "groupEvent" : "ungroup", _target: target });
+  }
+  if (descriptors.length === 0) {
+    return { ok: false, changed: false, error: "No properties to set" };
+  }
+
+  try {
+    const layer = findLayerById(doc, layerId);
+    if (!layer) {
+      return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
+    }
+
+    const { batchPlay } = require("photoshop").action;
+    await executeAsModal(
+      async (executionContext) => {
+        // All of it becomes one history step, or none if any part fails
+        const { hostControl } = executionContext;
+        const suspensionID = await hostControl.suspendHistory({
+          documentID: doc.id,
+          name: "Layer Properties",
+        });
+        try {
+          const results = await batchPlay(descriptors, { synchronousExecution: true });
+          const failed = results.find((result) => result?._obj === "error");
+          if (failed) throw new Error(failed.message);
+        } catch (error) {
+          await hostControl.resumeHistory(suspensionID, false);
+          throw error;
+        }
+        await hostControl.resumeHistory(suspensionID, true);
+      },
+      { commandName: "Set Layer Properties" }
+    );
+
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId, blendMode, opacity, fillOpacity, clipped, locks, color },
+      artifacts: { layerIds: [layerId] },
+    };
+  } catch (error) {
+    return { ok: false, changed: false, error: `Failed to set layer properties: ${error.message}` };
+  }
+};
+
 // ============================================
 // Layer Creation Commands (DOM API)
 // ============================================
@@ -311,23 +783,11 @@ commands["layer.duplicate"] = async function (params) {
     return { ok: false, changed: false, error: "No active document" };
   }
   if (layerId === undefined) {
-    return { ok: false, changed: false, error: "layerId is required" };
+    return { ok: false, changed: false, error: "layerId or target is required" };
   }
 
   try {
-    // Find the layer by ID
-    const findLayer = (layers, id) => {
-      for (const layer of layers) {
-        if (layer.id === id) return layer;
-        if (layer.layers) {
-          const found = findLayer(layer.layers, id);
-          if (found) return found;
-        }
-      }
-      return null;
-    };
-
-    const sourceLayer = findLayer(doc.layers, layerId);
+    const sourceLayer = findLayerById(doc, layerId);
     if (!sourceLayer) {
       return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
     }
@@ -365,22 +825,11 @@ commands["layer.delete"] = async function (params) {
     return { ok: false, changed: false, error: "No active document" };
   }
   if (layerId === undefined) {
-    return { ok: false, changed: false, error: "layerId is required" };
+    return { ok: false, changed: false, error: "layerId or target is required" };
   }
 
   try {
-    const findLayer = (layers, id) => {
-      for (const layer of layers) {
-        if (layer.id === id) return layer;
-        if (layer.layers) {
-          const found = findLayer(layer.layers, id);
-          if (found) return found;
-        }
-      }
-      return null;
-    };
-
-    const layer = findLayer(doc.layers, layerId);
+    const layer = findLayerById(doc, layerId);
     if (!layer) {
       return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
     }
@@ -434,92 +883,233 @@ commands["layer.group_create"] = async function (params) {
 };
 
 // ============================================
-// Selection Commands (DOM API)
+// Layer Arrangement Commands (DOM API)
 // ============================================
 
-commands["selection.select_all"] = async function () {
+const LAYER_PLACEMENTS = ["above", "below", "top", "bottom", "into", "out"];
+
+commands["layer.move"] = async function (params) {
+  const { layerId, placement, relativeTo, index } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (layerId === undefined || !placement) {
+    return { ok: false, changed: false, error: "placement and a layerId or target are required" };
+  }
+  if (!LAYER_PLACEMENTS.includes(placement)) {
+    return {
+      ok: false,
+      changed: false,
+      error: `placement must be one of ${LAYER_PLACEMENTS.join(", ")}`,
+    };
+  }
 
   try {
+    const layer = findLayerById(doc, layerId);
+    if (!layer) {
+      return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
+    }
+
+    let relative = null;
+    if (placement === "above" || placement === "below" || placement === "into") {
+      if (!relativeTo) {
+        return { ok: false, changed: false, error: `relativeTo is required to move a layer ${placement}` };
+      }
+      relative = resolveLayer(doc, relativeTo);
+      if (relative.id === layer.id) {
+        return { ok: false, changed: false, error: "A layer can't be moved relative to itself" };
+      }
+    }
+    if (placement === "into" && relative.kind !== "group") {
+      return { ok: false, changed: false, error: `Layer "${relative.name}" is not a group` };
+    }
+    if (placement === "out" && !layer.parent) {
+      return { ok: false, changed: false, error: `Layer "${layer.name}" is not in a group` };
+    }
+
+    const { constants } = require("photoshop");
     await executeAsModal(
       async () => {
-        await doc.selection.selectAll();
+        switch (placement) {
+          case "above":
+            await layer.moveAbove(relative);
+            break;
+          case "below":
+            await layer.moveBelow(relative);
+            break;
+          case "top":
+            await layer.bringToFront();
+            break;
+          case "bottom":
+            await layer.sendToBack();
+            break;
+          case "out":
+            // One level up, directly above the group it was in
+            await layer.moveAbove(layer.parent);
+            break;
+          case "into": {
+            const children = Array.from(relative.layers).filter((child) => child.id !== layer.id);
+            const position = index || 0;
+            if (children.length === 0) {
+              await layer.move(relative, constants.ElementPlacement.PLACEINSIDE);
+            } else if (position < children.length) {
+              await layer.moveAbove(children[position]);
+            } else {
+              await layer.moveBelow(children[children.length - 1]);
+            }
+            break;
+          }
+        }
       },
-      { commandName: "Select All" }
+      { commandName: "Move Layer" }
     );
-    return { ok: true, changed: true, data: { selection: "all" } };
+
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, name: layer.name, placement, parentId: layer.parent?.id ?? null },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to select all: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to move layer: ${error.message}` };
   }
 };
 
-commands["selection.deselect"] = async function () {
+/**
+ * Look up every ID in `layerIds`; returns the layers or an error response.
+ */
+function findLayersById(doc, layerIds) {
+  const layers = [];
+  for (const id of layerIds) {
+    const layer = findLayerById(doc, id);
+    if (!layer) {
+      return { error: { ok: false, changed: false, error: `Layer with ID ${id} not found` } };
+    }
+    layers.push(layer);
+  }
+  return { layers };
+}
+
+commands["layer.group"] = async function (params) {
+  const { layerIds, name } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!Array.isArray(layerIds) || layerIds.length === 0) {
+    return { ok: false, changed: false, error: "layerIds must list at least one layer" };
+  }
 
   try {
+    const { layers, error } = findLayersById(doc, layerIds);
+    if (error) return error;
+
+    let group;
     await executeAsModal(
       async () => {
-        await doc.selection.deselect();
+        group = await doc.createLayerGroup({ name: name || "Group", fromLayers: layers });
       },
-      { commandName: "Deselect" }
+      { commandName: "Group Layers" }
     );
-    return { ok: true, changed: true, data: { selection: "none" } };
+
+    return {
+      ok: true,
+      changed: true,
+      data: { groupId: group.id, name: group.name, layerIds },
+      artifacts: { layerIds: [group.id, ...layerIds] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to deselect: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to group layers: ${error.message}` };
   }
 };
 
-commands["selection.inverse"] = async function () {
+commands["layer.ungroup"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (layerId === undefined) {
+    return { ok: false, changed: false, error: "layerId or target is required" };
+  }
 
   try {
+    const group = findLayerById(doc, layerId);
+    if (!group) {
+      return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
+    }
+    if (group.kind !== "group") {
+      return { ok: false, changed: false, error: `Layer "${group.name}" is not a group` };
+    }
+    const childIds = Array.from(group.layers, (child) => child.id);
+
+    const { batchPlay } = require("photoshop").action;
+    // The DOM has no ungroup
     await executeAsModal(
       async () => {
-        await doc.selection.inverse();
+        const [result] = await batchPlay(
+          [{ _obj: "ungroupLayersEvent", _target: [{ _ref: "layer", _id: layerId }] }],
+          { synchronousExecution: true }
+        );
+        if (result?._obj === "error") throw new Error(result.message);
       },
-      { commandName: "Inverse Selection" }
+      { commandName: "Ungroup Layers" }
     );
-    return { ok: true, changed: true, data: { selection: "inversed" } };
+
+    return {
+      ok: true,
+      changed: true,
+      data: { ungroupedId: layerId, layerIds: childIds },
+      artifacts: { layerIds: childIds },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to inverse selection: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to ungroup: ${error.message}` };
   }
 };
 
-commands["selection.select_rectangle"] = async function (params) {
-  const { top, left, bottom, right, feather = 0 } = params;
+commands["layer.merge_down"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (layerId === undefined) {
+    return { ok: false, changed: false, error: "layerId or target is required" };
+  }
 
   try {
+    const layer = findLayerById(doc, layerId);
+    if (!layer) {
+      return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
+    }
+
+    let merged;
     await executeAsModal(
       async () => {
-        await doc.selection.selectRectangle(
-          { top, left, bottom, right },
-          feather > 0 ? { featherRadius: feather } : undefined
-        );
+        merged = await layer.merge();
       },
-      { commandName: "Select Rectangle" }
+      { commandName: "Merge Down" }
     );
-    return { ok: true, changed: true, data: { bounds: { top, left, bottom, right }, feather } };
+
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: merged.id, name: merged.name, mergedLayerId: layerId },
+      artifacts: { layerIds: [merged.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to select rectangle: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to merge down: ${error.message}` };
   }
 };
 
-commands["selection.select_ellipse"] = async function (params) {
-  const { top, left, bottom, right, feather = 0 } = params;
+commands["layer.merge_visible"] = async function () {
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
@@ -527,1052 +1117,1322 @@ commands["selection.select_ellipse"] = async function (params) {
   try {
     await executeAsModal(
       async () => {
-        await doc.selection.selectEllipse(
-          { top, left, bottom, right },
-          feather > 0 ? { featherRadius: feather } : undefined
-        );
+        await doc.mergeVisibleLayers();
       },
-      { commandName: "Select Ellipse" }
+      { commandName: "Merge Visible" }
     );
-    return { ok: true, changed: true, data: { bounds: { top, left, bottom, right }, feather } };
+
+    // Photoshop leaves the merged layer selected
+    const merged = doc.activeLayers[0];
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: merged?.id ?? null, name: merged?.name ?? null },
+      artifacts: { layerIds: merged ? [merged.id] : [] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to select ellipse: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to merge visible layers: ${error.message}` };
   }
 };
 
-commands["selection.expand"] = async function (params) {
-  const { pixels } = params;
+commands["layer.link"] = async function (params) {
+  const { layerIds } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!Array.isArray(layerIds) || layerIds.length < 2) {
+    return { ok: false, changed: false, error: "layerIds must list at least two layers" };
+  }
 
   try {
+    const { layers, error } = findLayersById(doc, layerIds);
+    if (error) return error;
+
+    let linked = [];
     await executeAsModal(
       async () => {
-        await doc.selection.expand(pixels);
+        for (const other of layers.slice(1)) {
+          linked = await layers[0].link(other);
+        }
       },
-      { commandName: "Expand Selection" }
+      { commandName: "Link Layers" }
     );
-    return { ok: true, changed: true, data: { expanded: pixels } };
+
+    const linkedIds = linked.map((layer) => layer.id);
+    return {
+      ok: true,
+      changed: true,
+      data: { layerIds: linkedIds },
+      artifacts: { layerIds: linkedIds },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to expand selection: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to link layers: ${error.message}` };
   }
 };
 
-commands["selection.contract"] = async function (params) {
-  const { pixels } = params;
+commands["layer.unlink"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (layerId === undefined) {
+    return { ok: false, changed: false, error: "layerId or target is required" };
+  }
 
   try {
+    const layer = findLayerById(doc, layerId);
+    if (!layer) {
+      return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
+    }
+
     await executeAsModal(
       async () => {
-        await doc.selection.contract(pixels);
+        await layer.unlink();
       },
-      { commandName: "Contract Selection" }
+      { commandName: "Unlink Layers" }
     );
-    return { ok: true, changed: true, data: { contracted: pixels } };
+
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId },
+      artifacts: { layerIds: [layerId] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to contract selection: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to unlink layer: ${error.message}` };
   }
 };
 
-commands["selection.feather"] = async function (params) {
-  const { radius } = params;
+// ============================================
+// Layer Effects Commands (batchPlay)
+// ============================================
+
+const BLACK = { red: 0, green: 0, blue: 0 };
+const WHITE = { red: 255, green: 255, blue: 255 };
+
+const MATTE_TECHNIQUES = { enum: "matteTechnique", values: { softer: "softMatte", precise: "preciseMatte" } };
+
+/**
+ * Layer effects by the names the tools use. Each field maps a setting to
+ * [descriptor key, value shape, default for a newly added effect].
+ */
+const LAYER_EFFECTS = {
+  dropShadow: {
+    key: "dropShadow",
+    fields: {
+      blendMode: ["mode", "blendMode", "multiply"],
+      color: ["color", "color", BLACK],
+      opacity: ["opacity", "percent", 75],
+      angle: ["localLightingAngle", "angle", 120],
+      useGlobalAngle: ["useGlobalAngle", "bool", false],
+      distance: ["distance", "pixels", 5],
+      spread: ["chokeMatte", "percent", 0],
+      size: ["blur", "pixels", 5],
+      noise: ["noise", "percent", 0],
+      knockout: ["layerConceals", "bool", true],
+    },
+  },
+  innerShadow: {
+    key: "innerShadow",
+    fields: {
+      blendMode: ["mode", "blendMode", "multiply"],
+      color: ["color", "color", BLACK],
+      opacity: ["opacity", "percent", 75],
+      angle: ["localLightingAngle", "angle", 120],
+      useGlobalAngle: ["useGlobalAngle", "bool", false],
+      distance: ["distance", "pixels", 5],
+      choke: ["chokeMatte", "percent", 0],
+      size: ["blur", "pixels", 5],
+      noise: ["noise", "percent", 0],
+    },
+  },
+  outerGlow: {
+    key: "outerGlow",
+    fields: {
+      blendMode: ["mode", "blendMode", "screen"],
+      color: ["color", "color", { red: 255, green: 255, blue: 190 }],
+      opacity: ["opacity", "percent", 75],
+      noise: ["noise", "percent", 0],
+      technique: ["glowTechnique", MATTE_TECHNIQUES, "softer"],
+      spread: ["chokeMatte", "percent", 0],
+      size: ["blur", "pixels", 5],
+      range: ["inputRange", "percent", 50],
+    },
+  },
+  innerGlow: {
+    key: "innerGlow",
+    fields: {
+      blendMode: ["mode", "blendMode", "screen"],
+      color: ["color", "color", { red: 255, green: 255, blue: 190 }],
+      opacity: ["opacity", "percent", 75],
+      noise: ["noise", "percent", 0],
+      technique: ["glowTechnique", MATTE_TECHNIQUES, "softer"],
+      source: [
+        "innerGlowSource",
+        { enum: "innerGlowSourceType", values: { edge: "edgeGlow", center: "centerGlow" } },
+        "edge",
+      ],
+      choke: ["chokeMatte", "percent", 0],
+      size: ["blur", "pixels", 5],
+      range: ["inputRange", "percent", 50],
+    },
+  },
+  bevelEmboss: {
+    key: "bevelEmboss",
+    fields: {
+      style: [
+        "bevelStyle",
+        {
+          enum: "bevelEmbossStyle",
+          values: {
+            innerBevel: "innerBevel",
+            outerBevel: "outerBevel",
+            emboss: "emboss",
+            pillowEmboss: "pillowEmboss",
+            strokeEmboss: "strokeEmboss",
+          },
+        },
+        "innerBevel",
+      ],
+      technique: [
+        "bevelTechnique",
+        {
+          enum: "bevelTechnique",
+          values: { smooth: "softMatte", chiselHard: "preciseMatte", chiselSoft: "slopeLimitMatte" },
+        },
+        "smooth",
+      ],
+      depth: ["strengthRatio", "percent", 100],
+      direction: [
+        "bevelDirection",
+        { enum: "bevelEmbossStampStyle", values: { up: "stampIn", down: "stampOut" } },
+        "up",
+      ],
+      size: ["blur", "pixels", 5],
+      soften: ["softness", "pixels", 0],
+      angle: ["localLightingAngle", "angle", 120],
+      altitude: ["localLightingAltitude", "angle", 30],
+      useGlobalAngle: ["useGlobalAngle", "bool", false],
+      highlightMode: ["highlightMode", "blendMode", "screen"],
+      highlightColor: ["highlightColor", "color", WHITE],
+      highlightOpacity: ["highlightOpacity", "percent", 75],
+      shadowMode: ["shadowMode", "blendMode", "multiply"],
+      shadowColor: ["shadowColor", "color", BLACK],
+      shadowOpacity: ["shadowOpacity", "percent", 75],
+    },
+  },
+  satin: {
+    key: "chromeFX",
+    fields: {
+      blendMode: ["mode", "blendMode", "multiply"],
+      color: ["color", "color", BLACK],
+      opacity: ["opacity", "percent", 50],
+      angle: ["localLightingAngle", "angle", 19],
+      distance: ["distance", "pixels", 11],
+      size: ["blur", "pixels", 14],
+      invert: ["invert", "bool", true],
+      antiAlias: ["antiAlias", "bool", true],
+    },
+  },
+  colorOverlay: {
+    key: "solidFill",
+    fields: {
+      blendMode: ["mode", "blendMode", "normal"],
+      color: ["color", "color", { red: 255, green: 0, blue: 0 }],
+      opacity: ["opacity", "percent", 100],
+    },
+  },
+  gradientOverlay: {
+    key: "gradientFill",
+    fields: {
+      blendMode: ["mode", "blendMode", "normal"],
+      opacity: ["opacity", "percent", 100],
+      colors: [
+        "gradient",
+        "gradient",
+        [
+          { color: BLACK, location: 0 },
+          { color: WHITE, location: 100 },
+        ],
+      ],
+      style: [
+        "type",
+        {
+          enum: "gradientType",
+          values: {
+            linear: "linear",
+            radial: "radial",
+            angle: "angle",
+            reflected: "reflected",
+            diamond: "diamond",
+          },
+        },
+        "linear",
+      ],
+      angle: ["angle", "angle", 90],
+      scale: ["scale", "percent", 100],
+      reverse: ["reverse", "bool", false],
+      dither: ["dither", "bool", false],
+      alignWithLayer: ["align", "bool", true],
+    },
+  },
+  patternOverlay: {
+    key: "patternFill",
+    fields: {
+      blendMode: ["mode", "blendMode", "normal"],
+      opacity: ["opacity", "percent", 100],
+      // No default: the pattern has to exist in Photoshop's pattern presets
+      pattern: ["pattern", "pattern"],
+      scale: ["scale", "percent", 100],
+      linkWithLayer: ["align", "bool", true],
+    },
+  },
+  stroke: {
+    key: "frameFX",
+    fields: {
+      size: ["size", "pixels", 3],
+      position: [
+        "style",
+        { enum: "frameStyle", values: { outside: "outsetFrame", inside: "insetFrame", center: "centeredFrame" } },
+        "outside",
+      ],
+      blendMode: ["mode", "blendMode", "normal"],
+      opacity: ["opacity", "percent", 100],
+      color: ["color", "color", BLACK],
+    },
+    fixed: { paintType: { _enum: "frameFill", _value: "solidColor" } },
+  },
+};
+
+const BLEND_MODE_NAMES = Object.fromEntries(
+  Object.entries(BLEND_MODE_DESCRIPTORS).map(([mode, value]) => [value, mode])
+);
+
+// Gradient stop locations run 0-4096 in descriptors and 0-100 in the tools
+const GRADIENT_LOCATION_SCALE = 4096 / 100;
+
+/** A setting as it goes into an effect descriptor */
+function effectDescriptorValue(shape, value) {
+  switch (shape) {
+    case "bool":
+      return value;
+    case "percent":
+      return { _unit: "percentUnit", _value: value };
+    case "pixels":
+      return { _unit: "pixelsUnit", _value: value };
+    case "angle":
+      return { _unit: "angleUnit", _value: value };
+    case "color":
+      return { _obj: "RGBColor", red: value.red, grain: value.green, blue: value.blue };
+    case "blendMode":
+      return { _enum: "blendMode", _value: BLEND_MODE_DESCRIPTORS[value] || value };
+    case "pattern":
+      return {
+        _obj: "pattern",
+        ...(value.name !== undefined && { name: value.name }),
+        ...(value.id !== undefined && { ID: value.id }),
+      };
+    case "gradient":
+      return {
+        _obj: "gradientClassEvent",
+        name: "Custom",
+        gradientForm: { _enum: "gradientForm", _value: "customStops" },
+        interfaceIconFrameDimmed: 4096,
+        colors: value.map((stop) => ({
+          _obj: "colorStop",
+          color: effectDescriptorValue("color", stop.color),
+          type: { _enum: "colorStopType", _value: "userStop" },
+          location: Math.round(stop.location * GRADIENT_LOCATION_SCALE),
+          midpoint: 50,
+        })),
+        transparency: [0, 4096].map((location) => ({
+          _obj: "transferSpec",
+          opacity: { _unit: "percentUnit", _value: 100 },
+          location,
+          midpoint: 50,
+        })),
+      };
+    default:
+      return { _enum: shape.enum, _value: shape.values[value] };
+  }
+}
+
+/** A setting as effects.get reports it; values it cannot map are passed through */
+function effectSettingValue(shape, value) {
+  switch (shape) {
+    case "bool":
+      return value;
+    case "percent":
+    case "pixels":
+    case "angle":
+      return pixelValue(value);
+    case "color":
+      if (value?.red === undefined) return value;
+      return {
+        red: Math.round(value.red),
+        green: Math.round(value.grain ?? value.green),
+        blue: Math.round(value.blue),
+      };
+    case "blendMode":
+      return BLEND_MODE_NAMES[value?._value] || value?._value;
+    case "pattern":
+      return { name: value?.name, id: value?.ID };
+    case "gradient":
+      // Noise gradients have no stops to report
+      return value?.colors?.map((stop) => ({
+        color: effectSettingValue("color", stop.color),
+        location: Math.round(stop.location / GRADIENT_LOCATION_SCALE),
+      }));
+    default: {
+      const entry = Object.entries(shape.values).find(([, descriptor]) => descriptor === value?._value);
+      return entry ? entry[0] : value?._value;
+    }
+  }
+}
+
+/**
+ * Every instance of an effect in a layerEffects descriptor. Photoshop keeps
+ * drop shadows, inner shadows, overlays and strokes that can repeat in
+ * *Multi lists.
+ */
+function effectInstances(layerEffects, key) {
+  const multi = layerEffects?.[`${key}Multi`];
+  if (Array.isArray(multi)) return multi;
+  return layerEffects?.[key] ? [layerEffects[key]] : [];
+}
+
+/** layerEffects with the instances of one effect replaced (none removes it) */
+function withEffectInstances(layerEffects, key, instances) {
+  const next = { _obj: "layerEffects", scale: { _unit: "percentUnit", _value: 100 }, ...layerEffects };
+  delete next[key];
+  delete next[`${key}Multi`];
+  if (instances.length === 0) return next;
+  if (Array.isArray(layerEffects?.[`${key}Multi`])) {
+    next[`${key}Multi`] = instances;
+  }
+  next[key] = instances[0];
+  return next;
+}
+
+function hasEffects(layerEffects) {
+  return Object.values(LAYER_EFFECTS).some(({ key }) => effectInstances(layerEffects, key).length > 0);
+}
+
+/** One effects.get entry from an effect descriptor */
+function effectSettings(type, descriptor) {
+  const settings = { type, enabled: descriptor.enabled !== false };
+  for (const [name, [key, shape]] of Object.entries(LAYER_EFFECTS[type].fields)) {
+    if (descriptor[key] !== undefined) settings[name] = effectSettingValue(shape, descriptor[key]);
+  }
+  return settings;
+}
+
+/**
+ * An effect descriptor with `settings` applied over `existing`, or over the
+ * Layer Style dialog's defaults when the layer does not have the effect yet.
+ */
+function effectDescriptor(type, settings, existing) {
+  const { key, fields, fixed } = LAYER_EFFECTS[type];
+  const descriptor = existing
+    ? { ...existing }
+    : { _obj: key, enabled: true, present: true, showInDialog: true, ...fixed };
+
+  if (!existing) {
+    for (const [fieldKey, shape, fallback] of Object.values(fields)) {
+      if (fallback !== undefined) descriptor[fieldKey] = effectDescriptorValue(shape, fallback);
+    }
+  }
+  for (const [name, value] of Object.entries(settings)) {
+    if (name === "type" || name === "enabled" || value === undefined) continue;
+    if (!isOwn(fields, name)) throw new Error(`Unknown ${type} setting: ${name}`);
+    const [fieldKey, shape] = fields[name];
+    descriptor[fieldKey] = effectDescriptorValue(shape, value);
+  }
+  if (descriptor.pattern === undefined && type === "patternOverlay") {
+    throw new Error("pattern is required to add a pattern overlay");
+  }
+  descriptor.enabled = settings.enabled ?? true;
+  return descriptor;
+}
+
+async function getLayerEffects(layerId) {
+  const { batchPlay } = require("photoshop").action;
+  const target = (property) => [{ _property: property }, { _ref: "layer", _id: layerId }];
+  const [effects, visibility] = await batchPlay(
+    [
+      { _obj: "get", _target: target("layerEffects") },
+      { _obj: "get", _target: target("layerFXVisible") },
+    ],
+    { synchronousExecution: true }
+  );
+  return { layerEffects: effects?.layerEffects, visible: visibility?.layerFXVisible !== false };
+}
+
+// Writes a whole layerEffects descriptor; one that is left empty clears the layer style
+function setLayerEffectsDescriptor(layerId, layerEffects) {
+  const layer = { _ref: "layer", _id: layerId };
+  if (!hasEffects(layerEffects)) {
+    return { _obj: "disableLayerStyle", _target: [layer] };
+  }
+  return { _obj: "set", _target: [{ _property: "layerEffects" }, layer], to: layerEffects };
+}
+
+function isOwn(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+function effectTypeError(type) {
+  return isOwn(LAYER_EFFECTS, type) ? null : `Unknown effect type: ${type}`;
+}
+
+commands["effects.get"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    await executeAsModal(
-      async () => {
-        await doc.selection.feather(radius);
-      },
-      { commandName: "Feather Selection" }
-    );
-    return { ok: true, changed: true, data: { featherRadius: radius } };
+    const layer = layerOrActive(doc, layerId);
+    const { layerEffects, visible } = await getLayerEffects(layer.id);
+
+    const effects = [];
+    for (const [type, { key }] of Object.entries(LAYER_EFFECTS)) {
+      for (const instance of effectInstances(layerEffects, key)) {
+        effects.push(effectSettings(type, instance));
+      }
+    }
+
+    return {
+      ok: true,
+      changed: false,
+      data: { layerId: layer.id, layerName: layer.name, visible, effects },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to feather selection: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to get layer effects: ${error.message}` };
   }
 };
 
-commands["selection.grow"] = async function (params) {
-  const { tolerance } = params;
+commands["effects.set"] = async function (params) {
+  const { layerId, effect } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!effect) {
+    return { ok: false, changed: false, error: "effect is required" };
+  }
+  const typeError = effectTypeError(effect.type);
+  if (typeError) {
+    return { ok: false, changed: false, error: typeError };
+  }
 
   try {
+    const layer = layerOrActive(doc, layerId);
+    const { key } = LAYER_EFFECTS[effect.type];
+    const { layerEffects } = await getLayerEffects(layer.id);
+
+    // Updates the first instance when the layer already has the effect
+    const [existing, ...others] = effectInstances(layerEffects, key);
+    const descriptor = effectDescriptor(effect.type, effect, existing);
+    const updated = withEffectInstances(layerEffects, key, [descriptor, ...others]);
+
+    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await doc.selection.grow(tolerance);
+        const [result] = await batchPlay([setLayerEffectsDescriptor(layer.id, updated)], {
+          synchronousExecution: true,
+        });
+        if (result?._obj === "error") throw new Error(result.message);
       },
-      { commandName: "Grow Selection" }
+      { commandName: "Set Layer Effect" }
     );
-    return { ok: true, changed: true, data: { tolerance } };
-  } catch (error) {
-    return { ok: false, changed: false, error: `Failed to grow selection: ${error.message}` };
-  }
-};
-
-commands["selection.get_bounds"] = async function () {
-  const doc = app.activeDocument;
-  if (!doc) {
-    return { ok: false, changed: false, error: "No active document" };
-  }
 
-  try {
-    const bounds = doc.selection.bounds;
-    if (!bounds) {
-      return { ok: true, changed: false, data: { hasSelection: false, bounds: null } };
-    }
     return {
       ok: true,
-      changed: false,
-      data: {
-        hasSelection: true,
-        bounds: {
-          top: bounds.top,
-          left: bounds.left,
-          bottom: bounds.bottom,
-          right: bounds.right,
-          width: bounds.right - bounds.left,
-          height: bounds.bottom - bounds.top,
-        },
-      },
+      changed: true,
+      data: { layerId: layer.id, added: !existing, effect: effectSettings(effect.type, descriptor) },
+      artifacts: { layerIds: [layer.id] },
     };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to get selection bounds: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to set layer effect: ${error.message}` };
   }
 };
 
-// ============================================
-// Select Subject (batchPlay - AI Selection)
-// ============================================
-
-commands["selection.select_subject"] = async function (params) {
-  const { sampleAllLayers = false } = params;
+commands["effects.enable"] = async function (params) {
+  const { layerId, type, enabled } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (typeof enabled !== "boolean") {
+    return { ok: false, changed: false, error: "enabled is required" };
+  }
+  const typeError = type !== undefined && effectTypeError(type);
+  if (typeError) {
+    return { ok: false, changed: false, error: typeError };
+  }
 
   try {
-    const { batchPlay } = require("photoshop").action;
+    const layer = layerOrActive(doc, layerId);
+    const { layerEffects } = await getLayerEffects(layer.id);
+    if (!hasEffects(layerEffects)) {
+      return { ok: false, changed: false, error: `Layer "${layer.name}" has no effects` };
+    }
+
+    let descriptor;
+    if (type === undefined) {
+      // The eye next to "Effects" in the Layers panel
+      descriptor = {
+        _obj: enabled ? "show" : "hide",
+        null: [{ _ref: "layerEffects" }, { _ref: "layer", _id: layer.id }],
+      };
+    } else {
+      const { key } = LAYER_EFFECTS[type];
+      const instances = effectInstances(layerEffects, key);
+      if (instances.length === 0) {
+        return { ok: false, changed: false, error: `Layer "${layer.name}" has no ${type} effect` };
+      }
+      const toggled = instances.map((instance) => ({ ...instance, enabled }));
+      descriptor = setLayerEffectsDescriptor(layer.id, withEffectInstances(layerEffects, key, toggled));
+    }
 
+    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "autoCutout",
-              sampleAllLayers: sampleAllLayers,
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+        const [result] = await batchPlay([descriptor], { synchronousExecution: true });
+        if (result?._obj === "error") throw new Error(result.message);
       },
-      { commandName: "Select Subject" }
+      { commandName: enabled ? "Show Layer Effects" : "Hide Layer Effects" }
     );
 
-    return { ok: true, changed: true, data: { selection: "subject" } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, type, enabled },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to select subject: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to enable layer effects: ${error.message}` };
   }
 };
 
-// ============================================
-// Adjustment Layers (batchPlay)
-// ============================================
-
-commands["adjust.curves"] = async function (params) {
-  const { name, points, channel = "composite" } = params;
+commands["effects.clear"] = async function (params) {
+  const { layerId, type } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  const typeError = type !== undefined && effectTypeError(type);
+  if (typeError) {
+    return { ok: false, changed: false, error: typeError };
+  }
 
   try {
-    const { batchPlay } = require("photoshop").action;
+    const layer = layerOrActive(doc, layerId);
+    const { layerEffects } = await getLayerEffects(layer.id);
+    const present =
+      type === undefined
+        ? hasEffects(layerEffects)
+        : effectInstances(layerEffects, LAYER_EFFECTS[type].key).length > 0;
+    if (!present) {
+      return { ok: true, changed: false, data: { layerId: layer.id, type, cleared: false } };
+    }
 
-    // Build curve points array
-    const curvePoints = points && points.length > 0
-      ? points.map(p => ({ _obj: "paint", horizontal: p.input, vertical: p.output }))
-      : [
-          { _obj: "paint", horizontal: 0, vertical: 0 },
-          { _obj: "paint", horizontal: 255, vertical: 255 }
-        ];
+    const descriptor =
+      type === undefined
+        ? { _obj: "disableLayerStyle", _target: [{ _ref: "layer", _id: layer.id }] }
+        : setLayerEffectsDescriptor(
+            layer.id,
+            withEffectInstances(layerEffects, LAYER_EFFECTS[type].key, [])
+          );
 
-    let layerId;
+    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        const result = await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Curves",
-                type: {
-                  _obj: "curves",
-                  presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
-                  adjustment: [
-                    {
-                      _obj: "curvesAdjustment",
-                      channel: { _ref: "channel", _enum: "channel", _value: channel },
-                      curve: curvePoints
-                    }
-                  ]
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+        const [result] = await batchPlay([descriptor], { synchronousExecution: true });
+        if (result?._obj === "error") throw new Error(result.message);
       },
-      { commandName: "Create Curves Layer" }
+      { commandName: "Clear Layer Effects" }
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Curves" } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, type, cleared: true },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create curves layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to clear layer effects: ${error.message}` };
   }
 };
 
-commands["adjust.levels"] = async function (params) {
-  const { name, inputBlack = 0, inputWhite = 255, gamma = 1.0, outputBlack = 0, outputWhite = 255 } = params;
+// Copy Layer Style / Paste Layer Style without going through the clipboard
+commands["effects.copy"] = async function (params) {
+  const { layerId, to } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!Array.isArray(to) || to.length === 0) {
+    return { ok: false, changed: false, error: "to must list at least one layer" };
+  }
 
   try {
-    const { batchPlay } = require("photoshop").action;
+    const source = layerOrActive(doc, layerId);
+    const { layerEffects } = await getLayerEffects(source.id);
+    if (!hasEffects(layerEffects)) {
+      return { ok: false, changed: false, error: `Layer "${source.name}" has no effects to copy` };
+    }
+    const destinations = [...new Set(to.map((target) => resolveLayer(doc, target).id))].filter(
+      (id) => id !== source.id
+    );
+    if (destinations.length === 0) {
+      return { ok: false, changed: false, error: "to only names the source layer" };
+    }
 
-    let layerId;
+    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Levels",
-                type: {
-                  _obj: "levels",
-                  presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
-                  adjustment: [
-                    {
-                      _obj: "levelsAdjustment",
-                      channel: { _ref: "channel", _enum: "channel", _value: "composite" },
-                      input: [inputBlack, inputWhite],
-                      gamma: gamma,
-                      output: [outputBlack, outputWhite]
-                    }
-                  ]
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+      async (executionContext) => {
+        // One history step for every layer the style is pasted on
+        const { hostControl } = executionContext;
+        const suspensionID = await hostControl.suspendHistory({
+          documentID: doc.id,
+          name: "Paste Layer Style",
+        });
+        try {
+          const results = await batchPlay(
+            destinations.map((id) => setLayerEffectsDescriptor(id, layerEffects)),
+            { synchronousExecution: true }
+          );
+          const failed = results.find((result) => result?._obj === "error");
+          if (failed) throw new Error(failed.message);
+        } catch (error) {
+          await hostControl.resumeHistory(suspensionID, false);
+          throw error;
+        }
+        await hostControl.resumeHistory(suspensionID, true);
       },
-      { commandName: "Create Levels Layer" }
+      { commandName: "Paste Layer Style" }
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Levels" } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: source.id, layerIds: destinations },
+      artifacts: { layerIds: destinations },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create levels layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to copy layer effects: ${error.message}` };
   }
 };
 
-commands["adjust.hue_saturation"] = async function (params) {
-  const { name, hue = 0, saturation = 0, lightness = 0, colorize = false } = params;
+// ============================================
+// Smart Object Commands (batchPlay)
+// ============================================
+
+function selectLayersDescriptors(layerIds) {
+  return layerIds.map((id, index) => ({
+    _obj: "select",
+    _target: [{ _ref: "layer", _id: id }],
+    ...(index > 0 && { selectionModifier: { _enum: "selectionModifierType", _value: "addToSelection" } }),
+    makeVisible: false,
+    _options: { dialogOptions: "dontDisplay" },
+  }));
+}
+
+function smartObjectLayer(doc, layerId) {
+  const layer = layerOrActive(doc, layerId);
+  if (layer.kind !== "smartObject") {
+    throw new Error(`Layer "${layer.name}" is not a smart object`);
+  }
+  return layer;
+}
+
+function localFile(filePath) {
+  return { _path: filePath, _kind: "local" };
+}
+
+/**
+ * Run descriptors against one smart object layer: select it, then act on
+ * the active layer the way the Layer > Smart Objects menu does.
+ */
+async function runOnSmartObject(layer, descriptors, commandName) {
+  const { batchPlay } = require("photoshop").action;
+  await executeAsModal(
+    async () => {
+      const results = await batchPlay([...selectLayersDescriptors([layer.id]), ...descriptors], {
+        synchronousExecution: true,
+      });
+      const failed = results.find((result) => result?._obj === "error");
+      if (failed) throw new Error(failed.message);
+    },
+    { commandName }
+  );
+}
+
+/** Corner points from a smartObjectMore transform: [x0, y0, ... x3, y3] */
+function transformCorners(values) {
+  if (!Array.isArray(values) || values.length !== 8) return null;
+  return [0, 2, 4, 6].map((i) => ({ x: values[i], y: values[i + 1] }));
+}
+
+commands["smart_object.info"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
+    const layer = smartObjectLayer(doc, layerId);
     const { batchPlay } = require("photoshop").action;
-
-    let layerId;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Hue/Saturation",
-                type: {
-                  _obj: "hueSaturation",
-                  presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
-                  colorize: colorize,
-                  adjustment: [
-                    {
-                      _obj: "hueSatAdjustmentV2",
-                      hue: hue,
-                      saturation: saturation,
-                      lightness: lightness
-                    }
-                  ]
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
-      },
-      { commandName: "Create Hue/Saturation Layer" }
+    const target = (property) => [{ _property: property }, { _ref: "layer", _id: layer.id }];
+    const [basic, more] = await batchPlay(
+      [
+        { _obj: "get", _target: target("smartObject") },
+        { _obj: "get", _target: target("smartObjectMore") },
+      ],
+      { synchronousExecution: true }
     );
+    const smartObject = basic?.smartObject || {};
+    const details = more?.smartObjectMore || {};
+    const fileName = smartObject.fileReference || null;
+    const extension = fileName && /\.([^.]+)$/.exec(fileName);
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Hue/Saturation" } };
+    return {
+      ok: true,
+      changed: false,
+      data: {
+        layerId: layer.id,
+        layerName: layer.name,
+        linked: smartObject.linked === true,
+        filePath: smartObject.link?._path || null,
+        fileName,
+        fileType: extension ? extension[1].toLowerCase() : null,
+        linkMissing: smartObject.linkMissing === true,
+        linkChanged: smartObject.linkChanged === true,
+        documentId: smartObject.documentID || null,
+        size: details.size ? { width: details.size.width, height: details.size.height } : null,
+        resolution: pixelValue(details.resolution) ?? null,
+        transform: transformCorners(details.transform),
+        nonAffineTransform: transformCorners(details.nonAffineTransform),
+      },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create hue/saturation layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to get smart object info: ${error.message}` };
   }
 };
 
-commands["adjust.brightness_contrast"] = async function (params) {
-  const { name, brightness = 0, contrast = 0, useLegacy = false } = params;
+commands["smart_object.convert"] = async function (params) {
+  const { layerId, layerIds } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
+    let ids;
+    if (layerIds?.length) {
+      const { layers, error } = findLayersById(doc, layerIds);
+      if (error) return error;
+      ids = layers.map((layer) => layer.id);
+    } else {
+      ids = layerId !== undefined ? [layerOrActive(doc, layerId).id] : doc.activeLayers.map((l) => l.id);
+    }
+    if (ids.length === 0) {
+      return { ok: false, changed: false, error: "No active layer" };
+    }
 
-    let layerId;
+    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Brightness/Contrast",
-                type: {
-                  _obj: "brightnessEvent",
-                  brightness: brightness,
-                  contrast: contrast,
-                  useLegacy: useLegacy
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+        const results = await batchPlay([...selectLayersDescriptors(ids), { _obj: "newPlacedLayer" }], {
+          synchronousExecution: true,
+        });
+        const failed = results.find((result) => result?._obj === "error");
+        if (failed) throw new Error(failed.message);
       },
-      { commandName: "Create Brightness/Contrast Layer" }
+      { commandName: "Convert to Smart Object" }
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Brightness/Contrast" } };
+    const layer = doc.activeLayers[0];
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, name: layer.name, convertedLayerIds: ids },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create brightness/contrast layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to convert to smart object: ${error.message}` };
   }
 };
 
-commands["adjust.vibrance"] = async function (params) {
-  const { name, vibrance = 0, saturation = 0 } = params;
+commands["smart_object.place"] = async function (params) {
+  const { filePath, linked = false, name, layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!filePath) {
+    return { ok: false, changed: false, error: "filePath is required" };
+  }
 
   try {
+    // Placed layers go above the active layer
+    const above = layerId !== undefined ? [layerOrActive(doc, layerId).id] : [];
     const { batchPlay } = require("photoshop").action;
-
-    let layerId;
+    let layer;
     await executeAsModal(
       async () => {
-        await batchPlay(
+        const results = await batchPlay(
           [
+            ...selectLayersDescriptors(above),
             {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Vibrance",
-                type: {
-                  _obj: "vibrance",
-                  vibrance: vibrance,
-                  saturation: saturation
-                }
+              _obj: "placeEvent",
+              null: localFile(filePath),
+              linked,
+              freeTransformCenterState: { _enum: "quadCenterState", _value: "QCSAverage" },
+              offset: {
+                _obj: "offset",
+                horizontal: { _unit: "pixelsUnit", _value: 0 },
+                vertical: { _unit: "pixelsUnit", _value: 0 },
               },
-              _options: { dialogOptions: "dontDisplay" }
-            }
+              _options: { dialogOptions: "dontDisplay" },
+            },
           ],
           { synchronousExecution: true }
         );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+        const failed = results.find((result) => result?._obj === "error");
+        if (failed) throw new Error(failed.message);
+
+        layer = doc.activeLayers[0];
+        if (name) layer.name = name;
       },
-      { commandName: "Create Vibrance Layer" }
+      { commandName: linked ? "Place Linked" : "Place Embedded" }
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Vibrance" } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, name: layer.name, linked, filePath },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create vibrance layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to place ${filePath}: ${error.message}` };
   }
 };
 
-commands["adjust.color_balance"] = async function (params) {
-  const { name, shadows = [0,0,0], midtones = [0,0,0], highlights = [0,0,0], preserveLuminosity = true } = params;
+commands["smart_object.replace_contents"] = async function (params) {
+  const { layerId, filePath } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!filePath) {
+    return { ok: false, changed: false, error: "filePath is required" };
+  }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-
-    let layerId;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Color Balance",
-                type: {
-                  _obj: "colorBalance",
-                  shadowLevels: shadows,
-                  midtoneLevels: midtones,
-                  highlightLevels: highlights,
-                  preserveLuminosity: preserveLuminosity
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
-      },
-      { commandName: "Create Color Balance Layer" }
+    const layer = smartObjectLayer(doc, layerId);
+    await runOnSmartObject(
+      layer,
+      [{ _obj: "placedLayerReplaceContents", null: localFile(filePath), _options: { dialogOptions: "dontDisplay" } }],
+      "Replace Contents"
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Color Balance" } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, filePath },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create color balance layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to replace contents: ${error.message}` };
   }
 };
 
-commands["adjust.black_white"] = async function (params) {
-  const { name, red = 40, yellow = 60, green = 40, cyan = 60, blue = 20, magenta = 80 } = params;
+commands["smart_object.relink"] = async function (params) {
+  const { layerId, filePath } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!filePath) {
+    return { ok: false, changed: false, error: "filePath is required" };
+  }
 
   try {
+    const layer = smartObjectLayer(doc, layerId);
     const { batchPlay } = require("photoshop").action;
+    const [info] = await batchPlay(
+      [{ _obj: "get", _target: [{ _property: "smartObject" }, { _ref: "layer", _id: layer.id }] }],
+      { synchronousExecution: true }
+    );
+    if (info?.smartObject?.linked !== true) {
+      return {
+        ok: false,
+        changed: false,
+        error: `Layer "${layer.name}" is an embedded smart object; use ps_smart_object_replace_contents`,
+      };
+    }
 
-    let layerId;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Black & White",
-                type: {
-                  _obj: "blackAndWhite",
-                  presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
-                  red: red,
-                  yellow: yellow,
-                  grain: green, // Note: Photoshop uses "grain" for green
-                  cyan: cyan,
-                  blue: blue,
-                  magenta: magenta,
-                  useTint: false
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
-      },
-      { commandName: "Create Black & White Layer" }
+    await runOnSmartObject(
+      layer,
+      [{ _obj: "placedLayerRelinkToFile", null: localFile(filePath), _options: { dialogOptions: "dontDisplay" } }],
+      "Relink to File"
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Black & White" } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, filePath },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create black & white layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to relink smart object: ${error.message}` };
   }
 };
 
-commands["adjust.exposure"] = async function (params) {
-  const { name, exposure = 0, offset = 0, gamma = 1.0 } = params;
+commands["smart_object.rasterize"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-
-    let layerId;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Exposure",
-                type: {
-                  _obj: "exposure",
-                  presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
-                  exposure: exposure,
-                  offset: offset,
-                  gammaCorrection: gamma
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
-      },
-      { commandName: "Create Exposure Layer" }
+    const layer = smartObjectLayer(doc, layerId);
+    await runOnSmartObject(
+      layer,
+      [
+        {
+          _obj: "rasterizeLayer",
+          _target: [{ _ref: "layer", _enum: "ordinal", _value: "targetEnum" }],
+          _options: { dialogOptions: "dontDisplay" },
+        },
+      ],
+      "Rasterize Smart Object"
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Exposure" } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create exposure layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to rasterize smart object: ${error.message}` };
   }
 };
 
-commands["adjust.invert"] = async function (params) {
-  const { name } = params;
+/**
+ * Open a smart object's contents as their own document, which becomes the
+ * active one. The server runs tool calls against it and then calls
+ * smart_object.close_contents.
+ */
+commands["smart_object.edit_contents"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-
-    let layerId;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Invert",
-                type: { _class: "invert" }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
-      },
-      { commandName: "Create Invert Layer" }
+    const layer = smartObjectLayer(doc, layerId);
+    await runOnSmartObject(
+      layer,
+      [{ _obj: "placedLayerEditContents", _options: { dialogOptions: "dontDisplay" } }],
+      "Edit Contents"
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Invert" } };
+    const contents = app.activeDocument;
+    if (!contents || contents.id === doc.id) {
+      return { ok: false, changed: false, error: "Photoshop did not open the smart object's contents" };
+    }
+
+    return {
+      ok: true,
+      changed: false,
+      data: {
+        layerId: layer.id,
+        documentId: contents.id,
+        parentDocumentId: doc.id,
+        name: contents.name,
+      },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create invert layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to edit contents: ${error.message}` };
   }
 };
 
-commands["adjust.posterize"] = async function (params) {
-  const { name, levels = 4 } = params;
-  const doc = app.activeDocument;
-  if (!doc) {
-    return { ok: false, changed: false, error: "No active document" };
+// Save the contents back into the smart object (or discard them) and close them
+commands["smart_object.close_contents"] = async function (params) {
+  const { documentId, parentDocumentId, save = true } = params;
+  const contents = app.documents.find((d) => d.id === documentId);
+
+  if (!contents) {
+    return { ok: false, changed: false, error: `Document ${documentId} is not open` };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-
-    let layerId;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Posterize",
-                type: {
-                  _obj: "posterization",
-                  levels: levels
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+        if (save) await contents.save();
+        await contents.closeWithoutSaving();
+
+        const parent = app.documents.find((d) => d.id === parentDocumentId);
+        if (parent) app.activeDocument = parent;
       },
-      { commandName: "Create Posterize Layer" }
+      { commandName: save ? "Save Smart Object Contents" : "Close Smart Object Contents" }
     );
 
-    return { ok: true, changed: true, data: { layerId, name: name || "Posterize" } };
+    return { ok: true, changed: save, data: { documentId, saved: save } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create posterize layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to close smart object contents: ${error.message}` };
   }
 };
 
-commands["adjust.threshold"] = async function (params) {
-  const { name, level = 128 } = params;
-  const doc = app.activeDocument;
-  if (!doc) {
+// ============================================
+// Selection Commands (DOM API)
+// ============================================
+
+commands["selection.select_all"] = async function () {
+  const doc = app.activeDocument;
+  if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-
-    let layerId;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Threshold",
-                type: {
-                  _obj: "thresholdClassEvent",
-                  level: level
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+        await doc.selection.selectAll();
       },
-      { commandName: "Create Threshold Layer" }
+      { commandName: "Select All" }
     );
-
-    return { ok: true, changed: true, data: { layerId, name: name || "Threshold" } };
+    return { ok: true, changed: true, data: { selection: "all" } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create threshold layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to select all: ${error.message}` };
   }
 };
 
-commands["adjust.photo_filter"] = async function (params) {
-  const { name, color = { red: 236, green: 138, blue: 0 }, density = 25, preserveLuminosity = true } = params;
+commands["selection.deselect"] = async function () {
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-
-    let layerId;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "adjustmentLayer" }],
-              using: {
-                _obj: "adjustmentLayer",
-                name: name || "Photo Filter",
-                type: {
-                  _obj: "photoFilter",
-                  color: {
-                    _obj: "RGBColor",
-                    red: color.red,
-                    grain: color.green, // Note: Photoshop uses "grain" for green
-                    blue: color.blue
-                  },
-                  density: density,
-                  preserveLuminosity: preserveLuminosity
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+        await doc.selection.deselect();
       },
-      { commandName: "Create Photo Filter Layer" }
+      { commandName: "Deselect" }
     );
-
-    return { ok: true, changed: true, data: { layerId, name: name || "Photo Filter" } };
+    return { ok: true, changed: true, data: { selection: "none" } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create photo filter layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to deselect: ${error.message}` };
   }
 };
 
-commands["fill.solid_color"] = async function (params) {
-  const { name, color } = params;
+commands["selection.inverse"] = async function () {
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
-  if (!color) {
-    return { ok: false, changed: false, error: "color is required" };
-  }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-
-    let layerId;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [{ _ref: "contentLayer" }],
-              using: {
-                _obj: "contentLayer",
-                name: name || "Color Fill",
-                type: {
-                  _obj: "solidColorLayer",
-                  color: {
-                    _obj: "RGBColor",
-                    red: color.red,
-                    grain: color.green,
-                    blue: color.blue
-                  }
-                }
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-        layerId = app.activeDocument.activeLayers[0]?.id;
+        await doc.selection.inverse();
       },
-      { commandName: "Create Solid Color Layer" }
+      { commandName: "Inverse Selection" }
     );
-
-    return { ok: true, changed: true, data: { layerId, name: name || "Color Fill", color } };
+    return { ok: true, changed: true, data: { selection: "inversed" } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create solid color layer: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to inverse selection: ${error.message}` };
   }
 };
 
-// ============================================================================
-// History Commands (batchPlay)
-// ============================================================================
-
-commands["history.undo"] = async function (_params) {
+commands["selection.select_rectangle"] = async function (params) {
+  const { top, left, bottom, right, feather = 0 } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "select",
-              _target: [
-                {
-                  _ref: "historyState",
-                  _enum: "ordinal",
-                  _value: "previous"
-                }
-              ],
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
+        await doc.selection.selectRectangle(
+          { top, left, bottom, right },
+          feather > 0 ? { featherRadius: feather } : undefined
         );
       },
-      { commandName: "Undo" }
+      { commandName: "Select Rectangle" }
     );
-
-    return { ok: true, changed: true, data: { action: "undo" } };
+    return { ok: true, changed: true, data: { bounds: { top, left, bottom, right }, feather } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to undo: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to select rectangle: ${error.message}` };
   }
 };
 
-commands["history.redo"] = async function (_params) {
+commands["selection.select_ellipse"] = async function (params) {
+  const { top, left, bottom, right, feather = 0 } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "select",
-              _target: [
-                {
-                  _ref: "historyState",
-                  _enum: "ordinal",
-                  _value: "next"
-                }
-              ],
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
+        await doc.selection.selectEllipse(
+          { top, left, bottom, right },
+          feather > 0 ? { featherRadius: feather } : undefined
         );
       },
-      { commandName: "Redo" }
+      { commandName: "Select Ellipse" }
     );
-
-    return { ok: true, changed: true, data: { action: "redo" } };
+    return { ok: true, changed: true, data: { bounds: { top, left, bottom, right }, feather } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to redo: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to select ellipse: ${error.message}` };
   }
 };
 
-commands["history.step_backward"] = async function (params) {
-  const { steps = 1 } = params;
+commands["selection.expand"] = async function (params) {
+  const { pixels } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        for (let i = 0; i < steps; i++) {
-          await batchPlay(
-            [
-              {
-                _obj: "select",
-                _target: [
-                  {
-                    _ref: "historyState",
-                    _enum: "ordinal",
-                    _value: "previous"
-                  }
-                ],
-                _options: { dialogOptions: "dontDisplay" }
-              }
-            ],
-            { synchronousExecution: true }
-          );
-        }
+        await doc.selection.expand(pixels);
       },
-      { commandName: "Step Backward" }
+      { commandName: "Expand Selection" }
     );
-
-    return { ok: true, changed: true, data: { action: "step_backward", steps } };
+    return { ok: true, changed: true, data: { expanded: pixels } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to step backward: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to expand selection: ${error.message}` };
   }
 };
 
-commands["history.step_forward"] = async function (params) {
-  const { steps = 1 } = params;
+commands["selection.contract"] = async function (params) {
+  const { pixels } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        for (let i = 0; i < steps; i++) {
-          await batchPlay(
-            [
-              {
-                _obj: "select",
-                _target: [
-                  {
-                    _ref: "historyState",
-                    _enum: "ordinal",
-                    _value: "next"
-                  }
-                ],
-                _options: { dialogOptions: "dontDisplay" }
-              }
-            ],
-            { synchronousExecution: true }
-          );
-        }
+        await doc.selection.contract(pixels);
       },
-      { commandName: "Step Forward" }
+      { commandName: "Contract Selection" }
     );
-
-    return { ok: true, changed: true, data: { action: "step_forward", steps } };
+    return { ok: true, changed: true, data: { contracted: pixels } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to step forward: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to contract selection: ${error.message}` };
   }
 };
 
-commands["history.snapshot_create"] = async function (params) {
-  const { name = "Snapshot", fullDocument = true } = params;
+commands["selection.feather"] = async function (params) {
+  const { radius } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "make",
-              _target: [
-                {
-                  _ref: "snapshotClass"
-                }
-              ],
-              from: {
-                _ref: "historyState",
-                _enum: "ordinal",
-                _value: "currentHistoryState"
-              },
-              name: name,
-              using: {
-                _enum: "historyState",
-                _value: fullDocument ? "fullDocument" : "mergedLayers"
-              },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+        await doc.selection.feather(radius);
       },
-      { commandName: "Create Snapshot" }
+      { commandName: "Feather Selection" }
     );
-
-    return { ok: true, changed: true, data: { action: "snapshot_create", name } };
+    return { ok: true, changed: true, data: { featherRadius: radius } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to create snapshot: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to feather selection: ${error.message}` };
   }
 };
 
-commands["history.goto_state"] = async function (params) {
-  const { name, index } = params;
+commands["selection.grow"] = async function (params) {
+  const { tolerance } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
-  if (!name && !index) {
-    return { ok: false, changed: false, error: "Either name or index must be provided" };
-  }
-
   try {
-    const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        const target = name
-          ? { _ref: "historyState", _name: name }
-          : { _ref: "historyState", _index: index };
-
-        await batchPlay(
-          [
-            {
-              _obj: "select",
-              _target: [target],
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+        await doc.selection.grow(tolerance);
       },
-      { commandName: "Go to History State" }
+      { commandName: "Grow Selection" }
     );
-
-    return { ok: true, changed: true, data: { action: "goto_state", name, index } };
+    return { ok: true, changed: true, data: { tolerance } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to go to history state: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to grow selection: ${error.message}` };
   }
 };
 
-commands["history.clear"] = async function (_params) {
+commands["selection.get_bounds"] = async function () {
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "delete",
-              _target: [
-                {
-                  _ref: "historyState",
-                  _enum: "ordinal",
-                  _value: "allExceptCurrent"
-                }
-              ],
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+    const bounds = doc.selection.bounds;
+    if (!bounds) {
+      return { ok: true, changed: false, data: { hasSelection: false, bounds: null } };
+    }
+    return {
+      ok: true,
+      changed: false,
+      data: {
+        hasSelection: true,
+        bounds: {
+          top: bounds.top,
+          left: bounds.left,
+          bottom: bounds.bottom,
+          right: bounds.right,
+          width: bounds.right - bounds.left,
+          height: bounds.bottom - bounds.top,
+        },
       },
-      { commandName: "Clear History" }
-    );
-
-    return { ok: true, changed: true, data: { action: "clear_history" } };
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to clear history: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to get selection bounds: ${error.message}` };
   }
 };
 
-commands["history.get_states"] = async function (_params) {
+// ============================================
+// Select Subject (batchPlay - AI Selection)
+// ============================================
+
+commands["selection.select_subject"] = async function (params) {
+  const { sampleAllLayers = false } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
@@ -1580,182 +2440,542 @@ commands["history.get_states"] = async function (_params) {
 
   try {
     const { batchPlay } = require("photoshop").action;
-    let historyInfo;
 
     await executeAsModal(
       async () => {
-        // Get history state count
-        const result = await batchPlay(
+        await batchPlay(
           [
             {
-              _obj: "get",
-              _target: [
-                {
-                  _property: "count"
-                },
-                {
-                  _ref: "historyState"
-                }
-              ],
+              _obj: "autoCutout",
+              sampleAllLayers: sampleAllLayers,
               _options: { dialogOptions: "dontDisplay" }
             }
           ],
           { synchronousExecution: true }
         );
+      },
+      { commandName: "Select Subject" }
+    );
 
-        const count = result[0]?.count || 0;
-        const states = [];
+    return { ok: true, changed: true, data: { selection: "subject" } };
+  } catch (error) {
+    return { ok: false, changed: false, error: `Failed to select subject: ${error.message}` };
+  }
+};
+
+// ============================================
+// Adjustment Layers (batchPlay)
+// ============================================
+
+function rgbColorDescriptor(color) {
+  // Note: Photoshop uses "grain" for green
+  return { _obj: "RGBColor", red: color.red, grain: color.green, blue: color.blue };
+}
+
+function rgbColorValue(descriptor) {
+  return { red: descriptor?.red, green: descriptor?.grain, blue: descriptor?.blue };
+}
+
+function curveChannel(curve) {
+  return curve?.channel?._value || "composite";
+}
+
+function curvePoints(curve) {
+  return (curve?.curve || []).map((p) => ({ input: p.horizontal, output: p.vertical }));
+}
+
+/**
+ * Adjustment and fill layers by command: the layer's default name, its
+ * adjustment descriptor for a request's params, and `settings`, which reads
+ * a descriptor back the way the command's ps_adjust_* tool takes it. Types
+ * whose descriptor holds more than the tool sets also have `details`, what
+ * else adjust.get reports, and `merge`, which keeps it through an update.
+ */
+const ADJUSTMENTS = {
+  "adjust.curves": {
+    name: "Curves",
+    type: "curves",
+    descriptor: ({ points, channel = "composite" }) => ({
+      _obj: "curves",
+      presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
+      adjustment: [
+        {
+          _obj: "curvesAdjustment",
+          channel: { _ref: "channel", _enum: "channel", _value: channel },
+          curve:
+            points && points.length > 0
+              ? points.map((p) => ({ _obj: "paint", horizontal: p.input, vertical: p.output }))
+              : [
+                  { _obj: "paint", horizontal: 0, vertical: 0 },
+                  { _obj: "paint", horizontal: 255, vertical: 255 },
+                ],
+        },
+      ],
+    }),
+    // A Curves layer keeps a curve per channel, while the tool sets one:
+    // settings read the composite curve (or the first), every curve is
+    // listed in `curves`, and an update replaces only the curve it names
+    settings: ({ adjustment = [] }) => {
+      const curve = adjustment.find((c) => curveChannel(c) === "composite") || adjustment[0];
+      return {
+        points: curvePoints(curve),
+        channel: curve ? curveChannel(curve) : "composite",
+      };
+    },
+    details: ({ adjustment = [] }) => ({
+      curves: adjustment.map((c) => ({ channel: curveChannel(c), points: curvePoints(c) })),
+    }),
+    merge: (current, updated) => {
+      const [curve] = updated.adjustment;
+      const kept = current.adjustment || [];
+      const index = kept.findIndex((c) => curveChannel(c) === curveChannel(curve));
+      const adjustment = index === -1 ? [...kept, curve] : kept.map((c, i) => (i === index ? curve : c));
+      return { ...updated, adjustment };
+    },
+  },
+  "adjust.levels": {
+    name: "Levels",
+    type: "levels",
+    descriptor: ({ inputBlack = 0, inputWhite = 255, gamma = 1.0, outputBlack = 0, outputWhite = 255 }) => ({
+      _obj: "levels",
+      presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
+      adjustment: [
+        {
+          _obj: "levelsAdjustment",
+          channel: { _ref: "channel", _enum: "channel", _value: "composite" },
+          input: [inputBlack, inputWhite],
+          gamma: gamma,
+          output: [outputBlack, outputWhite],
+        },
+      ],
+    }),
+    settings: ({ adjustment = [] }) => {
+      const { input = [0, 255], gamma = 1.0, output = [0, 255] } = adjustment[0] || {};
+      return {
+        inputBlack: input[0],
+        inputWhite: input[1],
+        gamma,
+        outputBlack: output[0],
+        outputWhite: output[1],
+      };
+    },
+  },
+  "adjust.hue_saturation": {
+    name: "Hue/Saturation",
+    type: "hueSaturation",
+    descriptor: ({ hue = 0, saturation = 0, lightness = 0, colorize = false }) => ({
+      _obj: "hueSaturation",
+      presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
+      colorize: colorize,
+      adjustment: [{ _obj: "hueSatAdjustmentV2", hue: hue, saturation: saturation, lightness: lightness }],
+    }),
+    settings: ({ adjustment = [], colorize = false }) => ({
+      hue: adjustment[0]?.hue ?? 0,
+      saturation: adjustment[0]?.saturation ?? 0,
+      lightness: adjustment[0]?.lightness ?? 0,
+      colorize,
+    }),
+  },
+  "adjust.brightness_contrast": {
+    name: "Brightness/Contrast",
+    type: "brightnessEvent",
+    descriptor: ({ brightness = 0, contrast = 0, useLegacy = false }) => ({
+      _obj: "brightnessEvent",
+      brightness: brightness,
+      contrast: contrast,
+      useLegacy: useLegacy,
+    }),
+    settings: ({ brightness = 0, contrast = 0, useLegacy = false }) => ({ brightness, contrast, useLegacy }),
+  },
+  "adjust.vibrance": {
+    name: "Vibrance",
+    type: "vibrance",
+    descriptor: ({ vibrance = 0, saturation = 0 }) => ({
+      _obj: "vibrance",
+      vibrance: vibrance,
+      saturation: saturation,
+    }),
+    settings: ({ vibrance = 0, saturation = 0 }) => ({ vibrance, saturation }),
+  },
+  "adjust.color_balance": {
+    name: "Color Balance",
+    type: "colorBalance",
+    descriptor: ({ shadows = [0, 0, 0], midtones = [0, 0, 0], highlights = [0, 0, 0], preserveLuminosity = true }) => ({
+      _obj: "colorBalance",
+      shadowLevels: shadows,
+      midtoneLevels: midtones,
+      highlightLevels: highlights,
+      preserveLuminosity: preserveLuminosity,
+    }),
+    // The tool takes each tonal range as three separate sliders
+    settings: ({ shadowLevels = [0, 0, 0], midtoneLevels = [0, 0, 0], highlightLevels = [0, 0, 0], preserveLuminosity = true }) => {
+      const ranges = { shadows: shadowLevels, midtones: midtoneLevels, highlights: highlightLevels };
+      const settings = {};
+      for (const [range, levels] of Object.entries(ranges)) {
+        settings[`${range}CyanRed`] = levels[0];
+        settings[`${range}MagentaGreen`] = levels[1];
+        settings[`${range}YellowBlue`] = levels[2];
+      }
+      return { ...settings, preserveLuminosity };
+    },
+  },
+  "adjust.black_white": {
+    name: "Black & White",
+    type: "blackAndWhite",
+    descriptor: ({ red = 40, yellow = 60, green = 40, cyan = 60, blue = 20, magenta = 80 }) => ({
+      _obj: "blackAndWhite",
+      presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
+      red: red,
+      yellow: yellow,
+      grain: green, // Note: Photoshop uses "grain" for green
+      cyan: cyan,
+      blue: blue,
+      magenta: magenta,
+      useTint: false,
+    }),
+    settings: ({ red, yellow, grain, cyan, blue, magenta }) => ({ red, yellow, green: grain, cyan, blue, magenta }),
+  },
+  "adjust.exposure": {
+    name: "Exposure",
+    type: "exposure",
+    descriptor: ({ exposure = 0, offset = 0, gamma = 1.0 }) => ({
+      _obj: "exposure",
+      presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
+      exposure: exposure,
+      offset: offset,
+      gammaCorrection: gamma,
+    }),
+    settings: ({ exposure = 0, offset = 0, gammaCorrection = 1.0 }) => ({ exposure, offset, gamma: gammaCorrection }),
+  },
+  "adjust.invert": {
+    name: "Invert",
+    type: "invert",
+    descriptor: () => ({ _class: "invert" }),
+    settings: () => ({}),
+  },
+  "adjust.posterize": {
+    name: "Posterize",
+    type: "posterization",
+    descriptor: ({ levels = 4 }) => ({ _obj: "posterization", levels: levels }),
+    settings: ({ levels = 4 }) => ({ levels }),
+  },
+  "adjust.threshold": {
+    name: "Threshold",
+    type: "thresholdClassEvent",
+    descriptor: ({ level = 128 }) => ({ _obj: "thresholdClassEvent", level: level }),
+    settings: ({ level = 128 }) => ({ level }),
+  },
+  "adjust.photo_filter": {
+    name: "Photo Filter",
+    type: "photoFilter",
+    descriptor: ({ color = { red: 236, green: 138, blue: 0 }, density = 25, preserveLuminosity = true }) => ({
+      _obj: "photoFilter",
+      color: rgbColorDescriptor(color),
+      density: density,
+      preserveLuminosity: preserveLuminosity,
+    }),
+    settings: ({ color, density = 25, preserveLuminosity = true }) => ({
+      color: rgbColorValue(color),
+      density: pixelValue(density),
+      preserveLuminosity,
+    }),
+  },
+  "fill.solid_color": {
+    name: "Solid Color",
+    layerName: "Color Fill",
+    layerClass: "contentLayer",
+    type: "solidColorLayer",
+    descriptor: ({ color }) => ({ _obj: "solidColorLayer", color: rgbColorDescriptor(color) }),
+    settings: ({ color }) => ({ color: rgbColorValue(color) }),
+  },
+};
+
+const SELECTION = [{ _ref: "channel", _property: "selection" }];
+
+// Color Range's luminosity presets, the way the dialog sets them up
+const LUMINOSITY_RANGES = {
+  highlights: (fuzziness) => ({ highlightsFuzziness: fuzziness, highlightsLowerLimit: 190 }),
+  midtones: (fuzziness) => ({ midtonesFuzziness: fuzziness, midtonesLowerLimit: 105, midtonesUpperLimit: 150 }),
+  shadows: (fuzziness) => ({ shadowsFuzziness: fuzziness, shadowsUpperLimit: 65 }),
+};
+
+/**
+ * Descriptors that load a mask source as the selection, so a new adjustment
+ * layer is masked with it. A "selection" source is the selection already.
+ */
+function maskSourceDescriptors(doc, mask) {
+  switch (mask.type) {
+    case "selection":
+      if (!doc.selection?.bounds) throw new Error("mask type selection needs an active selection");
+      return [];
+    case "channel":
+      return [{ _obj: "set", _target: SELECTION, to: { _ref: "channel", _name: mask.name } }];
+    case "layerMask": {
+      const layer = resolveLayer(doc, mask.layer);
+      return [
+        {
+          _obj: "set",
+          _target: SELECTION,
+          to: { _ref: [{ _ref: "channel", _enum: "channel", _value: "mask" }, { _ref: "layer", _id: layer.id }] },
+        },
+      ];
+    }
+    case "luminosity": {
+      const range = LUMINOSITY_RANGES[mask.range];
+      if (!range) throw new Error(`Unknown luminosity range: ${mask.range}`);
+      return [
+        // Color Range only samples inside an existing selection
+        { _obj: "set", _target: SELECTION, to: { _enum: "ordinal", _value: "none" } },
+        {
+          _obj: "colorRange",
+          colors: { _enum: "colors", _value: mask.range },
+          ...range(mask.fuzziness ?? 20),
+          _options: { dialogOptions: "dontDisplay" },
+        },
+      ];
+    }
+    default:
+      throw new Error(`Unknown mask type: ${mask.type}`);
+  }
+}
+
+/** Run descriptors in one batchPlay call, throwing on the first that fails */
+async function runDescriptors(batchPlay, descriptors) {
+  if (descriptors.length === 0) return;
+  const results = await batchPlay(descriptors, { synchronousExecution: true });
+  const failed = results.find((result) => result?._obj === "error");
+  if (failed) throw new Error(failed.message);
+}
+
+/**
+ * Make an adjustment (or fill) layer above the active layer. A mask source,
+ * blend mode, opacity and clipping are applied in the same history step,
+ * and a selection replaced by the mask source is put back afterwards.
+ */
+async function createAdjustment(command, params) {
+  const adjustment = ADJUSTMENTS[command];
+  const layerClass = adjustment.layerClass || "adjustmentLayer";
+  const layerName = params.name || adjustment.layerName || adjustment.name;
+  const { mask, blendMode, opacity, clip } = params;
+  const doc = app.activeDocument;
+  if (!doc) {
+    return { ok: false, changed: false, error: "No active document" };
+  }
 
-        // Get current history state index
-        const currentResult = await batchPlay(
-          [
-            {
-              _obj: "get",
-              _target: [
-                {
-                  _property: "currentHistoryState"
-                },
-                {
-                  _ref: "document",
-                  _enum: "ordinal",
-                  _value: "targetEnum"
-                }
-              ],
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+  const make = {
+    _obj: "make",
+    _target: [{ _ref: layerClass }],
+    using: { _obj: layerClass, name: layerName, type: adjustment.descriptor(params) },
+    _options: { dialogOptions: "dontDisplay" },
+  };
+  const commandName = `Create ${adjustment.name} Layer`;
 
-        const currentIndex = currentResult[0]?.currentHistoryState?._index || 0;
+  try {
+    const { batchPlay } = require("photoshop").action;
 
-        // Get state names (limit to last 20 for performance)
-        const startIndex = Math.max(1, count - 19);
-        for (let i = startIndex; i <= count; i++) {
-          try {
-            const stateResult = await batchPlay(
-              [
-                {
-                  _obj: "get",
-                  _target: [
-                    {
-                      _property: "name"
-                    },
-                    {
-                      _ref: "historyState",
-                      _index: i
-                    }
-                  ],
-                  _options: { dialogOptions: "dontDisplay" }
-                }
-              ],
-              { synchronousExecution: true }
+    let layerId;
+    if (mask === undefined && blendMode === undefined && opacity === undefined && !clip) {
+      await executeAsModal(
+        async () => {
+          await batchPlay([make], { synchronousExecution: true });
+          layerId = app.activeDocument.activeLayers[0]?.id;
+        },
+        { commandName }
+      );
+      return { ok: true, changed: true, data: { layerId, name: layerName } };
+    }
+
+    const loadMask = mask ? maskSourceDescriptors(doc, mask) : [];
+    await executeAsModal(
+      async (executionContext) => {
+        const { hostControl } = executionContext;
+        const suspensionID = await hostControl.suspendHistory({ documentID: doc.id, name: commandName });
+        try {
+          // Keep the selection the mask source replaces, to put it back after
+          const hadSelection = Boolean(doc.selection?.bounds);
+          const savedSelection = loadMask.length > 0 && hadSelection ? "Adjustment Selection" : null;
+          if (savedSelection) {
+            await runDescriptors(batchPlay, [{ _obj: "duplicate", _target: SELECTION, name: savedSelection }]);
+          }
+          await runDescriptors(batchPlay, loadMask);
+          await runDescriptors(batchPlay, [make]);
+          layerId = app.activeDocument.activeLayers[0]?.id;
+          const layer = [{ _ref: "layer", _id: layerId }];
+
+          const after = [];
+          if (mask?.invert) {
+            after.push(
+              { _obj: "select", _target: [{ _ref: "channel", _enum: "channel", _value: "mask" }] },
+              { _obj: "invert", _options: { dialogOptions: "dontDisplay" } },
+              { _obj: "select", _target: [{ _ref: "channel", _enum: "channel", _value: "RGB" }] }
             );
-            states.push({
-              index: i,
-              name: stateResult[0]?.name || `State ${i}`,
-              isCurrent: i === currentIndex
-            });
-          } catch (e) {
-            // Skip states that can't be read
           }
+          const to = { _obj: "layer" };
+          if (blendMode !== undefined) {
+            to.mode = { _enum: "blendMode", _value: BLEND_MODE_DESCRIPTORS[blendMode] || blendMode };
+          }
+          if (opacity !== undefined) to.opacity = { _unit: "percentUnit", _value: opacity };
+          if (Object.keys(to).length > 1) after.push({ _obj: "set", _target: layer, to });
+          if (clip) after.push({ _obj: "groupEvent", _target: layer });
+          if (savedSelection) {
+            after.push(
+              { _obj: "set", _target: SELECTION, to: { _ref: "channel", _name: savedSelection } },
+              { _obj: "delete", _target: [{ _ref: "channel", _name: savedSelection }] }
+            );
+          } else if (loadMask.length > 0) {
+            after.push({ _obj: "set", _target: SELECTION, to: { _enum: "ordinal", _value: "none" } });
+          }
+          await runDescriptors(batchPlay, after);
+        } catch (error) {
+          await hostControl.resumeHistory(suspensionID, false);
+          throw error;
         }
-
-        historyInfo = {
-          totalCount: count,
-          currentIndex,
-          states
-        };
+        await hostControl.resumeHistory(suspensionID, true);
       },
-      { commandName: "Get History States" }
+      { commandName }
     );
 
-    return { ok: true, changed: false, data: historyInfo };
+    const data = { layerId, name: layerName };
+    if (mask) data.mask = { type: mask.type, inverted: Boolean(mask.invert) };
+    if (blendMode !== undefined) data.blendMode = blendMode;
+    if (opacity !== undefined) data.opacity = opacity;
+    if (clip) data.clipped = true;
+    return { ok: true, changed: true, data, artifacts: { layerIds: [layerId] } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to get history states: ${error.message}` };
+    return {
+      ok: false,
+      changed: false,
+      error: `Failed to create ${adjustment.name.toLowerCase()} layer: ${error.message}`,
+    };
+  }
+}
+
+for (const command of Object.keys(ADJUSTMENTS)) {
+  commands[command] = (params) => createAdjustment(command, params);
+}
+
+commands["fill.solid_color"] = async function (params) {
+  const { color } = params;
+  if (!color) {
+    return { ok: false, changed: false, error: "color is required" };
   }
+  const result = await createAdjustment("fill.solid_color", params);
+  return result.ok ? { ...result, data: { ...result.data, color } } : result;
 };
 
-// ============================================================================
-// Filter Commands (batchPlay) - Blur, Sharpen, Noise, Stylize
-// ============================================================================
+/** An adjustment or fill layer's adjustment descriptor and the command that creates it */
+async function readAdjustment(doc, layerId) {
+  const layer = layerOrActive(doc, layerId);
+  const { batchPlay } = require("photoshop").action;
+  const [result] = await batchPlay(
+    [{ _obj: "get", _target: [{ _property: "adjustment" }, { _ref: "layer", _id: layer.id }] }],
+    { synchronousExecution: true }
+  );
+  const descriptor = result?.adjustment?.[0];
+  if (!descriptor) {
+    throw new Error(`Layer "${layer.name}" is not an adjustment or fill layer`);
+  }
+
+  const type = descriptor._obj || descriptor._class;
+  const command = Object.keys(ADJUSTMENTS).find((c) => ADJUSTMENTS[c].type === type) || null;
+  return { layer, descriptor, type, command };
+}
 
-commands["filter.gaussian_blur"] = async function (params) {
-  const { radius } = params;
+/** An adjustment or fill layer's settings, as its ps_adjust_* tool takes them */
+async function getAdjustment(doc, layerId) {
+  const { layer, descriptor, type, command } = await readAdjustment(doc, layerId);
+  const adjustment = command ? ADJUSTMENTS[command] : null;
+  return {
+    layerId: layer.id,
+    layerName: layer.name,
+    type,
+    command,
+    settings: adjustment ? adjustment.settings(descriptor) : null,
+    ...(adjustment?.details ? adjustment.details(descriptor) : {}),
+  };
+}
+
+// Adjustment settings; unknown types (gradient maps, ...) report settings: null
+commands["adjust.get"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "gaussianBlur",
-              radius: { _unit: "pixelsUnit", _value: radius },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-      },
-      { commandName: "Gaussian Blur" }
-    );
-
-    return { ok: true, changed: true, data: { filter: "gaussianBlur", radius } };
+    return { ok: true, changed: false, data: await getAdjustment(doc, layerId) };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Gaussian Blur: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to get adjustment: ${error.message}` };
   }
 };
 
-commands["filter.motion_blur"] = async function (params) {
-  const { angle, distance } = params;
+// Change an adjustment layer in place; `params` are its create command's params
+commands["adjust.update"] = async function (params) {
+  const { layerId, command, params: settings = {} } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  const adjustment = ADJUSTMENTS[command];
+  if (!adjustment) {
+    return { ok: false, changed: false, error: `Unknown adjustment command: ${command}` };
+  }
 
   try {
+    const current = await readAdjustment(doc, layerId);
+    if (current.type !== adjustment.type) {
+      return {
+        ok: false,
+        changed: false,
+        error: `Layer "${current.layer.name}" is a ${current.type} layer, not ${adjustment.type}`,
+      };
+    }
+
+    const updated = adjustment.descriptor(settings);
+    const to = adjustment.merge ? adjustment.merge(current.descriptor, updated) : updated;
     const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
+        const [result] = await batchPlay(
           [
             {
-              _obj: "motionBlur",
-              angle: angle,
-              distance: { _unit: "pixelsUnit", _value: distance },
-              _options: { dialogOptions: "dontDisplay" }
-            }
+              _obj: "set",
+              _target: [{ _ref: adjustment.layerClass || "adjustmentLayer", _id: current.layer.id }],
+              to,
+              _options: { dialogOptions: "dontDisplay" },
+            },
           ],
           { synchronousExecution: true }
         );
+        if (result?._obj === "error") throw new Error(result.message);
       },
-      { commandName: "Motion Blur" }
+      { commandName: `Modify ${adjustment.name} Layer` }
     );
 
-    return { ok: true, changed: true, data: { filter: "motionBlur", angle, distance } };
+    return {
+      ok: true,
+      changed: true,
+      data: await getAdjustment(doc, current.layer.id),
+      artifacts: { layerIds: [current.layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Motion Blur: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to update adjustment: ${error.message}` };
   }
 };
 
-commands["filter.radial_blur"] = async function (params) {
-  const { amount, blurMethod, blurQuality } = params;
+// ============================================================================
+// History Commands (batchPlay)
+// ============================================================================
+
+commands["history.undo"] = async function (_params) {
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
-  const qualityMap = {
-    draft: "draft",
-    good: "good",
-    best: "best"
-  };
-
   try {
     const { batchPlay } = require("photoshop").action;
     await executeAsModal(
@@ -1763,27 +2983,30 @@ commands["filter.radial_blur"] = async function (params) {
         await batchPlay(
           [
             {
-              _obj: "radialBlur",
-              amount: amount,
-              blurMethod: { _enum: "blurMethod", _value: blurMethod },
-              blurQuality: { _enum: "blurQuality", _value: qualityMap[blurQuality] || "good" },
+              _obj: "select",
+              _target: [
+                {
+                  _ref: "historyState",
+                  _enum: "ordinal",
+                  _value: "previous"
+                }
+              ],
               _options: { dialogOptions: "dontDisplay" }
             }
           ],
           { synchronousExecution: true }
         );
       },
-      { commandName: "Radial Blur" }
+      { commandName: "Undo" }
     );
 
-    return { ok: true, changed: true, data: { filter: "radialBlur", amount, blurMethod, blurQuality } };
+    return { ok: true, changed: true, data: { action: "undo" } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Radial Blur: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to undo: ${error.message}` };
   }
 };
 
-commands["filter.surface_blur"] = async function (params) {
-  const { radius, threshold } = params;
+commands["history.redo"] = async function (_params) {
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
@@ -1796,26 +3019,31 @@ commands["filter.surface_blur"] = async function (params) {
         await batchPlay(
           [
             {
-              _obj: "surfaceBlur",
-              radius: { _unit: "pixelsUnit", _value: radius },
-              threshold: threshold,
+              _obj: "select",
+              _target: [
+                {
+                  _ref: "historyState",
+                  _enum: "ordinal",
+                  _value: "next"
+                }
+              ],
               _options: { dialogOptions: "dontDisplay" }
             }
           ],
           { synchronousExecution: true }
         );
       },
-      { commandName: "Surface Blur" }
+      { commandName: "Redo" }
     );
 
-    return { ok: true, changed: true, data: { filter: "surfaceBlur", radius, threshold } };
+    return { ok: true, changed: true, data: { action: "redo" } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Surface Blur: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to redo: ${error.message}` };
   }
 };
 
-commands["filter.lens_blur"] = async function (params) {
-  const { radius, bladeCurvature, rotation, brightness, threshold } = params;
+commands["history.step_backward"] = async function (params) {
+  const { steps = 1 } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
@@ -1825,40 +3053,36 @@ commands["filter.lens_blur"] = async function (params) {
     const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "lensBlur",
-              source: { _enum: "depthMapSource", _value: "none" },
-              focalDistance: 0,
-              invertDepthMap: false,
-              shape: { _enum: "bokehShape", _value: "hexagon" },
-              bladeCount: 6,
-              bladeCurvature: { _unit: "percentUnit", _value: bladeCurvature },
-              rotation: { _unit: "angleUnit", _value: rotation },
-              radius: radius,
-              brightness: brightness,
-              threshold: threshold,
-              noiseAmount: 0,
-              distribution: { _enum: "distribution", _value: "uniform" },
-              monochromatic: false,
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+        for (let i = 0; i < steps; i++) {
+          await batchPlay(
+            [
+              {
+                _obj: "select",
+                _target: [
+                  {
+                    _ref: "historyState",
+                    _enum: "ordinal",
+                    _value: "previous"
+                  }
+                ],
+                _options: { dialogOptions: "dontDisplay" }
+              }
+            ],
+            { synchronousExecution: true }
+          );
+        }
       },
-      { commandName: "Lens Blur" }
+      { commandName: "Step Backward" }
     );
 
-    return { ok: true, changed: true, data: { filter: "lensBlur", radius } };
+    return { ok: true, changed: true, data: { action: "step_backward", steps } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Lens Blur: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to step backward: ${error.message}` };
   }
 };
 
-commands["filter.unsharp_mask"] = async function (params) {
-  const { amount, radius, threshold } = params;
+commands["history.step_forward"] = async function (params) {
+  const { steps = 1 } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
@@ -1868,41 +3092,41 @@ commands["filter.unsharp_mask"] = async function (params) {
     const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "unsharpMask",
-              amount: { _unit: "percentUnit", _value: amount },
-              radius: { _unit: "pixelsUnit", _value: radius },
-              threshold: threshold,
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+        for (let i = 0; i < steps; i++) {
+          await batchPlay(
+            [
+              {
+                _obj: "select",
+                _target: [
+                  {
+                    _ref: "historyState",
+                    _enum: "ordinal",
+                    _value: "next"
+                  }
+                ],
+                _options: { dialogOptions: "dontDisplay" }
+              }
+            ],
+            { synchronousExecution: true }
+          );
+        }
       },
-      { commandName: "Unsharp Mask" }
+      { commandName: "Step Forward" }
     );
 
-    return { ok: true, changed: true, data: { filter: "unsharpMask", amount, radius, threshold } };
+    return { ok: true, changed: true, data: { action: "step_forward", steps } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Unsharp Mask: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to step forward: ${error.message}` };
   }
 };
 
-commands["filter.smart_sharpen"] = async function (params) {
-  const { amount, radius, noiseReduction, removeBlur } = params;
+commands["history.snapshot_create"] = async function (params) {
+  const { name = "Snapshot", fullDocument = true } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
-  const blurTypeMap = {
-    gaussianBlur: "gaussianBlur",
-    lensBlur: "lensBlur",
-    motionBlur: "motionBlur"
-  };
-
   try {
     const { batchPlay } = require("photoshop").action;
     await executeAsModal(
@@ -1910,61 +3134,77 @@ commands["filter.smart_sharpen"] = async function (params) {
         await batchPlay(
           [
             {
-              _obj: "smartSharpen",
-              amount: { _unit: "percentUnit", _value: amount },
-              radius: { _unit: "pixelsUnit", _value: radius },
-              noiseReduction: { _unit: "percentUnit", _value: noiseReduction },
-              blur: { _enum: "blurType", _value: blurTypeMap[removeBlur] || "gaussianBlur" },
+              _obj: "make",
+              _target: [
+                {
+                  _ref: "snapshotClass"
+                }
+              ],
+              from: {
+                _ref: "historyState",
+                _enum: "ordinal",
+                _value: "currentHistoryState"
+              },
+              name: name,
+              using: {
+                _enum: "historyState",
+                _value: fullDocument ? "fullDocument" : "mergedLayers"
+              },
               _options: { dialogOptions: "dontDisplay" }
             }
           ],
           { synchronousExecution: true }
         );
       },
-      { commandName: "Smart Sharpen" }
+      { commandName: "Create Snapshot" }
     );
 
-    return { ok: true, changed: true, data: { filter: "smartSharpen", amount, radius } };
+    return { ok: true, changed: true, data: { action: "snapshot_create", name } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Smart Sharpen: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to create snapshot: ${error.message}` };
   }
 };
 
-commands["filter.add_noise"] = async function (params) {
-  const { amount, distribution, monochromatic } = params;
+commands["history.goto_state"] = async function (params) {
+  const { name, index } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
+  if (!name && !index) {
+    return { ok: false, changed: false, error: "Either name or index must be provided" };
+  }
+
   try {
     const { batchPlay } = require("photoshop").action;
     await executeAsModal(
       async () => {
+        const target = name
+          ? { _ref: "historyState", _name: name }
+          : { _ref: "historyState", _index: index };
+
         await batchPlay(
           [
             {
-              _obj: "addNoise",
-              amount: { _unit: "percentUnit", _value: amount },
-              distribution: { _enum: "distribution", _value: distribution },
-              monochromatic: monochromatic,
+              _obj: "select",
+              _target: [target],
               _options: { dialogOptions: "dontDisplay" }
             }
           ],
           { synchronousExecution: true }
         );
       },
-      { commandName: "Add Noise" }
+      { commandName: "Go to History State" }
     );
 
-    return { ok: true, changed: true, data: { filter: "addNoise", amount, distribution, monochromatic } };
+    return { ok: true, changed: true, data: { action: "goto_state", name, index } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to add noise: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to go to history state: ${error.message}` };
   }
 };
 
-commands["filter.reduce_noise"] = async function (params) {
-  const { strength, preserveDetails, reduceColorNoise, sharpenDetails } = params;
+commands["history.clear"] = async function (_params) {
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
@@ -1977,286 +3217,660 @@ commands["filter.reduce_noise"] = async function (params) {
         await batchPlay(
           [
             {
-              _obj: "denoise",
-              strength: strength,
-              preserveDetails: { _unit: "percentUnit", _value: preserveDetails },
-              reduceColorNoise: { _unit: "percentUnit", _value: reduceColorNoise },
-              sharpenDetails: { _unit: "percentUnit", _value: sharpenDetails },
+              _obj: "delete",
+              _target: [
+                {
+                  _ref: "historyState",
+                  _enum: "ordinal",
+                  _value: "allExceptCurrent"
+                }
+              ],
               _options: { dialogOptions: "dontDisplay" }
             }
           ],
           { synchronousExecution: true }
         );
       },
-      { commandName: "Reduce Noise" }
+      { commandName: "Clear History" }
     );
 
-    return { ok: true, changed: true, data: { filter: "reduceNoise", strength } };
+    return { ok: true, changed: true, data: { action: "clear_history" } };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to reduce noise: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to clear history: ${error.message}` };
   }
 };
 
-commands["filter.liquify_push"] = async function (params) {
-  const { startX, startY, endX, endY, brushSize, brushPressure } = params;
-  const doc = app.activeDocument;
+commands["history.get_states"] = async function (params) {
+  const { documentId } = params;
+  const doc = documentOrActive(documentId);
   if (!doc) {
-    return { ok: false, changed: false, error: "No active document" };
+    return { ok: false, changed: false, error: noDocumentError(documentId) };
   }
 
   try {
     const { batchPlay } = require("photoshop").action;
+    let historyInfo;
+
     await executeAsModal(
       async () => {
-        // Liquify uses a mesh-based approach, this is a simplified forward warp
-        await batchPlay(
+        // Get history state count
+        const result = await batchPlay(
           [
             {
-              _obj: "liquify",
-              liquifyMesh: {
-                _obj: "mesh",
-                meshPoints: [
-                  {
-                    _obj: "meshPoint",
-                    x: startX,
-                    y: startY,
-                    displaceX: endX - startX,
-                    displaceY: endY - startY
-                  }
-                ]
-              },
+              _obj: "get",
+              _target: [
+                {
+                  _property: "count"
+                },
+                {
+                  _ref: "historyState"
+                },
+                {
+                  _ref: "document",
+                  _id: doc.id
+                }
+              ],
+              _options: { dialogOptions: "dontDisplay" }
+            }
+          ],
+          { synchronousExecution: true }
+        );
+
+        const count = result[0]?.count || 0;
+        const states = [];
+
+        // Get current history state index
+        const currentResult = await batchPlay(
+          [
+            {
+              _obj: "get",
+              _target: [
+                {
+                  _property: "currentHistoryState"
+                },
+                {
+                  _ref: "document",
+                  _id: doc.id
+                }
+              ],
               _options: { dialogOptions: "dontDisplay" }
             }
           ],
           { synchronousExecution: true }
         );
+
+        const currentIndex = currentResult[0]?.currentHistoryState?._index || 0;
+
+        // Get state names (limit to last 20 for performance)
+        const startIndex = Math.max(1, count - 19);
+        for (let i = startIndex; i <= count; i++) {
+          checkJobCancelled();
+          try {
+            const stateResult = await batchPlay(
+              [
+                {
+                  _obj: "get",
+                  _target: [
+                    {
+                      _property: "name"
+                    },
+                    {
+                      _ref: "historyState",
+                      _index: i
+                    },
+                    {
+                      _ref: "document",
+                      _id: doc.id
+                    }
+                  ],
+                  _options: { dialogOptions: "dontDisplay" }
+                }
+              ],
+              { synchronousExecution: true }
+            );
+            states.push({
+              index: i,
+              name: stateResult[0]?.name || `State ${i}`,
+              isCurrent: i === currentIndex
+            });
+          } catch (e) {
+            // Skip states that can't be read
+          }
+        }
+
+        historyInfo = {
+          totalCount: count,
+          currentIndex,
+          states
+        };
       },
-      { commandName: "Liquify" }
+      { commandName: "Get History States" }
     );
 
-    return { ok: true, changed: true, data: { filter: "liquify", startX, startY, endX, endY } };
+    return { ok: true, changed: false, data: historyInfo };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Liquify: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to get history states: ${error.message}` };
   }
 };
 
-commands["filter.emboss"] = async function (params) {
-  const { angle, height, amount } = params;
+// ============================================================================
+// Filter Commands (batchPlay) - Blur, Sharpen, Noise, Stylize
+// ============================================================================
+
+/**
+ * Filters by command: the menu name, the batchPlay event and its settings
+ * for a request's params. Smart filters are edited with the same settings,
+ * and `params` reads them back when they don't map one to one.
+ */
+const FILTERS = {
+  "filter.gaussian_blur": {
+    name: "Gaussian Blur",
+    event: "gaussianBlur",
+    settings: ({ radius }) => ({ radius: { _unit: "pixelsUnit", _value: radius } }),
+  },
+  "filter.motion_blur": {
+    name: "Motion Blur",
+    event: "motionBlur",
+    settings: ({ angle, distance }) => ({
+      angle: angle,
+      distance: { _unit: "pixelsUnit", _value: distance },
+    }),
+  },
+  "filter.radial_blur": {
+    name: "Radial Blur",
+    event: "radialBlur",
+    settings: ({ amount, blurMethod, blurQuality }) => ({
+      amount: amount,
+      blurMethod: { _enum: "blurMethod", _value: blurMethod },
+      blurQuality: { _enum: "blurQuality", _value: { draft: "draft", good: "good", best: "best" }[blurQuality] || "good" },
+    }),
+  },
+  "filter.surface_blur": {
+    name: "Surface Blur",
+    event: "surfaceBlur",
+    settings: ({ radius, threshold }) => ({
+      radius: { _unit: "pixelsUnit", _value: radius },
+      threshold: threshold,
+    }),
+  },
+  "filter.lens_blur": {
+    name: "Lens Blur",
+    event: "lensBlur",
+    settings: ({ radius, bladeCurvature, rotation, brightness, threshold }) => ({
+      source: { _enum: "depthMapSource", _value: "none" },
+      focalDistance: 0,
+      invertDepthMap: false,
+      shape: { _enum: "bokehShape", _value: "hexagon" },
+      bladeCount: 6,
+      bladeCurvature: { _unit: "percentUnit", _value: bladeCurvature },
+      rotation: { _unit: "angleUnit", _value: rotation },
+      radius: radius,
+      brightness: brightness,
+      threshold: threshold,
+      noiseAmount: 0,
+      distribution: { _enum: "distribution", _value: "uniform" },
+      monochromatic: false,
+    }),
+  },
+  "filter.unsharp_mask": {
+    name: "Unsharp Mask",
+    event: "unsharpMask",
+    settings: ({ amount, radius, threshold }) => ({
+      amount: { _unit: "percentUnit", _value: amount },
+      radius: { _unit: "pixelsUnit", _value: radius },
+      threshold: threshold,
+    }),
+  },
+  "filter.smart_sharpen": {
+    name: "Smart Sharpen",
+    event: "smartSharpen",
+    settings: ({ amount, radius, noiseReduction, removeBlur }) => ({
+      amount: { _unit: "percentUnit", _value: amount },
+      radius: { _unit: "pixelsUnit", _value: radius },
+      noiseReduction: { _unit: "percentUnit", _value: noiseReduction },
+      blur: {
+        _enum: "blurType",
+        _value: { gaussianBlur: "gaussianBlur", lensBlur: "lensBlur", motionBlur: "motionBlur" }[removeBlur] || "gaussianBlur",
+      },
+    }),
+    params: ({ blur, ...settings }) => ({ ...plainFilterSettings(settings), removeBlur: pixelValue(blur) }),
+  },
+  "filter.add_noise": {
+    name: "Add Noise",
+    event: "addNoise",
+    failure: "add noise",
+    settings: ({ amount, distribution, monochromatic }) => ({
+      amount: { _unit: "percentUnit", _value: amount },
+      distribution: { _enum: "distribution", _value: distribution },
+      monochromatic: monochromatic,
+    }),
+  },
+  "filter.reduce_noise": {
+    name: "Reduce Noise",
+    event: "denoise",
+    failure: "reduce noise",
+    settings: ({ strength, preserveDetails, reduceColorNoise, sharpenDetails }) => ({
+      strength: strength,
+      preserveDetails: { _unit: "percentUnit", _value: preserveDetails },
+      reduceColorNoise: { _unit: "percentUnit", _value: reduceColorNoise },
+      sharpenDetails: { _unit: "percentUnit", _value: sharpenDetails },
+    }),
+  },
+  "filter.liquify_push": {
+    name: "Liquify",
+    event: "liquify",
+    // Liquify uses a mesh-based approach, this is a simplified forward warp
+    settings: ({ startX, startY, endX, endY }) => ({
+      liquifyMesh: {
+        _obj: "mesh",
+        meshPoints: [
+          {
+            _obj: "meshPoint",
+            x: startX,
+            y: startY,
+            displaceX: endX - startX,
+            displaceY: endY - startY,
+          },
+        ],
+      },
+    }),
+  },
+  "filter.emboss": {
+    name: "Emboss",
+    event: "emboss",
+    settings: ({ angle, height, amount }) => ({
+      angle: angle,
+      height: height,
+      amount: { _unit: "percentUnit", _value: amount },
+    }),
+  },
+  "filter.find_edges": {
+    name: "Find Edges",
+    event: "findEdges",
+    failure: "find edges",
+    settings: () => ({}),
+  },
+  "filter.high_pass": {
+    name: "High Pass",
+    event: "highPass",
+    settings: ({ radius }) => ({ radius: { _unit: "pixelsUnit", _value: radius } }),
+  },
+  "filter.dust_and_scratches": {
+    name: "Dust & Scratches",
+    event: "dustAndScratches",
+    settings: ({ radius, threshold }) => ({ radius: radius, threshold: threshold }),
+  },
+  "filter.median": {
+    name: "Median",
+    event: "median",
+    settings: ({ radius }) => ({ radius: { _unit: "pixelsUnit", _value: radius } }),
+  },
+  "filter.maximum": {
+    name: "Maximum",
+    event: "maximum",
+    settings: ({ radius }) => ({
+      radius: { _unit: "pixelsUnit", _value: radius },
+      preserveShape: { _enum: "preserveShape", _value: "squareness" },
+    }),
+  },
+  "filter.minimum": {
+    name: "Minimum",
+    event: "minimum",
+    settings: ({ radius }) => ({
+      radius: { _unit: "pixelsUnit", _value: radius },
+      preserveShape: { _enum: "preserveShape", _value: "squareness" },
+    }),
+  },
+};
+
+function filterDescriptor(command, params) {
+  const filter = FILTERS[command];
+  return { _obj: filter.event, ...filter.settings(params), _options: { dialogOptions: "dontDisplay" } };
+}
+
+/**
+ * Apply a filter to the active layer. With `smart`, a layer that isn't a
+ * smart object is converted first, and the filter lands on it as a smart
+ * filter; both happen in one history step so a failing filter undoes the
+ * conversion too.
+ */
+async function applyFilter(command, params) {
+  const filter = FILTERS[command];
+  const { smart = false, ...settings } = params;
   const doc = app.activeDocument;
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
+    let convert = false;
+    if (smart) {
+      const active = doc.activeLayers;
+      if (active.length !== 1) {
+        return { ok: false, changed: false, error: "Select one layer to apply a smart filter to" };
+      }
+      convert = active[0].kind !== "smartObject";
+    }
+
     const { batchPlay } = require("photoshop").action;
     await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "emboss",
-              angle: angle,
-              height: height,
-              amount: { _unit: "percentUnit", _value: amount },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+      async (executionContext) => {
+        const { hostControl } = executionContext;
+        const suspensionID = convert
+          ? await hostControl.suspendHistory({ documentID: doc.id, name: filter.name })
+          : null;
+        try {
+          const descriptors = [filterDescriptor(command, settings)];
+          if (convert) descriptors.unshift({ _obj: "newPlacedLayer" });
+          const results = await batchPlay(descriptors, { synchronousExecution: true });
+          const failed = results.find((result) => result?._obj === "error");
+          if (failed) throw new Error(failed.message);
+        } catch (error) {
+          if (suspensionID !== null) await hostControl.resumeHistory(suspensionID, false);
+          throw error;
+        }
+        if (suspensionID !== null) await hostControl.resumeHistory(suspensionID, true);
       },
-      { commandName: "Emboss" }
+      { commandName: filter.name }
     );
 
-    return { ok: true, changed: true, data: { filter: "emboss", angle, height, amount } };
+    const data = { filter: filter.event, ...settings };
+    if (!smart) {
+      return { ok: true, changed: true, data };
+    }
+    const layer = doc.activeLayers[0];
+    const filters = await getSmartFilters(layer.id);
+    return {
+      ok: true,
+      changed: true,
+      data: { ...data, smart: true, layerId: layer.id, converted: convert, index: filters.length - 1 },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Emboss: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to ${filter.failure || `apply ${filter.name}`}: ${error.message}` };
   }
-};
+}
+
+for (const command of Object.keys(FILTERS)) {
+  commands[command] = (params) => applyFilter(command, params);
+}
+
+// ============================================================================
+// Smart Filter Commands (batchPlay)
+// ============================================================================
+
+// Smart filters are addressed by index in the order they were applied
+// (0 = the first, at the bottom of the layer's Smart Filters list)
+function smartFilterTarget(layerId, index) {
+  return [{ _ref: "filterFX", _index: index + 1 }, { _ref: "layer", _id: layerId }];
+}
+
+async function getSmartFilters(layerId) {
+  const { batchPlay } = require("photoshop").action;
+  const [result] = await batchPlay(
+    [{ _obj: "get", _target: [{ _property: "smartObject" }, { _ref: "layer", _id: layerId }] }],
+    { synchronousExecution: true }
+  );
+  return result?.smartObject?.filterFX || [];
+}
+
+// Descriptor settings as plain values, named like the filter tools' params
+function plainFilterSettings(settings) {
+  return Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, pixelValue(value)]));
+}
+
+function filterCommand(event) {
+  return Object.keys(FILTERS).find((command) => FILTERS[command].event === event) || null;
+}
+
+function describeSmartFilter(filterFX, index) {
+  const { _obj: event, ...settings } = filterFX.filter || {};
+  const command = filterCommand(event);
+  const filter = command && FILTERS[command];
+  const blendOptions = filterFX.blendOptions || {};
+  const mode = blendOptions.mode?._value || "normal";
+  return {
+    index,
+    name: filter ? filter.name : filterFX.name || event,
+    filter: event,
+    command,
+    enabled: filterFX.enabled !== false,
+    blendMode: BLEND_MODE_NAMES[mode] || mode,
+    opacity: pixelValue(blendOptions.opacity) ?? 100,
+    settings: filter?.params ? filter.params(settings) : plainFilterSettings(settings),
+  };
+}
+
+async function smartFilterLayer(doc, layerId, index) {
+  const layer = smartObjectLayer(doc, layerId);
+  const filters = await getSmartFilters(layer.id);
+  if (index !== undefined && (index < 0 || index >= filters.length)) {
+    const count = filters.length === 1 ? "1 smart filter" : `${filters.length} smart filters`;
+    throw new Error(`Layer "${layer.name}" has ${count}; there is no index ${index}`);
+  }
+  return { layer, filters };
+}
 
-commands["filter.find_edges"] = async function (_params) {
+/** Run descriptors against a layer's smart filters as one history step */
+async function runSmartFilterDescriptors(doc, descriptors, commandName) {
+  const { batchPlay } = require("photoshop").action;
+  await executeAsModal(
+    async (executionContext) => {
+      const { hostControl } = executionContext;
+      const suspensionID = await hostControl.suspendHistory({ documentID: doc.id, name: commandName });
+      try {
+        const results = await batchPlay(descriptors, { synchronousExecution: true });
+        const failed = results.find((result) => result?._obj === "error");
+        if (failed) throw new Error(failed.message);
+      } catch (error) {
+        await hostControl.resumeHistory(suspensionID, false);
+        throw error;
+      }
+      await hostControl.resumeHistory(suspensionID, true);
+    },
+    { commandName }
+  );
+}
+
+commands["smart_filter.list"] = async function (params) {
+  const { layerId } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "findEdges",
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
+    const { layer, filters } = await smartFilterLayer(doc, layerId);
+    return {
+      ok: true,
+      changed: false,
+      data: {
+        layerId: layer.id,
+        layerName: layer.name,
+        filters: filters.map((filterFX, index) => describeSmartFilter(filterFX, index)),
       },
-      { commandName: "Find Edges" }
-    );
-
-    return { ok: true, changed: true, data: { filter: "findEdges" } };
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to find edges: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to list smart filters: ${error.message}` };
   }
 };
 
-commands["filter.high_pass"] = async function (params) {
-  const { radius } = params;
+// Re-run a smart filter with new settings; `params` are its filter tool's params
+commands["smart_filter.edit"] = async function (params) {
+  const { layerId, index, command, params: settings = {} } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (!FILTERS[command]) {
+    return { ok: false, changed: false, error: `Unknown filter command: ${command}` };
+  }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "highPass",
-              radius: { _unit: "pixelsUnit", _value: radius },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-      },
-      { commandName: "High Pass" }
+    const { layer, filters } = await smartFilterLayer(doc, layerId, index);
+    const event = filters[index].filter?._obj;
+    if (event !== FILTERS[command].event) {
+      return {
+        ok: false,
+        changed: false,
+        error: `Smart filter ${index} is ${event}, not ${FILTERS[command].event}`,
+      };
+    }
+
+    const filter = { _obj: FILTERS[command].event, ...FILTERS[command].settings(settings) };
+    await runSmartFilterDescriptors(
+      doc,
+      [{ _obj: "set", _target: smartFilterTarget(layer.id, index), filterFX: { _obj: "filterFX", filter } }],
+      `Edit ${FILTERS[command].name}`
     );
 
-    return { ok: true, changed: true, data: { filter: "highPass", radius } };
+    const updated = await getSmartFilters(layer.id);
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, filter: describeSmartFilter(updated[index], index) },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply High Pass: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to edit smart filter: ${error.message}` };
   }
 };
 
-commands["filter.dust_and_scratches"] = async function (params) {
-  const { radius, threshold } = params;
+commands["smart_filter.move"] = async function (params) {
+  const { layerId, index, to } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "dustAndScratches",
-              radius: radius,
-              threshold: threshold,
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-      },
-      { commandName: "Dust & Scratches" }
+    const { layer, filters } = await smartFilterLayer(doc, layerId, index);
+    if (to < 0 || to >= filters.length) {
+      return { ok: false, changed: false, error: `to must be between 0 and ${filters.length - 1}` };
+    }
+    if (to === index) {
+      return { ok: true, changed: false, data: { layerId: layer.id, index, to } };
+    }
+
+    await runSmartFilterDescriptors(
+      doc,
+      [{ _obj: "move", _target: smartFilterTarget(layer.id, index), to: { _ref: "filterFX", _index: to + 1 } }],
+      "Move Smart Filter"
     );
 
-    return { ok: true, changed: true, data: { filter: "dustAndScratches", radius, threshold } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, index, to },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Dust & Scratches: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to move smart filter: ${error.message}` };
   }
 };
 
-commands["filter.median"] = async function (params) {
-  const { radius } = params;
+commands["smart_filter.enable"] = async function (params) {
+  const { layerId, index, enabled } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "median",
-              radius: { _unit: "pixelsUnit", _value: radius },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-      },
-      { commandName: "Median" }
+    const { layer, filters } = await smartFilterLayer(doc, layerId, index);
+    const indexes = (index !== undefined ? [index] : filters.map((_, i) => i)).filter(
+      (i) => (filters[i].enabled !== false) !== enabled
     );
+    if (indexes.length > 0) {
+      await runSmartFilterDescriptors(
+        doc,
+        indexes.map((i) => ({ _obj: enabled ? "show" : "hide", null: smartFilterTarget(layer.id, i) })),
+        enabled ? "Show Smart Filter" : "Hide Smart Filter"
+      );
+    }
 
-    return { ok: true, changed: true, data: { filter: "median", radius } };
+    return {
+      ok: true,
+      changed: indexes.length > 0,
+      data: { layerId: layer.id, enabled, indexes },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Median: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to toggle smart filters: ${error.message}` };
   }
 };
 
-commands["filter.maximum"] = async function (params) {
-  const { radius } = params;
+// Filter blending options: how the filtered pixels mix with the unfiltered ones
+commands["smart_filter.set_blending"] = async function (params) {
+  const { layerId, index, blendMode, opacity } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
+  if (blendMode === undefined && opacity === undefined) {
+    return { ok: false, changed: false, error: "Give blendMode or opacity" };
+  }
+
+  try {
+    const { layer } = await smartFilterLayer(doc, layerId, index);
+    const blendOptions = { _obj: "blendOptions" };
+    if (opacity !== undefined) blendOptions.opacity = { _unit: "percentUnit", _value: opacity };
+    if (blendMode !== undefined) {
+      blendOptions.mode = { _enum: "blendMode", _value: BLEND_MODE_DESCRIPTORS[blendMode] || blendMode };
+    }
 
-  try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "maximum",
-              radius: { _unit: "pixelsUnit", _value: radius },
-              preserveShape: { _enum: "preserveShape", _value: "squareness" },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-      },
-      { commandName: "Maximum" }
+    await runSmartFilterDescriptors(
+      doc,
+      [{ _obj: "set", _target: smartFilterTarget(layer.id, index), filterFX: { _obj: "filterFX", blendOptions } }],
+      "Smart Filter Blending Options"
     );
 
-    return { ok: true, changed: true, data: { filter: "maximum", radius } };
+    const updated = await getSmartFilters(layer.id);
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, filter: describeSmartFilter(updated[index], index) },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Maximum: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to set smart filter blending: ${error.message}` };
   }
 };
 
-commands["filter.minimum"] = async function (params) {
-  const { radius } = params;
+commands["smart_filter.delete"] = async function (params) {
+  const { layerId, index } = params;
   const doc = app.activeDocument;
+
   if (!doc) {
     return { ok: false, changed: false, error: "No active document" };
   }
 
   try {
-    const { batchPlay } = require("photoshop").action;
-    await executeAsModal(
-      async () => {
-        await batchPlay(
-          [
-            {
-              _obj: "minimum",
-              radius: { _unit: "pixelsUnit", _value: radius },
-              preserveShape: { _enum: "preserveShape", _value: "squareness" },
-              _options: { dialogOptions: "dontDisplay" }
-            }
-          ],
-          { synchronousExecution: true }
-        );
-      },
-      { commandName: "Minimum" }
+    const { layer, filters } = await smartFilterLayer(doc, layerId, index);
+    if (filters.length === 0) {
+      return { ok: false, changed: false, error: `Layer "${layer.name}" has no smart filters` };
+    }
+    // From the last one down, so the indexes still to delete don't shift
+    const indexes = index !== undefined ? [index] : filters.map((_, i) => i).reverse();
+    await runSmartFilterDescriptors(
+      doc,
+      indexes.map((i) => ({ _obj: "delete", _target: smartFilterTarget(layer.id, i) })),
+      indexes.length === 1 ? "Delete Smart Filter" : "Clear Smart Filters"
     );
 
-    return { ok: true, changed: true, data: { filter: "minimum", radius } };
+    return {
+      ok: true,
+      changed: true,
+      data: { layerId: layer.id, deleted: indexes.length, remaining: filters.length - indexes.length },
+      artifacts: { layerIds: [layer.id] },
+    };
   } catch (error) {
-    return { ok: false, changed: false, error: `Failed to apply Minimum: ${error.message}` };
+    return { ok: false, changed: false, error: `Failed to delete smart filters: ${error.message}` };
   }
 };
 
@@ -3542,7 +5156,7 @@ commands["layer.get_bounds"] = async function (params) {
   try {
     let layer;
     if (layerId) {
-      layer = doc.layers.find(l => l.id === layerId);
+      layer = findLayerById(doc, layerId);
       if (!layer) {
         return { ok: false, changed: false, error: `Layer with ID ${layerId} not found` };
       }
@@ -4124,6 +5738,7 @@ commands["generate.generative_fill"] = async function (params) {
     // Uses the "clio" service (Adobe's internal AI service name)
     await executeAsModal(
       async () => {
+        reportJobProgress(0.1, "Generating with Firefly");
         await batchPlay(
           [
             {
@@ -4224,6 +5839,7 @@ commands["generate.generative_expand"] = async function (params) {
     await executeAsModal(
       async () => {
         // Resize canvas with anchor
+        reportJobProgress(0, "Expanding canvas");
         await batchPlay(
           [
             {
@@ -4241,6 +5857,8 @@ commands["generate.generative_expand"] = async function (params) {
 
         // Select the transparent/new areas
         // This selects non-content areas for generative fill
+        checkJobCancelled();
+        reportJobProgress(0.2, "Selecting expanded area");
         await batchPlay(
           [
             {
@@ -4260,6 +5878,8 @@ commands["generate.generative_expand"] = async function (params) {
         );
 
         // Apply generative fill to selection using syntheticFill with out_painting workflow
+        checkJobCancelled();
+        reportJobProgress(0.4, "Generating expanded content");
         const activeLayer = doc.activeLayers[0];
         await batchPlay(
           [
@@ -4349,6 +5969,7 @@ commands["generate.remove_background"] = async function (params) {
     await executeAsModal(
       async () => {
         // Use Remove Background which internally uses Select Subject + delete
+        reportJobProgress(0.1, "Removing background");
         await batchPlay(
           [
             {
@@ -4377,6 +5998,7 @@ commands["generate.remove_background"] = async function (params) {
       await executeAsModal(
         async () => {
           // Select subject
+          reportJobProgress(0.3, "Selecting subject");
           await batchPlay(
             [
               {
@@ -4389,6 +6011,8 @@ commands["generate.remove_background"] = async function (params) {
           );
 
           // Inverse selection
+          checkJobCancelled();
+          reportJobProgress(0.7, "Deleting background");
           await batchPlay(
             [
               {
@@ -4491,12 +6115,565 @@ commands["generate.select_variation"] = async function (params) {
   }
 };
 
+// ============================================
+// Analysis and Preview Commands (imaging)
+// ============================================
+
+const BASE64_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Bytes per chunk; a multiple of 3 so only the last chunk is padded
+const BASE64_CHUNK = 3 * 8192;
+
+// UXP has no Buffer or btoa for binary data. Encoded a chunk at a time and
+// joined, rather than growing one string a character at a time, since a
+// full-size export runs to megabytes
+function toBase64(bytes) {
+  const chunks = [];
+  for (let start = 0; start < bytes.length; start += BASE64_CHUNK) {
+    const end = Math.min(start + BASE64_CHUNK, bytes.length);
+    const chars = [];
+    for (let i = start; i < end; i += 3) {
+      const a = bytes[i];
+      const b = i + 1 < end ? bytes[i + 1] : 0;
+      const c = i + 2 < end ? bytes[i + 2] : 0;
+      chars.push(
+        BASE64_ALPHABET[a >> 2],
+        BASE64_ALPHABET[((a & 3) << 4) | (b >> 4)],
+        i + 1 < end ? BASE64_ALPHABET[((b & 15) << 2) | (c >> 6)] : "=",
+        i + 2 < end ? BASE64_ALPHABET[c & 63] : "="
+      );
+    }
+    chunks.push(chars.join(""));
+  }
+  return chunks.join("");
+}
+
+function plainBounds(bounds) {
+  return { left: bounds.left, top: bounds.top, right: bounds.right, bottom: bounds.bottom };
+}
+
+/**
+ * Export 8-bit RGB pixels for the server to analyze: the composite, one
+ * layer (RGBA), or the composite inside the selection with the selection's
+ * mask alongside. Large areas are downsampled to maxSize on the long edge.
+ */
+commands["analyze.pixels"] = async function (params) {
+  const { layerId, source = "document", maxSize = 1024 } = params;
+  const doc = app.activeDocument;
+  if (!doc) {
+    return { ok: false, changed: false, error: "No active document" };
+  }
+
+  try {
+    const { imaging } = require("photoshop");
+    if (!imaging) throw new Error("the imaging API needs Photoshop 24.2 or later");
+    let layer = null;
+    let bounds = { left: 0, top: 0, right: doc.width, bottom: doc.height };
+    if (source === "layer") {
+      layer = layerOrActive(doc, layerId);
+      bounds = plainBounds(layer.bounds);
+    } else if (source === "selection") {
+      if (!doc.selection?.bounds) throw new Error("No active selection");
+      bounds = plainBounds(doc.selection.bounds);
+    } else if (source !== "document") {
+      throw new Error(`Unknown source: ${source}`);
+    }
+    const width = bounds.right - bounds.left;
+    const height = bounds.bottom - bounds.top;
+    if (width <= 0 || height <= 0) {
+      throw new Error(layer ? `Layer "${layer.name}" has no pixels` : "There are no pixels to analyze");
+    }
+
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const request = { documentID: doc.id, sourceBounds: bounds, colorSpace: "RGB", componentSize: 8 };
+    if (layer) request.layerID = layer.id;
+    if (scale < 1) {
+      request.targetSize = { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+    }
+
+    let data;
+    await executeAsModal(
+      async () => {
+        const pixels = await imaging.getPixels(request);
+        const { imageData } = pixels;
+        try {
+          const bytes = await imageData.getData({ chunky: true });
+          data = {
+            source,
+            bounds: plainBounds(pixels.sourceBounds || bounds),
+            width: imageData.width,
+            height: imageData.height,
+            components: imageData.components,
+            pixels: toBase64(bytes),
+          };
+          if (layer) data.layerId = layer.id;
+        } finally {
+          imageData.dispose();
+        }
+
+        if (source === "selection") {
+          // Sampled at the same size so mask and pixels line up
+          const selection = await imaging.getSelection({
+            documentID: doc.id,
+            sourceBounds: bounds,
+            targetSize: { width: data.width, height: data.height },
+          });
+          try {
+            data.mask = toBase64(await selection.imageData.getData({ chunky: true }));
+          } finally {
+            selection.imageData.dispose();
+          }
+        }
+      },
+      { commandName: "Analyze Pixels" }
+    );
+
+    return { ok: true, changed: false, data };
+  } catch (error) {
+    return { ok: false, changed: false, error: `Failed to read pixels: ${error.message}` };
+  }
+};
+
+/**
+ * Render the composite, one layer (over white) or a region of the composite
+ * as a base64 JPEG, at most maxSize on the long edge.
+ */
+commands["preview.render"] = async function (params) {
+  const { documentId, layerId, source = "document", region, maxSize = 768 } = params;
+  const doc = documentOrActive(documentId);
+  if (!doc) {
+    return { ok: false, changed: false, error: noDocumentError(documentId) };
+  }
+
+  try {
+    const { imaging } = require("photoshop");
+    if (!imaging) throw new Error("the imaging API needs Photoshop 24.2 or later");
+    const canvas = { left: 0, top: 0, right: doc.width, bottom: doc.height };
+    let layer = null;
+    let bounds = canvas;
+    if (source === "layer") {
+      layer = layerOrActive(doc, layerId);
+      bounds = plainBounds(layer.bounds);
+    } else if (source === "region") {
+      if (!region) throw new Error("source region needs a region");
+      bounds = {
+        left: Math.max(canvas.left, region.left),
+        top: Math.max(canvas.top, region.top),
+        right: Math.min(canvas.right, region.right),
+        bottom: Math.min(canvas.bottom, region.bottom),
+      };
+    } else if (source !== "document") {
+      throw new Error(`Unknown source: ${source}`);
+    }
+    const width = bounds.right - bounds.left;
+    const height = bounds.bottom - bounds.top;
+    if (width <= 0 || height <= 0) {
+      throw new Error(layer ? `Layer "${layer.name}" has no pixels` : "The region is outside the canvas");
+    }
+
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const request = { documentID: doc.id, sourceBounds: bounds, colorSpace: "RGB", componentSize: 8 };
+    if (layer) {
+      request.layerID = layer.id;
+      // JPEG has no transparency; show it as white
+      request.applyAlpha = true;
+    }
+    if (scale < 1) {
+      request.targetSize = { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+    }
+
+    let data;
+    await executeAsModal(
+      async () => {
+        const pixels = await imaging.getPixels(request);
+        const { imageData } = pixels;
+        try {
+          data = {
+            source,
+            bounds: plainBounds(pixels.sourceBounds || bounds),
+            width: imageData.width,
+            height: imageData.height,
+            mimeType: "image/jpeg",
+            image: await imaging.encodeImageData({ imageData, base64: true }),
+          };
+          if (layer) data.layerId = layer.id;
+        } finally {
+          imageData.dispose();
+        }
+      },
+      { commandName: "Render Preview" }
+    );
+
+    return { ok: true, changed: false, data };
+  } catch (error) {
+    return { ok: false, changed: false, error: `Failed to render preview: ${error.message}` };
+  }
+};
+
+// ============================================================================
+// Job Queue - one modal scope at a time, queued per document
+// ============================================================================
+
+// Photoshop only grants one modal scope at a time, so jobs run one after the
+// other. Each document has its own queue and the scheduler takes turns between
+// them, so a long queue on one document doesn't starve another.
+//
+// Most commands work on whichever document is active when they run, so a
+// command that switches documents keeps its place in the order everything
+// was queued in: jobs queued before it all run first, and jobs queued after
+// it wait for it.
+
+const jobs = new Map(); // jobId -> job
+const jobQueues = new Map(); // document key -> queued jobs
+let runningJob = null;
+let jobSequence = 0;
+const JOB_HISTORY_LIMIT = 50;
+
+// Answered immediately, even while other jobs are queued or running
+const CONTROL_COMMANDS = new Set(["job.list", "job.cancel"]);
+
+// Commands that don't belong to a particular document
+const APP_QUEUE = "app";
+const APP_COMMANDS = new Set(["app.get_info", "doc.new", "doc.open"]);
+
+// Commands that change the active document
+const DOCUMENT_SWITCH_COMMANDS = new Set([
+  "doc.new",
+  "doc.open",
+  "smart_object.edit_contents",
+  "smart_object.close_contents",
+]);
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = "JobCancelledError";
+  }
+}
+
+/**
+ * Run `callback` in Photoshop's modal scope on behalf of the running job.
+ * Handlers call this in place of core.executeAsModal so the queue can track
+ * progress and cancellation through the execution context.
+ */
+async function executeAsModal(callback, options = {}) {
+  const job = runningJob;
+  checkJobCancelled();
+
+  return core.executeAsModal(async (executionContext, descriptor) => {
+    if (job) job.executionContext = executionContext;
+    try {
+      return await callback(executionContext, descriptor);
+    } finally {
+      if (job) {
+        // The context goes away with the modal scope; keep a cancel from
+        // the progress bar so runJob still rolls the job back
+        if (executionContext.isCancelled) job.cancelRequested = true;
+        job.executionContext = null;
+      }
+    }
+  }, options);
+}
+
+/**
+ * True when the running job was cancelled via job.cancel or from
+ * Photoshop's own progress bar.
+ */
+function isJobCancelled() {
+  const job = runningJob;
+  if (!job) return false;
+  return job.cancelRequested || Boolean(job.executionContext?.isCancelled);
+}
+
+/**
+ * Throw between steps of a multi-step handler if the job was cancelled.
+ */
+function checkJobCancelled() {
+  if (isJobCancelled()) {
+    throw new JobCancelledError(runningJob.id);
+  }
+}
+
+/**
+ * Report progress (0-1) for the running job; shown in Photoshop's progress bar
+ * while inside a modal scope, returned by job.list and streamed to the server
+ * as a progress frame.
+ */
+function reportJobProgress(value, message) {
+  const job = runningJob;
+  if (!job) return;
+  job.progress = { value, message: message || null };
+  if (job.executionContext) {
+    job.executionContext.reportProgress({ value, commandName: message });
+  }
+  sendProgress(job.id, value, message);
+}
+
+function jobQueueKey(command, params) {
+  if (APP_COMMANDS.has(command)) return APP_QUEUE;
+  if (params.documentId !== undefined) return String(params.documentId);
+  return app.activeDocument ? String(app.activeDocument.id) : APP_QUEUE;
+}
+
+function describeJob(job) {
+  return {
+    jobId: job.id,
+    command: job.command,
+    documentId: job.documentKey === APP_QUEUE ? null : Number(job.documentKey),
+    status: job.status,
+    progress: job.progress,
+    cancelRequested: job.cancelRequested,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+  };
+}
+
+/**
+ * Queue a request and resolve with its handler's result once it has run.
+ */
+function enqueueJob(id, command, handler, params) {
+  return new Promise((resolve) => {
+    const job = {
+      id,
+      seq: ++jobSequence,
+      command,
+      handler,
+      params,
+      documentKey: jobQueueKey(command, params),
+      status: "queued",
+      progress: null,
+      cancelRequested: false,
+      executionContext: null,
+      historyStateId: null,
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      resolve,
+    };
+
+    jobs.set(id, job);
+    if (!jobQueues.has(job.documentKey)) {
+      jobQueues.set(job.documentKey, []);
+    }
+    jobQueues.get(job.documentKey).push(job);
+    pumpJobs();
+  });
+}
+
+function pumpJobs() {
+  if (runningJob) return;
+
+  const job = nextJob();
+  if (!job) return;
+
+  runningJob = job;
+  runJob(job).finally(() => {
+    runningJob = null;
+    pruneJobHistory();
+    pumpJobs();
+  });
+}
+
+/**
+ * Take the next job to run: the head of the next document's queue in turn,
+ * except that nothing passes the oldest queued document switch, and the
+ * switch itself waits until everything queued before it has run.
+ */
+function nextJob() {
+  const queued = [...jobQueues.values()].flat();
+  const barrier = queued
+    .filter((job) => DOCUMENT_SWITCH_COMMANDS.has(job.command))
+    .reduce((oldest, job) => (!oldest || job.seq < oldest.seq ? job : oldest), null);
+
+  for (const [key, queue] of jobQueues) {
+    if (queue.length === 0) {
+      jobQueues.delete(key);
+      continue;
+    }
+    if (barrier && queue[0].seq > barrier.seq) continue;
+    if (queue[0] === barrier && queued.some((job) => job.seq < barrier.seq)) continue;
+
+    const job = queue.shift();
+    // Move this document to the back so the next pick goes to another one
+    jobQueues.delete(key);
+    if (queue.length > 0) jobQueues.set(key, queue);
+    return job;
+  }
+  return null;
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+
+  // A job that doesn't name its document works on the one active now, which a
+  // document switch queued ahead of it may have changed since it was queued
+  if (job.documentKey !== APP_QUEUE && job.params.documentId === undefined && app.activeDocument) {
+    job.documentKey = String(app.activeDocument.id);
+  }
+  const doc = findJobDocument(job);
+  job.historyStateId = doc?.activeHistoryState?.id ?? null;
+
+  // Lets the server tell a job that is waiting in the queue from one that runs
+  reportJobProgress(0, `Running ${job.command}`);
+
+  let result;
+  try {
+    const params = await applyLayerTarget(job.command, job.params);
+    result = await job.handler(params);
+  } catch (error) {
+    result = { ok: false, changed: false, error: error.message };
+  }
+
+  // A running batchPlay can't be interrupted, so a cancel that arrives
+  // mid-command takes effect when Photoshop hands control back: the job's
+  // changes are undone by returning to the history state it started from.
+  const cancelled = isJobCancelled();
+  if (cancelled) {
+    // Handlers catch their own errors, so a cancel checkpoint in the middle of
+    // a handler can leave earlier steps applied even when it reports no change
+    const rolledBack = await rollBackJob(job, doc);
+    result = {
+      ok: false,
+      changed: false,
+      error: `Job ${job.id} was cancelled${rolledBack ? "; its changes were rolled back" : ""}`,
+      data: { jobId: job.id, cancelled: true, rolledBack },
+    };
+  }
+
+  finishJob(job, cancelled ? "cancelled" : result.ok ? "completed" : "failed", result);
+}
+
+function finishJob(job, status, result) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.error = result.ok ? null : result.error || null;
+  job.handler = null;
+  job.params = null;
+  job.resolve(result);
+}
+
+function findJobDocument(job) {
+  if (job.documentKey === APP_QUEUE) return null;
+  const id = Number(job.documentKey);
+  return app.documents.find((d) => d.id === id) || null;
+}
+
+/**
+ * Return the job's document to the history state it started from.
+ * Resolves true if anything was undone.
+ */
+async function rollBackJob(job, doc) {
+  if (!doc || job.historyStateId === null) return false;
+  if (doc.activeHistoryState?.id === job.historyStateId) return false;
+  const state = doc.historyStates.find((h) => h.id === job.historyStateId);
+  if (!state) return false;
+
+  try {
+    await core.executeAsModal(
+      async () => {
+        doc.activeHistoryState = state;
+      },
+      { commandName: "Cancel Job" }
+    );
+    return true;
+  } catch (error) {
+    log(`Failed to roll back job ${job.id}: ${error.message}`, "error");
+    return false;
+  }
+}
+
+function pruneJobHistory() {
+  const finished = [...jobs.values()].filter((j) => j.finishedAt);
+  for (const job of finished.slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT))) {
+    jobs.delete(job.id);
+  }
+}
+
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return { ok: false, changed: false, error: `Job ${jobId} not found` };
+  }
+
+  if (job.status === "queued") {
+    const queue = jobQueues.get(job.documentKey) || [];
+    queue.splice(queue.indexOf(job), 1);
+    finishJob(job, "cancelled", {
+      ok: false,
+      changed: false,
+      error: `Job ${job.id} was cancelled before it started`,
+      data: { jobId: job.id, cancelled: true },
+    });
+    return { ok: true, changed: false, data: describeJob(job) };
+  }
+
+  if (job.status === "running") {
+    job.cancelRequested = true;
+    return {
+      ok: true,
+      changed: false,
+      data: describeJob(job),
+      warnings: [
+        "Job is running; it stops at its next checkpoint, or once Photoshop finishes the current step, and its changes are rolled back",
+      ],
+    };
+  }
+
+  return {
+    ok: false,
+    changed: false,
+    error: `Job ${job.id} already ${job.status}`,
+    data: describeJob(job),
+  };
+}
+
+commands["job.list"] = async function (params) {
+  const { status, documentId } = params;
+  const list = [...jobs.values()]
+    .filter((job) => !status || job.status === status)
+    .filter((job) => documentId === undefined || job.documentKey === String(documentId))
+    .map(describeJob);
+
+  return {
+    ok: true,
+    changed: false,
+    data: {
+      running: runningJob ? runningJob.id : null,
+      queued: list.filter((j) => j.status === "queued").length,
+      jobs: list,
+    },
+  };
+};
+
+commands["job.cancel"] = async function (params) {
+  const { jobId } = params;
+  if (!jobId) {
+    return { ok: false, changed: false, error: "jobId is required" };
+  }
+  return cancelJob(jobId);
+};
+
 // WebSocket connection state
 let ws = null;
 let autoReconnect = true;
 let reconnectInterval = null;
 const RECONNECT_DELAY = 3000; // 3 seconds
 
+// Handshake: bump PROTOCOL_VERSION together with the server's when frame shapes change
+// v2: progress frames
+// v3: event frames
+const PROTOCOL_VERSION = 3;
+const API_LEVEL = 2; // matches host.data.apiVersion in manifest.json
+let negotiatedProtocolVersion = null;
+
+// Bridge token: the server closes connections whose hello lacks it
+const TOKEN_STORAGE_KEY = "mcpBridgeToken";
+const AUTH_FAILED_CLOSE_CODE = 4001;
+
 // UI elements
 let statusIndicator,
   statusText,
@@ -4504,6 +6681,7 @@ let statusIndicator,
   disconnectBtn,
   testBtn,
   serverUrlInput,
+  tokenInput,
   logContainer;
 
 /**
@@ -4554,6 +6732,30 @@ function updateStatus(status) {
   }
 }
 
+/**
+ * Announce this plugin's versions and command list to the server
+ */
+function sendHello() {
+  let pluginVersion = "unknown";
+  try {
+    pluginVersion = require("uxp").versions.plugin || "unknown";
+  } catch (e) {
+    // Older UXP hosts don't expose versions
+  }
+
+  ws.send(
+    JSON.stringify({
+      type: "hello",
+      protocolVersion: PROTOCOL_VERSION,
+      pluginVersion,
+      photoshopVersion: app.version || "unknown",
+      apiLevel: API_LEVEL,
+      commands: Object.keys(commands),
+      token: tokenInput?.value.trim() || "",
+    }),
+  );
+}
+
 /**
  * Handle incoming WebSocket message
  */
@@ -4566,6 +6768,13 @@ async function handleMessage(event) {
     return;
   }
 
+  if (request.type === "welcome") {
+    negotiatedProtocolVersion = request.protocolVersion;
+    log(`Handshake complete (protocol v${negotiatedProtocolVersion})`, "success");
+    if (negotiatedProtocolVersion >= 3) await watchPhotoshopEvents();
+    return;
+  }
+
   const { id, command, params } = request;
   log(`Received: ${command}`);
 
@@ -4579,17 +6788,17 @@ async function handleMessage(event) {
     return;
   }
 
-  try {
-    const result = await handler(params || {});
-    sendResponse(id, result);
+  if (CONTROL_COMMANDS.has(command)) {
+    sendResponse(id, await handler(params || {}));
+    return;
+  }
+
+  const result = await enqueueJob(id, command, handler, params || {});
+  sendResponse(id, result);
+  if (result.ok) {
     log(`Completed: ${command}`, "success");
-  } catch (error) {
-    log(`Error in ${command}: ${error.message}`, "error");
-    sendResponse(id, {
-      ok: false,
-      changed: false,
-      error: error.message,
-    });
+  } else {
+    log(`Error in ${command}: ${result.error}`, "error");
   }
 }
 
@@ -4606,11 +6815,73 @@ function sendResponse(id, response) {
   ws.send(payload);
 }
 
+/**
+ * Send interim progress for a request. Servers that predate protocol v2
+ * would treat the frame as a response to an unknown request, so skip it.
+ */
+function sendProgress(id, value, message) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  if (!negotiatedProtocolVersion || negotiatedProtocolVersion < 2) return;
+
+  ws.send(
+    JSON.stringify({
+      type: "progress",
+      id,
+      progress: value,
+      total: 1,
+      message: message || undefined,
+    }),
+  );
+}
+
+// Photoshop events pushed to the server, whoever caused them
+const WATCHED_EVENTS = ["make", "delete", "select", "historyStateChanged", "open", "close"];
+let watchingEvents = false;
+
+/**
+ * Listen for Photoshop events once per plugin load; reconnecting reuses
+ * the listener, and sendEvent drops events while no server can take them.
+ */
+async function watchPhotoshopEvents() {
+  if (watchingEvents) return;
+  try {
+    await require("photoshop").action.addNotificationListener(WATCHED_EVENTS, sendEvent);
+    watchingEvents = true;
+  } catch (e) {
+    log(`Could not listen for Photoshop events: ${e.message}`, "error");
+  }
+}
+
+/**
+ * Push a Photoshop event to the server. Servers that predate protocol v3
+ * would treat the frame as a response to an unknown request, so skip it.
+ */
+function sendEvent(event, descriptor) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  if (!negotiatedProtocolVersion || negotiatedProtocolVersion < 3) return;
+
+  const reference = [].concat(descriptor?._target || descriptor?.null || [])[0];
+  const documentId = descriptor?.documentID ?? app.activeDocument?.id ?? null;
+  ws.send(
+    JSON.stringify({
+      type: "event",
+      event,
+      documentId,
+      target: reference?._ref || undefined,
+      name: typeof descriptor?.name === "string" ? descriptor.name : undefined,
+      time: new Date().toISOString(),
+    }),
+  );
+}
+
 /**
  * Connect to WebSocket server
  */
 function connect() {
   const url = serverUrlInput?.value || "ws://localhost:8765";
+  if (tokenInput) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.value.trim());
+  }
 
   // Re-enable auto-reconnect on manual connect
   autoReconnect = true;
@@ -4629,6 +6900,7 @@ function connect() {
       updateStatus("connected");
       log("Connected to MCP server", "success");
       log(`WebSocket readyState: ${ws.readyState}`, "info");
+      sendHello();
 
       // Clear reconnect interval on successful connection
       if (reconnectInterval) {
@@ -4644,12 +6916,22 @@ function connect() {
 
     ws.onclose = (event) => {
       updateStatus("disconnected");
+      negotiatedProtocolVersion = null;
       log(
         `Disconnected: code=${event.code}, reason=${event.reason || "none"}, wasClean=${event.wasClean}`,
         "info",
       );
       ws = null;
 
+      // Retrying with the same token would only fail again
+      if (event.code === AUTH_FAILED_CLOSE_CODE) {
+        autoReconnect = false;
+        log(
+          "Authentication failed: paste the token from ~/.photoshop-mcp/bridge-token and connect again",
+          "error",
+        );
+      }
+
       // Auto-reconnect if enabled
       if (autoReconnect && !reconnectInterval) {
         log(
@@ -4731,8 +7013,16 @@ function initPanel() {
   disconnectBtn = document.getElementById("disconnectBtn");
   testBtn = document.getElementById("testBtn");
   serverUrlInput = document.getElementById("serverUrl");
+  tokenInput = document.getElementById("bridgeToken");
   logContainer = document.getElementById("logContainer");
 
+  if (tokenInput) {
+    tokenInput.value = localStorage.getItem(TOKEN_STORAGE_KEY) || "";
+    tokenInput.addEventListener("change", () => {
+      localStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.value.trim());
+    });
+  }
+
   if (connectBtn) {
     connectBtn.addEventListener("click", connect);
   }